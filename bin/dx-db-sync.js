@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+const DivbloxDatabaseSync = require("../index");
+const dxUtils = require("dx-utilities");
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+/**
+ * The exit codes of the command-line tool:
+ * - success: The command completed. For plan and diff, this also means that the database matches the data model
+ * - failure: The command could not be completed, e.g because the data model is invalid or the database is unreachable
+ * - drift: Only for plan and diff. The database does not match the data model
+ */
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    drift: 2,
+};
+
+const USAGE =
+    "Usage: dx-db-sync <command> [options]\n\n" +
+    "Commands:\n" +
+    "  sync                    Aligns the database(s) with the data model\n" +
+    "  plan                    Lists the statements that a sync would execute, without executing them\n" +
+    "  diff                    Describes the differences between the database(s) and the data model\n" +
+    "  validate                Validates the data model, without connecting to the database. A database\n" +
+    "                          configuration is optional, and is used to check the module names\n" +
+    "  introspect              Generates a data model from the tables of an existing database\n\n" +
+    "Options:\n" +
+    "  --data-model <path>     The data model json file\n" +
+    "  --db-config <path>      The database configuration json file, with a connection for each module\n" +
+    "  --dxconfig <path>       A Divblox dxconfig.json file to read the data model path, database configuration\n" +
+    "                          and case implementation from. Defaults to ./dxconfig.json if it exists\n" +
+    "  --env <environment>     The dxconfig.json environment to use. Defaults to its \"environment\" or \"local\"\n" +
+    "  --case <implementation> lowercase|PascalCase|camelCase. Defaults to lowercase\n" +
+    "  --module <name>         introspect only: The module to introspect. Optional if there is only one module\n" +
+    "  --output <path>         introspect only: Writes the data model to this file instead of stdout\n" +
+    "  --schema-history        sync only: Records the sync in the dx_schema_history table of each module\n" +
+    "  --skip-unchanged        sync only: With --schema-history, does nothing if the data model has not changed\n" +
+    "                          since the last successful sync\n" +
+    "  --lock-timeout <secs>   sync only: How long to wait for another instance's sync to finish. Defaults to 60\n" +
+    "  --online-min-rows <n>   sync only: Alters tables with at least this many rows via a shadow table, without\n" +
+    "                          blocking writes\n" +
+    "  --online-chunk-size <n> sync only: With --online-min-rows, the rows to copy at a time. Defaults to 1000\n" +
+    "  --online-delay <ms>     sync only: With --online-min-rows, the pause between chunks. Defaults to 0\n" +
+    "  -y, --yes               Skips all prompts and uses their default answers\n" +
+    "  --json                  Writes a machine-readable result to stdout. Progress is written to stderr\n" +
+    "  -h, --help              Shows this message\n\n" +
+    "Exit codes: " +
+    EXIT_CODES.success +
+    " = success, " +
+    EXIT_CODES.failure +
+    " = failure, " +
+    EXIT_CODES.drift +
+    " = the database does not match the data model (plan and diff only)";
+
+/**
+ * Parses the command-line arguments
+ * @param {string[]} args The arguments, excluding the node executable and script path
+ * @return {{command: string|undefined, options: {}}} The subcommand and the provided options
+ */
+function getCommandLineArguments(args = []) {
+    const { values, positionals } = parseArgs({
+        args: args,
+        allowPositionals: true,
+        options: {
+            "data-model": { type: "string" },
+            "db-config": { type: "string" },
+            dxconfig: { type: "string" },
+            env: { type: "string" },
+            case: { type: "string" },
+            module: { type: "string" },
+            output: { type: "string" },
+            "schema-history": { type: "boolean", default: false },
+            "skip-unchanged": { type: "boolean", default: false },
+            "lock-timeout": { type: "string" },
+            "online-min-rows": { type: "string" },
+            "online-chunk-size": { type: "string" },
+            "online-delay": { type: "string" },
+            yes: { type: "boolean", short: "y", default: false },
+            json: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+
+    if (positionals.length > 1) {
+        throw new Error("Unexpected argument '" + positionals[1] + "'");
+    }
+
+    return { command: positionals[0], options: values };
+}
+
+/**
+ * Reads and parses a json file
+ * @param {string} filePath The path to the file
+ * @param {string} description A description of the file, used in the error message if it cannot be read
+ * @return {*} The parsed file contents
+ */
+function readJsonFile(filePath, description) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+        throw new Error("Could not read the " + description + " from '" + filePath + "': " + error.message);
+    }
+}
+
+/**
+ * Determines the data model, database configuration and case implementation to use. Explicitly provided options
+ * take precedence over the values in dxconfig.json, which is expected to be in the form
+ * {environment: "local", environmentArray: {local: {modules: {}}}, dataModelPath: "", databaseCaseImplementation: ""}
+ * @param {{}} options The parsed command-line options
+ * @param {boolean} isDataModelRequired Whether the command needs a data model
+ * @param {boolean} isDatabaseConfigRequired Whether the command needs a database configuration. If not, and none is
+ * provided, an empty configuration is returned
+ * @return {{dataModel: {}, databaseConfig: {}, databaseCaseImplementation: string}}
+ */
+function getSyncConfiguration(options = {}, isDataModelRequired = true, isDatabaseConfigRequired = true) {
+    let dataModelPath = options["data-model"] ?? null;
+    let databaseConfig = options["db-config"] ? readJsonFile(options["db-config"], "database configuration") : null;
+    let databaseCaseImplementation = options["case"] ?? null;
+
+    let dxConfigPath = options["dxconfig"] ?? null;
+    if (dxConfigPath === null && fs.existsSync("dxconfig.json")) {
+        dxConfigPath = "dxconfig.json";
+    }
+
+    const isDxConfigNeeded = databaseConfig === null || dataModelPath === null || databaseCaseImplementation === null;
+    if (dxConfigPath !== null && isDxConfigNeeded) {
+        const dxConfig = readJsonFile(dxConfigPath, "dxconfig");
+
+        if (databaseConfig === null) {
+            const environment = options["env"] ?? dxConfig["environment"] ?? "local";
+            databaseConfig = dxConfig["environmentArray"]?.[environment]?.["modules"] ?? null;
+            if (databaseConfig === null && isDatabaseConfigRequired) {
+                throw new Error("No modules are configured for environment '" + environment + "' in " + dxConfigPath);
+            }
+        }
+
+        if (dataModelPath === null && typeof dxConfig["dataModelPath"] === "string") {
+            dataModelPath = path.resolve(path.dirname(dxConfigPath), dxConfig["dataModelPath"]);
+        }
+
+        databaseCaseImplementation = databaseCaseImplementation ?? dxConfig["databaseCaseImplementation"] ?? null;
+    }
+
+    if (databaseConfig === null && isDatabaseConfigRequired) {
+        throw new Error("No database configuration provided. Use --db-config or --dxconfig");
+    }
+
+    if (isDataModelRequired && dataModelPath === null) {
+        throw new Error("No data model provided. Use --data-model or --dxconfig");
+    }
+
+    return {
+        dataModel: dataModelPath !== null ? readJsonFile(dataModelPath, "data model") : {},
+        databaseConfig: databaseConfig ?? {},
+        databaseCaseImplementation: databaseCaseImplementation ?? "lowercase",
+    };
+}
+
+/**
+ * Returns the number of seconds that a sync should wait for another instance's sync to finish
+ * @param {{}} options The parsed command-line options
+ * @return {number|undefined} The timeout, or undefined to use the default
+ */
+function getLockWaitTimeout(options = {}) {
+    if (typeof options["lock-timeout"] === "undefined") {
+        return undefined;
+    }
+
+    const lockWaitTimeout = Number(options["lock-timeout"]);
+    if (!Number.isFinite(lockWaitTimeout) || lockWaitTimeout < 0) {
+        throw new Error("Expected --lock-timeout to be a number of seconds");
+    }
+
+    return lockWaitTimeout;
+}
+
+/**
+ * Returns the onlineSchemaChange option to use, based on the --online-* options
+ * @param {{}} options The parsed command-line options
+ * @return {{minimumRowCount: number, chunkSize?: number, chunkDelayMs?: number}|false} The option, or false if
+ * --online-min-rows was not provided
+ */
+function getOnlineSchemaChange(options = {}) {
+    if (typeof options["online-min-rows"] === "undefined") {
+        return false;
+    }
+
+    let onlineSchemaChange = {};
+    const optionNames = {
+        "online-min-rows": "minimumRowCount",
+        "online-chunk-size": "chunkSize",
+        "online-delay": "chunkDelayMs",
+    };
+    for (const [optionName, settingName] of Object.entries(optionNames)) {
+        if (typeof options[optionName] === "undefined") {
+            continue;
+        }
+
+        const settingValue = Number(options[optionName]);
+        const minimumValue = optionName === "online-chunk-size" ? 1 : 0;
+        if (!Number.isInteger(settingValue) || settingValue < minimumValue) {
+            throw new Error("Expected --" + optionName + " to be a whole number of at least " + minimumValue);
+        }
+
+        onlineSchemaChange[settingName] = settingValue;
+    }
+
+    return onlineSchemaChange;
+}
+
+/**
+ * Returns the message of the last error that the sync recorded
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @return {string} The error message
+ */
+function getLastErrorMessage(dbSync) {
+    const lastError = dbSync.getLastError();
+    return lastError !== null ? lastError.message : "Unknown error";
+}
+
+/**
+ * Runs the "sync" command
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @param {{}} options The parsed command-line options
+ * @return {Promise<{exitCode: number, result: {}}>}
+ */
+async function runSync(dbSync, options = {}) {
+    if (options["json"] && !options["yes"]) {
+        throw new Error("--json requires --yes for the sync command, since prompts cannot be answered");
+    }
+
+    const success = await dbSync.syncDatabase(options["yes"]);
+
+    return { exitCode: success ? EXIT_CODES.success : EXIT_CODES.failure, result: dbSync.getLastSyncReport() };
+}
+
+/**
+ * Runs the "plan" command
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @param {{}} options The parsed command-line options
+ * @return {Promise<{exitCode: number, result: {}}>}
+ */
+async function runPlan(dbSync, options = {}) {
+    const syncPlan = await dbSync.planSync();
+    if (syncPlan === null) {
+        return { exitCode: EXIT_CODES.failure, result: { success: false, error: getLastErrorMessage(dbSync) } };
+    }
+
+    const hasChanges = Object.values(syncPlan).some((moduleSteps) => moduleSteps.length > 0);
+
+    if (!options["json"]) {
+        for (const moduleName of Object.keys(syncPlan)) {
+            dxUtils.outputFormattedLog("Module '" + moduleName + "':", dxUtils.commandLineColors.foregroundCyan);
+            for (const syncStep of syncPlan[moduleName]) {
+                console.log("  " + syncStep.sql);
+            }
+        }
+
+        console.log(hasChanges ? "The database does not match the data model." : "The database is up to date.");
+    }
+
+    return {
+        exitCode: hasChanges ? EXIT_CODES.drift : EXIT_CODES.success,
+        result: { success: true, hasChanges: hasChanges, plan: syncPlan },
+    };
+}
+
+/**
+ * Runs the "diff" command
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @param {{}} options The parsed command-line options
+ * @return {Promise<{exitCode: number, result: {}}>}
+ */
+async function runDiff(dbSync, options = {}) {
+    const schemaDiff = await dbSync.getSchemaDiff();
+    if (schemaDiff === null) {
+        return { exitCode: EXIT_CODES.failure, result: { success: false, error: getLastErrorMessage(dbSync) } };
+    }
+
+    if (!options["json"]) {
+        for (const warning of schemaDiff.warnings) {
+            dxUtils.outputFormattedLog(warning, dxUtils.commandLineColors.foregroundYellow);
+        }
+
+        for (const moduleName of Object.keys(schemaDiff.modules)) {
+            const moduleDiff = schemaDiff.modules[moduleName];
+            dxUtils.outputFormattedLog("Module '" + moduleName + "':", dxUtils.commandLineColors.foregroundCyan);
+            printDiffItems("missingTables", moduleDiff.missingTables);
+            printDiffItems("extraTables", moduleDiff.extraTables);
+            printDiffItems("renamedTables", moduleDiff.renamedTables);
+
+            for (const tableName of Object.keys(moduleDiff.tables)) {
+                console.log("  " + tableName + ":");
+                for (const differenceType of Object.keys(moduleDiff.tables[tableName])) {
+                    printDiffItems(differenceType, moduleDiff.tables[tableName][differenceType], "    ");
+                }
+            }
+        }
+
+        console.log(
+            schemaDiff.hasDifferences ? "The database does not match the data model." : "The database is up to date."
+        );
+    }
+
+    return {
+        exitCode: schemaDiff.hasDifferences ? EXIT_CODES.drift : EXIT_CODES.success,
+        result: { success: true, ...schemaDiff },
+    };
+}
+
+/**
+ * Prints a single type of difference from getSchemaDiff() on one line, e.g "columnsToAdd: column_one, column_two"
+ * @param {string} differenceType The type of difference
+ * @param {[]} items The differences of this type
+ * @param {string} indentation The indentation to print before the line
+ */
+function printDiffItems(differenceType, items = [], indentation = "  ") {
+    if (items.length === 0) {
+        return;
+    }
+
+    const itemNames = items.map((item) => {
+        if (typeof item === "string") {
+            return item;
+        }
+
+        if (typeof item.fromTableName !== "undefined") {
+            return item.fromTableName + " -> " + item.toTableName;
+        }
+
+        if (typeof item.fromColumnName !== "undefined") {
+            return item.fromColumnName + " -> " + item.toColumnName;
+        }
+
+        return item.columnName ?? item.indexName ?? item.constraintName ?? item.option;
+    });
+
+    console.log(indentation + differenceType + ": " + itemNames.join(", "));
+}
+
+/**
+ * Runs the "validate" command
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @param {{}} options The parsed command-line options
+ * @return {Promise<{exitCode: number, result: {}}>}
+ */
+async function runValidate(dbSync, options = {}) {
+    const validationResult = dbSync.validateDataModel();
+
+    if (!options["json"]) {
+        for (const warning of validationResult.warnings) {
+            dxUtils.outputFormattedLog(
+                dbSync.getValidationMessage(warning),
+                dxUtils.commandLineColors.foregroundYellow
+            );
+        }
+
+        for (const error of validationResult.errors) {
+            dxUtils.outputFormattedLog(dbSync.getValidationMessage(error), dxUtils.commandLineColors.foregroundRed);
+        }
+
+        console.log(
+            validationResult.isValid
+                ? "The data model is valid."
+                : "The data model has " + validationResult.errors.length + " error(s)."
+        );
+    }
+
+    return {
+        exitCode: validationResult.isValid ? EXIT_CODES.success : EXIT_CODES.failure,
+        result: { success: validationResult.isValid, ...validationResult },
+    };
+}
+
+/**
+ * Runs the "introspect" command
+ * @param {DivbloxDatabaseSync} dbSync The sync instance
+ * @param {{}} options The parsed command-line options
+ * @return {Promise<{exitCode: number, result: {}}>}
+ */
+async function runIntrospect(dbSync, options = {}) {
+    const moduleNames = Object.keys(dbSync.databaseConfig);
+    let moduleName = options["module"] ?? null;
+    if (moduleName === null) {
+        if (moduleNames.length !== 1) {
+            throw new Error("Use --module to choose one of the configured modules: " + moduleNames.join(", "));
+        }
+
+        moduleName = moduleNames[0];
+    }
+
+    const introspectionResult = await dbSync.introspectDataModel(moduleName);
+    if (introspectionResult === null) {
+        return { exitCode: EXIT_CODES.failure, result: { success: false, error: getLastErrorMessage(dbSync) } };
+    }
+
+    const dataModelJson = JSON.stringify(introspectionResult.dataModel, null, 2);
+    if (typeof options["output"] !== "undefined") {
+        fs.writeFileSync(options["output"], dataModelJson + "\n");
+    }
+
+    if (!options["json"]) {
+        for (const warning of introspectionResult.warnings) {
+            dxUtils.outputFormattedLog(warning, dxUtils.commandLineColors.foregroundYellow);
+        }
+
+        if (typeof options["output"] !== "undefined") {
+            console.log("Data model written to " + options["output"]);
+        } else {
+            process.stdout.write(dataModelJson + "\n");
+        }
+    }
+
+    return { exitCode: EXIT_CODES.success, result: { success: true, ...introspectionResult } };
+}
+
+/**
+ * Sends everything that is written with console.log(), console.info(), console.debug() and console.dir() to stderr.
+ * This includes output from dependencies, such as the database connector's error dumps
+ */
+function redirectConsoleToStderr() {
+    const stderrConsole = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+    for (const methodName of ["log", "info", "debug", "dir"]) {
+        console[methodName] = stderrConsole[methodName].bind(stderrConsole);
+    }
+}
+
+/**
+ * The entry point of the command-line tool
+ * @param {string[]} args The arguments, excluding the node executable and script path
+ * @return {Promise<number>} The exit code
+ */
+async function main(args = []) {
+    let commandLineArguments;
+    try {
+        commandLineArguments = getCommandLineArguments(args);
+    } catch (error) {
+        console.error(error.message + "\n\n" + USAGE);
+        return EXIT_CODES.failure;
+    }
+
+    const { command, options } = commandLineArguments;
+    const commandHandlers = {
+        sync: runSync,
+        plan: runPlan,
+        diff: runDiff,
+        validate: runValidate,
+        introspect: runIntrospect,
+    };
+
+    if (options["help"] || typeof command === "undefined") {
+        console.log(USAGE);
+        return options["help"] ? EXIT_CODES.success : EXIT_CODES.failure;
+    }
+
+    if (typeof commandHandlers[command] === "undefined") {
+        console.error("Unknown command '" + command + "'\n\n" + USAGE);
+        return EXIT_CODES.failure;
+    }
+
+    const writeToStdout = (text) => process.stdout.write(text + "\n");
+    if (options["json"]) {
+        // Only the json result is written to stdout
+        redirectConsoleToStderr();
+    }
+
+    try {
+        const { dataModel, databaseConfig, databaseCaseImplementation } = getSyncConfiguration(
+            options,
+            command !== "introspect",
+            command !== "validate"
+        );
+        const dbSync = new DivbloxDatabaseSync(dataModel, databaseConfig, null, databaseCaseImplementation, {
+            // With --json, progress goes to stderr, so that stdout only contains the json result
+            logger: options["json"] ? { info: console.error, error: console.error } : null,
+            schemaHistory: options["schema-history"],
+            skipUnchangedDataModel: options["skip-unchanged"],
+            lockWaitTimeout: getLockWaitTimeout(options),
+            onlineSchemaChange: getOnlineSchemaChange(options),
+        });
+        const { exitCode, result } = await commandHandlers[command](dbSync, options);
+
+        if (options["json"]) {
+            writeToStdout(JSON.stringify(result, null, 2));
+        } else if (exitCode === EXIT_CODES.failure && typeof result.error !== "undefined") {
+            console.error(result.error);
+        }
+
+        return exitCode;
+    } catch (error) {
+        if (options["json"]) {
+            writeToStdout(JSON.stringify({ success: false, error: error.message }, null, 2));
+        } else {
+            console.error(error.message);
+        }
+
+        return EXIT_CODES.failure;
+    }
+}
+
+main(process.argv.slice(2)).then((exitCode) => process.exit(exitCode));
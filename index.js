@@ -1,12 +1,189 @@
 const dxDbConnector = require("dx-db-connector");
 const dxUtils = require("dx-utilities");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const packageVersion = require("./package.json").version;
+
+/**
+ * Describes where the entity on the other side of a relationship lives:
+ * - local: In the same module
+ * - crossSchema: In a different module, on the same database server. Foreign keys use schema-qualified references
+ * - crossServer: In a different module, on a different database server. No foreign key constraint can be created
+ */
+const RELATIONSHIP_SCOPES = {
+    local: "local",
+    crossSchema: "cross schema",
+    crossServer: "cross server",
+};
+
+/**
+ * The labels that are used to describe each individual step when planning a database sync
+ */
+const SYNC_STEP_TYPES = {
+    dropTable: "drop table",
+    createTable: "create table",
+    renameTable: "rename table",
+    modifyTable: "modify table",
+    alterTable: "alter table",
+    addColumn: "add column",
+    renameColumn: "rename column",
+    modifyColumn: "modify column",
+    dropColumn: "drop column",
+    addIndex: "add index",
+    dropIndex: "drop index",
+    addForeignKey: "add foreign key",
+    dropForeignKey: "drop foreign key",
+};
+
+/**
+ * The ALGORITHM and LOCK clauses that are tried, in order, when altering an existing table. MySQL refuses a clause
+ * that the alteration does not support, in which case the next one is tried. The last attempt has no clause, which
+ * lets MySQL choose, and may rebuild the table while blocking writes
+ */
+const ALTER_TABLE_ALGORITHMS = ["ALGORITHM=INSTANT", "ALGORITHM=INPLACE, LOCK=NONE", null];
+
+/**
+ * The errors with which MySQL and MariaDB refuse an ALGORITHM or LOCK clause. Other errors are not retried
+ */
+const ALTER_TABLE_ALGORITHM_ERRORS = [
+    "ER_ALTER_OPERATION_NOT_SUPPORTED",
+    "ER_ALTER_OPERATION_NOT_SUPPORTED_REASON",
+    "ER_UNKNOWN_ALTER_ALGORITHM",
+    "ER_UNKNOWN_ALTER_LOCK",
+];
+
+/**
+ * The defaults for the onlineSchemaChange option. Tables with at least minimumRowCount rows (as estimated by
+ * information_schema) are altered by copying their rows to a shadow table, chunkSize rows at a time, pausing for
+ * chunkDelayMs milliseconds between chunks
+ */
+const ONLINE_SCHEMA_CHANGE_DEFAULTS = {
+    minimumRowCount: 1000000,
+    chunkSize: 1000,
+    chunkDelayMs: 0,
+};
+
+/**
+ * The table in which each module records the syncs that were applied to it, when the schemaHistory option is enabled.
+ * It is not part of the data model and is therefore never removed by a sync
+ */
+const SCHEMA_HISTORY_TABLE = "dx_schema_history";
+
+/**
+ * Column types that the database reports by another name, mapped to the name that it reports
+ */
+const MYSQL_COLUMN_TYPE_SYNONYMS = {
+    integer: "int",
+    numeric: "decimal",
+};
+
+/**
+ * The row formats that can be set in the "tableOptions" of an entity
+ */
+const TABLE_ROW_FORMATS = ["DEFAULT", "DYNAMIC", "FIXED", "COMPRESSED", "REDUNDANT", "COMPACT"];
+
+/**
+ * The events that are emitted while syncing:
+ * - phaseStarted, progress, info and warning: Carry {message}, describing what the sync is busy with
+ * - error: Carries {message, error}, where error is the recorded error object, if any
+ * - tableCreated, columnModified, indexDropped, fkAdded, etc: Emitted after a statement that changes the database has
+ *   executed, carrying {moduleName, tableName, objectName, sql}. These are not emitted when planning
+ * - rowsCopied: Emitted after each chunk of rows that is copied to a shadow table during an online schema change,
+ *   carrying {moduleName, tableName, copiedRowCount, estimatedRowCount}
+ */
+const SYNC_EVENTS = {
+    phaseStarted: "phaseStarted",
+    progress: "progress",
+    info: "info",
+    warning: "warning",
+    error: "error",
+    tableCreated: "tableCreated",
+    tableDropped: "tableDropped",
+    tableRenamed: "tableRenamed",
+    tableModified: "tableModified",
+    columnAdded: "columnAdded",
+    columnRenamed: "columnRenamed",
+    columnModified: "columnModified",
+    columnDropped: "columnDropped",
+    indexAdded: "indexAdded",
+    indexDropped: "indexDropped",
+    fkAdded: "fkAdded",
+    fkDropped: "fkDropped",
+    rowsCopied: "rowsCopied",
+};
+
+/**
+ * The change event that is emitted for each type of sync step
+ */
+const SYNC_STEP_EVENTS = {
+    [SYNC_STEP_TYPES.dropTable]: SYNC_EVENTS.tableDropped,
+    [SYNC_STEP_TYPES.createTable]: SYNC_EVENTS.tableCreated,
+    [SYNC_STEP_TYPES.renameTable]: SYNC_EVENTS.tableRenamed,
+    [SYNC_STEP_TYPES.modifyTable]: SYNC_EVENTS.tableModified,
+    [SYNC_STEP_TYPES.addColumn]: SYNC_EVENTS.columnAdded,
+    [SYNC_STEP_TYPES.renameColumn]: SYNC_EVENTS.columnRenamed,
+    [SYNC_STEP_TYPES.modifyColumn]: SYNC_EVENTS.columnModified,
+    [SYNC_STEP_TYPES.dropColumn]: SYNC_EVENTS.columnDropped,
+    [SYNC_STEP_TYPES.addIndex]: SYNC_EVENTS.indexAdded,
+    [SYNC_STEP_TYPES.dropIndex]: SYNC_EVENTS.indexDropped,
+    [SYNC_STEP_TYPES.addForeignKey]: SYNC_EVENTS.fkAdded,
+    [SYNC_STEP_TYPES.dropForeignKey]: SYNC_EVENTS.fkDropped,
+};
+
+/**
+ * The MySQL column types that can be used for attributes, mapped to the category that determines how their
+ * "lengthOrValues" and "default" are validated
+ */
+const MYSQL_COLUMN_TYPES = {
+    tinyint: "integer",
+    smallint: "integer",
+    mediumint: "integer",
+    int: "integer",
+    integer: "integer",
+    bigint: "integer",
+    bit: "bit",
+    decimal: "fixedPoint",
+    numeric: "fixedPoint",
+    float: "floatingPoint",
+    double: "floatingPoint",
+    date: "date",
+    datetime: "dateTime",
+    timestamp: "dateTime",
+    time: "time",
+    year: "year",
+    char: "string",
+    varchar: "string",
+    binary: "string",
+    varbinary: "string",
+    tinytext: "text",
+    text: "text",
+    mediumtext: "text",
+    longtext: "text",
+    tinyblob: "text",
+    blob: "text",
+    mediumblob: "text",
+    longblob: "text",
+    enum: "list",
+    set: "list",
+    json: "json",
+    geometry: "spatial",
+    point: "spatial",
+    linestring: "spatial",
+    polygon: "spatial",
+    multipoint: "spatial",
+    multilinestring: "spatial",
+    multipolygon: "spatial",
+    geometrycollection: "spatial",
+};
 
 /**
  * DivbloxDatabaseSync is responsible for taking a data model object, an example of which can be found in the tests
  * folder, and use it to modify a single database or multiple databases in order to align the database(s) with the given
  * model.
  */
-class DivbloxDatabaseSync {
+class DivbloxDatabaseSync extends EventEmitter {
     /**
      * Basic initialization. Nothing special.
      * @param {*} dataModel The data model object that will be used to synchronize the database. An example can be found
@@ -25,13 +202,26 @@ class DivbloxDatabaseSync {
      * splitter in the data model
      * NOTE: Either Pascal or Camel case will require the database to be set up in such a manner to support this. It is
      * therefore recommended to stick to lowercase
+     * @param {{logger?: {info: function, warn?: function, error?: function, debug?: function}, silent?: boolean,
+     * schemaHistory?: boolean, skipUnchangedDataModel?: boolean, lockWaitTimeout?: number,
+     * onlineSchemaChange?: boolean|{minimumRowCount?: number, chunkSize?: number, chunkDelayMs?: number}} options
+     * Optional. By default, progress is printed to the console in colour. If a logger is provided, progress is sent
+     * to it instead. If silent is true, nothing is output and only listeners added via on() receive the events
+     * described in SYNC_EVENTS. If schemaHistory is true, each sync is recorded in a "dx_schema_history" table in each
+     * module. If skipUnchangedDataModel is also true, a sync does nothing when the data model has not changed since
+     * the last successful sync. lockWaitTimeout is the number of seconds that a sync waits for another instance's sync
+     * of the same module to finish. Defaults to 60. If onlineSchemaChange is true, or an object that overrides
+     * ONLINE_SCHEMA_CHANGE_DEFAULTS, large tables are altered via a shadow table rather than with ALTER TABLE
      */
     constructor(
         dataModel = {},
         databaseConfig = {},
         dxDatabaseConnectorInstance = null,
-        databaseCaseImplementation = "lowercase"
+        databaseCaseImplementation = "lowercase",
+        options = {}
     ) {
+        super();
+
         this.dataModel = dataModel;
         this.databaseConfig = databaseConfig;
         if (dxDatabaseConnectorInstance !== null) {
@@ -47,22 +237,45 @@ class DivbloxDatabaseSync {
         this.foreignKeyChecksDisabled = false;
         this.databaseCaseImplementation = databaseCaseImplementation;
         this.maxErrorLimitDefault = 50;
+        this.isPlanMode = false;
+        this.syncPlan = {};
+        this.isOutputSuppressed = false;
+        this.warningInfo = [];
+        this.syncReport = null;
+        this.lastSyncReport = null;
+        this.isSchemaHistoryEnabled = options["schemaHistory"] === true;
+        this.isSkippingUnchangedDataModel = this.isSchemaHistoryEnabled && options["skipUnchangedDataModel"] === true;
+        this.isSchemaHistoryPrepared = false;
+        this.lockWaitTimeout = options["lockWaitTimeout"] ?? 60;
+        this.syncLockConnections = {};
+        this.serverInfo = {};
+        this.schemaSnapshots = {};
+        this.pendingTableAlterations = {};
+
+        const onlineSchemaChange = options["onlineSchemaChange"] ?? false;
+        this.onlineSchemaChange =
+            onlineSchemaChange === false
+                ? null
+                : { ...ONLINE_SCHEMA_CHANGE_DEFAULTS, ...(onlineSchemaChange === true ? {} : onlineSchemaChange) };
+
+        if (options["silent"] === true) {
+            return;
+        }
+
+        if (typeof options["logger"] !== "undefined" && options["logger"] !== null) {
+            this.addLoggerListeners(options["logger"]);
+        } else {
+            this.addCommandLineListeners();
+        }
     }
 
     //#region Helpers
     /**
-     * Outputs a piece of text to the command line, formatting it to appear as a heading.
+     * Announces the start of a new phase of the sync, which the command line output displays as a heading
      * @param sectionHeading The heading text to display
      */
     startNewCommandLineSection(sectionHeading = "") {
-        let lineText = "";
-        for (let i = 0; i < process.stdout.columns; i++) {
-            lineText += "-";
-        }
-
-        dxUtils.outputFormattedLog(lineText, dxUtils.commandLineColors.foregroundCyan);
-        dxUtils.outputFormattedLog(sectionHeading, this.commandLineHeadingFormatting);
-        dxUtils.outputFormattedLog(lineText, dxUtils.commandLineColors.foregroundCyan);
+        this.emitSyncEvent(SYNC_EVENTS.phaseStarted, { message: sectionHeading });
     }
 
     /**
@@ -113,6 +326,11 @@ class DivbloxDatabaseSync {
      * @return {Promise<void>}
      */
     async disableForeignKeyChecks() {
+        if (this.isPlanMode) {
+            this.foreignKeyChecksDisabled = true;
+            return;
+        }
+
         for (const moduleName of Object.keys(this.databaseConfig)) {
             const queryResult = await this.databaseConnector.queryDB("SET FOREIGN_KEY_CHECKS = 0", moduleName);
             if (queryResult === null) {
@@ -131,6 +349,11 @@ class DivbloxDatabaseSync {
      * @return {Promise<void>}
      */
     async restoreForeignKeyChecks() {
+        if (this.isPlanMode) {
+            this.foreignKeyChecksDisabled = false;
+            return;
+        }
+
         for (const moduleName of Object.keys(this.databaseConfig)) {
             const queryResult = await this.databaseConnector.queryDB("SET FOREIGN_KEY_CHECKS = 1", moduleName);
             if (queryResult === null) {
@@ -150,31 +373,241 @@ class DivbloxDatabaseSync {
     async getDatabaseTables() {
         let tables = {};
         for (const moduleName of Object.keys(this.databaseConfig)) {
-            const moduleTables = await this.databaseConnector.queryDB("show full tables", moduleName);
+            const moduleTables = await this.getModuleDatabaseTables(moduleName);
             if (moduleTables === null) {
-                this.populateError(
-                    "Could not show full tables for '" + moduleName + "'",
-                    this.databaseConnector.getLastError()
-                );
+                continue;
             }
 
-            const databaseName = this.databaseConfig[moduleName]["database"];
+            tables = { ...tables, ...moduleTables };
+        }
+        return tables;
+    }
+
+    /**
+     * Returns the tables that are currently in the database of the given module
+     * @param {string} moduleName The module for which to list tables
+     * @return {Promise<{}|null>} Returns the name and type of each table, or null if the tables could not be listed
+     */
+    async getModuleDatabaseTables(moduleName) {
+        const schemaSnapshot = await this.getSchemaSnapshot(moduleName);
+        if (schemaSnapshot === null) {
+            return null;
+        }
 
-            for (let i = 0; i < moduleTables.length; i++) {
-                const dataPacket = moduleTables[i];
-                tables[dataPacket["Tables_in_" + databaseName]] = dataPacket["Table_type"];
+        let tables = {};
+        for (const tableName of Object.keys(schemaSnapshot.tables)) {
+            if (tableName === SCHEMA_HISTORY_TABLE) {
+                continue;
             }
+
+            tables[tableName] = schemaSnapshot.tables[tableName].status["TABLE_TYPE"];
         }
         return tables;
     }
 
+    /**
+     * Returns the columns of the given table, in the form reported by "SHOW FULL COLUMNS". When planning, tables that
+     * are still to be created are reported as containing only their primary key column
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<[]|null>} The column rows, or null if the columns could not be retrieved. Rows from MariaDB
+     * servers are converted to the way MySQL reports them. See getMySqlStyleColumnRow()
+     */
+    async getTableColumns(moduleName, tableName) {
+        if (this.isPlanMode && this.tablesToCreate.includes(tableName)) {
+            return [
+                {
+                    Field: this.getPrimaryKeyColumn(),
+                    Type: "bigint(20)",
+                    Null: "NO",
+                    Key: "PRI",
+                    Default: null,
+                    Extra:
+                        this.getEntityAutoIncrementAttribute(this.getCaseDenormalizedString(tableName)) === null
+                            ? "auto_increment"
+                            : "",
+                },
+            ];
+        }
+
+        const tableSnapshot = await this.getTableSnapshot(moduleName, this.getExistingTableName(tableName));
+        if (tableSnapshot === null) {
+            return null;
+        }
+
+        const tableColumns = tableSnapshot.columns;
+        const serverInfo = await this.getServerInfo(moduleName);
+        return serverInfo.isMariaDb
+            ? tableColumns.map((tableColumn) => this.getMySqlStyleColumnRow(tableColumn))
+            : tableColumns;
+    }
+
+    /**
+     * Returns the indexes of the given table, in the form reported by "SHOW INDEX". When planning, tables that are
+     * still to be created are reported as having no indexes
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<[]|null>} The index rows, or null if the indexes could not be retrieved
+     */
+    async getTableIndexes(moduleName, tableName) {
+        if (this.isPlanMode && this.tablesToCreate.includes(tableName)) {
+            return [];
+        }
+
+        const tableSnapshot = await this.getTableSnapshot(moduleName, this.getExistingTableName(tableName));
+        return tableSnapshot !== null ? tableSnapshot.indexes : null;
+    }
+
+    /**
+     * Returns the foreign key constraints of the given table. When planning, constraints that have already been
+     * planned to be dropped are not returned again
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<[]|null>} The rows from information_schema.REFERENTIAL_CONSTRAINTS, along with the COLUMN_NAME
+     * and REFERENCED_COLUMN_NAME of each constraint, or null if the constraints could not be retrieved
+     */
+    async getTableForeignKeys(moduleName, tableName) {
+        const schemaSnapshot = await this.getSchemaSnapshot(moduleName);
+        if (schemaSnapshot === null) {
+            return null;
+        }
+
+        // Tables that do not exist (yet) have no constraints
+        const tableSnapshot = schemaSnapshot.tables[this.getExistingTableName(tableName)];
+        const listForeignKeysResult = typeof tableSnapshot !== "undefined" ? tableSnapshot.foreignKeys : [];
+        if (!this.isPlanMode) {
+            return listForeignKeysResult;
+        }
+
+        const plannedSteps = this.syncPlan[moduleName] ?? [];
+        return listForeignKeysResult.filter(
+            (foreignKey) =>
+                !plannedSteps.some(
+                    (plannedStep) =>
+                        plannedStep.type === SYNC_STEP_TYPES.dropForeignKey &&
+                        plannedStep.tableName === tableName &&
+                        plannedStep.objectName === foreignKey.CONSTRAINT_NAME
+                )
+        );
+    }
+
+    /**
+     * Executes a single statement that forms part of the sync on the database for the given module. When planning,
+     * the statement is only added to the sync plan and nothing is sent to the database
+     * @param {string} moduleName The module on which to execute the statement
+     * @param {string} stepType The type of step that the statement represents. See SYNC_STEP_TYPES
+     * @param {string} tableName The name of the table that is affected by the statement
+     * @param {string} objectName The name of the table, column, index or constraint that is affected
+     * @param {string} sql The sql statement to execute
+     * @param {string|null} downSql The sql statement that reverses this statement, or null if it cannot be reversed.
+     * This is only used when planning
+     * @param {{type: string, objectName: string, sql: string}[]} changes The changes that are combined in this
+     * statement, when it is an ALTER TABLE statement created by applyTableAlterations(). Such statements are executed
+     * with the least disruptive ALGORITHM and LOCK clause that MySQL accepts, or via a shadow table when
+     * isOnlineSchemaChangeRequired(), and emit an event for each change
+     * @return {Promise<{}|null>} The query result, or null if the statement failed
+     */
+    async executeSyncStatement(moduleName, stepType, tableName, objectName, sql, downSql = null, changes = []) {
+        if (this.isPlanMode) {
+            if (typeof this.syncPlan[moduleName] === "undefined") {
+                this.syncPlan[moduleName] = [];
+            }
+
+            const syncStep = { type: stepType, tableName, objectName, sql, downSql };
+            const stepChanges = changes.map((change) => ({ type: change.type, objectName: change.objectName }));
+            this.syncPlan[moduleName].push(changes.length > 0 ? { ...syncStep, changes: stepChanges } : syncStep);
+            return {};
+        }
+
+        const startTime = Date.now();
+        let queryResult = null;
+        if (changes.length > 0 && (await this.isOnlineSchemaChangeRequired(moduleName, tableName))) {
+            queryResult = await this.alterTableOnline(moduleName, tableName, changes);
+        } else if (changes.length > 0) {
+            ({ queryResult, sql } = await this.queryAlterTableWithAlgorithm(moduleName, sql));
+        } else {
+            queryResult = await this.databaseConnector.queryDB(sql, moduleName);
+        }
+        const durationMs = Date.now() - startTime;
+
+        // Statements that create, drop or rename a table can affect the foreign keys of other tables, which refer to
+        // the table by name. Other statements only affect their own table
+        if ([SYNC_STEP_TYPES.dropTable, SYNC_STEP_TYPES.createTable, SYNC_STEP_TYPES.renameTable].includes(stepType)) {
+            this.invalidateSchemaSnapshots();
+        } else {
+            this.invalidateSchemaSnapshots(moduleName, tableName);
+        }
+
+        if (queryResult !== null) {
+            const stepChanges = changes.length > 0 ? changes : [{ type: stepType, objectName }];
+            for (const stepChange of stepChanges) {
+                this.emitSyncEvent(SYNC_STEP_EVENTS[stepChange.type], {
+                    moduleName,
+                    tableName,
+                    objectName: stepChange.objectName,
+                    sql,
+                });
+            }
+        }
+
+        if (this.syncReport !== null) {
+            const queryError = queryResult === null ? this.databaseConnector.getLastError() : null;
+            this.addSyncReportStatement(moduleName, tableName, {
+                type: stepType,
+                objectName,
+                sql,
+                durationMs,
+                outcome: queryResult !== null ? "success" : "failed",
+                error: queryError !== null ? queryError.message ?? queryError.toString() : null,
+            });
+        }
+
+        return queryResult;
+    }
+
+    /**
+     * Adds a statement that was executed to the report of the current sync
+     * @param {string} moduleName The module on which the statement was executed
+     * @param {string} tableName The name of the table that is affected by the statement
+     * @param {{type: string, objectName: string, sql: string, durationMs: number, outcome: string,
+     * error: string|null}} statement The statement, along with its outcome
+     */
+    addSyncReportStatement(moduleName, tableName, statement) {
+        if (typeof this.syncReport.modules[moduleName] === "undefined") {
+            this.syncReport.modules[moduleName] = { tables: {} };
+        }
+
+        const moduleTables = this.syncReport.modules[moduleName].tables;
+        if (typeof moduleTables[tableName] === "undefined") {
+            moduleTables[tableName] = { statements: [] };
+        }
+
+        moduleTables[tableName].statements.push(statement);
+    }
+
+    /**
+     * Adds tables that the current sync left untouched, even though they differ from the data model, to its report
+     * @param {string[]} tableNames The names of the tables that were skipped
+     * @param {string} reason The reason for skipping the tables
+     */
+    addSyncReportSkippedTables(tableNames = [], reason = "") {
+        if (this.syncReport === null) {
+            return;
+        }
+
+        for (const tableName of tableNames) {
+            this.syncReport.skippedTables.push({ tableName, reason });
+        }
+    }
+
     /**
      * Determines which tables, defined as entities in the data model, should be newly created in the database
      * @return {*[]} An array of table names to create
      */
     getTablesToCreate() {
         const existingTablesArray = Object.keys(this.existingTables);
-        return this.expectedTables.filter((x) => !existingTablesArray.includes(x));
+        const renamedTablesArray = this.tablesToRename.map((obj) => obj.toTableName);
+        return this.expectedTables.filter((x) => !existingTablesArray.includes(x) && !renamedTablesArray.includes(x));
     }
 
     /**
@@ -184,7 +617,64 @@ class DivbloxDatabaseSync {
      */
     getTablesToRemove() {
         const existingTablesArray = Object.keys(this.existingTables);
-        return existingTablesArray.filter((x) => !this.expectedTables.includes(x));
+        const renamedTablesArray = this.tablesToRename.map((obj) => obj.fromTableName);
+        return existingTablesArray.filter((x) => !this.expectedTables.includes(x) && !renamedTablesArray.includes(x));
+    }
+
+    /**
+     * Determines which tables should be renamed, based on the "previousNames" of each entity in the data model. A table
+     * is only renamed if one of its previous names still exists in the database and its new name does not
+     * @return {{moduleName: string, fromTableName: string, toTableName: string}[]} An array of tables to rename
+     */
+    getTablesToRename() {
+        let tablesToRename = [];
+        const existingTablesArray = Object.keys(this.existingTables);
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            const previousNames = this.dataModel[entityName]["previousNames"] ?? [];
+            const tableName = this.getCaseNormalizedString(entityName);
+            const previousTableNames = previousNames
+                .map((previousName) => this.getCaseNormalizedString(previousName))
+                .filter((x) => existingTablesArray.includes(x) && !this.expectedTables.includes(x));
+
+            if (previousTableNames.length === 0) {
+                continue;
+            }
+
+            if (existingTablesArray.includes(tableName)) {
+                this.populateWarning(
+                    "Table '" +
+                        tableName +
+                        "' already exists. Its previous table(s) '" +
+                        previousTableNames.join(",") +
+                        "' will not be renamed"
+                );
+                continue;
+            }
+
+            tablesToRename.push({
+                moduleName: this.dataModel[entityName]["module"],
+                fromTableName: previousTableNames[0],
+                toTableName: tableName,
+            });
+        }
+
+        return tablesToRename;
+    }
+
+    /**
+     * When planning, renamed tables still have their previous name in the database. This returns the name under which
+     * the given table can currently be found
+     * @param {string} tableName The name of the table, as expected by the data model
+     * @return {string} The name of the table as it currently exists in the database
+     */
+    getExistingTableName(tableName) {
+        if (!this.isPlanMode) {
+            return tableName;
+        }
+
+        const renamedTable = this.tablesToRename.find((obj) => obj.toTableName === tableName);
+        return renamedTable ? renamedTable.fromTableName : tableName;
     }
 
     /**
@@ -192,10 +682,7 @@ class DivbloxDatabaseSync {
      */
     listTablesToRemove() {
         for (const table of this.tablesToRemove) {
-            dxUtils.outputFormattedLog(
-                table + " (" + this.existingTables[table] + ")",
-                dxUtils.commandLineColors.foregroundGreen
-            );
+            this.printInfo(table + " (" + this.existingTables[table] + ")");
         }
     }
 
@@ -277,73 +764,153 @@ class DivbloxDatabaseSync {
     }
 
     /**
-     * Returns the columns that will be created in the database to represent the relationships for the given entity
-     * @param entityName The name of the entity for which to determine relationship columns
-     * @return {*[]} An array of column names
+     * Returns the relationships for the given entity, along with their options. In the data model, each relationship
+     * is either defined by its name only, or by an object in the form {name, onDelete, onUpdate, required}
+     * @param entityName The name of the entity for which to determine relationships
+     * @return {{relationshipEntity: string, relationshipName: string, onDelete: string, onUpdate: string,
+     * required: boolean}[]} An array of relationships
      */
-    getEntityRelationshipColumns(entityName) {
-        let entityRelationshipColumns = [];
+    getEntityRelationshipDefinitions(entityName) {
+        let entityRelationshipDefinitions = [];
         const entityRelationships = this.dataModel[entityName]["relationships"];
         for (const entityRelationship of Object.keys(entityRelationships)) {
-            for (const relationshipName of entityRelationships[entityRelationship]) {
-                const relationshipPart = this.getCaseNormalizedString(entityRelationship);
-                const relationshipNamePart = this.getCaseNormalizedString(relationshipName);
-
-                let columnName = "";
-                switch (this.databaseCaseImplementation.toLowerCase()) {
-                    case "lowercase":
-                        columnName = relationshipPart + "_" + relationshipNamePart;
-                        break;
-                    case "pascalcase":
-                    case "camelcase":
-                        columnName = relationshipPart + relationshipNamePart;
-                        break;
-                    default:
-                        columnName = relationshipPart + "_" + relationshipNamePart;
-                }
-
-                entityRelationshipColumns.push(columnName);
+            for (const relationship of entityRelationships[entityRelationship]) {
+                const relationshipObj = typeof relationship === "string" ? { name: relationship } : relationship;
+
+                entityRelationshipDefinitions.push({
+                    relationshipEntity: entityRelationship,
+                    relationshipName: relationshipObj["name"],
+                    onDelete: (relationshipObj["onDelete"] ?? "SET NULL").toUpperCase(),
+                    onUpdate: (relationshipObj["onUpdate"] ?? "CASCADE").toUpperCase(),
+                    required: relationshipObj["required"] === true,
+                });
             }
         }
-        return entityRelationshipColumns;
+        return entityRelationshipDefinitions;
+    }
+
+    /**
+     * Returns the columns that will be created in the database to represent the relationships for the given entity
+     * @param entityName The name of the entity for which to determine relationship columns
+     * @return {*[]} An array of column names
+     */
+    getEntityRelationshipColumns(entityName) {
+        return this.getEntityRelationshipDefinitions(entityName).map((relationship) =>
+            this.getRelationshipColumnName(relationship.relationshipEntity, relationship.relationshipName)
+        );
     }
 
     /**
      * Returns the constraint and column name that will be created in the database to represent the relationships for the given entity
      * @param entityName The name of the entity for which to determine relationship columns
-     * @return {*[]} An array of constraint and column names in an object
+     * @return {*[]} An array of constraint and column names in an object, along with the relationship's options
      */
     getEntityRelationshipConstraint(entityName) {
-        let entityRelationshipConstraint = [];
-        const entityRelationships = this.dataModel[entityName]["relationships"];
-        for (const entityRelationship of Object.keys(entityRelationships)) {
-            for (const relationshipName of entityRelationships[entityRelationship]) {
-                const entityPart = this.getCaseNormalizedString(entityName);
-                const relationshipPart = this.getCaseNormalizedString(entityRelationship);
-                const relationshipNamePart = this.getCaseNormalizedString(relationshipName);
-
-                let columnName = "";
-                let constraintName = "";
-                let splitter = "_";
-                switch (this.databaseCaseImplementation.toLowerCase()) {
-                    case "lowercase":
-                        splitter = "_";
-                        break;
-                    case "pascalcase":
-                    case "camelcase":
-                        splitter = "";
-                        break;
-                    default:
-                        splitter = "_";
-                }
-                columnName = relationshipPart + splitter + relationshipNamePart;
+        return this.getEntityRelationshipDefinitions(entityName).map((relationship) => {
+            return {
+                relationshipScope: this.getRelationshipScope(entityName, relationship.relationshipEntity),
+                columnName: this.getRelationshipColumnName(
+                    relationship.relationshipEntity,
+                    relationship.relationshipName
+                ),
+                constraintName: this.getForeignKeyConstraintName(
+                    entityName,
+                    relationship.relationshipEntity,
+                    relationship.relationshipName
+                ),
+                ...relationship,
+            };
+        });
+    }
 
-                const uniqueIdentifierRaw = Date.now().toString() + Math.round(1000000 * Math.random()).toString();
-                const uniqueIdentifier = require("crypto").createHash("md5").update(uniqueIdentifierRaw).digest("hex");
-                entityRelationshipConstraint.push({ columnName, constraintName: uniqueIdentifier });
-            }
+    /**
+     * Returns the name of the foreign key constraint for a specific relationship. The name is derived from the entity,
+     * the related entity and the relationship name, which means that it remains the same between syncs. MySQL limits
+     * identifiers to 64 characters, so longer names are truncated and suffixed with a hash of the full name to keep
+     * them unique
+     * @param {string} entityName The name of the entity that owns the relationship
+     * @param {string} relationshipEntity The name of the entity that is referenced
+     * @param {string} relationshipName The name of the relationship, as defined in the data model
+     * @return {string} The constraint name
+     */
+    getForeignKeyConstraintName(entityName, relationshipEntity, relationshipName) {
+        const maxIdentifierLength = 64;
+        const hashLength = 8;
+
+        const constraintName = [
+            "fk",
+            this.getCaseNormalizedString(entityName),
+            this.getCaseNormalizedString(relationshipEntity),
+            this.getCaseNormalizedString(relationshipName),
+        ].join("_");
+
+        if (constraintName.length <= maxIdentifierLength) {
+            return constraintName;
+        }
+
+        const hash = crypto.createHash("md5").update(constraintName).digest("hex").substring(0, hashLength);
+        return constraintName.substring(0, maxIdentifierLength - hashLength - 1) + "_" + hash;
+    }
+
+    /**
+     * Determines whether the related entity lives in the same module, in a different module on the same database
+     * server or on a different database server altogether. See RELATIONSHIP_SCOPES
+     * @param {string} entityName The name of the entity that owns the relationship
+     * @param {string} relationshipEntity The name of the entity that is referenced
+     * @return {string} One of RELATIONSHIP_SCOPES
+     */
+    getRelationshipScope(entityName, relationshipEntity) {
+        if (typeof this.dataModel[relationshipEntity] === "undefined") {
+            return RELATIONSHIP_SCOPES.local;
+        }
+
+        const moduleName = this.dataModel[entityName]["module"];
+        const relationshipModuleName = this.dataModel[relationshipEntity]["module"];
+        if (moduleName === relationshipModuleName) {
+            return RELATIONSHIP_SCOPES.local;
+        }
+
+        const moduleConfig = this.databaseConfig[moduleName] ?? {};
+        const relationshipModuleConfig = this.databaseConfig[relationshipModuleName] ?? {};
+
+        // Connections are made to the same server if they use the same socket, or the same host and port
+        const isSocketConnection =
+            typeof moduleConfig["socketPath"] !== "undefined" ||
+            typeof relationshipModuleConfig["socketPath"] !== "undefined";
+
+        let isSameServer = moduleConfig["socketPath"] === relationshipModuleConfig["socketPath"];
+        if (!isSocketConnection) {
+            isSameServer =
+                (moduleConfig["host"] ?? "localhost") === (relationshipModuleConfig["host"] ?? "localhost") &&
+                Number(moduleConfig["port"] ?? 3306) === Number(relationshipModuleConfig["port"] ?? 3306);
         }
-        return entityRelationshipConstraint;
+
+        return isSameServer ? RELATIONSHIP_SCOPES.crossSchema : RELATIONSHIP_SCOPES.crossServer;
+    }
+
+    /**
+     * Returns the sql that references the table of the related entity in a foreign key constraint. Tables in other
+     * modules are qualified with their schema name
+     * @param {string} entityName The name of the entity that owns the relationship
+     * @param {string} relationshipEntity The name of the entity that is referenced
+     * @return {string} E.g "`table_name`" or "`schema_name`.`table_name`"
+     */
+    getRelationshipReferenceSql(entityName, relationshipEntity) {
+        const isLocal = this.getRelationshipScope(entityName, relationshipEntity) === RELATIONSHIP_SCOPES.local;
+
+        return this.getQuotedTableName(
+            this.getCaseNormalizedString(relationshipEntity),
+            isLocal ? null : this.getEntitySchemaName(relationshipEntity)
+        );
+    }
+
+    /**
+     * Returns the name of the database schema in which the given entity's table lives
+     * @param {string} entityName The name of the entity
+     * @return {string} The schema name, as configured for the entity's module
+     */
+    getEntitySchemaName(entityName) {
+        return this.databaseConfig[this.dataModel[entityName]["module"]]["database"];
     }
 
     /**
@@ -353,31 +920,11 @@ class DivbloxDatabaseSync {
      * @return {string|null} The name of the relationship as defined in the data model
      */
     getEntityRelationshipFromRelationshipColumn(entityName, relationshipColumnName) {
-        const entityRelationships = this.dataModel[entityName]["relationships"];
-        for (const entityRelationship of Object.keys(entityRelationships)) {
-            for (const relationshipName of entityRelationships[entityRelationship]) {
-                const relationshipPart = this.getCaseNormalizedString(entityRelationship);
-                const relationshipNamePart = this.getCaseNormalizedString(relationshipName);
-
-                let columnName = "";
-                switch (this.databaseCaseImplementation.toLowerCase()) {
-                    case "lowercase":
-                        columnName = relationshipPart + "_" + relationshipNamePart;
-                        break;
-                    case "pascalcase":
-                    case "camelcase":
-                        columnName = relationshipPart + relationshipNamePart;
-                        break;
-                    default:
-                        columnName = relationshipPart + "_" + relationshipNamePart;
-                }
+        const relationship = this.getEntityRelationshipConstraint(entityName).find(
+            (obj) => obj.columnName === relationshipColumnName
+        );
 
-                if (columnName === relationshipColumnName) {
-                    return entityRelationship;
-                }
-            }
-        }
-        return null;
+        return relationship ? relationship.relationshipEntity : null;
     }
 
     /**
@@ -408,6 +955,111 @@ class DivbloxDatabaseSync {
         return expectedColumns;
     }
 
+    /**
+     * Determines which columns of the given entity's table should be renamed. Attributes are renamed based on their
+     * "previousNames". Relationship columns are renamed when their related entity has "previousNames". A column is only
+     * renamed if one of its previous names still exists in the table and its new name does not
+     * @param {string} entityName The name of the entity
+     * @param {[]} tableColumns The existing columns of the table, as returned by getTableColumns()
+     * @return {{fromColumnName: string, toColumnName: string}[]} An array of columns to rename
+     */
+    getColumnsToRename(entityName, tableColumns = []) {
+        let columnsToRename = [];
+        const existingColumns = tableColumns.map((tableColumn) => tableColumn["Field"]);
+        const expectedColumns = this.getEntityExpectedColumns(entityName);
+
+        let renameCandidates = [];
+        const entityAttributes = this.dataModel[entityName]["attributes"];
+        for (const attributeName of Object.keys(entityAttributes)) {
+            renameCandidates.push({
+                columnName: this.getCaseNormalizedString(attributeName),
+                previousColumnNames: (entityAttributes[attributeName]["previousNames"] ?? []).map((previousName) =>
+                    this.getCaseNormalizedString(previousName)
+                ),
+            });
+        }
+
+        for (const relationship of this.getEntityRelationshipDefinitions(entityName)) {
+            const relationshipPreviousNames =
+                typeof this.dataModel[relationship.relationshipEntity] !== "undefined"
+                    ? this.dataModel[relationship.relationshipEntity]["previousNames"] ?? []
+                    : [];
+
+            renameCandidates.push({
+                columnName: this.getRelationshipColumnName(
+                    relationship.relationshipEntity,
+                    relationship.relationshipName
+                ),
+                previousColumnNames: relationshipPreviousNames.map((previousName) =>
+                    this.getRelationshipColumnName(previousName, relationship.relationshipName)
+                ),
+            });
+        }
+
+        for (const renameCandidate of renameCandidates) {
+            const previousColumnNames = renameCandidate.previousColumnNames.filter(
+                (x) =>
+                    existingColumns.includes(x) &&
+                    !expectedColumns.includes(x) &&
+                    !columnsToRename.some((obj) => obj.fromColumnName === x)
+            );
+
+            if (previousColumnNames.length === 0) {
+                continue;
+            }
+
+            if (existingColumns.includes(renameCandidate.columnName)) {
+                this.populateWarning(
+                    "Column '" +
+                        renameCandidate.columnName +
+                        "' already exists on '" +
+                        this.getCaseNormalizedString(entityName) +
+                        "'. Its previous column(s) '" +
+                        previousColumnNames.join(",") +
+                        "' will not be renamed"
+                );
+                continue;
+            }
+
+            columnsToRename.push({
+                fromColumnName: previousColumnNames[0],
+                toColumnName: renameCandidate.columnName,
+            });
+        }
+
+        return columnsToRename;
+    }
+
+    /**
+     * Returns the name of the column that represents a relationship with the given entity
+     * @param {string} relationshipEntity The name of the related entity
+     * @param {string} relationshipName The name of the relationship, as defined in the data model
+     * @return {string} The column name
+     */
+    getRelationshipColumnName(relationshipEntity, relationshipName) {
+        const relationshipPart = this.getCaseNormalizedString(relationshipEntity);
+        const relationshipNamePart = this.getCaseNormalizedString(relationshipName);
+
+        switch (this.databaseCaseImplementation.toLowerCase()) {
+            case "lowercase":
+                return relationshipPart + "_" + relationshipNamePart;
+            case "pascalcase":
+            case "camelcase":
+                return relationshipPart + relationshipNamePart;
+            default:
+                return relationshipPart + "_" + relationshipNamePart;
+        }
+    }
+
+    /**
+     * Returns the column definition for a column that represents a relationship
+     * @param {boolean} isRequired Whether the relationship is required. Required relationship columns do not allow null
+     * @return {string} The column definition
+     */
+    getRelationshipColumnDefinition(isRequired = false) {
+        return isRequired ? "BIGINT(20) NOT NULL" : "BIGINT(20)";
+    }
+
     /**
      * A utility function that returns the sql to alter a table based on the data model structure provided
      * @param {string} columnName The name of the column to alter
@@ -417,379 +1069,3584 @@ class DivbloxDatabaseSync {
      * values using this format: 'a','b','c'
      * @param {null|value|"CURRENT_TIMESTAMP"} columnDataModelObject.default The default value for the column
      * @param {boolean} columnDataModelObject.allowNull Whether to allow null or not for the column
-     * @param {string} operation "ADD|MODIFY"
-     * @return {string} The sql alter code
+     * @param {boolean} [columnDataModelObject.unsigned] Whether the numeric column is unsigned
+     * @param {boolean} [columnDataModelObject.zerofill] Whether the numeric column is zero-filled
+     * @param {string} [columnDataModelObject.onUpdate] The value to set when the row is updated, e.g CURRENT_TIMESTAMP
+     * @param {boolean} [columnDataModelObject.autoIncrement] Whether the column is auto-incremented. The primary key
+     * column is, unless this is false
+     * @param {{expression: string, storage?: string}} [columnDataModelObject.generated] The expression from which the
+     * column is generated, and whether it is "VIRTUAL" or "STORED". Generated columns have no default
+     * @param {string} operation "ADD|MODIFY|CHANGE"
+     * @param {string|null} previousColumnName For "CHANGE" only: The current name of the column, which is renamed to
+     * columnName
+     * @return {string} The sql alter code, e.g "MODIFY COLUMN `name` varchar(50) DEFAULT NULL". Complete it with
+     * getAlterTableSql()
      */
-    getAlterColumnSql(columnName = "", columnDataModelObject = {}, operation = "MODIFY") {
-        let sql = operation + " COLUMN " + columnName + " " + columnDataModelObject["type"];
+    getAlterColumnSql(columnName = "", columnDataModelObject = {}, operation = "MODIFY", previousColumnName = null) {
+        const quotedColumnName = this.getQuotedIdentifier(columnName);
+        let sql =
+            operation +
+            " COLUMN " +
+            (previousColumnName !== null ? this.getQuotedIdentifier(previousColumnName) + " " : "") +
+            quotedColumnName +
+            " " +
+            columnDataModelObject["type"];
 
         if (columnName === this.getPrimaryKeyColumn()) {
-            sql =
+            const primaryKeySql =
                 operation +
-                " COLUMN `" +
-                this.getPrimaryKeyColumn() +
-                "` BIGINT NOT NULL AUTO_INCREMENT FIRST, ADD PRIMARY KEY (`" +
-                this.getPrimaryKeyColumn() +
-                "`);";
-            return sql;
+                " COLUMN " +
+                quotedColumnName +
+                " BIGINT NOT NULL" +
+                (columnDataModelObject["autoIncrement"] === false ? "" : " AUTO_INCREMENT");
+
+            return operation === "ADD"
+                ? primaryKeySql + " FIRST, ADD PRIMARY KEY (" + quotedColumnName + ")"
+                : primaryKeySql;
         }
 
         if (columnDataModelObject["lengthOrValues"] !== null) {
             sql += "(" + columnDataModelObject["lengthOrValues"] + ")";
         }
 
-        if (columnDataModelObject["allowNull"] === false) {
-            sql += " NOT NULL";
+        if (columnDataModelObject["unsigned"] === true) {
+            sql += " UNSIGNED";
         }
 
-        if (columnDataModelObject["default"] !== null) {
-            if (columnDataModelObject["default"] !== "CURRENT_TIMESTAMP") {
-                sql += " DEFAULT '" + columnDataModelObject["default"] + "';";
-            } else {
-                sql += " DEFAULT CURRENT_TIMESTAMP;";
-            }
-        } else if (columnDataModelObject["allowNull"] !== false) {
-            sql += " DEFAULT NULL;";
+        if (columnDataModelObject["zerofill"] === true) {
+            sql += " ZEROFILL";
         }
 
-        return sql;
-    }
-    //#endregion
+        if (typeof columnDataModelObject["charset"] === "string") {
+            sql += " CHARACTER SET " + columnDataModelObject["charset"];
+        }
 
-    /**
-     * The main synchronization function that orchestrates all the work. The following steps are performed:
-     * @param {boolean} skipUserPrompts Forces default selections for all user prompts during syncronisation
-     * 1. Check the integrity of the given data model to ensure we can perform the synchronization
-     * 2. Remove tables that are not in the data model
-     * 3. Create any new tables that are in the data model but not in the database
-     * 4. Loop through all the entities in the data model and update their corresponding database tables
-     *    to ensure that their columns match the data model attribute names and types
-     * 5. Loop through all the entities in the data model and update their corresponding database tables
-     *    to ensure that their indexes match the data model indexes
-     * 6. Loop through all the entities in the data model and update their corresponding database tables
-     *    to ensure that their relationships match the data model relationships. Here we either create new
-     *    foreign key constraints or drop existing ones where necessary
-     * @return {Promise<boolean>} Will return false if anything fails. Reasons will be printed to the console.
-     */
-    async syncDatabase(skipUserPrompts = false) {
-        this.startNewCommandLineSection("Starting database sync...");
-
-        dxUtils.outputFormattedLog(
-            "This operation will modify the existing database to align " +
-            "with the provided data model.\nEnsure that you have backed up the database if you do not want to risk any data loss.",
-            dxUtils.commandLineColors.foregroundYellow
-        );
-
-        let answer = "y";
-        if (!skipUserPrompts) {
-            answer = await dxUtils.getCommandLineInput("Ready to proceed? (y/n)");
+        if (typeof columnDataModelObject["collation"] === "string") {
+            sql += " COLLATE " + columnDataModelObject["collation"];
         }
 
-        if (answer.toString().toLowerCase() !== "y") {
-            this.printCustomErrorMessage("Database sync cancelled.");
-            return false;
+        const generated = columnDataModelObject["generated"] ?? null;
+        if (generated !== null) {
+            sql += " GENERATED ALWAYS AS (" + generated["expression"] + ") " + (generated["storage"] ?? "VIRTUAL");
         }
 
-        const initSuccess = await this.databaseConnector.init();
-
-        if (!initSuccess) {
-            this.printCustomErrorMessage("Database init failed: ");
-            this.databaseConnector.printLastError();
-            return false;
+        if (columnDataModelObject["allowNull"] === false) {
+            sql += " NOT NULL";
         }
 
-        // 1. Check the integrity of the given data model to ensure we can perform the synchronization
-        if (!(await this.checkDataModelIntegrity())) {
-            this.printCustomErrorMessage("Data model integrity check failed!");
-            this.printLastError();
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Data model integrity check succeeded!", this.commandLineSubHeadingFormatting);
+        // Generated and auto-incremented columns cannot have a default
+        const columnDefault = columnDataModelObject["default"] ?? null;
+        if (generated !== null || columnDataModelObject["autoIncrement"] === true) {
+            // No default
+        } else if (columnDefault !== null) {
+            sql += " DEFAULT " + this.getDefaultValueSql(columnDefault);
+        } else if (columnDataModelObject["allowNull"] !== false) {
+            sql += " DEFAULT NULL";
         }
 
-        dxUtils.outputFormattedLog("Analyzing database...", this.commandLineSubHeadingFormatting);
+        if (typeof columnDataModelObject["onUpdate"] === "string") {
+            sql += " ON UPDATE " + this.getNormalizedCurrentTimestamp(columnDataModelObject["onUpdate"]);
+        }
 
-        this.existingTables = await this.getDatabaseTables();
-        this.expectedTables = [];
-        for (const expectedTable of Object.keys(this.dataModel)) {
-            this.expectedTables.push(this.getCaseNormalizedString(expectedTable));
+        if (columnDataModelObject["autoIncrement"] === true) {
+            sql += " AUTO_INCREMENT";
         }
 
-        this.tablesToCreate = this.getTablesToCreate();
-        this.tablesToRemove = this.getTablesToRemove();
+        if (typeof columnDataModelObject["comment"] === "string" && columnDataModelObject["comment"].length > 0) {
+            sql += " COMMENT " + this.getQuotedString(columnDataModelObject["comment"]);
+        }
 
-        console.log("Database currently has " + Object.keys(this.existingTables).length + " table(s)");
-        console.log("Based on the data model, we are expecting " + this.expectedTables.length + " table(s)");
+        return sql;
+    }
 
-        // 2. Remove tables that are not in the data model
-        if (!(await this.removeTables(skipUserPrompts))) {
-            this.printCustomErrorMessage("Error while attempting to remove tables");
-            this.printLastError();
+    /**
+     * Returns the table options of an entity, as defined in the data model
+     * @param {string} entityName The name of the entity
+     * @return {{engine?: string, charset?: string, collation?: string, comment?: string, rowFormat?: string,
+     * autoIncrementStart?: number}} The table options. Empty if none are defined
+     */
+    getEntityTableOptions(entityName) {
+        return this.dataModel[entityName]["tableOptions"] ?? {};
+    }
 
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
-            }
+    /**
+     * Returns the table options clause for CREATE TABLE and ALTER TABLE statements
+     * @param {{}} tableOptions The table options, in the same format as "tableOptions" in the data model
+     * @param {boolean} includeAutoIncrementStart Whether to include autoIncrementStart, which only applies when
+     * creating a table
+     * @return {string} E.g " ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin". Empty if no options are set
+     */
+    getTableOptionsSql(tableOptions = {}, includeAutoIncrementStart = false) {
+        let sql = "";
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Database clean up completed!", this.commandLineSubHeadingFormatting);
+        if (typeof tableOptions["engine"] === "string") {
+            sql += " ENGINE=" + tableOptions["engine"];
         }
 
-        // 3. Create any new tables that are in the data model but not in the database
-        if (!(await this.createTables())) {
-            this.printCustomErrorMessage("Error while attempting to create new tables");
-            this.printLastError();
-
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
-            }
+        if (typeof tableOptions["charset"] === "string") {
+            sql += " DEFAULT CHARSET=" + tableOptions["charset"];
+        }
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Table creation completed!", this.commandLineSubHeadingFormatting);
+        if (typeof tableOptions["collation"] === "string") {
+            sql += " COLLATE=" + tableOptions["collation"];
         }
 
-        // 4a. We call updateRelationships here to ensure any redundant foreign key constraints are removed before
-        //      attempting to update the tables. This sidesteps any constraint-related errors
-        if (!(await this.updateRelationships(true))) {
-            this.printCustomErrorMessage("Error while attempting to remove relationships");
-            this.printLastError();
+        if (typeof tableOptions["rowFormat"] === "string") {
+            sql += " ROW_FORMAT=" + tableOptions["rowFormat"].toUpperCase();
+        }
 
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
-            }
+        if (typeof tableOptions["comment"] === "string") {
+            sql += " COMMENT=" + this.getQuotedString(tableOptions["comment"]);
+        }
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("No redundant relationships!", this.commandLineSubHeadingFormatting);
+        if (includeAutoIncrementStart && Number.isInteger(tableOptions["autoIncrementStart"])) {
+            sql += " AUTO_INCREMENT=" + tableOptions["autoIncrementStart"];
         }
 
-        // 4. Loop through all the entities in the data model and update their corresponding database tables
-        //      to ensure that their columns match the data model attribute names and types
-        if (!(await this.updateTables())) {
-            this.printCustomErrorMessage("Error while attempting to update tables");
-            this.printLastError();
+        return sql;
+    }
 
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
-            }
+    /**
+     * Returns the columns on which the given index is defined, in order. Indexes defined on a single "attribute" are
+     * returned as a single column
+     * @param {{}} indexObj The index, as defined in the data model
+     * @return {{columnName: string, length: null|number, order: null|string}[]} The index columns
+     */
+    getIndexColumns(indexObj = {}) {
+        const indexAttributes =
+            typeof indexObj["attributes"] !== "undefined" ? indexObj["attributes"] : [indexObj["attribute"]];
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Table modification completed!", this.commandLineSubHeadingFormatting);
-        }
+        return indexAttributes.map((indexAttribute) => {
+            if (typeof indexAttribute === "string") {
+                return { columnName: this.getCaseNormalizedString(indexAttribute), length: null, order: null };
+            }
 
-        // 5. Loop through all the entities in the data model and update their corresponding database tables
-        //      to ensure that their indexes match the data model indexes
-        if (!(await this.updateIndexes())) {
-            this.printCustomErrorMessage("Error while attempting to update indexes");
-            this.printLastError();
+            return {
+                columnName: this.getCaseNormalizedString(indexAttribute["attribute"]),
+                length: indexAttribute["length"] ?? null,
+                order: indexAttribute["order"] ? indexAttribute["order"].toUpperCase() : null,
+            };
+        });
+    }
 
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
-            }
+    /**
+     * Returns the definition of the given index as it is expected to exist in the database. The definition is in the
+     * same format as the definitions returned by getExistingIndexDefinitions()
+     * @param {{}} indexObj The index, as defined in the data model
+     * @param {boolean} supportsDescendingIndexes Whether the server supports descending indexes. If not, it accepts
+     * DESC but creates an ascending index, which is therefore what is expected
+     * @return {{columns: {columnName: string, length: null|number, order: null|string}[], isUnique: boolean,
+     * indexType: string}} The expected index definition
+     */
+    getExpectedIndexDefinition(indexObj = {}, supportsDescendingIndexes = true) {
+        const indexChoice = indexObj["indexChoice"].toLowerCase();
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Indexes up to date!", this.commandLineSubHeadingFormatting);
+        let indexType = indexObj["type"].toUpperCase();
+        if (indexChoice === "spatial" || indexChoice === "fulltext") {
+            indexType = indexChoice.toUpperCase();
         }
 
-        // 6. Loop through all the entities in the data model and update their corresponding database tables
-        //      to ensure that their relationships match the data model relationships. Here we either create new
-        //      foreign key constraints or drop existing ones where necessary
-        if (!(await this.updateRelationships())) {
-            this.printCustomErrorMessage("Error while attempting to update relationships");
-            this.printLastError();
+        return {
+            columns: this.getIndexColumns(indexObj).map((indexColumn) => {
+                return {
+                    columnName: indexColumn.columnName,
+                    length: indexColumn.length,
+                    order: supportsDescendingIndexes ? (indexColumn.order ?? "ASC") : "ASC",
+                };
+            }),
+            isUnique: indexChoice === "unique",
+            indexType: indexType,
+        };
+    }
 
-            if (this.foreignKeyChecksDisabled) {
-                await this.restoreForeignKeyChecks();
+    /**
+     * Groups the rows returned by "SHOW INDEX" into a definition for each index
+     * @param {[]} indexRows The rows returned by "SHOW INDEX"
+     * @return {{}} Each key is an index name. Each value is a definition in the form {columns: [{columnName, length,
+     * order}], isUnique, indexType}
+     */
+    getExistingIndexDefinitions(indexRows = []) {
+        let existingIndexDefinitions = {};
+        const sortedIndexRows = [...indexRows].sort((a, b) => Number(a["Seq_in_index"]) - Number(b["Seq_in_index"]));
+
+        for (const indexRow of sortedIndexRows) {
+            const indexName = indexRow["Key_name"];
+            if (typeof existingIndexDefinitions[indexName] === "undefined") {
+                existingIndexDefinitions[indexName] = {
+                    columns: [],
+                    isUnique: Number(indexRow["Non_unique"]) === 0,
+                    indexType: indexRow["Index_type"].toUpperCase(),
+                };
             }
 
-            return false;
-        } else {
-            dxUtils.outputFormattedLog("Relationships up to date!", this.commandLineSubHeadingFormatting);
+            existingIndexDefinitions[indexName].columns.push({
+                columnName: indexRow["Column_name"],
+                length: indexRow["Sub_part"] !== null ? Number(indexRow["Sub_part"]) : null,
+                order: indexRow["Collation"] === "D" ? "DESC" : indexRow["Collation"] === "A" ? "ASC" : null,
+            });
         }
 
-        this.startNewCommandLineSection("Database sync completed successfully!");
-        return true;
+        return existingIndexDefinitions;
     }
 
     /**
-     * Performs an integrity check on the provided data model to ensure that it aligns with our expectation
-     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
-     * with a relevant reason
+     * Compares an expected index definition with the definition of the index as it exists in the database
+     * @param {{}} expectedDefinition The definition as returned by getExpectedIndexDefinition()
+     * @param {{}} existingDefinition The definition as returned by getExistingIndexDefinitions()
+     * @return {string[]} A description of each difference. Empty if the index matches the data model
      */
-    async checkDataModelIntegrity() {
-        this.startNewCommandLineSection("Data model integrity check.");
-
-        const entities = this.dataModel;
-        if (entities.length === 0) {
-            this.populateError("Data model has no entities defined");
-            return false;
-        }
-        const baseKeys = ["module", "attributes", "indexes", "relationships", "options"];
-        for (const entityName of Object.keys(entities)) {
-            const entityObj = entities[entityName];
+    getIndexDefinitionDifferences(expectedDefinition, existingDefinition) {
+        let differences = [];
+
+        const expectedColumns = expectedDefinition.columns.map((obj) => obj.columnName);
+        const existingColumns = existingDefinition.columns.map((obj) => obj.columnName);
+        if (JSON.stringify(expectedColumns) !== JSON.stringify(existingColumns)) {
+            differences.push(
+                "columns: expected (" + expectedColumns.join(",") + "), found (" + existingColumns.join(",") + ")"
+            );
+        } else if (!["SPATIAL", "FULLTEXT"].includes(expectedDefinition.indexType)) {
+            // Prefix lengths and ordering do not apply to spatial and fulltext indexes
+            for (let i = 0; i < expectedDefinition.columns.length; i++) {
+                const expectedColumn = expectedDefinition.columns[i];
+                const existingColumn = existingDefinition.columns[i];
+
+                if (expectedColumn.length !== existingColumn.length) {
+                    differences.push(
+                        "prefix length of '" +
+                            expectedColumn.columnName +
+                            "': expected " +
+                            expectedColumn.length +
+                            ", found " +
+                            existingColumn.length
+                    );
+                }
 
-            for (const baseKey of baseKeys) {
-                if (typeof entityObj[baseKey] === "undefined") {
-                    this.populateError("Entity " + entityName + " has no " + baseKey + " definition");
-                    return false;
+                if (existingColumn.order !== null && expectedColumn.order !== existingColumn.order) {
+                    differences.push(
+                        "order of '" +
+                            expectedColumn.columnName +
+                            "': expected " +
+                            expectedColumn.order +
+                            ", found " +
+                            existingColumn.order
+                    );
                 }
             }
+        }
 
-            const moduleName = entityObj["module"];
-            if (typeof this.databaseConfig[moduleName] === "undefined") {
-                this.populateError(
-                    "Entity " +
-                    entityName +
-                    " has an invalid module name provided. '" +
-                    moduleName +
-                    "' is not defined in the database configuration"
-                );
-                return false;
-            }
+        if (expectedDefinition.isUnique !== existingDefinition.isUnique) {
+            differences.push(
+                "uniqueness: expected " +
+                    (expectedDefinition.isUnique ? "unique" : "non-unique") +
+                    ", found " +
+                    (existingDefinition.isUnique ? "unique" : "non-unique")
+            );
+        }
 
-            const attributes = entityObj["attributes"];
-            if (attributes.length === 0) {
-                this.populateError("Entity " + entityName + " has no attributes provided");
-                return false;
-            }
+        // InnoDB does not support HASH indexes. It accepts "USING HASH", but silently creates a BTREE index instead
+        const isInnoDbHashIndex = expectedDefinition.indexType === "HASH" && existingDefinition.indexType === "BTREE";
+        if (expectedDefinition.indexType !== existingDefinition.indexType && !isInnoDbHashIndex) {
+            differences.push(
+                "type: expected " + expectedDefinition.indexType + ", found " + existingDefinition.indexType
+            );
+        }
 
-            const expectedAttributeDefinition = {
-                type: "[MySQL column type]",
-                lengthOrValues: "[null|int|if type is enum, then comma separated values '1','2','3',...]",
-                default: "[value|null|CURRENT_TIMESTAMP]",
-                allowNull: "[true|false]",
-            };
-            for (const attributeName of Object.keys(attributes)) {
-                const attributeObj = attributes[attributeName];
-                const attributeConfigs = Object.keys(attributeObj);
+        return differences;
+    }
 
-                if (JSON.stringify(attributeConfigs) !== JSON.stringify(Object.keys(expectedAttributeDefinition))) {
-                    this.populateError(
-                        "Invalid attribute definition for '" +
-                        entityName +
-                        "' ('" +
-                        attributeName +
-                        "'). Expected: " +
-                        JSON.stringify(expectedAttributeDefinition, null, 2)
-                    );
-                    return false;
+    /**
+     * A utility function that returns the sql to add an index to a table, based on the data model structure provided
+     * @param {{}} indexObj The index, as defined in the data model
+     * @param {string} indexObj.indexName The name of the index
+     * @param {string} indexObj.indexChoice "index|unique|spatial|fulltext"
+     * @param {string} indexObj.type "BTREE|HASH". Only applies to "index" and "unique"
+     * @return {string|null} The sql to add the index, e.g "ADD INDEX `name` (`a`, `b`(10) DESC) USING BTREE", or null
+     * if the index choice is invalid
+     */
+    getAddIndexSql(indexObj = {}) {
+        const indexName = this.getQuotedIdentifier(this.getCaseNormalizedString(indexObj["indexName"]));
+        const indexColumnsSql = this.getIndexColumns(indexObj)
+            .map((indexColumn) => {
+                let indexColumnSql = this.getQuotedIdentifier(indexColumn.columnName);
+                if (indexColumn.length !== null) {
+                    indexColumnSql += "(" + indexColumn.length + ")";
                 }
-            }
 
-            const expectedIndexesDefinition = {
-                attribute: "[The attribute on which the index should be set]",
-                indexName: "[The name of the index]",
-                indexChoice: "[index|unique|spatial|text]",
-                type: "[BTREE|HASH]",
-            };
+                if (indexColumn.order !== null) {
+                    indexColumnSql += " " + indexColumn.order;
+                }
 
-            if (typeof entityObj["indexes"] !== "object") {
-                this.populateError(
-                    "Invalid index definition for '" +
-                    entityName +
-                    "'. Expected: " +
-                    JSON.stringify(expectedIndexesDefinition, null, 2)
-                );
-                return false;
-            }
+                return indexColumnSql;
+            })
+            .join(", ");
+
+        switch (indexObj["indexChoice"].toLowerCase()) {
+            case "index":
+                return "ADD INDEX " + indexName + " (" + indexColumnsSql + ") USING " + indexObj["type"];
+            case "unique":
+                return "ADD UNIQUE " + indexName + " (" + indexColumnsSql + ") USING " + indexObj["type"];
+            case "spatial":
+                return "ADD SPATIAL " + indexName + " (" + indexColumnsSql + ")";
+            case "fulltext":
+                return "ADD FULLTEXT " + indexName + " (" + indexColumnsSql + ")";
+            default:
+                return null;
+        }
+    }
 
-            for (const index of entityObj["indexes"]) {
-                if (JSON.stringify(Object.keys(index)) !== JSON.stringify(Object.keys(expectedIndexesDefinition))) {
-                    this.populateError(
-                        "Invalid index definition for '" +
-                        entityName +
-                        "'. Expected: " +
-                        JSON.stringify(expectedIndexesDefinition, null, 2)
-                    );
-                    return false;
+    /**
+     * Returns the sql that adds an index with the given definition. This is used to restore an index as it existed
+     * in the database
+     * @param {string} indexName The name of the index
+     * @param {{}} indexDefinition The definition, as returned by getExistingIndexDefinitions()
+     * @return {string} The sql to add the index, e.g "ADD UNIQUE `name` (`a`, `b`(10) DESC) USING BTREE"
+     */
+    getAddIndexSqlFromDefinition(indexName, indexDefinition) {
+        const indexColumnsSql = indexDefinition.columns
+            .map((indexColumn) => {
+                let indexColumnSql = this.getQuotedIdentifier(indexColumn.columnName);
+                if (indexColumn.length !== null) {
+                    indexColumnSql += "(" + indexColumn.length + ")";
                 }
-            }
-
-            const expectedRelationshipDefinition = {
-                relationshipEntity: ["relationshipOneName", "relationshipTwoName"],
-            };
 
-            for (const relationshipName of Object.keys(entityObj["relationships"])) {
-                if (typeof entityObj["relationships"][relationshipName] !== "object") {
-                    this.populateError(
-                        "Invalid relationship definition for '" +
-                        entityName +
-                        "'. Expected: " +
-                        JSON.stringify(expectedRelationshipDefinition, null, 2)
-                    );
-                    return false;
+                if (indexColumn.order === "DESC") {
+                    indexColumnSql += " DESC";
                 }
-            }
-        }
 
-        for (const moduleName of Object.keys(this.databaseConfig)) {
-            const innoDbCheckResult = await this.databaseConnector.queryDB("SHOW ENGINES", moduleName);
-            if (innoDbCheckResult === null) {
-                this.populateError("Could not check database engine", this.databaseConnector.getLastError());
-                return false;
-            }
+                return indexColumnSql;
+            })
+            .join(", ");
 
-            for (const row of innoDbCheckResult) {
-                if (row["Engine"].toLowerCase() === "innodb") {
-                    if (row["Support"].toLowerCase() !== "default") {
-                        this.populateError("The active database engine is NOT InnoDB. Cannot proceed.");
-                        return false;
-                    }
-                }
-            }
+        const quotedIndexName = this.getQuotedIdentifier(indexName);
+        if (["SPATIAL", "FULLTEXT"].includes(indexDefinition.indexType)) {
+            return "ADD " + indexDefinition.indexType + " " + quotedIndexName + " (" + indexColumnsSql + ")";
         }
-        return true;
+
+        return (
+            "ADD " +
+            (indexDefinition.isUnique ? "UNIQUE" : "INDEX") +
+            " " +
+            quotedIndexName +
+            " (" +
+            indexColumnsSql +
+            ") USING " +
+            indexDefinition.indexType
+        );
     }
 
     /**
-     * Handles the removal of tables from the database
-     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
-     * with a relevant reason
+     * Returns the sql that adds a foreign key constraint with the given definition. This is used to restore a
+     * constraint as it existed in the database
+     * @param {string} constraintName The name of the constraint
+     * @param {{}} foreignKeyDefinition The definition, as returned by getExistingForeignKeyDefinitions()
+     * @return {string} The sql to add the constraint, e.g "ADD CONSTRAINT `name` FOREIGN KEY (`column`) REFERENCES
+     * `schema`.`table`(`id`) ON DELETE SET NULL ON UPDATE CASCADE"
      */
-    async removeTables(skipUserPrompts = false) {
-        this.startNewCommandLineSection("Existing table clean up");
+    getAddForeignKeySqlFromDefinition(constraintName, foreignKeyDefinition) {
+        return this.getAddForeignKeySql(
+            constraintName,
+            foreignKeyDefinition.columnNames,
+            this.getQuotedTableName(foreignKeyDefinition.referencedTable, foreignKeyDefinition.referencedSchema),
+            foreignKeyDefinition.referencedColumnNames,
+            foreignKeyDefinition.onDelete,
+            foreignKeyDefinition.onUpdate
+        );
+    }
 
-        if (this.tablesToRemove.length === 0) {
-            console.log("There are no tables to remove.");
-            return true;
+    /**
+     * Returns the sql that adds a foreign key constraint
+     * @param {string} constraintName The name of the constraint
+     * @param {string|string[]} columnNames The column(s) that reference the other table, in order
+     * @param {string} referencedTableSql The quoted, and optionally schema-qualified, name of the referenced table
+     * @param {string|string[]} referencedColumnNames The column(s) that are referenced, in order
+     * @param {string} onDelete The referential action on delete, e.g "SET NULL"
+     * @param {string} onUpdate The referential action on update, e.g "CASCADE"
+     * @return {string} The sql to add the constraint, e.g "ADD CONSTRAINT `name` FOREIGN KEY (`column`) REFERENCES
+     * `table`(`id`) ON DELETE SET NULL ON UPDATE CASCADE"
+     */
+    getAddForeignKeySql(constraintName, columnNames, referencedTableSql, referencedColumnNames, onDelete, onUpdate) {
+        const getColumnListSql = (names) =>
+            []
+                .concat(names)
+                .map((name) => this.getQuotedIdentifier(name))
+                .join(", ");
+
+        return (
+            "ADD CONSTRAINT " +
+            this.getQuotedIdentifier(constraintName) +
+            " FOREIGN KEY (" +
+            getColumnListSql(columnNames) +
+            ") REFERENCES " +
+            referencedTableSql +
+            "(" +
+            getColumnListSql(referencedColumnNames) +
+            ") ON DELETE " +
+            onDelete +
+            " ON UPDATE " +
+            onUpdate
+        );
+    }
+
+    /**
+     * Returns the sql that adds the given index of an entity's table. The index is either defined in the data model,
+     * or is the index that represents a relationship with an entity on a different database server
+     * @param {string} entityName The name of the entity
+     * @param {string} indexName The name of the index, as it exists in the database
+     * @return {string|null} The sql to add the index, or null if the index is unknown or its index choice is invalid
+     */
+    getEntityIndexAddSql(entityName, indexName) {
+        const indexObj = this.dataModel[entityName]["indexes"].find(
+            (obj) => this.getCaseNormalizedString(obj["indexName"]) === indexName
+        );
+        if (indexObj) {
+            return this.getAddIndexSql(indexObj);
         }
 
-        let answer = "none";
-        if (!skipUserPrompts) {
-            answer = await dxUtils.getCommandLineInput(
-                "Removing tables that are not defined in the provided " +
-                "data model...\n" +
-                this.tablesToRemove.length +
-                " tables should be removed.\n" +
-                "How would you like to proceed?\nType 'y' to confirm & remove one-by-one;\nType 'all' to remove all;\n" +
-                "Type 'none' to skip removing any tables;\nType 'list' to show tables that will be removed (y|all|none|list)"
+        const relationshipConstraint = this.getEntityRelationshipConstraint(entityName).find(
+            (obj) => obj.constraintName === indexName
+        );
+        if (relationshipConstraint) {
+            return (
+                "ADD INDEX " +
+                this.getQuotedIdentifier(indexName) +
+                " (" +
+                this.getQuotedIdentifier(relationshipConstraint.columnName) +
+                ") USING BTREE"
             );
         }
 
-        switch (answer.toString().toLowerCase()) {
-            case "list":
-                this.listTablesToRemove();
-                const answerList = await dxUtils.getCommandLineInput(
-                    "How would you like to proceed?\n" +
-                    "Type 'y' to confirm & remove one-by-one;\nType 'all' to remove all;\n" +
-                    "Type 'none' to skip removing any tables; (y|all|none)"
-                );
-                switch (answerList.toString().toLowerCase()) {
-                    case "all":
-                        await this.removeTablesRecursive(false);
-                        break;
-                    case "y":
-                        await this.removeTablesRecursive(true);
-                        break;
-                    case "none":
-                        return true;
-                    default:
-                        this.populateError("Invalid selection. Please try again.");
-                        return false;
-                }
+        return null;
+    }
+
+    /**
+     * Returns the attribute of an entity that is auto-incremented. MySQL allows only one auto-incremented column per
+     * table, so the primary key column is not auto-incremented when an attribute is
+     * @param {string} entityName The name of the entity
+     * @return {string|null} The name of the attribute, or null if the primary key column is auto-incremented
+     */
+    getEntityAutoIncrementAttribute(entityName) {
+        const entityAttributes = this.dataModel[entityName]["attributes"];
+        const attributeName = Object.keys(entityAttributes).find(
+            (attributeName) => entityAttributes[attributeName]["autoIncrement"] === true
+        );
+
+        return attributeName ?? null;
+    }
+
+    /**
+     * Returns the definition of each column that is expected in the table of the given entity. Column definitions are
+     * in the same format as attribute definitions in the data model
+     * @param {string} entityName The name of the entity
+     * @return {{}} Each key is a column name. Each value is a definition in the form {type, lengthOrValues, default,
+     * allowNull}
+     */
+    getEntityExpectedColumnDefinitions(entityName) {
+        let expectedColumnDefinitions = {};
+        expectedColumnDefinitions[this.getPrimaryKeyColumn()] = {
+            type: "bigint",
+            lengthOrValues: null,
+            default: null,
+            allowNull: false,
+            autoIncrement: this.getEntityAutoIncrementAttribute(entityName) === null,
+        };
+
+        const entityAttributes = this.dataModel[entityName]["attributes"];
+        for (const attributeName of Object.keys(entityAttributes)) {
+            expectedColumnDefinitions[this.getCaseNormalizedString(attributeName)] = Object.fromEntries(
+                Object.entries(entityAttributes[attributeName]).filter(([key]) => key !== "previousNames")
+            );
+        }
+
+        for (const relationshipConstraint of this.getEntityRelationshipConstraint(entityName)) {
+            expectedColumnDefinitions[relationshipConstraint.columnName] = {
+                type: "bigint",
+                lengthOrValues: 20,
+                default: null,
+                allowNull: !relationshipConstraint.required,
+            };
+        }
+
+        if (this.getEntityExpectedColumns(entityName).includes(this.getLockingConstraintColumn())) {
+            expectedColumnDefinitions[this.getLockingConstraintColumn()] = {
+                type: "datetime",
+                lengthOrValues: null,
+                default: "CURRENT_TIMESTAMP",
+                allowNull: false,
+                onUpdate: "CURRENT_TIMESTAMP",
+            };
+        }
+
+        return expectedColumnDefinitions;
+    }
+
+    /**
+     * Converts a row returned by "SHOW FULL COLUMNS" into a definition in the same format as attribute definitions in
+     * the data model
+     * @param {{}} tableColumn The row returned by "SHOW FULL COLUMNS"
+     * @return {{type: string, lengthOrValues: null|string, default: null|string, allowNull: boolean,
+     * charset: null|string, collation: null|string, comment: string, unsigned: boolean, zerofill: boolean,
+     * onUpdate: null|string, autoIncrement: boolean, generated: null|{expression: null, storage: string}}} The
+     * definition. The character set is derived from the collation, since collation names start with the name of their
+     * character set. The expression of a generated column is not reported by "SHOW FULL COLUMNS", and is therefore
+     * null
+     */
+    getExistingColumnDefinition(tableColumn = {}) {
+        const typeMatch = tableColumn["Type"].match(/^(\w+)(?:\((.*)\))?(.*)$/);
+        const collation = tableColumn["Collation"] ?? null;
+
+        // Expression defaults are reported without their parentheses
+        let columnDefault = tableColumn["Default"];
+        if (
+            columnDefault !== null &&
+            /\bdefault_generated\b/i.test(tableColumn["Extra"] ?? "") &&
+            !/^current_timestamp/i.test(columnDefault)
+        ) {
+            columnDefault = "(" + columnDefault + ")";
+        }
+
+        return {
+            type: typeMatch[1],
+            lengthOrValues: typeof typeMatch[2] !== "undefined" ? typeMatch[2] : null,
+            default: columnDefault,
+            allowNull: tableColumn["Null"] !== "NO",
+            charset: collation !== null ? collation.split("_")[0] : null,
+            collation: collation,
+            comment: tableColumn["Comment"] ?? "",
+            ...this.getColumnModifiers(typeMatch[3], tableColumn["Extra"] ?? ""),
+        };
+    }
+
+    /**
+     * Interprets the modifiers that follow the type of a column, e.g "unsigned zerofill", and its "Extra" information,
+     * as reported by "SHOW FULL COLUMNS"
+     * @param {string} typeModifiers The part of the column type that follows its length, e.g " unsigned"
+     * @param {string} extra The "Extra" information of the column, e.g "on update CURRENT_TIMESTAMP"
+     * @return {{unsigned: boolean, zerofill: boolean, onUpdate: null|string, autoIncrement: boolean,
+     * generated: null|{expression: null, storage: string}}} The modifiers, in the same format as attribute definitions
+     */
+    getColumnModifiers(typeModifiers = "", extra = "") {
+        const onUpdateMatch = extra.match(/on update (current_timestamp)(\(\d*\))?/i);
+        const generatedMatch = extra.match(/\b(virtual|stored) generated\b/i);
+
+        return {
+            unsigned: /\bunsigned\b/i.test(typeModifiers),
+            zerofill: /\bzerofill\b/i.test(typeModifiers),
+            onUpdate:
+                onUpdateMatch !== null
+                    ? this.getNormalizedCurrentTimestamp(onUpdateMatch[1] + (onUpdateMatch[2] ?? ""))
+                    : null,
+            autoIncrement: /\bauto_increment\b/i.test(extra),
+            generated: generatedMatch !== null ? { expression: null, storage: generatedMatch[1].toUpperCase() } : null,
+        };
+    }
+
+    /**
+     * Writes CURRENT_TIMESTAMP the same way, regardless of how the database reports it. MariaDB, for example, reports
+     * it as "current_timestamp()"
+     * @param {string} value The value, e.g "current_timestamp(3)"
+     * @return {string} The normalized value, e.g "CURRENT_TIMESTAMP(3)". Values other than CURRENT_TIMESTAMP are
+     * returned as is
+     */
+    getNormalizedCurrentTimestamp(value = "") {
+        const currentTimestampMatch = value.match(/^current_timestamp(?:\((\d*)\))?$/i);
+        if (currentTimestampMatch === null) {
+            return value;
+        }
+
+        return "CURRENT_TIMESTAMP" + (currentTimestampMatch[1] ? "(" + currentTimestampMatch[1] + ")" : "");
+    }
+
+    /**
+     * Compares the expected definition of a column with its definition in the database. Of the primary key column, only
+     * whether it is auto-incremented is compared. For relationship and locking constraint columns, only their type and,
+     * for relationships, their nullability are enforced
+     * @param {string} entityName The name of the entity to which the column belongs
+     * @param {string} columnName The name of the column
+     * @param {{}} expectedDefinition The definition as returned by getEntityExpectedColumnDefinitions()
+     * @param {{}} existingDefinition The definition as returned by getExistingColumnDefinition()
+     * @return {string[]} The options that differ, e.g ["type", "allowNull"]. Empty if the column matches
+     */
+    getColumnDefinitionDifferences(entityName, columnName, expectedDefinition, existingDefinition) {
+        if (columnName === this.getPrimaryKeyColumn()) {
+            return existingDefinition.autoIncrement === expectedDefinition.autoIncrement ? [] : ["autoIncrement"];
+        }
+
+        if (!this.isEntityAttributeColumn(entityName, columnName)) {
+            let differences = [];
+            if (this.getNormalizedColumnType(existingDefinition.type) !== expectedDefinition.type) {
+                differences.push("type");
+            }
+
+            if (
+                columnName !== this.getLockingConstraintColumn() &&
+                existingDefinition.allowNull !== expectedDefinition.allowNull
+            ) {
+                differences.push("allowNull");
+            }
+
+            if (columnName === this.getLockingConstraintColumn() && existingDefinition.onUpdate === null) {
+                differences.push("onUpdate");
+            }
+
+            return differences;
+        }
+
+        const expectedType = this.getNormalizedColumnType(expectedDefinition["type"]);
+        const isZerofill = expectedDefinition["zerofill"] === true;
+        const differences = ["type", "lengthOrValues", "default", "allowNull"].filter((columnOption) => {
+            switch (columnOption) {
+                case "type":
+                    return expectedType !== this.getNormalizedColumnType(existingDefinition["type"]);
+                case "lengthOrValues": {
+                    const getComparable = (lengthOrValues) =>
+                        this.getComparableLengthOrValues(expectedType, lengthOrValues, isZerofill);
+
+                    return (
+                        getComparable(expectedDefinition["lengthOrValues"]) !==
+                        getComparable(existingDefinition["lengthOrValues"])
+                    );
+                }
+                case "default":
+                    return !this.isSameDefaultValue(
+                        expectedDefinition["default"],
+                        existingDefinition["default"],
+                        expectedType
+                    );
+                default:
+                    return expectedDefinition[columnOption] !== existingDefinition[columnOption];
+            }
+        });
+
+        // Zero-filled columns are always unsigned
+        const expectedModifiers = {
+            unsigned: expectedDefinition["unsigned"] === true || expectedDefinition["zerofill"] === true,
+            zerofill: expectedDefinition["zerofill"] === true,
+            onUpdate:
+                typeof expectedDefinition["onUpdate"] === "string"
+                    ? this.getNormalizedCurrentTimestamp(expectedDefinition["onUpdate"])
+                    : null,
+            autoIncrement: expectedDefinition["autoIncrement"] === true,
+            generated: (expectedDefinition["generated"] ?? null) !== null,
+        };
+
+        for (const columnOption of Object.keys(expectedModifiers)) {
+            const existingOption =
+                columnOption === "generated"
+                    ? existingDefinition[columnOption] !== null
+                    : existingDefinition[columnOption];
+
+            if (expectedModifiers[columnOption] !== existingOption) {
+                differences.push(columnOption);
+            }
+        }
+
+        // The expression of a generated column cannot be compared, since the database does not report it. Only the
+        // way in which it is stored is compared
+        if (
+            expectedModifiers.generated &&
+            existingDefinition.generated !== null &&
+            (expectedDefinition["generated"]["storage"] ?? "VIRTUAL").toUpperCase() !==
+                existingDefinition.generated.storage &&
+            !differences.includes("generated")
+        ) {
+            differences.push("generated");
+        }
+
+        // The character set, collation and comment are only enforced when they are defined for the attribute
+        for (const columnOption of ["charset", "collation", "comment"]) {
+            if (typeof expectedDefinition[columnOption] === "undefined") {
+                continue;
+            }
+
+            const isDifferent =
+                columnOption === "comment"
+                    ? expectedDefinition[columnOption] !== existingDefinition[columnOption]
+                    : this.getNormalizedCharsetName(expectedDefinition[columnOption]) !==
+                      this.getNormalizedCharsetName(existingDefinition[columnOption] ?? "");
+
+            if (isDifferent) {
+                differences.push(columnOption);
+            }
+        }
+
+        return differences;
+    }
+
+    /**
+     * Compares the table options defined for an entity with the options of its table in the database. Only the
+     * options that are defined for the entity are compared. autoIncrementStart is not compared, since it only applies
+     * when creating the table
+     * @param {string} entityName The name of the entity
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<{option: string, expected: string, actual: string}[]|null>} The options that differ, or null if
+     * the table options could not be retrieved
+     */
+    async getEntityTableOptionsDiff(entityName, moduleName, tableName) {
+        const expectedOptions = this.getEntityTableOptions(entityName);
+        const comparedOptions = ["engine", "charset", "collation", "rowFormat", "comment"].filter(
+            (option) =>
+                typeof expectedOptions[option] === "string" &&
+                !(option === "rowFormat" && expectedOptions[option].toUpperCase() === "DEFAULT")
+        );
+
+        // Tables that are still to be created, will be created with their options
+        if (comparedOptions.length === 0 || (this.isPlanMode && this.tablesToCreate.includes(tableName))) {
+            return [];
+        }
+
+        const tableSnapshot = await this.getTableSnapshot(moduleName, this.getExistingTableName(tableName));
+        if (tableSnapshot === null) {
+            this.populateError(
+                "Could not retrieve the table options of '" + tableName + "'",
+                this.databaseConnector.getLastError()
+            );
+            return null;
+        }
+
+        const tableStatus = tableSnapshot.status;
+        const tableCollation = tableStatus["TABLE_COLLATION"] ?? "";
+        const actualOptions = {
+            engine: tableStatus["ENGINE"] ?? "",
+            charset: tableCollation.split("_")[0],
+            collation: tableCollation,
+            rowFormat: tableStatus["ROW_FORMAT"] ?? "",
+            comment: tableStatus["TABLE_COMMENT"] ?? "",
+        };
+
+        return comparedOptions
+            .filter((option) =>
+                option === "comment"
+                    ? expectedOptions[option] !== actualOptions[option]
+                    : this.getNormalizedCharsetName(expectedOptions[option]) !==
+                      this.getNormalizedCharsetName(actualOptions[option])
+            )
+            .map((option) => ({ option, expected: expectedOptions[option], actual: actualOptions[option] }));
+    }
+
+    /**
+     * Checks whether the given column of an entity's table represents one of the entity's attributes
+     * @param {string} entityName The name of the entity
+     * @param {string} columnName The name of the column
+     * @return {boolean} True if the column represents an attribute
+     */
+    isEntityAttributeColumn(entityName, columnName) {
+        return Object.keys(this.dataModel[entityName]["attributes"]).some(
+            (attributeName) => this.getCaseNormalizedString(attributeName) === columnName
+        );
+    }
+
+    /**
+     * Returns the sql that adds or modifies a column of an entity's table
+     * @param {string} entityName The name of the entity
+     * @param {string} columnName The name of the column
+     * @param {{}} columnDefinition The definition as returned by getEntityExpectedColumnDefinitions()
+     * @param {string} operation "ADD|MODIFY"
+     * @return {string} The sql alter code
+     */
+    getEntityColumnSql(entityName, columnName, columnDefinition, operation = "MODIFY") {
+        const isRelationshipColumn =
+            !this.isEntityAttributeColumn(entityName, columnName) &&
+            this.getEntityRelationshipColumns(entityName).includes(columnName);
+
+        if (isRelationshipColumn) {
+            return (
+                operation +
+                " COLUMN " +
+                this.getQuotedIdentifier(columnName) +
+                " " +
+                this.getRelationshipColumnDefinition(!columnDefinition.allowNull)
+            );
+        }
+
+        return this.getAlterColumnSql(columnName, columnDefinition, operation);
+    }
+
+    /**
+     * Returns the sql that renames a column, and nothing else. MySQL 5.7 and MariaDB before 10.5.2 do not support
+     * RENAME COLUMN, so the column is renamed with CHANGE COLUMN and its current definition instead. The expression of
+     * a generated column is not reported by the database, so the expression from the data model is used for it
+     * @param {string} entityName The name of the entity to which the column belongs
+     * @param {string} fromColumnName The current name of the column
+     * @param {string} toColumnName The new name of the column
+     * @param {{}} tableColumn The column, as returned by getTableColumns()
+     * @param {boolean} supportsRenameColumn Whether the server supports RENAME COLUMN. See getServerInfo()
+     * @return {string} The sql, e.g "RENAME COLUMN `a` TO `b`" or "CHANGE COLUMN `a` `b` int DEFAULT NULL". Complete it
+     * with getAlterTableSql()
+     */
+    getRenameColumnSql(entityName, fromColumnName, toColumnName, tableColumn, supportsRenameColumn) {
+        if (supportsRenameColumn) {
+            return (
+                "RENAME COLUMN " +
+                this.getQuotedIdentifier(fromColumnName) +
+                " TO " +
+                this.getQuotedIdentifier(toColumnName)
+            );
+        }
+
+        let columnDefinition = this.getExistingColumnDefinition(tableColumn);
+        if (columnDefinition.generated !== null) {
+            const expectedDefinitions = this.getEntityExpectedColumnDefinitions(entityName);
+            const expectedDefinition = expectedDefinitions[toColumnName] ?? expectedDefinitions[fromColumnName];
+            columnDefinition = { ...columnDefinition, generated: expectedDefinition?.generated ?? null };
+        }
+
+        return this.getAlterColumnSql(toColumnName, columnDefinition, "CHANGE", fromColumnName);
+    }
+
+    /**
+     * Compares the columns of an entity's table with the columns that the data model expects
+     * @param {string} entityName The name of the entity
+     * @param {[]} tableColumns The existing columns of the table, as returned by getTableColumns()
+     * @return {{columnsToRename: {fromColumnName: string, toColumnName: string}[], columnsToAdd: {columnName: string,
+     * expected: {}}[], columnsToDrop: {columnName: string, actual: {}}[], columnsToModify: {columnName: string,
+     * expected: {}, actual: {}, differences: string[]}[]}} The column differences. Renamed columns are compared under
+     * their new name
+     */
+    getEntityColumnDiff(entityName, tableColumns = []) {
+        const columnsToRename = this.getColumnsToRename(entityName, tableColumns);
+        const expectedColumnDefinitions = this.getEntityExpectedColumnDefinitions(entityName);
+
+        let columnDiff = { columnsToRename, columnsToAdd: [], columnsToDrop: [], columnsToModify: [] };
+        let existingColumns = [];
+
+        for (const tableColumn of tableColumns) {
+            const columnToRename = columnsToRename.find((obj) => obj.fromColumnName === tableColumn["Field"]);
+            const columnName = columnToRename ? columnToRename.toColumnName : tableColumn["Field"];
+            const existingDefinition = this.getExistingColumnDefinition(tableColumn);
+            existingColumns.push(columnName);
+
+            if (typeof expectedColumnDefinitions[columnName] === "undefined") {
+                columnDiff.columnsToDrop.push({ columnName, actual: existingDefinition });
+                continue;
+            }
+
+            const differences = this.getColumnDefinitionDifferences(
+                entityName,
+                columnName,
+                expectedColumnDefinitions[columnName],
+                existingDefinition
+            );
+
+            if (differences.length > 0) {
+                columnDiff.columnsToModify.push({
+                    columnName,
+                    expected: expectedColumnDefinitions[columnName],
+                    actual: existingDefinition,
+                    differences,
+                });
+            }
+        }
+
+        for (const columnName of Object.keys(expectedColumnDefinitions)) {
+            if (!existingColumns.includes(columnName)) {
+                columnDiff.columnsToAdd.push({ columnName, expected: expectedColumnDefinitions[columnName] });
+            }
+        }
+
+        return columnDiff;
+    }
+
+    /**
+     * Compares the indexes of an entity's table with the indexes that the data model expects. Besides the indexes
+     * defined in the data model, an index is expected for every relationship with an entity on a different database
+     * server. Indexes named after a relationship's foreign key constraint are never dropped
+     * @param {string} entityName The name of the entity
+     * @param {[]} indexRows The existing indexes of the table, as returned by getTableIndexes()
+     * @param {boolean} supportsDescendingIndexes Whether the server supports descending indexes. See getServerInfo()
+     * @return {{indexesToAdd: {indexName: string, expected: {}}[], indexesToDrop: {indexName: string, actual: {}}[],
+     * indexesToModify: {indexName: string, expected: {}, actual: {}, differences: string[]}[]}} The index differences
+     */
+    getEntityIndexDiff(entityName, indexRows = [], supportsDescendingIndexes = true) {
+        const existingIndexDefinitions = this.getExistingIndexDefinitions(indexRows);
+        const entityRelationshipConstraints = this.getEntityRelationshipConstraint(entityName);
+
+        let indexDiff = { indexesToAdd: [], indexesToDrop: [], indexesToModify: [] };
+        let expectedIndexes = entityRelationshipConstraints.map((obj) => obj.constraintName);
+
+        // Relationships with entities on other database servers have no foreign key constraint, which would
+        // otherwise have created an index on the relationship column. We create that index ourselves
+        for (const relationshipConstraint of entityRelationshipConstraints) {
+            if (
+                relationshipConstraint.relationshipScope !== RELATIONSHIP_SCOPES.crossServer ||
+                typeof existingIndexDefinitions[relationshipConstraint.constraintName] !== "undefined"
+            ) {
+                continue;
+            }
+
+            indexDiff.indexesToAdd.push({
+                indexName: relationshipConstraint.constraintName,
+                expected: {
+                    columns: [{ columnName: relationshipConstraint.columnName, length: null, order: "ASC" }],
+                    isUnique: false,
+                    indexType: "BTREE",
+                },
+            });
+        }
+
+        for (const indexObj of this.dataModel[entityName]["indexes"]) {
+            const indexName = this.getCaseNormalizedString(indexObj["indexName"]);
+            const expectedDefinition = this.getExpectedIndexDefinition(indexObj, supportsDescendingIndexes);
+            expectedIndexes.push(indexName);
+
+            if (typeof existingIndexDefinitions[indexName] === "undefined") {
+                indexDiff.indexesToAdd.push({ indexName, expected: expectedDefinition });
+                continue;
+            }
+
+            const differences = this.getIndexDefinitionDifferences(
+                expectedDefinition,
+                existingIndexDefinitions[indexName]
+            );
+
+            if (differences.length > 0) {
+                indexDiff.indexesToModify.push({
+                    indexName,
+                    expected: expectedDefinition,
+                    actual: existingIndexDefinitions[indexName],
+                    differences,
+                });
+            }
+        }
+
+        for (const indexName of Object.keys(existingIndexDefinitions)) {
+            if (indexName.toLowerCase() !== "primary" && !expectedIndexes.includes(indexName)) {
+                indexDiff.indexesToDrop.push({ indexName, actual: existingIndexDefinitions[indexName] });
+            }
+        }
+
+        return indexDiff;
+    }
+
+    /**
+     * Returns the definition of the foreign key constraint that represents the given relationship
+     * @param {{}} relationshipConstraint A relationship constraint, as returned by getEntityRelationshipConstraint()
+     * @return {{columnNames: string[], referencedSchema: string, referencedTable: string,
+     * referencedColumnNames: string[], onDelete: string, onUpdate: string}} The expected foreign key definition
+     */
+    getExpectedForeignKeyDefinition(relationshipConstraint) {
+        return {
+            columnNames: [relationshipConstraint.columnName],
+            referencedSchema: this.getEntitySchemaName(relationshipConstraint.relationshipEntity),
+            referencedTable: this.getCaseNormalizedString(relationshipConstraint.relationshipEntity),
+            referencedColumnNames: [this.getPrimaryKeyColumn()],
+            onDelete: relationshipConstraint.onDelete,
+            onUpdate: relationshipConstraint.onUpdate,
+        };
+    }
+
+    /**
+     * Groups the rows returned by getTableForeignKeys(), of which there is one for each column of a constraint, into a
+     * definition for each constraint, in the same format as the definitions returned by
+     * getExpectedForeignKeyDefinition()
+     * @param {[]} foreignKeyRows The rows returned by getTableForeignKeys()
+     * @return {{}} Each key is a constraint name. Each value is a definition in the form {columnNames,
+     * referencedSchema, referencedTable, referencedColumnNames, onDelete, onUpdate}, with the columns in the order in
+     * which they appear in the constraint
+     */
+    getExistingForeignKeyDefinitions(foreignKeyRows = []) {
+        let existingForeignKeyDefinitions = {};
+        const sortedForeignKeyRows = [...foreignKeyRows].sort(
+            (a, b) => Number(a["ORDINAL_POSITION"] ?? 0) - Number(b["ORDINAL_POSITION"] ?? 0)
+        );
+
+        for (const foreignKeyRow of sortedForeignKeyRows) {
+            const constraintName = foreignKeyRow.CONSTRAINT_NAME;
+            if (typeof existingForeignKeyDefinitions[constraintName] === "undefined") {
+                existingForeignKeyDefinitions[constraintName] = {
+                    columnNames: [],
+                    referencedSchema: foreignKeyRow.UNIQUE_CONSTRAINT_SCHEMA,
+                    referencedTable: foreignKeyRow.REFERENCED_TABLE_NAME,
+                    referencedColumnNames: [],
+                    onDelete: foreignKeyRow.DELETE_RULE,
+                    onUpdate: foreignKeyRow.UPDATE_RULE,
+                };
+            }
+
+            existingForeignKeyDefinitions[constraintName].columnNames.push(foreignKeyRow.COLUMN_NAME);
+            existingForeignKeyDefinitions[constraintName].referencedColumnNames.push(
+                foreignKeyRow.REFERENCED_COLUMN_NAME
+            );
+        }
+
+        return existingForeignKeyDefinitions;
+    }
+
+    /**
+     * Compares the foreign key constraints of an entity's table with the constraints that the data model expects.
+     * Relationships with entities on other database servers are not represented by a constraint
+     * @param {string} entityName The name of the entity
+     * @param {[]} foreignKeyRows The existing constraints of the table, as returned by getTableForeignKeys(). A
+     * constraint that spans multiple columns is described once
+     * @return {{foreignKeysToAdd: {constraintName: string, expected: {}}[], foreignKeysToDrop: {constraintName: string,
+     * actual: {}, renamedTo: string|null}[], foreignKeysToModify: {constraintName: string, expected: {}, actual: {},
+     * differences: string[]}[]}} The foreign key differences. Constraints that were created before constraint names
+     * were derived from the data model are dropped with "renamedTo" set to their new name
+     */
+    getEntityForeignKeyDiff(entityName, foreignKeyRows = []) {
+        const entityRelationshipConstraints = this.getEntityRelationshipConstraint(entityName).filter(
+            (obj) => obj.relationshipScope !== RELATIONSHIP_SCOPES.crossServer
+        );
+
+        let foreignKeyDiff = { foreignKeysToAdd: [], foreignKeysToDrop: [], foreignKeysToModify: [] };
+        let existingForeignKeys = [];
+
+        const existingForeignKeyDefinitions = this.getExistingForeignKeyDefinitions(foreignKeyRows);
+        for (const [constraintName, existingDefinition] of Object.entries(existingForeignKeyDefinitions)) {
+            existingForeignKeys.push(constraintName);
+
+            const foundConstraint = entityRelationshipConstraints.find((obj) => obj.constraintName === constraintName);
+            if (!foundConstraint) {
+                const renamedConstraint = entityRelationshipConstraints.find(
+                    (obj) =>
+                        existingDefinition.columnNames.length === 1 &&
+                        obj.columnName === existingDefinition.columnNames[0] &&
+                        this.getCaseNormalizedString(obj.relationshipEntity) === existingDefinition.referencedTable
+                );
+
+                foreignKeyDiff.foreignKeysToDrop.push({
+                    constraintName,
+                    actual: existingDefinition,
+                    renamedTo: renamedConstraint ? renamedConstraint.constraintName : null,
+                });
+                continue;
+            }
+
+            // The column lists are compared by their joined names
+            const expectedDefinition = this.getExpectedForeignKeyDefinition(foundConstraint);
+            const differences = Object.keys(expectedDefinition).filter(
+                (option) => String(expectedDefinition[option]) !== String(existingDefinition[option])
+            );
+
+            if (differences.length > 0) {
+                foreignKeyDiff.foreignKeysToModify.push({
+                    constraintName,
+                    expected: expectedDefinition,
+                    actual: existingDefinition,
+                    differences,
+                });
+            }
+        }
+
+        for (const relationshipConstraint of entityRelationshipConstraints) {
+            if (!existingForeignKeys.includes(relationshipConstraint.constraintName)) {
+                foreignKeyDiff.foreignKeysToAdd.push({
+                    constraintName: relationshipConstraint.constraintName,
+                    expected: this.getExpectedForeignKeyDefinition(relationshipConstraint),
+                });
+            }
+        }
+
+        return foreignKeyDiff;
+    }
+    //#endregion
+
+    //#region SQL building
+    /**
+     * Quotes the name of a schema, table, column, index or constraint, so that reserved words such as "order" and
+     * "key" can be used as names
+     * @param {string} identifier The name to quote
+     * @return {string} The quoted name, e.g `order`
+     */
+    getQuotedIdentifier(identifier = "") {
+        return "`" + identifier.toString().replace(/`/g, "``") + "`";
+    }
+
+    /**
+     * Returns the given value as a quoted sql string literal. Backslashes are escaped, so the literal is only read back
+     * as the given value when the NO_BACKSLASH_ESCAPES sql mode is off, which is the MySQL default
+     * @param {string} value The value to quote
+     * @return {string} The quoted value, e.g 'It''s quoted'
+     */
+    getQuotedString(value = "") {
+        return "'" + value.toString().replace(/\\/g, "\\\\").replace(/'/g, "''") + "'";
+    }
+
+    /**
+     * Returns the quoted name of a table, optionally qualified with the name of its schema
+     * @param {string} tableName The name of the table
+     * @param {string|null} schemaName The name of the schema, or null to leave the table name unqualified
+     * @return {string} E.g `table_name` or `schema_name`.`table_name`
+     */
+    getQuotedTableName(tableName, schemaName = null) {
+        const quotedTableName = this.getQuotedIdentifier(tableName);
+        return schemaName === null ? quotedTableName : this.getQuotedIdentifier(schemaName) + "." + quotedTableName;
+    }
+
+    /**
+     * Returns a complete ALTER TABLE statement
+     * @param {string} tableName The name of the table to alter
+     * @param {string} alterSpecification What to alter, e.g "DROP INDEX `index_name`"
+     * @param {string|null} schemaName The name of the schema in which the table resides, or null to use the module's
+     * own schema
+     * @return {string} E.g "ALTER TABLE `table_name` DROP INDEX `index_name`;"
+     */
+    getAlterTableSql(tableName, alterSpecification, schemaName = null) {
+        return "ALTER TABLE " + this.getQuotedTableName(tableName, schemaName) + " " + alterSpecification + ";";
+    }
+
+    /**
+     * Returns the sql for the default value of a column. Numbers are written as is, while other values are written as
+     * escaped string literals. CURRENT_TIMESTAMP, bit values such as b'101' and expressions in parentheses such as
+     * "(UUID())" are written as is, since they are not literals
+     * @param {string|number|boolean} columnDefault The default value, as defined in the data model. Not null
+     * @return {string} E.g "'O''Brien'", "5", "CURRENT_TIMESTAMP" or "NULL"
+     */
+    getDefaultValueSql(columnDefault) {
+        if (typeof columnDefault === "number") {
+            return columnDefault.toString();
+        }
+
+        if (typeof columnDefault === "boolean") {
+            return columnDefault ? "1" : "0";
+        }
+
+        if (columnDefault.toUpperCase() === "NULL") {
+            return "NULL";
+        }
+
+        if (
+            /^current_timestamp(\(\d*\))?$/i.test(columnDefault) ||
+            /^b'[01]+'$/i.test(columnDefault) ||
+            this.isDefaultValueExpression(columnDefault)
+        ) {
+            return columnDefault;
+        }
+
+        return this.getQuotedString(columnDefault);
+    }
+
+    /**
+     * Checks whether the given default value is an expression, which must be written in parentheses. The opening
+     * parenthesis must close at the end of the value, and the expression must be self-contained. Any other value is
+     * written as a quoted string
+     * @param {*} columnDefault The default value, as defined in the data model
+     * @return {boolean} True if the default value is an expression, e.g "(UUID())"
+     */
+    isDefaultValueExpression(columnDefault) {
+        if (typeof columnDefault !== "string" || !/^\(.+\)$/s.test(columnDefault.trim())) {
+            return false;
+        }
+
+        // If the part inside the outer parentheses balances, the opening parenthesis closes at the end
+        return this.isSelfContainedSqlExpression(columnDefault.trim().slice(1, -1));
+    }
+
+    /**
+     * Checks whether the given sql expression, which is written into generated sql as is, cannot end the clause that
+     * it is part of. Its parentheses must balance outside of quoted strings, and it may not contain ";" or comments.
+     * Backslashes are not allowed either, since whether they escape a quote depends on the NO_BACKSLASH_ESCAPES sql
+     * mode
+     * @param {string} expression The expression, e.g "CONCAT(`first_name`, ' ', `last_name`)"
+     * @return {boolean} True if the expression is self-contained
+     */
+    isSelfContainedSqlExpression(expression = "") {
+        if (expression.includes("\\")) {
+            return false;
+        }
+
+        let depth = 0;
+        let openQuote = null;
+        for (let position = 0; position < expression.length; position++) {
+            const character = expression[position];
+            if (openQuote !== null) {
+                // A doubled quote closes the string and opens it again, which has the same effect as escaping it
+                if (character === openQuote) {
+                    openQuote = null;
+                }
+                continue;
+            }
+
+            if (["'", '"', "`"].includes(character)) {
+                openQuote = character;
+            } else if (
+                character === ";" ||
+                character === "#" ||
+                expression.startsWith("--", position) ||
+                expression.startsWith("/*", position)
+            ) {
+                return false;
+            } else if (character === "(") {
+                depth++;
+            } else if (character === ")" && --depth < 0) {
+                return false;
+            }
+        }
+
+        return depth === 0 && openQuote === null;
+    }
+
+    /**
+     * Checks whether the default value of a column, as defined in the data model, matches its default value in the
+     * database. Expressions are compared without their outer parentheses, and regardless of case and whitespace, since
+     * the database reports them in its own way
+     * @param {null|string|number|boolean} expectedDefault The default value, as defined in the data model
+     * @param {null|string} existingDefault The default value, as returned by getExistingColumnDefinition()
+     * @param {string} columnType The normalized type of the column. Numeric defaults are compared as numbers, since
+     * the database reports them with the scale of the column, e.g "1.50"
+     * @return {boolean} True if the default values match
+     */
+    isSameDefaultValue(expectedDefault, existingDefault, columnType = "") {
+        const isNumericColumn = ["integer", "fixedPoint", "floatingPoint"].includes(MYSQL_COLUMN_TYPES[columnType]);
+        const getComparableDefault = (columnDefault) => {
+            if (columnDefault === null || typeof columnDefault === "undefined") {
+                return null;
+            }
+
+            if (typeof columnDefault === "boolean") {
+                return columnDefault ? "1" : "0";
+            }
+
+            if (this.isDefaultValueExpression(columnDefault)) {
+                return columnDefault.trim().slice(1, -1).replace(/\s+/g, "").toLowerCase();
+            }
+
+            const defaultString = this.getNormalizedCurrentTimestamp(columnDefault.toString());
+            if (isNumericColumn && defaultString.trim().length > 0 && !isNaN(Number(defaultString))) {
+                return Number(defaultString).toString();
+            }
+
+            return defaultString.toUpperCase() === "NULL" ? null : defaultString;
+        };
+
+        return getComparableDefault(expectedDefault) === getComparableDefault(existingDefault);
+    }
+    //#endregion
+
+    //#region Schema snapshot
+
+    /**
+     * Returns a snapshot of the tables, columns, indexes and foreign keys of the given module's database. The snapshot
+     * is loaded with a few information_schema queries, rather than with queries for each table, and is kept until a
+     * statement changes the tables. See invalidateSchemaSnapshots()
+     * @param {string} moduleName The module for which to return the snapshot
+     * @return {Promise<{tables: {}, staleTableNames: string[]}|null>} The snapshot, or null if it could not be loaded.
+     * "tables" has a key for each table. See loadSchemaSnapshot()
+     */
+    async getSchemaSnapshot(moduleName) {
+        if (typeof this.schemaSnapshots[moduleName] === "undefined") {
+            const tableSnapshots = await this.loadSchemaSnapshot(moduleName);
+            if (tableSnapshots === null) {
+                return null;
+            }
+
+            this.schemaSnapshots[moduleName] = { tables: tableSnapshots, staleTableNames: [] };
+        }
+
+        const schemaSnapshot = this.schemaSnapshots[moduleName];
+        if (schemaSnapshot.staleTableNames.length > 0) {
+            const staleTableSnapshots = await this.loadSchemaSnapshot(moduleName, schemaSnapshot.staleTableNames);
+            if (staleTableSnapshots === null) {
+                return null;
+            }
+
+            // Tables that no longer exist are not reloaded
+            for (const staleTableName of schemaSnapshot.staleTableNames) {
+                delete schemaSnapshot.tables[staleTableName];
+            }
+
+            schemaSnapshot.tables = { ...schemaSnapshot.tables, ...staleTableSnapshots };
+            schemaSnapshot.staleTableNames = [];
+        }
+
+        return schemaSnapshot;
+    }
+
+    /**
+     * Returns the snapshot of a single table. See getSchemaSnapshot()
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table, as it exists in the database
+     * @return {Promise<{status: {}, columns: [], indexes: [], foreignKeys: []}|null>} The snapshot of the table, or
+     * null if the table does not exist or the snapshot could not be loaded
+     */
+    async getTableSnapshot(moduleName, tableName) {
+        const schemaSnapshot = await this.getSchemaSnapshot(moduleName);
+        if (schemaSnapshot === null) {
+            return null;
+        }
+
+        if (typeof schemaSnapshot.tables[tableName] === "undefined") {
+            this.populateError("Table '" + tableName + "' does not exist in '" + moduleName + "'");
+            return null;
+        }
+
+        return schemaSnapshot.tables[tableName];
+    }
+
+    /**
+     * Loads the tables of the given module's database from information_schema, using a query each for the tables,
+     * columns, indexes and foreign keys
+     * @param {string} moduleName The module for which to load the tables
+     * @param {string[]|null} tableNames The tables to load. If null, all tables are loaded
+     * @return {Promise<{}|null>} An object with a key for each table, or null if the tables could not be loaded. Each
+     * value is in the form {status, columns, indexes, foreignKeys}, where "status" is the table's row from
+     * information_schema.TABLES, "columns" and "indexes" are rows in the form reported by "SHOW FULL COLUMNS" and
+     * "SHOW INDEX", and "foreignKeys" are the rows from information_schema.REFERENTIAL_CONSTRAINTS, along with the
+     * COLUMN_NAME, REFERENCED_COLUMN_NAME and ORDINAL_POSITION of each column of a constraint
+     */
+    async loadSchemaSnapshot(moduleName, tableNames = null) {
+        const schemaName = this.databaseConfig[moduleName]["database"];
+        const tableFilterSql = tableNames !== null ? " AND TABLE_NAME IN (?)" : "";
+        const snapshotQueries = {
+            status:
+                "SELECT TABLE_NAME, TABLE_TYPE, ENGINE, TABLE_COLLATION, ROW_FORMAT, TABLE_COMMENT, TABLE_ROWS " +
+                "FROM information_schema.TABLES WHERE TABLE_SCHEMA = ?" +
+                tableFilterSql +
+                ";",
+            columns:
+                "SELECT TABLE_NAME, COLUMN_NAME AS `Field`, COLUMN_TYPE AS `Type`, COLLATION_NAME AS `Collation`, " +
+                "IS_NULLABLE AS `Null`, COLUMN_KEY AS `Key`, COLUMN_DEFAULT AS `Default`, EXTRA AS `Extra`, " +
+                "COLUMN_COMMENT AS `Comment` FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ?" +
+                tableFilterSql +
+                " ORDER BY TABLE_NAME, ORDINAL_POSITION;",
+            indexes:
+                "SELECT TABLE_NAME, NON_UNIQUE AS `Non_unique`, INDEX_NAME AS `Key_name`, SEQ_IN_INDEX AS " +
+                "`Seq_in_index`, COLUMN_NAME AS `Column_name`, COLLATION AS `Collation`, SUB_PART AS `Sub_part`, " +
+                "INDEX_TYPE AS `Index_type` FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = ?" +
+                tableFilterSql +
+                " ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX;",
+            foreignKeys:
+                "SELECT rc.*, kcu.COLUMN_NAME, kcu.REFERENCED_COLUMN_NAME, kcu.ORDINAL_POSITION " +
+                "FROM information_schema.REFERENTIAL_CONSTRAINTS rc " +
+                "JOIN information_schema.KEY_COLUMN_USAGE kcu ON kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA " +
+                "AND kcu.TABLE_NAME = rc.TABLE_NAME AND kcu.CONSTRAINT_NAME = rc.CONSTRAINT_NAME " +
+                "WHERE rc.CONSTRAINT_SCHEMA = ?" +
+                (tableNames !== null ? " AND rc.TABLE_NAME IN (?)" : "") +
+                " ORDER BY rc.TABLE_NAME, rc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION;",
+        };
+
+        let snapshotRows = {};
+        for (const [rowType, sql] of Object.entries(snapshotQueries)) {
+            snapshotRows[rowType] = await this.databaseConnector.queryDB(
+                sql,
+                moduleName,
+                tableNames !== null ? [schemaName, tableNames] : [schemaName]
+            );
+
+            if (snapshotRows[rowType] === null) {
+                this.populateError(
+                    "Could not load the schema of '" + moduleName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return null;
+            }
+        }
+
+        let tableSnapshots = {};
+        for (const statusRow of snapshotRows.status) {
+            tableSnapshots[statusRow["TABLE_NAME"]] = { status: statusRow, columns: [], indexes: [], foreignKeys: [] };
+        }
+
+        for (const rowType of ["columns", "indexes", "foreignKeys"]) {
+            for (const snapshotRow of snapshotRows[rowType]) {
+                // Tables that were created after information_schema.TABLES was queried are ignored
+                const { TABLE_NAME: tableName, ...tableRow } = snapshotRow;
+                if (typeof tableSnapshots[tableName] !== "undefined") {
+                    tableSnapshots[tableName][rowType].push(rowType === "foreignKeys" ? snapshotRow : tableRow);
+                }
+            }
+        }
+
+        return tableSnapshots;
+    }
+
+    /**
+     * Marks the snapshots that are returned by getSchemaSnapshot() as outdated, after a statement changed the tables.
+     * The affected tables are reloaded the next time that the snapshot is requested
+     * @param {string|null} moduleName The module in which the tables changed. If null, the snapshots of all modules
+     * are discarded
+     * @param {string|null} tableName The table that changed. If null, the module's snapshot is discarded
+     */
+    invalidateSchemaSnapshots(moduleName = null, tableName = null) {
+        if (moduleName === null) {
+            this.schemaSnapshots = {};
+            return;
+        }
+
+        const schemaSnapshot = this.schemaSnapshots[moduleName];
+        if (typeof schemaSnapshot === "undefined") {
+            return;
+        }
+
+        if (tableName === null) {
+            delete this.schemaSnapshots[moduleName];
+        } else if (!schemaSnapshot.staleTableNames.includes(tableName)) {
+            schemaSnapshot.staleTableNames.push(tableName);
+        }
+    }
+
+    //#endregion
+
+    //#region Server differences
+    /**
+     * Returns the version of the database server of the given module, along with the behaviour that depends on it. It
+     * is retrieved once per module
+     * @param {string} moduleName The module for which to return the server version
+     * @return {Promise<{version: string, isMariaDb: boolean, hasCachedTableStatistics: boolean,
+     * supportsDescendingIndexes: boolean, supportsRenameColumn: boolean}>} The version, e.g "10.6.12-MariaDB".
+     * hasCachedTableStatistics is true from MySQL 8.0.3, where information_schema caches values such as TABLE_ROWS for
+     * information_schema_stats_expiry seconds. supportsDescendingIndexes is true from MySQL 8.0 and MariaDB 10.8.
+     * Older servers accept DESC in an index, but create an ascending index. supportsRenameColumn is true from MySQL 8.0
+     * and MariaDB 10.5.2. If the version could not be retrieved, the server is treated as MySQL 5.7
+     */
+    async getServerInfo(moduleName) {
+        if (typeof this.serverInfo[moduleName] !== "undefined") {
+            return this.serverInfo[moduleName];
+        }
+
+        const versionResult = await this.databaseConnector.queryDB("SELECT VERSION() AS version;", moduleName);
+        const version = Array.isArray(versionResult) && versionResult.length > 0 ? versionResult[0]["version"] : "";
+        const isMariaDb = /mariadb/i.test(version);
+        const versionNumber = this.getServerVersionNumber(version);
+
+        this.serverInfo[moduleName] = {
+            version: version,
+            isMariaDb: isMariaDb,
+            hasCachedTableStatistics: !isMariaDb && versionNumber >= 80003,
+            supportsDescendingIndexes: versionNumber >= (isMariaDb ? 100800 : 80000),
+            supportsRenameColumn: versionNumber >= (isMariaDb ? 100502 : 80000),
+        };
+        return this.serverInfo[moduleName];
+    }
+
+    /**
+     * Converts a server version into a number that can be compared, e.g "8.0.34-log" becomes 80034 and
+     * "10.6.12-MariaDB" becomes 100612
+     * @param {string} version The version, as returned by VERSION()
+     * @return {number} The version number, or 0 if the version is not recognized
+     */
+    getServerVersionNumber(version = "") {
+        const versionMatch = version.match(/^(\d+)\.(\d+)\.(\d+)/);
+        if (versionMatch === null) {
+            return 0;
+        }
+
+        return Number(versionMatch[1]) * 10000 + Number(versionMatch[2]) * 100 + Number(versionMatch[3]);
+    }
+
+    /**
+     * Converts a row returned by "SHOW FULL COLUMNS" on a MariaDB server to the way MySQL reports it. MariaDB reports
+     * defaults as sql: literals are quoted, a missing default is reported as NULL, and CURRENT_TIMESTAMP is reported
+     * as current_timestamp(). MySQL reports literals as is, and marks expressions as DEFAULT_GENERATED
+     * @param {{}} tableColumn The row returned by "SHOW FULL COLUMNS"
+     * @return {{}} The row, in the way that MySQL reports it
+     */
+    getMySqlStyleColumnRow(tableColumn = {}) {
+        const columnDefault = tableColumn["Default"];
+        if (columnDefault === null || typeof columnDefault === "undefined" || columnDefault.toUpperCase() === "NULL") {
+            return { ...tableColumn, Default: null };
+        }
+
+        const literalMatch = columnDefault.match(/^'(.*)'$/s);
+        if (literalMatch !== null) {
+            return { ...tableColumn, Default: literalMatch[1].replace(/''/g, "'").replace(/\\\\/g, "\\") };
+        }
+
+        if (/^current_timestamp(\(\d*\))?$/i.test(columnDefault)) {
+            return { ...tableColumn, Default: this.getNormalizedCurrentTimestamp(columnDefault) };
+        }
+
+        if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(columnDefault) || /^b'[01]+'$/i.test(columnDefault)) {
+            return tableColumn;
+        }
+
+        return { ...tableColumn, Extra: ((tableColumn["Extra"] ?? "") + " DEFAULT_GENERATED").trim() };
+    }
+
+    /**
+     * Returns the name by which the database reports the given column type
+     * @param {string} columnType The column type, e.g "INTEGER"
+     * @return {string} The normalized column type, e.g "int"
+     */
+    getNormalizedColumnType(columnType = "") {
+        const lowerCaseType = columnType.toLowerCase();
+        return MYSQL_COLUMN_TYPE_SYNONYMS[lowerCaseType] ?? lowerCaseType;
+    }
+
+    /**
+     * Returns the lengthOrValues of a column in a form that does not depend on the database server, so that the
+     * lengthOrValues in the data model can be compared with those reported by the database:
+     * - MySQL 8 no longer reports the display width of integer columns, e.g "bigint" instead of "bigint(20)". The
+     * display width is therefore ignored, unless the column is zero-filled. The same applies to year columns
+     * - The values of enum and set columns are compared without the way in which they are quoted and separated
+     * - Lengths that the database adds by itself are added, e.g a decimal without a precision is a decimal(10,0)
+     * @param {string} columnType The normalized column type
+     * @param {null|string|number} lengthOrValues The lengthOrValues, as defined in the data model or as reported by
+     * the database
+     * @param {boolean} isZerofill Whether the column is zero-filled
+     * @return {null|string} The comparable lengthOrValues
+     */
+    getComparableLengthOrValues(columnType, lengthOrValues, isZerofill = false) {
+        const lengthString =
+            lengthOrValues === null || typeof lengthOrValues === "undefined"
+                ? null
+                : lengthOrValues.toString().replace(/\s+/g, "");
+
+        switch (MYSQL_COLUMN_TYPES[columnType]) {
+            case "integer":
+                return isZerofill ? lengthString : null;
+            case "year":
+                return null;
+            case "list": {
+                const listValues = lengthString === null ? null : this.getListValues(lengthOrValues.toString());
+                return listValues === null ? lengthString : JSON.stringify(listValues);
+            }
+            case "fixedPoint":
+                if (lengthString === null) {
+                    return "10,0";
+                }
+
+                return lengthString.includes(",") ? lengthString : lengthString + ",0";
+            case "bit":
+                return lengthString ?? "1";
+            case "string":
+                return ["char", "binary"].includes(columnType) ? lengthString ?? "1" : lengthString;
+            default:
+                return lengthString;
+        }
+    }
+
+    /**
+     * Returns the name of a character set or collation in lowercase. MySQL 8 reports the utf8 character set as
+     * utf8mb3, which is what utf8 refers to
+     * @param {string} name The name of the character set or collation, e.g "utf8_general_ci"
+     * @return {string} The normalized name, e.g "utf8mb3_general_ci"
+     */
+    getNormalizedCharsetName(name = "") {
+        return name.toLowerCase().replace(/^utf8(?=_|$)/, "utf8mb3");
+    }
+    //#endregion
+
+    /**
+     * The main synchronization function that orchestrates all the work. The following steps are performed:
+     * @param {boolean} skipUserPrompts Forces default selections for all user prompts during syncronisation
+     * 1. Check the integrity of the given data model to ensure we can perform the synchronization
+     * 2. Remove tables that are not in the data model
+     * 3. Create any new tables that are in the data model but not in the database
+     * 4. Loop through all the entities in the data model and update their corresponding database tables
+     *    to ensure that their columns match the data model attribute names and types
+     * 5. Loop through all the entities in the data model and update their corresponding database tables
+     *    to ensure that their indexes match the data model indexes
+     * 6. Loop through all the entities in the data model and update their corresponding database tables
+     *    to ensure that their relationships match the data model relationships. Here we either create new
+     *    foreign key constraints or drop existing ones where necessary
+     * @return {Promise<boolean>} Will return false if anything fails. Reasons will be printed to the console. A report
+     * of the sync is available from getLastSyncReport() afterwards
+     */
+    async syncDatabase(skipUserPrompts = false) {
+        this.warningInfo = [];
+        this.lastSyncReport = null;
+        this.syncReport = {
+            success: false,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: 0,
+            checksum: this.getDataModelChecksum(),
+            isDataModelUnchanged: false,
+            hasWaitedForLock: false,
+            modules: {},
+            skippedTables: [],
+            warnings: this.warningInfo,
+            error: null,
+        };
+
+        // The sync locks are released even if the sync throws, so that other instances do not wait for them in vain
+        try {
+            const success = await this.runDatabaseSync(skipUserPrompts);
+
+            const syncReport = this.syncReport;
+            this.syncReport = null;
+
+            const finishedAt = new Date();
+            syncReport.success = success;
+            syncReport.finishedAt = finishedAt.toISOString();
+            syncReport.durationMs = finishedAt.getTime() - new Date(syncReport.startedAt).getTime();
+            if (!success) {
+                const lastError = this.getLastError();
+                syncReport.error = lastError !== null ? lastError.message : "Unknown error";
+            }
+
+            if (this.isSchemaHistoryPrepared && !syncReport.isDataModelUnchanged) {
+                await this.recordSchemaHistory(syncReport);
+            }
+
+            this.lastSyncReport = syncReport;
+            return success;
+        } finally {
+            this.syncReport = null;
+            await this.releaseSyncLocks();
+        }
+    }
+
+    /**
+     * Returns the report of the last call to syncDatabase()
+     * @return {{success: boolean, startedAt: string, finishedAt: string, durationMs: number, checksum: string,
+     * isDataModelUnchanged: boolean, hasWaitedForLock: boolean, modules: {}, skippedTables: {tableName: string,
+     * reason: string}[], warnings: string[], error: string|null}|null} The report, or null if no sync has completed.
+     * "modules" has a key for each module in which statements were executed, of which the value is in the form
+     * {tables: {}}. "tables" has a key for each affected table, of which the value is in the form {statements: [{type,
+     * objectName, sql, durationMs, outcome: "success"|"failed", error}]}. isDataModelUnchanged is true if the sync was
+     * skipped, because the data model has not changed since the last successful sync, or because another instance
+     * synced it while this one waited for the sync lock. If the sync failed, "error" describes the reason
+     */
+    getLastSyncReport() {
+        return this.lastSyncReport;
+    }
+
+    /**
+     * Does the work for syncDatabase()
+     * @param {boolean} skipUserPrompts Forces default selections for all user prompts during syncronisation
+     * @return {Promise<boolean>} Will return false if anything fails. Reasons will be printed to the console.
+     */
+    async runDatabaseSync(skipUserPrompts = false) {
+        this.startNewCommandLineSection("Starting database sync...");
+
+        this.emitSyncEvent(SYNC_EVENTS.warning, {
+            message:
+                "This operation will modify the existing database to align with the provided data model.\n" +
+                "Ensure that you have backed up the database if you do not want to risk any data loss.",
+        });
+
+        let answer = "y";
+        if (!skipUserPrompts) {
+            answer = await dxUtils.getCommandLineInput("Ready to proceed? (y/n)");
+        }
+
+        if (answer.toString().toLowerCase() !== "y") {
+            this.populateError("Database sync cancelled.");
+            this.printCustomErrorMessage("Database sync cancelled.");
+            return false;
+        }
+
+        const initSuccess = await this.databaseConnector.init();
+
+        if (!initSuccess) {
+            this.populateError("Database init failed", this.databaseConnector.getLastError());
+            this.printLastError();
+            return false;
+        }
+
+        // 1. Check the integrity of the given data model to ensure we can perform the synchronization
+        if (!(await this.checkDataModelIntegrity())) {
+            this.printCustomErrorMessage("Data model integrity check failed!");
+            this.printLastError();
+            return false;
+        } else {
+            this.printProgress("Data model integrity check succeeded!");
+        }
+
+        const hasWaitedForLock = await this.acquireSyncLocks();
+        if (hasWaitedForLock === null) {
+            this.printCustomErrorMessage("Could not acquire the sync lock");
+            this.printLastError();
+            return false;
+        }
+
+        this.syncReport.hasWaitedForLock = hasWaitedForLock;
+
+        if (this.isSchemaHistoryEnabled) {
+            if (!(await this.prepareSchemaHistory())) {
+                this.printCustomErrorMessage("Could not prepare the schema history");
+                this.printLastError();
+                return false;
+            }
+
+            if (this.isSkippingUnchangedDataModel) {
+                const isDataModelUnchanged = await this.isDataModelUnchangedSinceLastSync(this.syncReport.checksum);
+                if (isDataModelUnchanged === null) {
+                    this.printLastError();
+                    return false;
+                }
+
+                if (isDataModelUnchanged) {
+                    this.syncReport.isDataModelUnchanged = true;
+                    this.startNewCommandLineSection(
+                        "The data model has not changed since the last successful sync. Nothing to do."
+                    );
+                    return true;
+                }
+            }
+        }
+
+        if (hasWaitedForLock) {
+            // Another instance has just synced. If it applied the same data model, there is nothing left to do
+            const warningInfo = this.warningInfo;
+            const schemaDiff = await this.getSchemaDiff();
+            this.warningInfo = warningInfo;
+
+            if (schemaDiff === null) {
+                this.printCustomErrorMessage("Could not check the database for differences");
+                this.printLastError();
+                return false;
+            }
+
+            // Tables that are not defined in the data model are only removed when the prompts are answered, so they
+            // would otherwise make every waiting instance sync again
+            if (!this.hasSchemaDifferences(schemaDiff, !skipUserPrompts)) {
+                this.syncReport.isDataModelUnchanged = true;
+                this.startNewCommandLineSection("Another instance has already synced the database. Nothing to do.");
+                return true;
+            }
+        }
+
+        if (!(await this.runSyncSteps(skipUserPrompts))) {
+            return false;
+        }
+
+        this.startNewCommandLineSection("Database sync completed successfully!");
+        return true;
+    }
+
+    /**
+     * Performs the same analysis as syncDatabase(), but without modifying the database. Every statement that the sync
+     * would execute is collected, in the order that it would be executed, and returned per module
+     * @param {boolean} includeTableRemoval If true, tables that are not defined in the data model will be planned to be
+     * removed. Otherwise, they are left untouched, which is the default behaviour when skipping user prompts
+     * @return {Promise<{}|null>} An object with a key for each module. Each value is an array of steps in the form
+     * {type: "add column", tableName: "table_name", objectName: "column_name", sql: "ALTER TABLE ...", downSql:
+     * "ALTER TABLE ..."}, where downSql reverses the step and is null if the step cannot be reversed. Returns null if
+     * the plan could not be determined. Reasons will be printed to the console.
+     */
+    async planSync(includeTableRemoval = false) {
+        this.startNewCommandLineSection("Planning database sync...");
+
+        const initSuccess = await this.databaseConnector.init();
+
+        if (!initSuccess) {
+            this.populateError("Database init failed", this.databaseConnector.getLastError());
+            this.printLastError();
+            return null;
+        }
+
+        if (!(await this.checkDataModelIntegrity())) {
+            this.printCustomErrorMessage("Data model integrity check failed!");
+            this.printLastError();
+            return null;
+        } else {
+            this.printProgress("Data model integrity check succeeded!");
+        }
+
+        this.isPlanMode = true;
+        this.syncPlan = {};
+
+        // Plan mode is always left, so that an exception cannot turn later syncs into plans
+        let planSuccess = false;
+        try {
+            planSuccess = await this.runSyncSteps(true, includeTableRemoval ? "all" : "none");
+        } finally {
+            this.isPlanMode = false;
+        }
+
+        if (!planSuccess) {
+            return null;
+        }
+
+        this.startNewCommandLineSection("Database sync plan completed. No changes were made.");
+        return this.syncPlan;
+    }
+
+    /**
+     * Writes the statements that syncDatabase() would execute to sql files, rather than executing them. This is useful
+     * for environments where schema changes have to be applied by hand. A timestamped folder is created in the given
+     * directory, containing a folder for each module that requires changes. If the folder already exists, nothing is
+     * written. Each module folder contains:
+     * - up.sql: The statements that align the database with the data model
+     * - down.sql: A best-effort set of statements that reverse up.sql, in reverse order. Steps that cannot be
+     *   reversed, e.g dropping a column, are marked as irreversible
+     * @param {string} migrationsDirectory The directory in which to create the migration folder
+     * @param {boolean} includeTableRemoval If true, tables that are not defined in the data model will be dropped
+     * @return {Promise<{migrationPath: string|null, modules: string[]}|null>} The path to the migration folder and the
+     * modules for which files were written. migrationPath is null if the database is already up to date. Returns null
+     * if the migration could not be generated. Reasons will be printed to the console.
+     */
+    async generateMigrationFiles(migrationsDirectory = "migrations", includeTableRemoval = false) {
+        const syncPlan = await this.planSync(includeTableRemoval);
+        if (syncPlan === null) {
+            return null;
+        }
+
+        const modulesToMigrate = Object.keys(this.databaseConfig).filter(
+            (moduleName) => (syncPlan[moduleName] ?? []).length > 0
+        );
+
+        if (modulesToMigrate.length === 0) {
+            this.printInfo("The database is up to date. No migration files were written.");
+            return { migrationPath: null, modules: [] };
+        }
+
+        // The folder is named after the time, to the millisecond, e.g "20240101120000123". An existing folder is never
+        // overwritten
+        const createdAt = new Date();
+        const migrationPath = path.join(migrationsDirectory, createdAt.toISOString().replace(/\D/g, ""));
+
+        try {
+            fs.mkdirSync(migrationsDirectory, { recursive: true });
+            fs.mkdirSync(migrationPath);
+
+            for (const moduleName of modulesToMigrate) {
+                const modulePath = path.join(migrationPath, moduleName);
+                const fileHeader =
+                    "-- Generated by dx-db-sync on " +
+                    createdAt.toISOString() +
+                    "\n-- Module: " +
+                    moduleName +
+                    " (database: " +
+                    this.databaseConfig[moduleName]["database"] +
+                    ")\n\n";
+
+                fs.mkdirSync(modulePath, { recursive: true });
+                fs.writeFileSync(
+                    path.join(modulePath, "up.sql"),
+                    fileHeader + this.getMigrationSql(syncPlan[moduleName], false)
+                );
+                fs.writeFileSync(
+                    path.join(modulePath, "down.sql"),
+                    fileHeader + this.getMigrationSql([...syncPlan[moduleName]].reverse(), true)
+                );
+            }
+        } catch (error) {
+            this.printCustomErrorMessage("Could not write migration files to '" + migrationPath + "'");
+            this.populateError("Could not write migration files to '" + migrationPath + "'", error);
+            this.printLastError();
+            return null;
+        }
+
+        this.printProgress(
+            "Migration files written to '" + migrationPath + "' for module(s): " + modulesToMigrate.join(", ")
+        );
+
+        return { migrationPath, modules: modulesToMigrate };
+    }
+
+    /**
+     * Returns the contents of a migration file for the given steps
+     * @param {{type: string, tableName: string, objectName: string, sql: string, downSql: string|null}[]} syncSteps
+     * The steps, as planned by planSync(), in the order in which they should appear
+     * @param {boolean} isDown If true, the reversing statement of each step is used
+     * @return {string} The sql, with a comment describing each step
+     */
+    getMigrationSql(syncSteps = [], isDown = false) {
+        let migrationSql = "SET FOREIGN_KEY_CHECKS = 0;\n\n";
+
+        for (const syncStep of syncSteps) {
+            const stepDescription = "-- " + (isDown ? "Reverse " : "") + syncStep.type + ": " + syncStep.objectName;
+            const statement = isDown ? syncStep.downSql : syncStep.sql;
+
+            if (statement === null) {
+                migrationSql +=
+                    "-- IRREVERSIBLE: " +
+                    syncStep.type +
+                    " (" +
+                    syncStep.objectName +
+                    " on " +
+                    syncStep.tableName +
+                    ") cannot be reversed. Its data has to be restored from a backup\n\n";
+                continue;
+            }
+
+            migrationSql +=
+                stepDescription + " (" + syncStep.tableName + ")\n" + this.getTerminatedSql(statement) + "\n\n";
+        }
+
+        return migrationSql + "SET FOREIGN_KEY_CHECKS = 1;\n";
+    }
+
+    /**
+     * Ensures that the given sql statement ends with a semicolon
+     * @param {string} sql The sql statement
+     * @return {string} The terminated sql statement
+     */
+    getTerminatedSql(sql = "") {
+        const trimmedSql = sql.trim();
+        return trimmedSql.endsWith(";") ? trimmedSql : trimmedSql + ";";
+    }
+
+    /**
+     * Analyzes the database and performs steps 2 to 6 of the synchronization process, as described in syncDatabase().
+     * When planning, the statements are collected in the sync plan rather than executed
+     * @param {boolean} skipUserPrompts Forces default selections for all user prompts during syncronisation
+     * @param {string} skippedPromptAnswer The answer to use for the table removal prompt when prompts are skipped
+     * @return {Promise<boolean>} Will return false if anything fails. Reasons will be printed to the console.
+     */
+    async runSyncSteps(skipUserPrompts = false, skippedPromptAnswer = "none") {
+        this.printProgress("Analyzing database...");
+
+        await this.analyzeDatabaseTables();
+
+        this.printInfo("Database currently has " + Object.keys(this.existingTables).length + " table(s)");
+        this.printInfo("Based on the data model, we are expecting " + this.expectedTables.length + " table(s)");
+
+        // 2. Remove tables that are not in the data model
+        if (!(await this.removeTables(skipUserPrompts, skippedPromptAnswer))) {
+            this.printCustomErrorMessage("Error while attempting to remove tables");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Database clean up completed!");
+        }
+
+        // 2b. Rename tables for entities that were renamed in the data model, to preserve their data
+        if (!(await this.renameTables())) {
+            this.printCustomErrorMessage("Error while attempting to rename tables");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Table renaming completed!");
+        }
+
+        // 3. Create any new tables that are in the data model but not in the database
+        if (!(await this.createTables())) {
+            this.printCustomErrorMessage("Error while attempting to create new tables");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Table creation completed!");
+        }
+
+        // 4a. We call updateRelationships here to ensure any redundant foreign key constraints are removed before
+        //      attempting to update the tables. This sidesteps any constraint-related errors
+        if (!(await this.updateRelationships(true))) {
+            this.printCustomErrorMessage("Error while attempting to remove relationships");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("No redundant relationships!");
+        }
+
+        // 4. Loop through all the entities in the data model and update their corresponding database tables
+        //      to ensure that their columns match the data model attribute names and types
+        if (!(await this.updateTables())) {
+            this.printCustomErrorMessage("Error while attempting to update tables");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Table modification completed!");
+        }
+
+        // 5. Loop through all the entities in the data model and update their corresponding database tables
+        //      to ensure that their indexes match the data model indexes
+        if (!(await this.updateIndexes())) {
+            this.printCustomErrorMessage("Error while attempting to update indexes");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Indexes up to date!");
+        }
+
+        // 5b. Apply the column and index changes of each table in a single statement, since each statement can
+        //      rebuild the table
+        if (!(await this.applyTableAlterations())) {
+            this.printCustomErrorMessage("Error while attempting to alter tables");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Table alterations completed!");
+        }
+
+        // 6. Loop through all the entities in the data model and update their corresponding database tables
+        //      to ensure that their relationships match the data model relationships. Here we either create new
+        //      foreign key constraints or drop existing ones where necessary
+        if (!(await this.updateRelationships())) {
+            this.printCustomErrorMessage("Error while attempting to update relationships");
+            this.printLastError();
+
+            if (this.foreignKeyChecksDisabled) {
+                await this.restoreForeignKeyChecks();
+            }
+
+            return false;
+        } else {
+            this.printProgress("Relationships up to date!");
+        }
+
+        return true;
+    }
+
+    /**
+     * Compares the tables in the database with the tables expected by the data model and determines which tables
+     * should be renamed, created and removed
+     * @return {Promise<void>}
+     */
+    async analyzeDatabaseTables() {
+        this.schemaSnapshots = {};
+        this.existingTables = await this.getDatabaseTables();
+        this.expectedTables = [];
+        for (const expectedTable of Object.keys(this.dataModel)) {
+            this.expectedTables.push(this.getCaseNormalizedString(expectedTable));
+        }
+
+        this.tablesToRename = this.getTablesToRename();
+        this.tablesToCreate = this.getTablesToCreate();
+        this.tablesToRemove = this.getTablesToRemove();
+    }
+
+    /**
+     * Compares the database(s) with the data model and describes every difference, without printing anything to the
+     * console or modifying the database. This is useful to detect schema drift, e.g. as part of a CI pipeline
+     * @return {Promise<{}|null>} The differences in the form {hasDifferences: boolean, warnings: string[],
+     * modules: {}}. "modules" has a key for each module, of which the value is in the form {missingTables: [],
+     * extraTables: [], renamedTables: [], tables: {}}. "tables" only contains the existing tables that differ from the
+     * data model, each with the column, index and foreign key differences as returned by getEntityColumnDiff(),
+     * getEntityIndexDiff() and getEntityForeignKeyDiff(). Returns null if the differences could not be determined.
+     * Reasons are available via getLastError()
+     */
+    async getSchemaDiff() {
+        this.isOutputSuppressed = true;
+        this.warningInfo = [];
+
+        // Output and plan mode are always restored, so that an exception cannot silence or disable later syncs
+        try {
+            return await this.getSchemaDiffForModules();
+        } finally {
+            this.isOutputSuppressed = false;
+            this.isPlanMode = false;
+        }
+    }
+
+    /**
+     * Does the work for getSchemaDiff(). Tables that would be renamed or created by a sync are treated as if they
+     * already were, so that their remaining differences can be determined
+     * @return {Promise<{}|null>} See getSchemaDiff()
+     */
+    async getSchemaDiffForModules() {
+        if (!(await this.checkDataModelIntegrity())) {
+            return null;
+        }
+
+        this.isPlanMode = true;
+        this.syncPlan = {};
+
+        await this.analyzeDatabaseTables();
+
+        let schemaDiff = { hasDifferences: false, warnings: this.warningInfo, modules: {} };
+        const tableModuleMapping = this.getTableModuleMapping();
+
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            const moduleTables = await this.getModuleDatabaseTables(moduleName);
+            if (moduleTables === null) {
+                return null;
+            }
+
+            const expectedModuleTables = tableModuleMapping[moduleName] ?? [];
+            schemaDiff.modules[moduleName] = {
+                missingTables: this.tablesToCreate.filter((x) => expectedModuleTables.includes(x)),
+                extraTables: Object.keys(moduleTables).filter(
+                    (x) =>
+                        !expectedModuleTables.includes(x) &&
+                        !this.tablesToRename.some((obj) => obj.moduleName === moduleName && obj.fromTableName === x)
+                ),
+                renamedTables: this.tablesToRename
+                    .filter((obj) => obj.moduleName === moduleName)
+                    .map((obj) => ({ fromTableName: obj.fromTableName, toTableName: obj.toTableName })),
+                tables: {},
+            };
+        }
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            const moduleName = this.dataModel[entityName]["module"];
+            const tableName = this.getCaseNormalizedString(entityName);
+            if (this.tablesToCreate.includes(tableName)) {
+                continue;
+            }
+
+            const tableColumns = await this.getTableColumns(moduleName, tableName);
+            const indexRows = await this.getTableIndexes(moduleName, tableName);
+            const foreignKeyRows = await this.getTableForeignKeys(moduleName, tableName);
+            const tableOptionsDiff = await this.getEntityTableOptionsDiff(entityName, moduleName, tableName);
+            if (tableColumns === null || indexRows === null || foreignKeyRows === null || tableOptionsDiff === null) {
+                this.populateError(
+                    "Could not inspect table '" + tableName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return null;
+            }
+
+            const serverInfo = await this.getServerInfo(moduleName);
+            const tableDiff = {
+                tableOptionsToModify: tableOptionsDiff,
+                ...this.getEntityColumnDiff(entityName, tableColumns),
+                ...this.getEntityIndexDiff(entityName, indexRows, serverInfo.supportsDescendingIndexes),
+                ...this.getEntityForeignKeyDiff(entityName, foreignKeyRows),
+            };
+
+            if (Object.values(tableDiff).some((differences) => differences.length > 0)) {
+                schemaDiff.modules[moduleName].tables[tableName] = tableDiff;
+            }
+        }
+
+        schemaDiff.hasDifferences = this.hasSchemaDifferences(schemaDiff);
+
+        return schemaDiff;
+    }
+
+    /**
+     * Checks whether the given schema diff describes any difference between the database(s) and the data model
+     * @param {{}} schemaDiff The differences, as returned by getSchemaDiff()
+     * @param {boolean} includeExtraTables Whether tables that are not defined in the data model count as a difference
+     * @return {boolean} True if there are differences
+     */
+    hasSchemaDifferences(schemaDiff, includeExtraTables = true) {
+        return Object.values(schemaDiff.modules).some(
+            (moduleDiff) =>
+                moduleDiff.missingTables.length > 0 ||
+                (includeExtraTables && moduleDiff.extraTables.length > 0) ||
+                moduleDiff.renamedTables.length > 0 ||
+                Object.keys(moduleDiff.tables).length > 0
+        );
+    }
+
+    /**
+     * Performs an integrity check on the provided data model to ensure that it aligns with our expectation
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async checkDataModelIntegrity() {
+        this.startNewCommandLineSection("Data model integrity check.");
+
+        const validationResult = this.validateDataModel();
+        for (const warning of validationResult.warnings) {
+            this.populateWarning(this.getValidationMessage(warning));
+        }
+
+        if (!validationResult.isValid) {
+            for (const error of validationResult.errors) {
+                this.printCustomErrorMessage(this.getValidationMessage(error));
+                this.populateError(this.getValidationMessage(error));
+            }
+
+            this.populateError("Data model validation failed with " + validationResult.errors.length + " error(s)");
+            return false;
+        }
+
+        this.reportCrossModuleRelationships();
+
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            const innoDbCheckResult = await this.databaseConnector.queryDB("SHOW ENGINES", moduleName);
+            if (innoDbCheckResult === null) {
+                this.populateError("Could not check database engine", this.databaseConnector.getLastError());
+                return false;
+            }
+
+            for (const row of innoDbCheckResult) {
+                if (row["Engine"].toLowerCase() === "innodb") {
+                    if (row["Support"].toLowerCase() !== "default") {
+                        this.populateError("The active database engine is NOT InnoDB. Cannot proceed.");
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Validates the data model without connecting to the database. Unlike the sync, validation does not stop at the
+     * first problem. Every problem is reported along with its location in the data model, e.g
+     * "exampleEntityTwo.attributes.exampleTwoBigInt.allowNull". Keys may be provided in any order. Unknown keys are
+     * reported as warnings. If no database configuration was provided, module names are not checked against it
+     * @return {{isValid: boolean, errors: {path: string, message: string}[], warnings: {path: string,
+     * message: string}[]}} The validation result. The data model is valid if there are no errors
+     */
+    validateDataModel() {
+        let validationResult = { isValid: true, errors: [], warnings: [] };
+
+        if (!this.isDefinitionObject(this.dataModel) || Object.keys(this.dataModel).length === 0) {
+            this.addValidationError(validationResult, "", "Data model has no entities defined");
+            return validationResult;
+        }
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            this.validateEntity(validationResult, entityName, this.dataModel[entityName]);
+        }
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            if (this.isDefinitionObject(this.dataModel[entityName])) {
+                this.validateEntityReferences(validationResult, entityName, this.dataModel[entityName]);
+            }
+        }
+
+        return validationResult;
+    }
+
+    /**
+     * Validates the definition of a single entity
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} entityName The name of the entity
+     * @param {{}} entityObj The entity, as defined in the data model
+     */
+    validateEntity(validationResult, entityName, entityObj) {
+        if (!this.isDefinitionObject(entityObj)) {
+            this.addValidationError(validationResult, entityName, "Expected an entity definition object");
+            return;
+        }
+
+        const baseKeys = ["module", "attributes", "indexes", "relationships", "options"];
+        for (const baseKey of baseKeys) {
+            if (typeof entityObj[baseKey] === "undefined") {
+                this.addValidationError(
+                    validationResult,
+                    entityName + "." + baseKey,
+                    "Entity " + entityName + " has no " + baseKey + " definition"
+                );
+            }
+        }
+
+        this.addUnknownKeyWarnings(validationResult, entityName, entityObj, [
+            ...baseKeys,
+            "previousNames",
+            "tableOptions",
+        ]);
+
+        if (this.getCaseNormalizedString(entityName) === SCHEMA_HISTORY_TABLE) {
+            this.addValidationError(
+                validationResult,
+                entityName,
+                "The table name '" + SCHEMA_HISTORY_TABLE + "' is reserved for the schema history"
+            );
+        }
+
+        if (!this.isValidPreviousNamesDefinition(entityObj["previousNames"])) {
+            this.addValidationError(
+                validationResult,
+                entityName + ".previousNames",
+                "Invalid previousNames definition. Expected an array of entity names"
+            );
+        }
+
+        if (typeof entityObj["tableOptions"] !== "undefined") {
+            this.validateTableOptions(validationResult, entityName + ".tableOptions", entityObj["tableOptions"]);
+        }
+
+        const moduleName = entityObj["module"];
+        if (typeof moduleName !== "undefined") {
+            if (typeof moduleName !== "string" || moduleName.length === 0) {
+                this.addValidationError(validationResult, entityName + ".module", "Expected a module name");
+            } else if (
+                Object.keys(this.databaseConfig).length > 0 &&
+                typeof this.databaseConfig[moduleName] === "undefined"
+            ) {
+                this.addValidationError(
+                    validationResult,
+                    entityName + ".module",
+                    "Invalid module name. '" + moduleName + "' is not defined in the database configuration"
+                );
+            }
+        }
+
+        const attributes = entityObj["attributes"];
+        if (typeof attributes !== "undefined") {
+            if (!this.isDefinitionObject(attributes)) {
+                this.addValidationError(
+                    validationResult,
+                    entityName + ".attributes",
+                    "Expected an object that contains a definition for each attribute"
+                );
+            } else {
+                if (Object.keys(attributes).length === 0) {
+                    this.addValidationWarning(
+                        validationResult,
+                        entityName + ".attributes",
+                        "Entity " + entityName + " has no attributes provided"
+                    );
+                }
+
+                for (const attributeName of Object.keys(attributes)) {
+                    this.validateAttribute(
+                        validationResult,
+                        entityName + ".attributes." + attributeName,
+                        attributes[attributeName]
+                    );
+                }
+            }
+        }
+
+        const indexes = entityObj["indexes"];
+        if (typeof indexes !== "undefined") {
+            if (!Array.isArray(indexes)) {
+                this.addValidationError(
+                    validationResult,
+                    entityName + ".indexes",
+                    "Expected an array of index definitions"
+                );
+            } else {
+                for (let i = 0; i < indexes.length; i++) {
+                    this.validateIndex(validationResult, entityName + ".indexes[" + i + "]", indexes[i]);
+                }
+            }
+        }
+
+        const relationships = entityObj["relationships"];
+        if (typeof relationships !== "undefined") {
+            if (!this.isDefinitionObject(relationships)) {
+                this.addValidationError(
+                    validationResult,
+                    entityName + ".relationships",
+                    "Expected an object with an array of relationships for each related entity"
+                );
+            } else {
+                for (const relationshipEntity of Object.keys(relationships)) {
+                    const relationshipsPath = entityName + ".relationships." + relationshipEntity;
+                    if (!Array.isArray(relationships[relationshipEntity])) {
+                        this.addValidationError(
+                            validationResult,
+                            relationshipsPath,
+                            "Expected an array of relationship names or {name, onDelete, onUpdate, required} objects"
+                        );
+                        continue;
+                    }
+
+                    for (let i = 0; i < relationships[relationshipEntity].length; i++) {
+                        this.validateRelationship(
+                            validationResult,
+                            relationshipsPath + "[" + i + "]",
+                            relationships[relationshipEntity][i]
+                        );
+                    }
+                }
+            }
+        }
+
+        if (typeof entityObj["options"] !== "undefined" && !this.isDefinitionObject(entityObj["options"])) {
+            this.addValidationError(validationResult, entityName + ".options", "Expected an object");
+        }
+    }
+
+    /**
+     * Validates the references between the parts of a single entity and the rest of the data model, i.e the entities
+     * that its relationships point to, the columns that its indexes are defined on and the names of the columns and
+     * indexes that will be created. Only parts that are structurally valid are checked, since the others are already
+     * reported by validateEntity()
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} entityName The name of the entity
+     * @param {{}} entityObj The entity, as defined in the data model
+     */
+    validateEntityReferences(validationResult, entityName, entityObj) {
+        let entityColumns = { [this.getPrimaryKeyColumn()]: "the primary key column" };
+        const options = this.isDefinitionObject(entityObj["options"]) ? entityObj["options"] : {};
+        if (
+            typeof options["enforceLockingConstraints"] !== "undefined" &&
+            options["enforceLockingConstraints"] !== false
+        ) {
+            entityColumns[this.getLockingConstraintColumn()] = "the locking constraint column";
+        }
+
+        const attributes = this.isDefinitionObject(entityObj["attributes"]) ? entityObj["attributes"] : {};
+        for (const attributeName of Object.keys(attributes)) {
+            const columnName = this.getCaseNormalizedString(attributeName);
+            if (typeof entityColumns[columnName] !== "undefined") {
+                this.addValidationError(
+                    validationResult,
+                    entityName + ".attributes." + attributeName,
+                    "Attribute '" +
+                        attributeName +
+                        "' of entity '" +
+                        entityName +
+                        "' maps to column '" +
+                        columnName +
+                        "', which is already used by " +
+                        entityColumns[columnName]
+                );
+                continue;
+            }
+
+            entityColumns[columnName] = "attribute '" + attributeName + "'";
+        }
+
+        const relationships = this.isDefinitionObject(entityObj["relationships"]) ? entityObj["relationships"] : {};
+        let constraintNames = {};
+        for (const relationshipEntity of Object.keys(relationships)) {
+            const relationshipsPath = entityName + ".relationships." + relationshipEntity;
+            if (!this.isDefinitionObject(this.dataModel[relationshipEntity])) {
+                this.addValidationError(
+                    validationResult,
+                    relationshipsPath,
+                    "Entity '" +
+                        entityName +
+                        "' has a relationship with entity '" +
+                        relationshipEntity +
+                        "', which is not defined in the data model"
+                );
+            }
+
+            if (!Array.isArray(relationships[relationshipEntity])) {
+                continue;
+            }
+
+            for (let i = 0; i < relationships[relationshipEntity].length; i++) {
+                const relationship = relationships[relationshipEntity][i];
+                if (this.getRelationshipDefinitionError(relationship) !== null) {
+                    continue;
+                }
+
+                const relationshipName = typeof relationship === "string" ? relationship : relationship["name"];
+                const constraintName = this.getForeignKeyConstraintName(
+                    entityName,
+                    relationshipEntity,
+                    relationshipName
+                );
+                constraintNames[constraintName.toLowerCase()] =
+                    "relationship '" + relationshipName + "' with entity '" + relationshipEntity + "'";
+
+                const columnName = this.getRelationshipColumnName(relationshipEntity, relationshipName);
+                if (typeof entityColumns[columnName] !== "undefined") {
+                    this.addValidationError(
+                        validationResult,
+                        relationshipsPath + "[" + i + "]",
+                        "Relationship '" +
+                            relationshipName +
+                            "' of entity '" +
+                            entityName +
+                            "' with entity '" +
+                            relationshipEntity +
+                            "' generates column '" +
+                            columnName +
+                            "', which is already used by " +
+                            entityColumns[columnName]
+                    );
+                    continue;
+                }
+
+                entityColumns[columnName] =
+                    "relationship '" + relationshipName + "' with entity '" + relationshipEntity + "'";
+            }
+        }
+
+        const indexes = Array.isArray(entityObj["indexes"]) ? entityObj["indexes"] : [];
+        let indexPaths = {};
+        let leadingIndexColumns = [];
+        for (let i = 0; i < indexes.length; i++) {
+            const indexObj = indexes[i];
+            const indexPath = entityName + ".indexes[" + i + "]";
+            if (!this.isDefinitionObject(indexObj)) {
+                continue;
+            }
+
+            if (typeof indexObj["indexName"] === "string" && indexObj["indexName"].length > 0) {
+                // Names are compared as they are created in the database, where index names are case-insensitive
+                const databaseIndexName = this.getCaseNormalizedString(indexObj["indexName"]);
+                const indexName = databaseIndexName.toLowerCase();
+                if (typeof indexPaths[indexName] !== "undefined") {
+                    this.addValidationError(
+                        validationResult,
+                        indexPath + ".indexName",
+                        "Entity '" +
+                            entityName +
+                            "' already has an index named '" +
+                            databaseIndexName +
+                            "' in the database at " +
+                            indexPaths[indexName]
+                    );
+                } else if (typeof constraintNames[indexName] !== "undefined") {
+                    this.addValidationError(
+                        validationResult,
+                        indexPath + ".indexName",
+                        "Index '" +
+                            indexObj["indexName"] +
+                            "' of entity '" +
+                            entityName +
+                            "' is named '" +
+                            databaseIndexName +
+                            "' in the database, which is the name of the foreign key constraint of " +
+                            constraintNames[indexName]
+                    );
+                } else {
+                    indexPaths[indexName] = indexPath;
+                }
+            }
+
+            if (
+                (typeof indexObj["attribute"] !== "undefined" && typeof indexObj["attributes"] !== "undefined") ||
+                this.getIndexAttributesDefinitionError(indexObj) !== null
+            ) {
+                continue;
+            }
+
+            const indexColumns = this.getIndexColumns(indexObj);
+            const indexChoice =
+                typeof indexObj["indexChoice"] === "string" ? indexObj["indexChoice"].toLowerCase() : "";
+            if (["index", "unique"].includes(indexChoice)) {
+                leadingIndexColumns.push(indexColumns[0].columnName);
+            }
+
+            const indexAttributesKey = typeof indexObj["attributes"] !== "undefined" ? "attributes" : "attribute";
+            for (const indexColumn of indexColumns) {
+                if (typeof entityColumns[indexColumn.columnName] === "undefined") {
+                    this.addValidationError(
+                        validationResult,
+                        indexPath + "." + indexAttributesKey,
+                        "Index '" +
+                            indexObj["indexName"] +
+                            "' of entity '" +
+                            entityName +
+                            "' is defined on column '" +
+                            indexColumn.columnName +
+                            "', which is not an attribute or relationship column of the entity"
+                    );
+                }
+            }
+        }
+
+        // MySQL allows only one auto-incremented column per table, which must be the first column of an index. See
+        // getEntityAutoIncrementAttribute()
+        const autoIncrementAttributes = Object.keys(attributes).filter(
+            (attributeName) =>
+                this.isDefinitionObject(attributes[attributeName]) &&
+                attributes[attributeName]["autoIncrement"] === true
+        );
+        for (const attributeName of autoIncrementAttributes.slice(1)) {
+            this.addValidationError(
+                validationResult,
+                entityName + ".attributes." + attributeName + ".autoIncrement",
+                "Entity '" +
+                    entityName +
+                    "' can only have one auto-incremented attribute, and attribute '" +
+                    autoIncrementAttributes[0] +
+                    "' already is"
+            );
+        }
+
+        if (
+            autoIncrementAttributes.length > 0 &&
+            !leadingIndexColumns.includes(this.getCaseNormalizedString(autoIncrementAttributes[0]))
+        ) {
+            this.addValidationError(
+                validationResult,
+                entityName + ".attributes." + autoIncrementAttributes[0] + ".autoIncrement",
+                "Auto-incremented attribute '" +
+                    autoIncrementAttributes[0] +
+                    "' of entity '" +
+                    entityName +
+                    "' must be the first attribute of an index or unique index"
+            );
+        }
+    }
+
+    /**
+     * Validates the definition of a single attribute
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} attributePath The location of the attribute in the data model
+     * @param {{}} attributeObj The attribute, as defined in the data model
+     */
+    validateAttribute(validationResult, attributePath, attributeObj) {
+        const expectedAttributeDefinition = {
+            type: "[MySQL column type]",
+            lengthOrValues: "[null|int|if type is enum, then comma separated values '1','2','3',...]",
+            default: "[value|null|CURRENT_TIMESTAMP]",
+            allowNull: "[true|false]",
+        };
+
+        if (!this.isDefinitionObject(attributeObj)) {
+            this.addValidationError(
+                validationResult,
+                attributePath,
+                "Invalid attribute definition. Expected: " + JSON.stringify(expectedAttributeDefinition)
+            );
+            return;
+        }
+
+        for (const attributeKey of Object.keys(expectedAttributeDefinition)) {
+            if (typeof attributeObj[attributeKey] === "undefined") {
+                this.addValidationError(
+                    validationResult,
+                    attributePath + "." + attributeKey,
+                    "Missing attribute option. Expected: " + expectedAttributeDefinition[attributeKey]
+                );
+            }
+        }
+
+        this.addUnknownKeyWarnings(validationResult, attributePath, attributeObj, [
+            ...Object.keys(expectedAttributeDefinition),
+            "previousNames",
+            "charset",
+            "collation",
+            "comment",
+            "unsigned",
+            "zerofill",
+            "onUpdate",
+            "autoIncrement",
+            "generated",
+        ]);
+
+        if (
+            typeof attributeObj["type"] !== "undefined" &&
+            (typeof attributeObj["type"] !== "string" || attributeObj["type"].length === 0)
+        ) {
+            this.addValidationError(validationResult, attributePath + ".type", "Expected a MySQL column type");
+        }
+
+        const lengthOrValues = attributeObj["lengthOrValues"];
+        if (
+            typeof lengthOrValues !== "undefined" &&
+            lengthOrValues !== null &&
+            !Number.isInteger(lengthOrValues) &&
+            typeof lengthOrValues !== "string"
+        ) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".lengthOrValues",
+                "Expected null, a length or a comma separated list of values"
+            );
+        }
+
+        if (
+            typeof attributeObj["default"] !== "undefined" &&
+            attributeObj["default"] !== null &&
+            !["string", "number", "boolean"].includes(typeof attributeObj["default"])
+        ) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".default",
+                "Expected null, a value or CURRENT_TIMESTAMP"
+            );
+        }
+
+        if (typeof attributeObj["allowNull"] !== "undefined" && typeof attributeObj["allowNull"] !== "boolean") {
+            this.addValidationError(validationResult, attributePath + ".allowNull", "Expected true or false");
+        }
+
+        if (!this.isValidPreviousNamesDefinition(attributeObj["previousNames"])) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".previousNames",
+                "Invalid previousNames definition. Expected an array of attribute names"
+            );
+        }
+
+        for (const characterSetError of this.getCharacterSetErrors(attributeObj)) {
+            this.addValidationError(
+                validationResult,
+                attributePath + "." + characterSetError.option,
+                characterSetError.message
+            );
+        }
+
+        if (typeof attributeObj["comment"] !== "undefined" && typeof attributeObj["comment"] !== "string") {
+            this.addValidationError(validationResult, attributePath + ".comment", "Expected a comment string");
+        }
+
+        for (const modifier of ["unsigned", "zerofill", "autoIncrement"]) {
+            if (typeof attributeObj[modifier] !== "undefined" && typeof attributeObj[modifier] !== "boolean") {
+                this.addValidationError(validationResult, attributePath + "." + modifier, "Expected true or false");
+            }
+        }
+
+        const onUpdate = attributeObj["onUpdate"];
+        if (
+            typeof onUpdate !== "undefined" &&
+            onUpdate !== null &&
+            (typeof onUpdate !== "string" || !/^current_timestamp(\(\d?\))?$/i.test(onUpdate))
+        ) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".onUpdate",
+                "Expected null or CURRENT_TIMESTAMP, optionally with a precision such as CURRENT_TIMESTAMP(3)"
+            );
+        }
+
+        const generated = attributeObj["generated"];
+        if (
+            typeof generated !== "undefined" &&
+            generated !== null &&
+            (!this.isDefinitionObject(generated) ||
+                typeof generated["expression"] !== "string" ||
+                generated["expression"].trim().length === 0 ||
+                !["undefined", "string"].includes(typeof generated["storage"]) ||
+                !["VIRTUAL", "STORED"].includes((generated["storage"] ?? "VIRTUAL").toUpperCase()))
+        ) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".generated",
+                'Invalid generated column definition. Expected: {"expression": "[sql expression]", ' +
+                    '"storage": "[VIRTUAL|STORED]"}'
+            );
+        } else if (
+            typeof generated !== "undefined" &&
+            generated !== null &&
+            !this.isSelfContainedSqlExpression(generated["expression"])
+        ) {
+            this.addValidationError(
+                validationResult,
+                attributePath + ".generated.expression",
+                "Invalid expression. Its parentheses must balance, and it may not contain ';', comments or backslashes"
+            );
+        }
+
+        const isStructurallyValid = validationResult.errors.every(
+            (error) => !error.path.startsWith(attributePath + ".")
+        );
+        if (!isStructurallyValid) {
+            return;
+        }
+
+        for (const typeError of this.getAttributeTypeErrors(attributeObj)) {
+            this.addValidationError(validationResult, attributePath + "." + typeError.option, typeError.message);
+        }
+    }
+
+    /**
+     * Checks whether the type, lengthOrValues, default and allowNull of an attribute form a valid MySQL column
+     * definition. This catches mistakes that would otherwise only surface as a MySQL error halfway through a sync
+     * @param {{}} attributeObj The attribute, as defined in the data model
+     * @return {{option: string, message: string}[]} A description of each problem, along with the attribute option
+     * that causes it. Empty if the definition is valid
+     */
+    getAttributeTypeErrors(attributeObj = {}) {
+        const columnType = attributeObj["type"].toLowerCase();
+        const typeCategory = MYSQL_COLUMN_TYPES[columnType];
+        if (typeof typeCategory === "undefined") {
+            return [{ option: "type", message: "'" + attributeObj["type"] + "' is not a supported MySQL column type" }];
+        }
+
+        let typeErrors = [];
+        if (!["string", "text", "list"].includes(typeCategory)) {
+            for (const option of ["charset", "collation"].filter((key) => typeof attributeObj[key] !== "undefined")) {
+                typeErrors.push({
+                    option: option,
+                    message: "A " + option + " can only be set for character string, text, enum and set columns",
+                });
+            }
+        }
+
+        if (!["integer", "fixedPoint", "floatingPoint"].includes(typeCategory)) {
+            for (const option of ["unsigned", "zerofill"].filter((key) => attributeObj[key] === true)) {
+                typeErrors.push({ option: option, message: option + " can only be set for numeric columns" });
+            }
+        }
+
+        if ((attributeObj["onUpdate"] ?? null) !== null && typeCategory !== "dateTime") {
+            typeErrors.push({
+                option: "onUpdate",
+                message: "onUpdate can only be set for datetime and timestamp columns",
+            });
+        }
+
+        if (attributeObj["autoIncrement"] === true) {
+            if (typeCategory !== "integer") {
+                typeErrors.push({
+                    option: "autoIncrement",
+                    message: "autoIncrement can only be set for integer columns",
+                });
+            }
+
+            if ((attributeObj["default"] ?? null) !== null) {
+                typeErrors.push({ option: "default", message: "Auto-incremented columns cannot have a default" });
+            }
+        }
+
+        if ((attributeObj["generated"] ?? null) !== null) {
+            if ((attributeObj["default"] ?? null) !== null) {
+                typeErrors.push({ option: "default", message: "Generated columns cannot have a default" });
+            }
+
+            if (attributeObj["autoIncrement"] === true) {
+                typeErrors.push({ option: "autoIncrement", message: "Generated columns cannot be auto-incremented" });
+            }
+
+            if ((attributeObj["onUpdate"] ?? null) !== null) {
+                typeErrors.push({ option: "onUpdate", message: "Generated columns cannot be set on update" });
+            }
+        }
+
+        const lengthOrValuesError = this.getLengthOrValuesError(columnType, attributeObj["lengthOrValues"] ?? null);
+        if (lengthOrValuesError !== null) {
+            typeErrors.push({ option: "lengthOrValues", message: lengthOrValuesError });
+        }
+
+        if ((attributeObj["onUpdate"] ?? null) !== null && typeCategory === "dateTime") {
+            const onUpdateError = this.getCurrentTimestampError(
+                attributeObj["onUpdate"],
+                lengthOrValuesError === null ? attributeObj["lengthOrValues"] ?? null : null
+            );
+            if (onUpdateError !== null) {
+                typeErrors.push({ option: "onUpdate", message: onUpdateError });
+            }
+        }
+
+        const columnDefault = attributeObj["default"] ?? null;
+        if (columnDefault === null) {
+            return typeErrors;
+        }
+
+        if (typeof columnDefault === "boolean") {
+            typeErrors.push({ option: "default", message: "Boolean defaults are not supported. Use 1 or 0 instead" });
+            return typeErrors;
+        }
+
+        const defaultError = this.getDefaultValueError(
+            columnType,
+            lengthOrValuesError === null ? attributeObj["lengthOrValues"] ?? null : null,
+            columnDefault.toString(),
+            attributeObj["allowNull"]
+        );
+        if (defaultError !== null) {
+            typeErrors.push({ option: "default", message: defaultError });
+        }
+
+        return typeErrors;
+    }
+
+    /**
+     * Checks whether the optional charset and collation of a definition are names, and whether the collation belongs
+     * to the charset. Collation names start with the name of their character set, e.g utf8mb4_unicode_ci
+     * @param {{charset?: string, collation?: string}} definition An attribute or table options definition
+     * @return {{option: string, message: string}[]} A description of each problem, along with the option that causes
+     * it. Empty if both are valid
+     */
+    getCharacterSetErrors(definition = {}) {
+        let characterSetErrors = [];
+        for (const option of ["charset", "collation"]) {
+            if (
+                typeof definition[option] !== "undefined" &&
+                (typeof definition[option] !== "string" || !/^\w+$/.test(definition[option]))
+            ) {
+                characterSetErrors.push({ option: option, message: "Expected a MySQL " + option + " name" });
+            }
+        }
+
+        if (
+            characterSetErrors.length === 0 &&
+            typeof definition["charset"] !== "undefined" &&
+            typeof definition["collation"] !== "undefined" &&
+            !definition["collation"].toLowerCase().startsWith(definition["charset"].toLowerCase() + "_")
+        ) {
+            characterSetErrors.push({
+                option: "collation",
+                message:
+                    "Collation '" +
+                    definition["collation"] +
+                    "' does not belong to charset '" +
+                    definition["charset"] +
+                    "'",
+            });
+        }
+
+        return characterSetErrors;
+    }
+
+    /**
+     * Validates the optional table options of an entity
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} tableOptionsPath The location of the table options in the data model
+     * @param {{}} tableOptions The table options, as defined in the data model
+     */
+    validateTableOptions(validationResult, tableOptionsPath, tableOptions) {
+        const expectedTableOptions = {
+            engine: "[MySQL storage engine, e.g InnoDB]",
+            charset: "[MySQL character set, e.g utf8mb4]",
+            collation: "[MySQL collation, e.g utf8mb4_unicode_ci]",
+            comment: "[Table comment]",
+            rowFormat: "[" + TABLE_ROW_FORMATS.join("|") + "]",
+            autoIncrementStart: "[Positive integer]",
+        };
+
+        if (!this.isDefinitionObject(tableOptions)) {
+            this.addValidationError(
+                validationResult,
+                tableOptionsPath,
+                "Invalid table options definition. Expected: " + JSON.stringify(expectedTableOptions)
+            );
+            return;
+        }
+
+        this.addUnknownKeyWarnings(validationResult, tableOptionsPath, tableOptions, Object.keys(expectedTableOptions));
+
+        const engine = tableOptions["engine"];
+        if (typeof engine !== "undefined" && (typeof engine !== "string" || !/^\w+$/.test(engine))) {
+            this.addValidationError(validationResult, tableOptionsPath + ".engine", "Expected a MySQL storage engine");
+        }
+
+        for (const characterSetError of this.getCharacterSetErrors(tableOptions)) {
+            this.addValidationError(
+                validationResult,
+                tableOptionsPath + "." + characterSetError.option,
+                characterSetError.message
+            );
+        }
+
+        if (typeof tableOptions["comment"] !== "undefined" && typeof tableOptions["comment"] !== "string") {
+            this.addValidationError(validationResult, tableOptionsPath + ".comment", "Expected a comment string");
+        }
+
+        const rowFormat = tableOptions["rowFormat"];
+        if (
+            typeof rowFormat !== "undefined" &&
+            (typeof rowFormat !== "string" || !TABLE_ROW_FORMATS.includes(rowFormat.toUpperCase()))
+        ) {
+            this.addValidationError(
+                validationResult,
+                tableOptionsPath + ".rowFormat",
+                "Expected one of: " + TABLE_ROW_FORMATS.join(", ")
+            );
+        }
+
+        const autoIncrementStart = tableOptions["autoIncrementStart"];
+        if (
+            typeof autoIncrementStart !== "undefined" &&
+            (!Number.isInteger(autoIncrementStart) || autoIncrementStart < 1)
+        ) {
+            this.addValidationError(
+                validationResult,
+                tableOptionsPath + ".autoIncrementStart",
+                "Expected a positive integer"
+            );
+        }
+    }
+
+    /**
+     * Checks whether the given lengthOrValues suits the given column type
+     * @param {string} columnType The MySQL column type, in lowercase
+     * @param {null|number|string} lengthOrValues The lengthOrValues, as defined in the data model
+     * @return {string|null} A description of the problem, or null if lengthOrValues is valid
+     */
+    getLengthOrValuesError(columnType, lengthOrValues) {
+        const typeCategory = MYSQL_COLUMN_TYPES[columnType];
+        const lengthString = lengthOrValues === null ? null : lengthOrValues.toString().trim();
+        const length = lengthString !== null && /^\d+$/.test(lengthString) ? Number(lengthString) : null;
+
+        const getRangeError = (minimum, maximum, isRequired = false) => {
+            if (lengthString === null) {
+                return isRequired ? "A length is required for " + columnType + " columns" : null;
+            }
+
+            if (length === null || length < minimum || length > maximum) {
+                return (
+                    "Expected " +
+                    (isRequired ? "" : "null or ") +
+                    "a length from " +
+                    minimum +
+                    " to " +
+                    maximum +
+                    " for " +
+                    columnType +
+                    " columns"
+                );
+            }
+
+            return null;
+        };
+
+        switch (typeCategory) {
+            case "integer":
+                return getRangeError(1, 255);
+            case "bit":
+                return getRangeError(1, 64);
+            case "fixedPoint":
+            case "floatingPoint": {
+                if (lengthString === null || (length !== null && length > 0 && length <= 255)) {
+                    return null;
+                }
+
+                const precisionMatch = lengthString.match(/^(\d+)\s*,\s*(\d+)$/);
+                if (precisionMatch === null) {
+                    return (
+                        "Expected null, a precision or a precision and scale written as '10,2' for " +
+                        columnType +
+                        " columns"
+                    );
+                }
+
+                const precision = Number(precisionMatch[1]);
+                const scale = Number(precisionMatch[2]);
+                const maximumPrecision = typeCategory === "fixedPoint" ? 65 : 255;
+                if (precision < 1 || precision > maximumPrecision || scale > 30 || scale > precision) {
+                    return (
+                        "Invalid precision and scale '" +
+                        lengthString +
+                        "'. The precision must be from 1 to " +
+                        maximumPrecision +
+                        " and the scale from 0 to 30, but not more than the precision"
+                    );
+                }
+
+                return null;
+            }
+            case "dateTime":
+            case "time":
+                return lengthString === null ? null : getRangeError(0, 6);
+            case "year":
+                return lengthString === null || length === 4 ? null : "Expected null or 4 for year columns";
+            case "string":
+                return ["varchar", "varbinary"].includes(columnType)
+                    ? getRangeError(1, 65535, true)
+                    : getRangeError(0, 255);
+            case "text":
+                return lengthString === null || length !== null
+                    ? null
+                    : "Expected null or a length for " + columnType + " columns";
+            case "list":
+                if (lengthString === null || this.getListValues(lengthString) === null) {
+                    return (
+                        "Expected a comma separated list of quoted values for " + columnType + " columns, e.g 'a','b'"
+                    );
+                }
+
+                return null;
+            default:
+                return lengthString === null ? null : "Expected null for " + columnType + " columns";
+        }
+    }
+
+    /**
+     * Checks whether CURRENT_TIMESTAMP is written with the fractional seconds precision of its column. MySQL rejects
+     * CURRENT_TIMESTAMP(3) as the default of a datetime column without a precision, and CURRENT_TIMESTAMP as that of a
+     * datetime(3) column
+     * @param {string} value The default or onUpdate value, e.g "CURRENT_TIMESTAMP(3)"
+     * @param {null|number|string} lengthOrValues The fractional seconds precision of the column, as defined in the
+     * data model. Null if it has none
+     * @return {string|null} A description of the problem, or null if the value is valid
+     */
+    getCurrentTimestampError(value, lengthOrValues) {
+        const currentTimestampMatch = value.match(/^current_timestamp(?:\((\d*)\))?$/i);
+        const precision = Number(lengthOrValues ?? 0);
+        const expectedValue = precision > 0 ? "CURRENT_TIMESTAMP(" + precision + ")" : "CURRENT_TIMESTAMP";
+        if (currentTimestampMatch !== null && Number(currentTimestampMatch[1] || 0) === precision) {
+            return null;
+        }
+
+        return (
+            "Expected '" +
+            expectedValue +
+            "', since the column has " +
+            (precision > 0 ? "a fractional seconds precision of " + precision : "no fractional seconds precision")
+        );
+    }
+
+    /**
+     * Checks whether the given default value suits the given column type
+     * @param {string} columnType The MySQL column type, in lowercase
+     * @param {null|number|string} lengthOrValues The lengthOrValues, as defined in the data model. Null if it is
+     * invalid
+     * @param {string} columnDefault The default value, as defined in the data model
+     * @param {boolean} allowNull Whether the column allows null
+     * @return {string|null} A description of the problem, or null if the default value is valid
+     */
+    getDefaultValueError(columnType, lengthOrValues, columnDefault, allowNull) {
+        const typeCategory = MYSQL_COLUMN_TYPES[columnType];
+
+        if (/^current_timestamp/i.test(columnDefault)) {
+            if (typeCategory !== "dateTime") {
+                return "CURRENT_TIMESTAMP can only be the default of datetime and timestamp columns";
+            }
+
+            return this.getCurrentTimestampError(columnDefault, lengthOrValues);
+        }
+
+        if (columnDefault.toUpperCase() === "NULL") {
+            return allowNull === false
+                ? "A column that does not allow null cannot default to NULL. Provide null for no default instead"
+                : null;
+        }
+
+        // Expressions are evaluated by the database, and can therefore not be checked here
+        if (this.isDefaultValueExpression(columnDefault)) {
+            return null;
+        }
+
+        if (/^\(.*\)$/s.test(columnDefault.trim())) {
+            return (
+                "Invalid default expression. The opening parenthesis must close at the end, and it may not contain " +
+                "';', comments or backslashes"
+            );
+        }
+
+        const invalidDefaultMessage = "'" + columnDefault + "' is not a valid default for " + columnType + " columns";
+        switch (typeCategory) {
+            case "integer":
+                return /^-?\d+$/.test(columnDefault) ? null : invalidDefaultMessage;
+            case "bit":
+                return /^(b'[01]+'|\d+)$/.test(columnDefault) ? null : invalidDefaultMessage;
+            case "fixedPoint":
+            case "floatingPoint":
+                return /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(columnDefault) ? null : invalidDefaultMessage;
+            case "date":
+                return /^\d{4}-\d{2}-\d{2}$/.test(columnDefault) ? null : invalidDefaultMessage;
+            case "dateTime":
+                return /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2}(\.\d{1,6})?)?$/.test(columnDefault)
+                    ? null
+                    : invalidDefaultMessage;
+            case "time":
+                return /^-?\d{1,3}:\d{2}(:\d{2}(\.\d{1,6})?)?$/.test(columnDefault) ? null : invalidDefaultMessage;
+            case "year":
+                return /^\d{4}$/.test(columnDefault) ? null : invalidDefaultMessage;
+            case "string":
+                if (lengthOrValues !== null && columnDefault.length > Number(lengthOrValues)) {
+                    return "The default '" + columnDefault + "' is longer than the column length of " + lengthOrValues;
+                }
+
+                return null;
+            case "list": {
+                if (lengthOrValues === null) {
+                    return null;
+                }
+
+                const listValues = this.getListValues(lengthOrValues.toString());
+                const defaultValues =
+                    columnType === "set" && columnDefault.length > 0 ? columnDefault.split(",") : [columnDefault];
+                if (defaultValues.some((defaultValue) => !listValues.includes(defaultValue))) {
+                    return "The default '" + columnDefault + "' is not one of the values " + lengthOrValues;
+                }
+
+                return null;
+            }
+            default:
+                return columnType + " columns cannot have a default value";
+        }
+    }
+
+    /**
+     * Parses the values of an enum or set column
+     * @param {string} lengthOrValues The values, as defined in the data model, e.g "'a','b','c'"
+     * @return {string[]|null} The unquoted values, or null if they are not a comma separated list of quoted values
+     */
+    getListValues(lengthOrValues = "") {
+        if (!/^'(?:[^']|'')*'(?:\s*,\s*'(?:[^']|'')*')*$/.test(lengthOrValues.trim())) {
+            return null;
+        }
+
+        return [...lengthOrValues.matchAll(/'((?:[^']|'')*)'/g)].map((match) => match[1].replace(/''/g, "'"));
+    }
+
+    /**
+     * Validates the definition of a single index
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} indexPath The location of the index in the data model
+     * @param {{}} indexObj The index, as defined in the data model
+     */
+    validateIndex(validationResult, indexPath, indexObj) {
+        const expectedIndexesDefinition = {
+            attribute:
+                "[The attribute on which the index should be set. For a composite index, provide 'attributes' " +
+                "instead: an ordered array of attribute names or {attribute, length, order} objects]",
+            indexName: "[The name of the index]",
+            indexChoice: "[index|unique|spatial|fulltext]",
+            type: "[BTREE|HASH]",
+        };
+
+        if (!this.isDefinitionObject(indexObj)) {
+            this.addValidationError(
+                validationResult,
+                indexPath,
+                "Invalid index definition. Expected: " + JSON.stringify(expectedIndexesDefinition)
+            );
+            return;
+        }
+
+        this.addUnknownKeyWarnings(validationResult, indexPath, indexObj, [
+            ...Object.keys(expectedIndexesDefinition),
+            "attributes",
+        ]);
+
+        if (typeof indexObj["attribute"] !== "undefined" && typeof indexObj["attributes"] !== "undefined") {
+            this.addValidationError(
+                validationResult,
+                indexPath,
+                "Provide either 'attribute' or 'attributes', but not both"
+            );
+        } else {
+            const indexAttributesKey = typeof indexObj["attributes"] !== "undefined" ? "attributes" : "attribute";
+            const indexAttributesError = this.getIndexAttributesDefinitionError(indexObj);
+            if (indexAttributesError !== null) {
+                this.addValidationError(validationResult, indexPath + "." + indexAttributesKey, indexAttributesError);
+            }
+        }
+
+        if (Array.isArray(indexObj["attributes"])) {
+            for (let i = 0; i < indexObj["attributes"].length; i++) {
+                if (this.isDefinitionObject(indexObj["attributes"][i])) {
+                    this.addUnknownKeyWarnings(
+                        validationResult,
+                        indexPath + ".attributes[" + i + "]",
+                        indexObj["attributes"][i],
+                        ["attribute", "length", "order"]
+                    );
+                }
+            }
+        }
+
+        if (typeof indexObj["indexName"] !== "string" || indexObj["indexName"].length === 0) {
+            this.addValidationError(validationResult, indexPath + ".indexName", "Expected the name of the index");
+        }
+
+        const validIndexChoices = ["index", "unique", "spatial", "fulltext"];
+        if (
+            typeof indexObj["indexChoice"] !== "string" ||
+            !validIndexChoices.includes(indexObj["indexChoice"].toLowerCase())
+        ) {
+            this.addValidationError(
+                validationResult,
+                indexPath + ".indexChoice",
+                "Invalid index choice. Valid options: " + validIndexChoices.join("|")
+            );
+        }
+
+        const validIndexTypes = ["BTREE", "HASH"];
+        if (typeof indexObj["type"] !== "string" || !validIndexTypes.includes(indexObj["type"].toUpperCase())) {
+            this.addValidationError(
+                validationResult,
+                indexPath + ".type",
+                "Invalid index type. Valid options: " + validIndexTypes.join("|")
+            );
+        }
+    }
+
+    /**
+     * Validates the definition of a single relationship
+     * @param {{}} validationResult The validation result to which problems are added
+     * @param {string} relationshipPath The location of the relationship in the data model
+     * @param {string|{}} relationship The relationship, as defined in the data model
+     */
+    validateRelationship(validationResult, relationshipPath, relationship) {
+        const relationshipError = this.getRelationshipDefinitionError(relationship);
+        if (relationshipError !== null) {
+            this.addValidationError(validationResult, relationshipPath, relationshipError);
+        }
+
+        if (this.isDefinitionObject(relationship)) {
+            this.addUnknownKeyWarnings(validationResult, relationshipPath, relationship, [
+                "name",
+                "onDelete",
+                "onUpdate",
+                "required",
+            ]);
+        }
+    }
+
+    /**
+     * Adds a warning to the validation result for each key of the given definition that is not known
+     * @param {{}} validationResult The validation result to which warnings are added
+     * @param {string} definitionPath The location of the definition in the data model
+     * @param {{}} definition The definition to check
+     * @param {string[]} knownKeys The keys that are expected for the definition
+     */
+    addUnknownKeyWarnings(validationResult, definitionPath, definition, knownKeys = []) {
+        for (const key of Object.keys(definition)) {
+            if (!knownKeys.includes(key)) {
+                this.addValidationWarning(
+                    validationResult,
+                    definitionPath + "." + key,
+                    "Unknown key '" + key + "' will be ignored. Expected one of: " + knownKeys.join(", ")
+                );
+            }
+        }
+    }
+
+    /**
+     * Adds an error to the given validation result, which marks the data model as invalid
+     * @param {{}} validationResult The validation result
+     * @param {string} path The location of the problem in the data model
+     * @param {string} message A description of the problem
+     */
+    addValidationError(validationResult, path, message) {
+        validationResult.isValid = false;
+        validationResult.errors.push({ path, message });
+    }
+
+    /**
+     * Adds a warning to the given validation result. Warnings do not mark the data model as invalid
+     * @param {{}} validationResult The validation result
+     * @param {string} path The location of the problem in the data model
+     * @param {string} message A description of the problem
+     */
+    addValidationWarning(validationResult, path, message) {
+        validationResult.warnings.push({ path, message });
+    }
+
+    /**
+     * Returns a validation error or warning as a single line of text
+     * @param {{path: string, message: string}} validationProblem The error or warning
+     * @return {string} E.g "exampleEntityTwo.attributes.exampleTwoBigInt.allowNull: Expected true or false"
+     */
+    getValidationMessage(validationProblem) {
+        if (validationProblem.path.length === 0) {
+            return validationProblem.message;
+        }
+
+        return validationProblem.path + ": " + validationProblem.message;
+    }
+
+    /**
+     * Checks whether the given value is a plain object, as expected for entity, attribute and index definitions
+     * @param {*} value The value to check
+     * @return {boolean} True if the value is a plain object
+     */
+    isDefinitionObject(value) {
+        return value !== null && typeof value !== "undefined" && dxUtils.isValidObject(value);
+    }
+
+    /**
+     * Checks the attribute(s) on which an index is defined. An index is either defined on a single "attribute" or on an
+     * ordered array of "attributes". Each item in "attributes" is either an attribute name or an object in the form
+     * {attribute: "attributeName", length: 10, order: "ASC|DESC"}, where length and order are optional
+     * @param {{}} indexObj The index, as defined in the data model
+     * @return {string|null} A description of the problem, or null if the definition is valid
+     */
+    getIndexAttributesDefinitionError(indexObj = {}) {
+        if (typeof indexObj["attributes"] === "undefined") {
+            if (typeof indexObj["attribute"] !== "string" || indexObj["attribute"].length === 0) {
+                return "Expected 'attribute' to be an attribute name";
+            }
+
+            return null;
+        }
+
+        if (!Array.isArray(indexObj["attributes"]) || indexObj["attributes"].length === 0) {
+            return "Expected 'attributes' to be a non-empty array";
+        }
+
+        const indexChoice = typeof indexObj["indexChoice"] === "string" ? indexObj["indexChoice"].toLowerCase() : "";
+        for (const indexAttribute of indexObj["attributes"]) {
+            if (typeof indexAttribute === "string" && indexAttribute.length > 0) {
+                continue;
+            }
+
+            if (
+                !this.isDefinitionObject(indexAttribute) ||
+                typeof indexAttribute["attribute"] !== "string" ||
+                indexAttribute["attribute"].length === 0
+            ) {
+                return "Each item in 'attributes' must be an attribute name or an {attribute, length, order} object";
+            }
+
+            if (
+                typeof indexAttribute["length"] !== "undefined" &&
+                indexAttribute["length"] !== null &&
+                (!Number.isInteger(indexAttribute["length"]) || indexAttribute["length"] <= 0)
+            ) {
+                return "The prefix length for '" + indexAttribute["attribute"] + "' must be a positive integer";
+            }
+
+            if (
+                typeof indexAttribute["order"] !== "undefined" &&
+                indexAttribute["order"] !== null &&
+                !["asc", "desc"].includes(indexAttribute["order"].toString().toLowerCase())
+            ) {
+                return "The order for '" + indexAttribute["attribute"] + "' must be either ASC or DESC";
+            }
+
+            if (
+                ["spatial", "fulltext"].includes(indexChoice) &&
+                ((indexAttribute["length"] ?? null) !== null || (indexAttribute["order"] ?? null) !== null)
+            ) {
+                return "Prefix lengths and ordering are not supported for " + indexChoice + " indexes";
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Outputs each relationship between entities in different modules, along with how it will be represented in the
+     * database. See RELATIONSHIP_SCOPES
+     * @return {{entityName: string, relationshipEntity: string, relationshipName: string, relationshipScope: string}[]}
+     * The cross-module relationships
+     */
+    reportCrossModuleRelationships() {
+        let crossModuleRelationships = [];
+        for (const entityName of Object.keys(this.dataModel)) {
+            for (const relationship of this.getEntityRelationshipDefinitions(entityName)) {
+                const relationshipScope = this.getRelationshipScope(entityName, relationship.relationshipEntity);
+                if (relationshipScope === RELATIONSHIP_SCOPES.local) {
+                    continue;
+                }
+
+                crossModuleRelationships.push({
+                    entityName: entityName,
+                    relationshipEntity: relationship.relationshipEntity,
+                    relationshipName: relationship.relationshipName,
+                    relationshipScope: relationshipScope,
+                });
+
+                const relationshipDescription =
+                    "'" +
+                    entityName +
+                    "' (" +
+                    this.dataModel[entityName]["module"] +
+                    ") relates to '" +
+                    relationship.relationshipEntity +
+                    "' (" +
+                    this.dataModel[relationship.relationshipEntity]["module"] +
+                    ") as '" +
+                    relationship.relationshipName +
+                    "'. ";
+
+                if (relationshipScope === RELATIONSHIP_SCOPES.crossSchema) {
+                    this.printProgress(
+                        relationshipDescription +
+                            "Both modules are on the same database server. A schema-qualified foreign key will be used."
+                    );
+                } else {
+                    this.emitSyncEvent(SYNC_EVENTS.warning, {
+                        message:
+                            relationshipDescription +
+                            "The modules are on different database servers. Only the column and an index will be " +
+                            "created, without a foreign key constraint.",
+                    });
+                }
+            }
+        }
+
+        return crossModuleRelationships;
+    }
+
+    /**
+     * Checks a single relationship definition. A relationship is either defined by its name only, or by an object in
+     * the form {name, onDelete, onUpdate, required}, where onDelete, onUpdate and required are optional
+     * @param {string|{}} relationship The relationship, as defined in the data model
+     * @return {string|null} A description of the problem, or null if the definition is valid
+     */
+    getRelationshipDefinitionError(relationship) {
+        if (typeof relationship === "string") {
+            return relationship.length > 0 ? null : "Relationship names cannot be empty";
+        }
+
+        if (
+            !this.isDefinitionObject(relationship) ||
+            typeof relationship["name"] !== "string" ||
+            relationship["name"].length === 0
+        ) {
+            return "Each relationship must be a relationship name or a {name, onDelete, onUpdate, required} object";
+        }
+
+        const validActions = ["CASCADE", "SET NULL", "RESTRICT", "NO ACTION"];
+        for (const actionKey of ["onDelete", "onUpdate"]) {
+            if (typeof relationship[actionKey] === "undefined") {
+                continue;
+            }
+
+            if (
+                typeof relationship[actionKey] !== "string" ||
+                !validActions.includes(relationship[actionKey].toUpperCase())
+            ) {
+                return (
+                    "Invalid " +
+                    actionKey +
+                    " action for '" +
+                    relationship["name"] +
+                    "'. Valid options: " +
+                    validActions.join("|")
+                );
+            }
+        }
+
+        if (typeof relationship["required"] !== "undefined" && typeof relationship["required"] !== "boolean") {
+            return "'required' must be true or false for '" + relationship["name"] + "'";
+        }
+
+        if (relationship["required"] === true) {
+            const onDelete = (relationship["onDelete"] ?? "SET NULL").toUpperCase();
+            const onUpdate = (relationship["onUpdate"] ?? "CASCADE").toUpperCase();
+            if (onDelete === "SET NULL" || onUpdate === "SET NULL") {
+                return (
+                    "'" +
+                    relationship["name"] +
+                    "' is required and can therefore not use SET NULL. Provide a different onDelete/onUpdate action"
+                );
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether the optional "previousNames" definition of an entity or attribute is valid
+     * @param {undefined|string[]} previousNames The previous names, as defined in the data model
+     * @return {boolean} True if previousNames is not defined or is an array of strings
+     */
+    isValidPreviousNamesDefinition(previousNames) {
+        if (typeof previousNames === "undefined") {
+            return true;
+        }
+
+        return Array.isArray(previousNames) && previousNames.every((x) => typeof x === "string" && x.length > 0);
+    }
+
+    /**
+     * Handles the removal of tables from the database
+     * @param {boolean} skipUserPrompts If true, the user is not asked how to proceed and skippedPromptAnswer is used
+     * @param {string} skippedPromptAnswer The answer to use when prompts are skipped. Either "all" or "none"
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async removeTables(skipUserPrompts = false, skippedPromptAnswer = "none") {
+        this.startNewCommandLineSection("Existing table clean up");
+
+        if (this.tablesToRemove.length === 0) {
+            this.printInfo("There are no tables to remove.");
+            return true;
+        }
+
+        let answer = skippedPromptAnswer;
+        if (!skipUserPrompts) {
+            answer = await dxUtils.getCommandLineInput(
+                "Removing tables that are not defined in the provided " +
+                "data model...\n" +
+                this.tablesToRemove.length +
+                " tables should be removed.\n" +
+                "How would you like to proceed?\nType 'y' to confirm & remove one-by-one;\nType 'all' to remove all;\n" +
+                "Type 'none' to skip removing any tables;\nType 'list' to show tables that will be removed (y|all|none|list)"
+            );
+        }
+
+        switch (answer.toString().toLowerCase()) {
+            case "list":
+                this.listTablesToRemove();
+                const answerList = await dxUtils.getCommandLineInput(
+                    "How would you like to proceed?\n" +
+                    "Type 'y' to confirm & remove one-by-one;\nType 'all' to remove all;\n" +
+                    "Type 'none' to skip removing any tables; (y|all|none)"
+                );
+                switch (answerList.toString().toLowerCase()) {
+                    case "all":
+                        await this.removeTablesRecursive(false);
+                        break;
+                    case "y":
+                        await this.removeTablesRecursive(true);
+                        break;
+                    case "none":
+                        this.addSyncReportSkippedTables(
+                            this.tablesToRemove,
+                            "Not defined in the data model, but removal was skipped"
+                        );
+                        return true;
+                    default:
+                        this.populateError("Invalid selection. Please try again.");
+                        return false;
+                }
                 break;
             case "all":
                 await this.removeTablesRecursive(false);
@@ -797,124 +4654,1516 @@ class DivbloxDatabaseSync {
             case "y":
                 await this.removeTablesRecursive(true);
                 break;
-            case "none":
-                return true;
-            default:
-                this.populateError("Invalid selection. Please try again.");
+            case "none":
+                this.addSyncReportSkippedTables(
+                    this.tablesToRemove,
+                    "Not defined in the data model, but removal was skipped"
+                );
+                return true;
+            default:
+                this.populateError("Invalid selection. Please try again.");
+                return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * A function that is called recursively to remove tables. This is to allow for the removal of tables, one-by-one
+     * with confirmation
+     * @param {boolean} mustConfirm If true, it means we are doing one-by-one
+     * @return {Promise<void>}
+     */
+    async removeTablesRecursive(mustConfirm = true) {
+        const tableModuleMapping = this.getTableModuleMapping();
+
+        if (!this.foreignKeyChecksDisabled) {
+            await this.disableForeignKeyChecks();
+        }
+
+        if (!mustConfirm) {
+            // Not going to be recursive. Just a single call to drop all relevant tables
+            for (const moduleName of Object.keys(this.databaseConfig)) {
+                if (typeof tableModuleMapping[moduleName] !== undefined && tableModuleMapping[moduleName].length > 0) {
+                    const tablesToDrop = this.tablesToRemove.filter((x) => !tableModuleMapping[moduleName].includes(x));
+                    if (tablesToDrop.length === 0) {
+                        continue;
+                    }
+
+                    const tablesToDropStr = tablesToDrop.join(",");
+
+                    const queryResult = await this.executeSyncStatement(
+                        moduleName,
+                        SYNC_STEP_TYPES.dropTable,
+                        tablesToDropStr,
+                        tablesToDropStr,
+                        "DROP TABLE IF EXISTS " +
+                            tablesToDrop.map((tableName) => this.getQuotedTableName(tableName)).join(", ") +
+                            ";"
+                    );
+                    if (queryResult === null) {
+                        this.emitSyncEvent(SYNC_EVENTS.warning, {
+                            message:
+                                "Error dropping tables '" +
+                                tablesToDropStr +
+                                "': " +
+                                this.databaseConnector.getLastError()?.message,
+                        });
+                    } else {
+                        this.printProgress("Removed table(s): " + tablesToDropStr);
+                    }
+                }
+            }
+        } else {
+            if (this.tablesToRemove.length === 0) {
+                return;
+            }
+
+            const answer = await dxUtils.getCommandLineInput('Drop table "' + this.tablesToRemove[0] + '"? (y/n)');
+            if (answer.toString().toLowerCase() === "y") {
+                for (const moduleName of Object.keys(this.databaseConfig)) {
+                    const dropResult = await this.executeSyncStatement(
+                        moduleName,
+                        SYNC_STEP_TYPES.dropTable,
+                        this.tablesToRemove[0],
+                        this.tablesToRemove[0],
+                        "DROP TABLE IF EXISTS " + this.getQuotedTableName(this.tablesToRemove[0]) + ";"
+                    );
+
+                    if (dropResult === null) {
+                        this.populateError(
+                            "Could not drop table '" + this.tablesToRemove[0] + "'",
+                            this.databaseConnector.getLastError()
+                        );
+                    }
+                }
+            } else {
+                this.addSyncReportSkippedTables(
+                    [this.tablesToRemove[0]],
+                    "Not defined in the data model, but removal was skipped"
+                );
+            }
+
+            this.tablesToRemove.shift();
+
+            await this.removeTablesRecursive(true);
+        }
+
+        if (this.foreignKeyChecksDisabled) {
+            await this.restoreForeignKeyChecks();
+        }
+    }
+
+    /**
+     * Renames the tables of entities that were renamed in the data model, as determined by getTablesToRename()
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async renameTables() {
+        this.startNewCommandLineSection("Rename tables");
+
+        if (this.tablesToRename.length === 0) {
+            this.printInfo("There are no tables to rename.");
+            return true;
+        }
+
+        for (const tableToRename of this.tablesToRename) {
+            const renameResult = await this.executeSyncStatement(
+                tableToRename.moduleName,
+                SYNC_STEP_TYPES.renameTable,
+                tableToRename.toTableName,
+                tableToRename.fromTableName,
+                "RENAME TABLE " +
+                    this.getQuotedTableName(tableToRename.fromTableName) +
+                    " TO " +
+                    this.getQuotedTableName(tableToRename.toTableName) +
+                    ";",
+                "RENAME TABLE " +
+                    this.getQuotedTableName(tableToRename.toTableName) +
+                    " TO " +
+                    this.getQuotedTableName(tableToRename.fromTableName) +
+                    ";"
+            );
+
+            if (renameResult === null) {
+                this.populateError(
+                    "Could not rename table '" +
+                        tableToRename.fromTableName +
+                        "' to '" +
+                        tableToRename.toTableName +
+                        "'",
+                    this.databaseConnector.getLastError()
+                );
+                return false;
+            }
+        }
+
+        this.printInfo(this.tablesToRename.length + " table(s) renamed.");
+        return true;
+    }
+
+    /**
+     * Creates all the relevant tables along with their primary key column
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async createTables() {
+        this.startNewCommandLineSection("Create new tables");
+
+        if (this.tablesToCreate.length === 0) {
+            this.printInfo("There are no tables to create.");
+            return true;
+        }
+
+        this.printInfo(this.tablesToCreate.length + " new table(s) to create: " + this.tablesToCreate.join(", "));
+
+        for (const tableName of this.tablesToCreate) {
+            const tableNameDataModel = this.getCaseDenormalizedString(tableName);
+            const moduleName = this.dataModel[tableNameDataModel]["module"];
+            const primaryKeyColumnSql = this.getQuotedIdentifier(this.getPrimaryKeyColumn());
+            const createTableSql =
+                "CREATE TABLE " +
+                this.getQuotedTableName(tableName) +
+                " ( " +
+                primaryKeyColumnSql +
+                " BIGINT NOT NULL" +
+                (this.getEntityAutoIncrementAttribute(tableNameDataModel) === null ? " AUTO_INCREMENT" : "") +
+                " , PRIMARY KEY (" +
+                primaryKeyColumnSql +
+                "))" +
+                this.getTableOptionsSql(this.getEntityTableOptions(tableNameDataModel), true) +
+                ";";
+
+            const createResult = await this.executeSyncStatement(
+                moduleName,
+                SYNC_STEP_TYPES.createTable,
+                tableName,
+                tableName,
+                createTableSql,
+                "DROP TABLE " + this.getQuotedTableName(tableName) + ";"
+            );
+            if (createResult === null) {
+                this.populateError("Could not create table '" + tableName + "'", this.databaseConnector.getLastError());
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Cycles through all the tables to ensure that they align with their data model definition
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async updateTables() {
+        this.startNewCommandLineSection("Update existing tables");
+        this.pendingTableAlterations = {};
+
+        if (!this.foreignKeyChecksDisabled) {
+            await this.disableForeignKeyChecks();
+        }
+
+        let updatedTables = [];
+        let sqlQuery = {};
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            const moduleName = this.dataModel[entityName]["module"];
+
+            if (typeof sqlQuery[moduleName] === "undefined") {
+                sqlQuery[moduleName] = [];
+            }
+
+            const tableName = this.getCaseNormalizedString(entityName);
+            const existingTableColumns = await this.getTableColumns(moduleName, tableName);
+            if (existingTableColumns === null) {
+                this.populateError(
+                    "Could not show full columns for '" + tableName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return false;
+            }
+
+            const tableOptionsDiff = await this.getEntityTableOptionsDiff(entityName, moduleName, tableName);
+            if (tableOptionsDiff === null) {
+                return false;
+            }
+
+            // Table options are changed first, so that new columns inherit the table's default character set
+            if (tableOptionsDiff.length > 0) {
+                const getOptionValues = (optionValue) =>
+                    Object.fromEntries(tableOptionsDiff.map((obj) => [obj.option, obj[optionValue]]));
+
+                sqlQuery[moduleName].push({
+                    type: SYNC_STEP_TYPES.modifyTable,
+                    tableName: tableName,
+                    objectName: tableName,
+                    sql: this.getAlterTableSql(tableName, this.getTableOptionsSql(getOptionValues("expected")).trim()),
+                    downSql: this.getAlterTableSql(
+                        tableName,
+                        this.getTableOptionsSql(getOptionValues("actual")).trim()
+                    ),
+                });
+            }
+
+            // Renamed columns are renamed first. After that, they are treated as if they already had their new name
+            const columnDiff = this.getEntityColumnDiff(entityName, existingTableColumns);
+            const serverInfo = await this.getServerInfo(moduleName);
+
+            for (const columnToRename of columnDiff.columnsToRename) {
+                const existingTableColumn = existingTableColumns.find(
+                    (tableColumn) => tableColumn["Field"] === columnToRename.fromColumnName
+                );
+
+                sqlQuery[moduleName].push({
+                    type: SYNC_STEP_TYPES.renameColumn,
+                    tableName: tableName,
+                    objectName: columnToRename.toColumnName,
+                    sql: this.getAlterTableSql(
+                        tableName,
+                        this.getRenameColumnSql(
+                            entityName,
+                            columnToRename.fromColumnName,
+                            columnToRename.toColumnName,
+                            existingTableColumn,
+                            serverInfo.supportsRenameColumn
+                        )
+                    ),
+                    downSql: this.getAlterTableSql(
+                        tableName,
+                        this.getRenameColumnSql(
+                            entityName,
+                            columnToRename.toColumnName,
+                            columnToRename.fromColumnName,
+                            existingTableColumn,
+                            serverInfo.supportsRenameColumn
+                        )
+                    ),
+                });
+            }
+
+            // The remaining column changes are applied along with the index changes, by applyTableAlterations()
+            for (const columnToDrop of columnDiff.columnsToDrop) {
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.dropColumn,
+                    objectName: columnToDrop.columnName,
+                    sql: "DROP COLUMN " + this.getQuotedIdentifier(columnToDrop.columnName),
+                    downSql: null,
+                });
+            }
+
+            for (const columnToModify of columnDiff.columnsToModify) {
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.modifyColumn,
+                    objectName: columnToModify.columnName,
+                    sql: this.getEntityColumnSql(
+                        entityName,
+                        columnToModify.columnName,
+                        columnToModify.expected,
+                        "MODIFY"
+                    ),
+                    // Without its expression, a generated column cannot be restored
+                    downSql:
+                        columnToModify.actual.generated !== null
+                            ? null
+                            : this.getAlterColumnSql(columnToModify.columnName, columnToModify.actual, "MODIFY"),
+                });
+            }
+
+            for (const columnToAdd of columnDiff.columnsToAdd) {
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.addColumn,
+                    objectName: columnToAdd.columnName,
+                    sql: this.getEntityColumnSql(entityName, columnToAdd.columnName, columnToAdd.expected, "ADD"),
+                    downSql: "DROP COLUMN " + this.getQuotedIdentifier(columnToAdd.columnName),
+                });
+            }
+
+            const changedColumnCount =
+                tableOptionsDiff.length +
+                columnDiff.columnsToRename.length +
+                columnDiff.columnsToDrop.length +
+                columnDiff.columnsToModify.length +
+                columnDiff.columnsToAdd.length;
+
+            if (changedColumnCount > 0) {
+                updatedTables.push(entityName);
+            }
+        }
+
+        for (const moduleName of Object.keys(sqlQuery)) {
+            if (sqlQuery[moduleName].length === 0) {
+                continue;
+            }
+
+            for (const query of sqlQuery[moduleName]) {
+                const queryResult = await this.executeSyncStatement(
+                    moduleName,
+                    query.type,
+                    query.tableName,
+                    query.objectName,
+                    query.sql,
+                    query.downSql
+                );
+                if (queryResult === null) {
+                    this.populateError("Could not execute query", this.databaseConnector.getLastError());
+                    return false;
+                }
+            }
+        }
+
+        this.printInfo(updatedTables.length + " tables were updated");
+
+        if (this.foreignKeyChecksDisabled) {
+            await this.restoreForeignKeyChecks();
+        }
+
+        return true;
+    }
+
+    /**
+     * Cycles through all the indexes for each table to ensure they align with their data model definition
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async updateIndexes() {
+        this.startNewCommandLineSection("Update indexes");
+
+        if (!this.foreignKeyChecksDisabled) {
+            await this.disableForeignKeyChecks();
+        }
+
+        let updatedIndexes = { added: 0, removed: 0, recreated: 0 };
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            const moduleName = this.dataModel[entityName]["module"];
+            const tableName = this.getCaseNormalizedString(entityName);
+
+            const indexCheckResult = await this.getTableIndexes(moduleName, tableName);
+            if (indexCheckResult === null) {
+                this.populateError(
+                    "Could not show indexes for '" + tableName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return false;
+            }
+
+            const serverInfo = await this.getServerInfo(moduleName);
+            const indexDiff = this.getEntityIndexDiff(
+                entityName,
+                indexCheckResult,
+                serverInfo.supportsDescendingIndexes
+            );
+
+            for (const indexToAdd of indexDiff.indexesToAdd) {
+                const addIndexSql = this.getEntityIndexAddSql(entityName, indexToAdd.indexName);
+                if (addIndexSql === null) {
+                    const indexObj = this.dataModel[entityName]["indexes"].find(
+                        (obj) => this.getCaseNormalizedString(obj["indexName"]) === indexToAdd.indexName
+                    );
+
+                    this.populateError(
+                        "Invalid index choice specified for " +
+                            "'" +
+                            indexObj["indexName"] +
+                            "' on '" +
+                            entityName +
+                            "'. " +
+                            "Provided: " +
+                            indexObj["indexChoice"] +
+                            "; " +
+                            "Valid options: index|unique|fulltext|spatial"
+                    );
+
+                    return false;
+                }
+
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.addIndex,
+                    objectName: indexToAdd.indexName,
+                    sql: addIndexSql,
+                    downSql: "DROP INDEX " + this.getQuotedIdentifier(indexToAdd.indexName),
+                });
+
+                updatedIndexes.added++;
+            }
+
+            // These indexes exist, but their definition no longer matches the data model
+            for (const indexToModify of indexDiff.indexesToModify) {
+                const indexName = indexToModify.indexName;
+
+                this.populateWarning(
+                    "Index '" +
+                        indexName +
+                        "' on '" +
+                        tableName +
+                        "' differs from the data model (" +
+                        indexToModify.differences.join("; ") +
+                        ") and will be recreated"
+                );
+
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.dropIndex,
+                    objectName: indexName,
+                    sql: "DROP INDEX " + this.getQuotedIdentifier(indexName),
+                    downSql: this.getAddIndexSqlFromDefinition(indexName, indexToModify.actual),
+                });
+
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.addIndex,
+                    objectName: indexName,
+                    sql: this.getEntityIndexAddSql(entityName, indexName),
+                    downSql: "DROP INDEX " + this.getQuotedIdentifier(indexName),
+                });
+
+                updatedIndexes.recreated++;
+            }
+
+            for (const indexToDrop of indexDiff.indexesToDrop) {
+                this.queueTableAlteration(moduleName, tableName, {
+                    type: SYNC_STEP_TYPES.dropIndex,
+                    objectName: indexToDrop.indexName,
+                    sql: "DROP INDEX " + this.getQuotedIdentifier(indexToDrop.indexName),
+                    downSql: this.getAddIndexSqlFromDefinition(indexToDrop.indexName, indexToDrop.actual),
+                });
+
+                updatedIndexes.removed++;
+            }
+        }
+
+        this.printInfo(
+            updatedIndexes.added +
+            " Indexes added. " +
+            updatedIndexes.removed +
+            " Indexes removed. " +
+            updatedIndexes.recreated +
+            " Indexes recreated."
+        );
+
+        if (this.foreignKeyChecksDisabled) {
+            await this.restoreForeignKeyChecks();
+        }
+
+        return true;
+    }
+
+    /**
+     * Queues a change to an existing table, to be applied by applyTableAlterations() along with the other changes to
+     * the same table
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @param {{type: string, objectName: string, sql: string, downSql: string|null}} alteration The change, where sql
+     * and downSql are ALTER TABLE specifications, e.g "DROP INDEX `index_name`". downSql is null if the change cannot
+     * be reversed
+     */
+    queueTableAlteration(moduleName, tableName, alteration) {
+        if (typeof this.pendingTableAlterations[moduleName] === "undefined") {
+            this.pendingTableAlterations[moduleName] = {};
+        }
+
+        if (typeof this.pendingTableAlterations[moduleName][tableName] === "undefined") {
+            this.pendingTableAlterations[moduleName][tableName] = [];
+        }
+
+        this.pendingTableAlterations[moduleName][tableName].push(alteration);
+    }
+
+    /**
+     * Applies the changes that were queued by updateTables() and updateIndexes(), using a single ALTER TABLE
+     * statement per table. A table is rebuilt at most once this way, rather than once for each changed column or index
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async applyTableAlterations() {
+        this.startNewCommandLineSection("Alter tables");
+
+        if (!this.foreignKeyChecksDisabled) {
+            await this.disableForeignKeyChecks();
+        }
+
+        let alteredTableCount = 0;
+        for (const moduleName of Object.keys(this.pendingTableAlterations)) {
+            for (const tableName of Object.keys(this.pendingTableAlterations[moduleName])) {
+                const alterations = this.pendingTableAlterations[moduleName][tableName];
+                const isReversible = alterations.every((alteration) => alteration.downSql !== null);
+                const downSpecifications = alterations.map((alteration) => alteration.downSql).reverse();
+
+                // A single change keeps its own step type, so that it is described the same way as before
+                const isSingleChange = alterations.length === 1;
+                const alterResult = await this.executeSyncStatement(
+                    moduleName,
+                    isSingleChange ? alterations[0].type : SYNC_STEP_TYPES.alterTable,
+                    tableName,
+                    isSingleChange ? alterations[0].objectName : tableName,
+                    this.getAlterTableSql(tableName, alterations.map((alteration) => alteration.sql).join(", ")),
+                    isReversible ? this.getAlterTableSql(tableName, downSpecifications.join(", ")) : null,
+                    alterations
+                );
+
+                if (alterResult === null) {
+                    this.populateError(
+                        "Could not alter table '" + tableName + "'",
+                        this.databaseConnector.getLastError()
+                    );
+                    return false;
+                }
+
+                alteredTableCount++;
+            }
+        }
+
+        this.pendingTableAlterations = {};
+        this.printInfo(alteredTableCount + " table(s) altered");
+
+        if (this.foreignKeyChecksDisabled) {
+            await this.restoreForeignKeyChecks();
+        }
+
+        return true;
+    }
+
+    /**
+     * Executes an ALTER TABLE statement with the least disruptive algorithm that MySQL accepts for it. INSTANT only
+     * changes metadata, while INPLACE with LOCK=NONE allows reads and writes while the table is altered. When MySQL
+     * refuses both, the statement is executed without a clause
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} sql The ALTER TABLE statement, as returned by getAlterTableSql()
+     * @return {Promise<{queryResult: {}|null, sql: string}>} The query result, or null if the statement failed, along
+     * with the statement that was executed last
+     */
+    async queryAlterTableWithAlgorithm(moduleName, sql) {
+        let queryResult = null;
+        let executedSql = sql;
+
+        for (const algorithm of ALTER_TABLE_ALGORITHMS) {
+            executedSql = algorithm === null ? sql : sql.replace(/;$/, "") + ", " + algorithm + ";";
+            queryResult = await this.databaseConnector.queryDB(executedSql, moduleName);
+
+            const errorCode =
+                queryResult === null ? this.getDatabaseErrorCode(this.databaseConnector.getLastError()) : null;
+            if (queryResult !== null || algorithm === null || !ALTER_TABLE_ALGORITHM_ERRORS.includes(errorCode)) {
+                break;
+            }
+
+            this.printProgress(algorithm + " is not supported for this change. Trying the next option...");
+        }
+
+        return { queryResult: queryResult, sql: executedSql };
+    }
+
+    /**
+     * Cycles through all the relationships for each table to ensure they align with their data model definition
+     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
+     * with a relevant reason
+     */
+    async updateRelationships(dropOnly = false) {
+        if (dropOnly) {
+            this.startNewCommandLineSection("Removing redundant relationships");
+        } else {
+            this.startNewCommandLineSection("Update relationships");
+        }
+
+        if (!this.foreignKeyChecksDisabled) {
+            await this.disableForeignKeyChecks();
+        }
+
+        let updatedRelationships = { added: 0, removed: 0, renamed: 0, recreated: 0 };
+
+        for (const entityName of Object.keys(this.dataModel)) {
+            const moduleName = this.dataModel[entityName]["module"];
+            const tableName = this.getCaseNormalizedString(entityName);
+            const schemaName = this.databaseConfig[moduleName]["database"];
+
+            const listForeignKeysResult = await this.getTableForeignKeys(moduleName, tableName);
+            if (listForeignKeysResult === null) {
+                this.populateError(
+                    "Could not list foreign keys for '" + tableName + "'",
+                    this.databaseConnector.getLastError()
+                );
                 return false;
+            }
+
+            if (!dropOnly) {
+                for (const crossServerRelationship of this.getEntityRelationshipConstraint(entityName).filter(
+                    (obj) => obj.relationshipScope === RELATIONSHIP_SCOPES.crossServer
+                )) {
+                    this.populateWarning(
+                        "'" +
+                            entityName +
+                            "' relates to '" +
+                            crossServerRelationship.relationshipEntity +
+                            "' (" +
+                            crossServerRelationship.relationshipName +
+                            "), which is in a module on a different database server. No foreign key constraint " +
+                            "will be created for '" +
+                            tableName +
+                            "." +
+                            crossServerRelationship.columnName +
+                            "'"
+                    );
+                }
+            }
+
+            const foreignKeyDiff = this.getEntityForeignKeyDiff(entityName, listForeignKeysResult);
+
+            // Constraints whose definition no longer matches the data model are dropped here and recreated
+            for (const foreignKeyToModify of foreignKeyDiff.foreignKeysToModify) {
+                this.printProgress(
+                    "Foreign key '" +
+                        foreignKeyToModify.constraintName +
+                        "' on '" +
+                        tableName +
+                        "' differs from the data model and will be recreated"
+                );
+                updatedRelationships.recreated++;
+            }
+
+            const foreignKeysToDrop = [...foreignKeyDiff.foreignKeysToDrop, ...foreignKeyDiff.foreignKeysToModify];
+            for (const foreignKeyToDrop of foreignKeysToDrop) {
+                // Constraints that were created before constraint names were derived from the data model still
+                // represent a valid relationship. These are dropped here and recreated once with their new name
+                if (foreignKeyToDrop.renamedTo) {
+                    this.printProgress(
+                        "Foreign key '" +
+                            foreignKeyToDrop.constraintName +
+                            "' on '" +
+                            tableName +
+                            "' will be renamed to '" +
+                            foreignKeyToDrop.renamedTo +
+                            "'"
+                    );
+                    updatedRelationships.renamed++;
+                }
+
+                const dropQuery = this.getAlterTableSql(
+                    tableName,
+                    "DROP FOREIGN KEY " + this.getQuotedIdentifier(foreignKeyToDrop.constraintName),
+                    schemaName
+                );
+                const foreignKeyDeleteResult = await this.executeSyncStatement(
+                    moduleName,
+                    SYNC_STEP_TYPES.dropForeignKey,
+                    tableName,
+                    foreignKeyToDrop.constraintName,
+                    dropQuery,
+                    this.getAlterTableSql(
+                        tableName,
+                        this.getAddForeignKeySqlFromDefinition(foreignKeyToDrop.constraintName, foreignKeyToDrop.actual)
+                    )
+                );
+                if (foreignKeyDeleteResult === null) {
+                    this.populateError(
+                        "Could not drop FK '" + foreignKeyToDrop.constraintName + "'",
+                        this.databaseConnector.getLastError()
+                    );
+
+                    return false;
+                }
+
+                updatedRelationships.removed++;
+            }
+
+            if (dropOnly) {
+                continue;
+            }
+
+            const entityRelationshipConstraints = this.getEntityRelationshipConstraint(entityName);
+            const foreignKeysToCreate = [...foreignKeyDiff.foreignKeysToAdd, ...foreignKeyDiff.foreignKeysToModify];
+            for (const foreignKeyToCreate of foreignKeysToCreate) {
+                const relationshipConstraint = entityRelationshipConstraints.find(
+                    (obj) => obj.constraintName === foreignKeyToCreate.constraintName
+                );
+
+                const createQuery = this.getAlterTableSql(
+                    tableName,
+                    this.getAddForeignKeySql(
+                        foreignKeyToCreate.constraintName,
+                        relationshipConstraint.columnName,
+                        this.getRelationshipReferenceSql(entityName, relationshipConstraint.relationshipEntity),
+                        this.getPrimaryKeyColumn(),
+                        relationshipConstraint.onDelete,
+                        relationshipConstraint.onUpdate
+                    )
+                );
+                const createResult = await this.executeSyncStatement(
+                    moduleName,
+                    SYNC_STEP_TYPES.addForeignKey,
+                    tableName,
+                    foreignKeyToCreate.constraintName,
+                    createQuery,
+                    this.getAlterTableSql(
+                        tableName,
+                        "DROP FOREIGN KEY " + this.getQuotedIdentifier(foreignKeyToCreate.constraintName)
+                    )
+                );
+                if (createResult === null) {
+                    this.populateError(
+                        "Could not add FK '" + foreignKeyToCreate.constraintName + "'",
+                        this.databaseConnector.getLastError()
+                    );
+
+                    return false;
+                }
+
+                updatedRelationships.added++;
+            }
+        }
+
+        this.printInfo(
+            updatedRelationships.added +
+            " Relationships added. " +
+            updatedRelationships.removed +
+            " Relationships removed. " +
+            updatedRelationships.renamed +
+            " Relationships renamed. " +
+            updatedRelationships.recreated +
+            " Relationships recreated."
+        );
+
+        if (this.foreignKeyChecksDisabled) {
+            await this.restoreForeignKeyChecks();
+        }
+
+        return true;
+    }
+
+    //#region Online schema change
+
+    /**
+     * Determines whether the given table should be altered via a shadow table, rather than with ALTER TABLE. This is
+     * only the case when the onlineSchemaChange option is provided and the table has at least its minimumRowCount
+     * rows. Tables that are referenced by the foreign keys of other tables are always altered with ALTER TABLE, since
+     * those foreign keys would follow the original table when it is renamed
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<boolean>} True if the table should be altered via a shadow table
+     */
+    async isOnlineSchemaChangeRequired(moduleName, tableName) {
+        if (this.onlineSchemaChange === null) {
+            return false;
+        }
+
+        let estimatedRowCount = await this.getEstimatedRowCount(moduleName, tableName);
+        if (estimatedRowCount === null) {
+            this.populateWarning(
+                "Could not estimate the number of rows in '" + tableName + "'. It will be altered with ALTER TABLE"
+            );
+            return false;
+        }
+
+        // The snapshot may hold a count that MySQL 8 cached up to a day ago, which would hide a table that has since
+        // grown past the threshold
+        if (estimatedRowCount < this.onlineSchemaChange.minimumRowCount) {
+            estimatedRowCount = (await this.getAnalyzedRowCount(moduleName, tableName)) ?? estimatedRowCount;
+        }
+
+        if (estimatedRowCount < this.onlineSchemaChange.minimumRowCount) {
+            return false;
+        }
+
+        const schemaName = this.databaseConfig[moduleName]["database"];
+        const referencingTables = await this.databaseConnector.queryDB(
+            "SELECT DISTINCT TABLE_SCHEMA, TABLE_NAME FROM information_schema.KEY_COLUMN_USAGE " +
+                "WHERE REFERENCED_TABLE_SCHEMA = ? AND REFERENCED_TABLE_NAME = ? " +
+                "AND NOT (TABLE_SCHEMA = ? AND TABLE_NAME = ?);",
+            moduleName,
+            [schemaName, tableName, schemaName, tableName]
+        );
+
+        if (referencingTables === null || referencingTables.length > 0) {
+            this.populateWarning(
+                "'" +
+                    tableName +
+                    "' cannot be altered via a shadow table, since it is referenced by the foreign keys of other " +
+                    "tables. It will be altered with ALTER TABLE"
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the number of rows in the given table, as estimated by information_schema. For InnoDB tables, this
+     * estimate can differ from the actual number of rows by as much as 50%. From MySQL 8, it can also be up to
+     * information_schema_stats_expiry seconds old. See getAnalyzedRowCount()
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<number|null>} The estimated number of rows, or null if it could not be retrieved
+     */
+    async getEstimatedRowCount(moduleName, tableName) {
+        const tableSnapshot = await this.getTableSnapshot(moduleName, tableName);
+        return tableSnapshot !== null ? Number(tableSnapshot.status["TABLE_ROWS"] ?? 0) : null;
+    }
+
+    /**
+     * Returns an up to date estimate of the number of rows in the given table, on servers where information_schema
+     * caches it. ANALYZE TABLE refreshes the cached statistics of the table, after which they are read again
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<number|null>} The estimated number of rows, or null if the server does not cache it or it
+     * could not be retrieved
+     */
+    async getAnalyzedRowCount(moduleName, tableName) {
+        const serverInfo = await this.getServerInfo(moduleName);
+        if (!serverInfo.hasCachedTableStatistics) {
+            return null;
+        }
+
+        const analyzeResult = await this.databaseConnector.queryDB(
+            "ANALYZE TABLE " + this.getQuotedTableName(tableName) + ";",
+            moduleName
+        );
+        if (analyzeResult === null) {
+            return null;
+        }
+
+        const statusResult = await this.databaseConnector.queryDB(
+            "SELECT TABLE_ROWS FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?;",
+            moduleName,
+            [this.databaseConfig[moduleName]["database"], tableName]
+        );
+        return Array.isArray(statusResult) && statusResult.length > 0
+            ? Number(statusResult[0]["TABLE_ROWS"] ?? 0)
+            : null;
+    }
+
+    /**
+     * Returns the names of the tables and triggers that are used to alter the given table via a shadow table. MySQL
+     * limits these names to 64 characters
+     * @param {string} tableName The name of the table
+     * @return {{shadowTable: string, oldTable: string, insertTrigger: string, updateTrigger: string,
+     * deleteTrigger: string}} The names
+     */
+    getOnlineSchemaChangeNames(tableName) {
+        const namePrefix = "_" + tableName.substring(0, 59);
+        return {
+            shadowTable: namePrefix + "_new",
+            oldTable: namePrefix + "_old",
+            insertTrigger: namePrefix + "_ins",
+            updateTrigger: namePrefix + "_upd",
+            deleteTrigger: namePrefix + "_del",
+        };
+    }
+
+    /**
+     * Alters a table without blocking writes to it for the duration of the change:
+     * 1. A shadow table is created like the table, and the changes are applied to it while it is still empty
+     * 2. Triggers copy every insert, update and delete on the table to the shadow table
+     * 3. The existing rows are copied to the shadow table in chunks, pausing between chunks if chunkDelayMs is set
+     * 4. The foreign keys of the table are moved to the shadow table, since CREATE TABLE ... LIKE omits them and
+     * constraint names are unique per schema
+     * 5. The tables are swapped with a single, atomic RENAME TABLE statement, after which the original table is dropped
+     * As with INSERT IGNORE, values that do not fit a modified column are adjusted to fit, rather than failing
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @param {{type: string, objectName: string, sql: string}[]} alterations The changes to apply, where sql is an
+     * ALTER TABLE specification. See queueTableAlteration()
+     * @return {Promise<{}|null>} An empty object if the table was altered, or null if it failed. If null, the errorInfo
+     * array will be populated with a relevant reason. If it failed before the tables were swapped, the shadow table
+     * and triggers are removed and the foreign keys are restored on the table. If only the original table could not
+     * be dropped, a warning is added instead
+     */
+    async alterTableOnline(moduleName, tableName, alterations) {
+        const names = this.getOnlineSchemaChangeNames(tableName);
+        const quotedTableName = this.getQuotedTableName(tableName);
+        const quotedShadowTableName = this.getQuotedTableName(names.shadowTable);
+        const primaryKeySql = this.getQuotedIdentifier(this.getPrimaryKeyColumn());
+
+        this.printProgress("Altering '" + tableName + "' via the shadow table '" + names.shadowTable + "'...");
+
+        const foreignKeyRows = await this.getTableForeignKeys(moduleName, tableName);
+        if (foreignKeyRows === null) {
+            this.populateError(
+                "Could not retrieve the foreign keys of '" + tableName + "'",
+                this.databaseConnector.getLastError()
+            );
+            return null;
+        }
+
+        const shadowTableSql = [
+            "CREATE TABLE " + quotedShadowTableName + " LIKE " + quotedTableName + ";",
+            this.getAlterTableSql(names.shadowTable, alterations.map((alteration) => alteration.sql).join(", ")),
+        ];
+        for (const sql of shadowTableSql) {
+            if ((await this.queryOnlineSchemaChange(moduleName, tableName, sql)) === null) {
+                return null;
+            }
+        }
+
+        const copiedColumns = await this.getOnlineSchemaChangeColumns(moduleName, tableName, names.shadowTable);
+        if (copiedColumns === null) {
+            return null;
+        }
+
+        const columnListSql = copiedColumns.map((columnName) => this.getQuotedIdentifier(columnName)).join(", ");
+        const newValuesSql = copiedColumns
+            .map((columnName) => "NEW." + this.getQuotedIdentifier(columnName))
+            .join(", ");
+        const insertSql =
+            "INSERT IGNORE INTO " + quotedShadowTableName + " (" + columnListSql + ") VALUES (" + newValuesSql + ");";
+        const deleteSql =
+            "DELETE FROM " + quotedShadowTableName + " WHERE " + primaryKeySql + " = OLD." + primaryKeySql + ";";
+        const triggerSql = [
+            [names.insertTrigger, "AFTER INSERT", insertSql],
+            [names.updateTrigger, "AFTER UPDATE", "BEGIN " + deleteSql + " " + insertSql + " END;"],
+            [names.deleteTrigger, "AFTER DELETE", deleteSql],
+        ].map(
+            ([triggerName, triggerTime, triggerBody]) =>
+                "CREATE TRIGGER " +
+                this.getQuotedIdentifier(triggerName) +
+                " " +
+                triggerTime +
+                " ON " +
+                quotedTableName +
+                " FOR EACH ROW " +
+                triggerBody
+        );
+        for (const sql of triggerSql) {
+            if ((await this.queryOnlineSchemaChange(moduleName, tableName, sql)) === null) {
+                return null;
+            }
+        }
+
+        if (!(await this.copyRowsToShadowTable(moduleName, tableName, columnListSql))) {
+            return null;
+        }
+
+        if (!(await this.moveForeignKeysToShadowTable(moduleName, tableName, foreignKeyRows))) {
+            return null;
+        }
+
+        const swapSql =
+            "RENAME TABLE " +
+            quotedTableName +
+            " TO " +
+            this.getQuotedTableName(names.oldTable) +
+            ", " +
+            quotedShadowTableName +
+            " TO " +
+            quotedTableName +
+            ";";
+        if ((await this.queryOnlineSchemaChange(moduleName, tableName, swapSql)) === null) {
+            await this.restoreForeignKeys(moduleName, tableName, foreignKeyRows);
+            return null;
+        }
+
+        // From here on, the table has its new structure, so a failure to drop the original table does not fail the
+        // change. Dropping the original table also drops its triggers
+        const dropResult = await this.databaseConnector.queryDB(
+            "DROP TABLE " + this.getQuotedTableName(names.oldTable) + ";",
+            moduleName
+        );
+        if (dropResult === null) {
+            this.populateWarning(
+                "'" +
+                    tableName +
+                    "' was altered, but the original table could not be dropped. Drop '" +
+                    names.oldTable +
+                    "' by hand"
+            );
+        }
+
+        return {};
+    }
+
+    /**
+     * Moves the foreign keys of a table to its shadow table, once its rows have been copied. The foreign keys are
+     * dropped from the table first, since a constraint name can only be used once per schema. If they cannot be added
+     * to the shadow table, they are restored on the table and the shadow table and triggers are removed
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table that is being altered
+     * @param {[]} foreignKeyRows The foreign keys of the table, as returned by getTableForeignKeys()
+     * @return {Promise<boolean>} True if the foreign keys were moved, false otherwise. If false, the errorInfo array
+     * will be populated with a relevant reason
+     */
+    async moveForeignKeysToShadowTable(moduleName, tableName, foreignKeyRows) {
+        const foreignKeyDefinitions = this.getExistingForeignKeyDefinitions(foreignKeyRows);
+        if (Object.keys(foreignKeyDefinitions).length === 0) {
+            return true;
+        }
+
+        const dropForeignKeysSql = this.getAlterTableSql(
+            tableName,
+            Object.keys(foreignKeyDefinitions)
+                .map((constraintName) => "DROP FOREIGN KEY " + this.getQuotedIdentifier(constraintName))
+                .join(", ")
+        );
+        if ((await this.queryOnlineSchemaChange(moduleName, tableName, dropForeignKeysSql)) === null) {
+            return false;
+        }
+
+        // Foreign keys that reference the table itself must reference the shadow table, so that they follow it when
+        // the tables are swapped
+        const schemaName = this.databaseConfig[moduleName]["database"];
+        const shadowTableName = this.getOnlineSchemaChangeNames(tableName).shadowTable;
+        let shadowForeignKeyDefinitions = {};
+        for (const [constraintName, foreignKeyDefinition] of Object.entries(foreignKeyDefinitions)) {
+            const isSelfReferencing =
+                foreignKeyDefinition.referencedTable === tableName &&
+                foreignKeyDefinition.referencedSchema === schemaName;
+            shadowForeignKeyDefinitions[constraintName] = isSelfReferencing
+                ? { ...foreignKeyDefinition, referencedTable: shadowTableName }
+                : foreignKeyDefinition;
+        }
+
+        const { queryResult } = await this.queryAlterTableWithAlgorithm(
+            moduleName,
+            this.getAddForeignKeysSql(shadowTableName, shadowForeignKeyDefinitions)
+        );
+        if (queryResult === null) {
+            this.populateError(
+                "Could not add the foreign keys of '" + tableName + "' to '" + shadowTableName + "'",
+                this.databaseConnector.getLastError()
+            );
+            await this.cleanUpOnlineSchemaChange(moduleName, tableName);
+            await this.restoreForeignKeys(moduleName, tableName, foreignKeyRows);
+            return false;
         }
 
         return true;
     }
 
     /**
-     * A function that is called recursively to remove tables. This is to allow for the removal of tables, one-by-one
-     * with confirmation
-     * @param {boolean} mustConfirm If true, it means we are doing one-by-one
+     * Adds the foreign keys that were moved to the shadow table back to the table, after the online schema change
+     * failed and the shadow table was removed
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table that was being altered
+     * @param {[]} foreignKeyRows The foreign keys of the table, as returned by getTableForeignKeys()
      * @return {Promise<void>}
      */
-    async removeTablesRecursive(mustConfirm = true) {
-        const tableModuleMapping = this.getTableModuleMapping();
+    async restoreForeignKeys(moduleName, tableName, foreignKeyRows) {
+        const foreignKeyDefinitions = this.getExistingForeignKeyDefinitions(foreignKeyRows);
+        if (Object.keys(foreignKeyDefinitions).length === 0) {
+            return;
+        }
 
-        if (!this.foreignKeyChecksDisabled) {
-            await this.disableForeignKeyChecks();
+        const { queryResult } = await this.queryAlterTableWithAlgorithm(
+            moduleName,
+            this.getAddForeignKeysSql(tableName, foreignKeyDefinitions)
+        );
+        if (queryResult === null) {
+            this.populateError(
+                "Could not restore the foreign keys of '" + tableName + "'",
+                this.databaseConnector.getLastError()
+            );
         }
+    }
 
-        if (!mustConfirm) {
-            // Not going to be recursive. Just a single call to drop all relevant tables
-            for (const moduleName of Object.keys(this.databaseConfig)) {
-                if (typeof tableModuleMapping[moduleName] !== undefined && tableModuleMapping[moduleName].length > 0) {
-                    const tablesToDrop = this.tablesToRemove.filter((x) => !tableModuleMapping[moduleName].includes(x));
-                    const tablesToDropStr = tablesToDrop.join(",");
+    /**
+     * Returns the ALTER TABLE statement that adds the given foreign keys to a table
+     * @param {string} tableName The name of the table
+     * @param {{}} foreignKeyDefinitions The definitions, as returned by getExistingForeignKeyDefinitions()
+     * @return {string} The sql statement
+     */
+    getAddForeignKeysSql(tableName, foreignKeyDefinitions) {
+        return this.getAlterTableSql(
+            tableName,
+            Object.entries(foreignKeyDefinitions)
+                .map(([constraintName, foreignKeyDefinition]) =>
+                    this.getAddForeignKeySqlFromDefinition(constraintName, foreignKeyDefinition)
+                )
+                .join(", ")
+        );
+    }
 
-                    const queryResult = await this.databaseConnector.queryDB(
-                        "DROP TABLE if exists " + tablesToDropStr,
-                        moduleName
-                    );
-                    if (queryResult === null) {
-                        dxUtils.outputFormattedLog(
-                            "Error dropping tables '" + tablesToDropStr + "':",
-                            this.commandLineWarningFormatting
-                        );
-                        dxUtils.outputFormattedLog(
-                            this.databaseConnector.getLastError(),
-                            this.commandLineWarningFormatting
-                        );
-                    } else {
-                        dxUtils.outputFormattedLog(
-                            "Removed table(s): " + tablesToDropStr,
-                            this.commandLineSubHeadingFormatting
-                        );
-                    }
-                }
+    /**
+     * Returns the columns whose values are copied from a table to its shadow table. These are the columns that exist
+     * in both tables, excluding generated columns, since their values cannot be inserted
+     * @param {string} moduleName The module in which the tables reside
+     * @param {string} tableName The name of the table
+     * @param {string} shadowTableName The name of the shadow table
+     * @return {Promise<string[]|null>} The column names, or null if the columns could not be retrieved
+     */
+    async getOnlineSchemaChangeColumns(moduleName, tableName, shadowTableName) {
+        let insertableColumns = {};
+        for (const columnsTableName of [tableName, shadowTableName]) {
+            const tableColumns = await this.databaseConnector.queryDB(
+                "SHOW FULL COLUMNS FROM " + this.getQuotedTableName(columnsTableName),
+                moduleName
+            );
+
+            if (tableColumns === null) {
+                this.populateError(
+                    "Could not retrieve the columns of '" + columnsTableName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                await this.cleanUpOnlineSchemaChange(moduleName, tableName);
+                return null;
             }
-        } else {
-            if (this.tablesToRemove.length === 0) {
-                return;
+
+            insertableColumns[columnsTableName] = tableColumns
+                .filter((tableColumn) => !/(VIRTUAL|STORED|PERSISTENT) GENERATED/i.test(tableColumn["Extra"] ?? ""))
+                .map((tableColumn) => tableColumn["Field"]);
+        }
+
+        return insertableColumns[tableName].filter((columnName) =>
+            insertableColumns[shadowTableName].includes(columnName)
+        );
+    }
+
+    /**
+     * Copies the rows of a table to its shadow table, in chunks of primary key values. Rows that the triggers have
+     * already copied are skipped. The rowsCopied event is emitted after each chunk
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @param {string} columnListSql The quoted, comma separated columns to copy
+     * @return {Promise<boolean>} True if all rows were copied, false otherwise. If false, the errorInfo array will be
+     * populated with a relevant reason
+     */
+    async copyRowsToShadowTable(moduleName, tableName, columnListSql) {
+        const quotedTableName = this.getQuotedTableName(tableName);
+        const quotedShadowTableName = this.getQuotedTableName(this.getOnlineSchemaChangeNames(tableName).shadowTable);
+        const primaryKeySql = this.getQuotedIdentifier(this.getPrimaryKeyColumn());
+        const { chunkDelayMs } = this.onlineSchemaChange;
+
+        // A chunk size below 1 would never reach the end of the table, and BigInt() does not accept Infinity
+        const chunkSize = BigInt(
+            Math.min(Math.max(Math.floor(this.onlineSchemaChange.chunkSize) || 1, 1), Number.MAX_SAFE_INTEGER)
+        );
+
+        // Ids are retrieved as strings and handled as BigInt, since bigint ids above 2^53 do not fit a Number
+        const idRange = await this.queryOnlineSchemaChange(
+            moduleName,
+            tableName,
+            "SELECT CAST(MIN(" +
+                primaryKeySql +
+                ") AS CHAR) AS minimumId, CAST(MAX(" +
+                primaryKeySql +
+                ") AS CHAR) AS maximumId FROM " +
+                quotedTableName +
+                ";"
+        );
+        if (idRange === null) {
+            return false;
+        }
+
+        const estimatedRowCount = (await this.getEstimatedRowCount(moduleName, tableName)) ?? 0;
+        const minimumId = BigInt(idRange[0]?.["minimumId"] ?? 0);
+        const maximumId = BigInt(idRange[0]?.["maximumId"] ?? -1);
+
+        // The bounds are passed as strings and cast by MySQL, since a string compared with a bigint column would be
+        // compared as a floating-point number. A chunk ends at the maximum id at most, so that it cannot exceed the
+        // range of a bigint
+        const copySql =
+            "INSERT IGNORE INTO " +
+            quotedShadowTableName +
+            " (" +
+            columnListSql +
+            ") SELECT " +
+            columnListSql +
+            " FROM " +
+            quotedTableName +
+            " WHERE " +
+            primaryKeySql +
+            " BETWEEN CAST(? AS SIGNED) AND CAST(? AS SIGNED) LOCK IN SHARE MODE;";
+
+        const idCount = maximumId - minimumId + 1n;
+        let copiedRowCount = 0;
+        let reportedPercentage = 0;
+        for (let chunkStart = minimumId; chunkStart <= maximumId; chunkStart += chunkSize) {
+            let chunkEnd = chunkStart + chunkSize - 1n;
+            if (chunkEnd > maximumId) {
+                chunkEnd = maximumId;
             }
 
-            const answer = await dxUtils.getCommandLineInput('Drop table "' + this.tablesToRemove[0] + '"? (y/n)');
-            if (answer.toString().toLowerCase() === "y") {
-                for (const moduleName of Object.keys(this.databaseConfig)) {
-                    const dropResult = await this.databaseConnector.queryDB(
-                        "DROP TABLE if exists " + this.tablesToRemove[0],
-                        moduleName
-                    );
+            const copyResult = await this.queryOnlineSchemaChange(moduleName, tableName, copySql, [
+                chunkStart.toString(),
+                chunkEnd.toString(),
+            ]);
+            if (copyResult === null) {
+                return false;
+            }
 
-                    if (dropResult === null) {
-                        this.populateError(
-                            "Could not drop table '" + this.tablesToRemove[0] + "'",
-                            this.databaseConnector.getLastError()
-                        );
-                    }
-                }
+            copiedRowCount += copyResult["affectedRows"] ?? 0;
+            this.emitSyncEvent(SYNC_EVENTS.rowsCopied, { moduleName, tableName, copiedRowCount, estimatedRowCount });
+
+            const copiedIdCount = chunkEnd - minimumId + 1n;
+            const copiedPercentage = Number((copiedIdCount * 10n) / idCount) * 10;
+            if (copiedPercentage > reportedPercentage) {
+                reportedPercentage = copiedPercentage;
+                this.printProgress(tableName + ": " + copiedPercentage + "% copied (" + copiedRowCount + " rows)");
             }
 
-            this.tablesToRemove.shift();
+            if (chunkDelayMs > 0) {
+                await new Promise((resolve) => setTimeout(resolve, chunkDelayMs));
+            }
+        }
 
-            await this.removeTablesRecursive(true);
+        return true;
+    }
+
+    /**
+     * Executes a statement that forms part of an online schema change, before the tables are swapped. If the
+     * statement fails, the shadow table and triggers are removed, so that the table is left as it was
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table that is being altered
+     * @param {string} sql The sql statement to execute
+     * @param {[]} values The values for the placeholders in the statement, if any
+     * @return {Promise<{}|[]|null>} The query result, or null if the statement failed. If null, the errorInfo array
+     * will be populated with a relevant reason
+     */
+    async queryOnlineSchemaChange(moduleName, tableName, sql, values = []) {
+        const queryResult = await this.databaseConnector.queryDB(sql, moduleName, values);
+        if (queryResult !== null) {
+            return queryResult;
         }
 
-        if (this.foreignKeyChecksDisabled) {
-            await this.restoreForeignKeyChecks();
+        this.populateError(
+            "Could not alter '" + tableName + "' via a shadow table",
+            this.databaseConnector.getLastError()
+        );
+        await this.cleanUpOnlineSchemaChange(moduleName, tableName);
+        return null;
+    }
+
+    /**
+     * Removes the shadow table and triggers of an online schema change that failed before the tables were swapped
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table that was being altered
+     * @return {Promise<void>}
+     */
+    async cleanUpOnlineSchemaChange(moduleName, tableName) {
+        const names = this.getOnlineSchemaChangeNames(tableName);
+        const cleanUpSql = [names.insertTrigger, names.updateTrigger, names.deleteTrigger]
+            .map((triggerName) => "DROP TRIGGER IF EXISTS " + this.getQuotedIdentifier(triggerName) + ";")
+            .concat(["DROP TABLE IF EXISTS " + this.getQuotedTableName(names.shadowTable) + ";"]);
+
+        for (const sql of cleanUpSql) {
+            await this.databaseConnector.queryDB(sql, moduleName);
         }
     }
 
+    //#endregion
+
+    //#region Sync lock
+
     /**
-     * Creates all the relevant tables along with their primary key column
+     * Returns the name of the MySQL user lock that is held while syncing the given module. Lock names are global to
+     * the database server, which is why the database name is included. MySQL limits lock names to 64 characters
+     * @param {string} moduleName The name of the module
+     * @return {string} The lock name
+     */
+    getSyncLockName(moduleName) {
+        return ("dx_db_sync." + this.databaseConfig[moduleName]["database"]).substring(0, 64);
+    }
+
+    /**
+     * Returns the database that the given module points at, in the form "host:port/database", or "socketPath/database"
+     * for socket connections, as in getRelationshipScope(). Modules that share a database share its sync lock
+     * @param {string} moduleName The name of the module
+     * @return {string} The database key
+     */
+    getSyncLockDatabaseKey(moduleName) {
+        const moduleConfig = this.databaseConfig[moduleName];
+        const serverKey =
+            typeof moduleConfig["socketPath"] !== "undefined"
+                ? moduleConfig["socketPath"]
+                : (moduleConfig["host"] ?? "localhost") + ":" + Number(moduleConfig["port"] ?? 3306);
+
+        return serverKey + "/" + moduleConfig["database"];
+    }
+
+    /**
+     * Takes the sync lock of each distinct database, so that instances that sync at the same time do not run competing
+     * statements. User locks belong to a connection, so each lock is taken on a dedicated connection that is kept until
+     * releaseSyncLocks() is called. If another instance holds a lock, this waits for up to lockWaitTimeout seconds
+     * @return {Promise<boolean|null>} True if another instance held a lock, which means that the database may have
+     * been synced in the meantime. False if the locks were free. Null if a lock could not be taken, in which case the
+     * errorInfo array will be populated with a relevant reason
+     */
+    async acquireSyncLocks() {
+        let hasWaitedForLock = false;
+
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            // A second GET_LOCK for the same database would run on another connection and wait for the lock that this
+            // instance already holds
+            const databaseKey = this.getSyncLockDatabaseKey(moduleName);
+            const isDatabaseLocked = Object.keys(this.syncLockConnections).some(
+                (lockedModuleName) => this.getSyncLockDatabaseKey(lockedModuleName) === databaseKey
+            );
+            if (isDatabaseLocked) {
+                continue;
+            }
+
+            const connection = await this.databaseConnector.connectDB(moduleName);
+            if (connection === null) {
+                this.populateError(
+                    "Could not connect to '" + moduleName + "' to take the sync lock",
+                    this.databaseConnector.getLastError()
+                );
+                return null;
+            }
+
+            this.syncLockConnections[moduleName] = connection;
+
+            const lockName = this.getSyncLockName(moduleName);
+            let lockResult = await this.getSyncLock(connection, lockName, 0);
+            if (lockResult === 0) {
+                hasWaitedForLock = true;
+                this.printProgress(
+                    "Another instance is syncing '" +
+                        moduleName +
+                        "'. Waiting up to " +
+                        this.lockWaitTimeout +
+                        " second(s) for it to finish..."
+                );
+                lockResult = await this.getSyncLock(connection, lockName, this.lockWaitTimeout);
+            }
+
+            if (lockResult === 0) {
+                this.populateError(
+                    "Timed out after " +
+                        this.lockWaitTimeout +
+                        " second(s) while waiting for another instance to finish syncing '" +
+                        moduleName +
+                        "'"
+                );
+                return null;
+            }
+
+            if (lockResult !== 1) {
+                this.populateError("Could not take the sync lock for '" + moduleName + "'");
+                return null;
+            }
+        }
+
+        return hasWaitedForLock;
+    }
+
+    /**
+     * Attempts to take a MySQL user lock on the given connection
+     * @param {{query: function}} connection The connection, as returned by dxDbConnector.connectDB()
+     * @param {string} lockName The name of the lock
+     * @param {number} timeout The number of seconds to wait for the lock
+     * @return {Promise<number|null>} 1 if the lock was taken, 0 if the timeout passed, or null if an error occurred
+     */
+    async getSyncLock(connection, lockName, timeout) {
+        try {
+            const lockResult = await connection.query("SELECT GET_LOCK(?, ?) AS lockResult;", [lockName, timeout]);
+            return lockResult[0]["lockResult"];
+        } catch (error) {
+            this.populateError("Could not take the lock '" + lockName + "'", error);
+            return null;
+        }
+    }
+
+    /**
+     * Releases the sync locks taken by acquireSyncLocks() and closes their connections
+     * @return {Promise<void>}
+     */
+    async releaseSyncLocks() {
+        for (const moduleName of Object.keys(this.syncLockConnections)) {
+            const connection = this.syncLockConnections[moduleName];
+            try {
+                await connection.query("SELECT RELEASE_LOCK(?);", [this.getSyncLockName(moduleName)]);
+            } catch (error) {
+                this.populateWarning("Could not release the sync lock for '" + moduleName + "': " + error.message);
+            }
+
+            connection.close();
+        }
+
+        this.syncLockConnections = {};
+    }
+
+    //#endregion
+
+    //#region Schema history
+
+    /**
+     * Returns a checksum of the data model, along with the case implementation, since that also determines the
+     * resulting schema. The keys of each object are sorted first, so that only meaningful changes affect the checksum
+     * @return {string} A sha256 hash, in hex
+     */
+    getDataModelChecksum() {
+        const getNormalizedValue = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(getNormalizedValue);
+            }
+
+            if (value !== null && typeof value === "object") {
+                return Object.fromEntries(
+                    Object.keys(value)
+                        .sort()
+                        .map((key) => [key, getNormalizedValue(value[key])])
+                );
+            }
+
+            return value;
+        };
+
+        const normalizedDataModel = JSON.stringify({
+            dataModel: getNormalizedValue(this.dataModel),
+            databaseCaseImplementation: this.databaseCaseImplementation.toLowerCase(),
+        });
+
+        return crypto.createHash("sha256").update(normalizedDataModel).digest("hex");
+    }
+
+    /**
+     * Creates the schema history table in each module, if it does not exist yet
      * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
      * with a relevant reason
      */
-    async createTables() {
-        this.startNewCommandLineSection("Create new tables");
+    async prepareSchemaHistory() {
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            const createResult = await this.databaseConnector.queryDB(
+                "CREATE TABLE IF NOT EXISTS " +
+                    this.getQuotedTableName(SCHEMA_HISTORY_TABLE) +
+                    " (" +
+                    "`id` bigint NOT NULL AUTO_INCREMENT PRIMARY KEY, " +
+                    "`synced_at` datetime NOT NULL, " +
+                    "`checksum` char(64) NOT NULL, " +
+                    "`library_version` varchar(50) NOT NULL, " +
+                    "`statements` longtext NOT NULL, " +
+                    "`outcome` varchar(10) NOT NULL, " +
+                    "`error` text DEFAULT NULL" +
+                    ") ENGINE=InnoDB;",
+                moduleName
+            );
 
-        if (this.tablesToCreate.length === 0) {
-            console.log("There are no tables to create.");
-            return true;
+            if (createResult === null) {
+                this.populateError(
+                    "Could not create the " + SCHEMA_HISTORY_TABLE + " table for '" + moduleName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return false;
+            }
         }
 
-        console.log(this.tablesToCreate.length + " new table(s) to create.");
-        const dataModelTablesToCreate = Object.fromEntries(
-            Object.entries(this.dataModel).filter(([key]) => this.tablesToCreate.includes(key))
-        );
-        console.log(dataModelTablesToCreate);
+        this.isSchemaHistoryPrepared = true;
+        return true;
+    }
 
-        for (const tableName of this.tablesToCreate) {
-            const tableNameDataModel = this.getCaseDenormalizedString(tableName);
-            const moduleName = this.dataModel[tableNameDataModel]["module"];
-            const createTableSql =
-                "CREATE TABLE `" +
-                tableName +
-                "` ( `" +
-                this.getPrimaryKeyColumn() +
-                "` " +
-                "BIGINT NOT NULL AUTO_INCREMENT , PRIMARY KEY (`" +
-                this.getPrimaryKeyColumn() +
-                "`));";
-
-            const createResult = await this.databaseConnector.queryDB(createTableSql, moduleName);
-            if (createResult === null) {
-                this.populateError("Could not create table '" + tableName + "'", this.databaseConnector.getLastError());
+    /**
+     * Checks whether the last successful sync of every module applied the given checksum, using the current version
+     * of this library. If so, the database already matches the data model, unless it was changed by hand
+     * @param {string} checksum The checksum of the current data model, as returned by getDataModelChecksum()
+     * @return {Promise<boolean|null>} True if nothing changed, or null if the schema history could not be read
+     */
+    async isDataModelUnchangedSinceLastSync(checksum) {
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            const lastSyncResult = await this.databaseConnector.queryDB(
+                "SELECT `checksum`, `library_version` FROM " +
+                    this.getQuotedTableName(SCHEMA_HISTORY_TABLE) +
+                    " WHERE `outcome` = 'success' ORDER BY `id` DESC LIMIT 1;",
+                moduleName
+            );
+
+            if (lastSyncResult === null) {
+                this.populateError(
+                    "Could not read the " + SCHEMA_HISTORY_TABLE + " table for '" + moduleName + "'",
+                    this.databaseConnector.getLastError()
+                );
+                return null;
+            }
+
+            if (
+                lastSyncResult.length === 0 ||
+                lastSyncResult[0]["checksum"] !== checksum ||
+                lastSyncResult[0]["library_version"] !== packageVersion
+            ) {
                 return false;
             }
         }
@@ -923,497 +6172,563 @@ class DivbloxDatabaseSync {
     }
 
     /**
-     * Cycles through all the tables to ensure that they align with their data model definition
-     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
-     * with a relevant reason
+     * Records the given sync in the schema history table of each module, along with the statements that were executed
+     * in that module. Failing to record the history is reported as a warning, since the sync itself is already done
+     * @param {{}} syncReport The report of the sync. See getLastSyncReport()
+     * @return {Promise<void>}
      */
-    async updateTables() {
-        this.startNewCommandLineSection("Update existing tables");
-
-        if (!this.foreignKeyChecksDisabled) {
-            await this.disableForeignKeyChecks();
-        }
-
-        let updatedTables = [];
-        let sqlQuery = {};
-
-        for (const entityName of Object.keys(this.dataModel)) {
-            const moduleName = this.dataModel[entityName]["module"];
+    async recordSchemaHistory(syncReport) {
+        const syncedAt = new Date(syncReport.startedAt).toISOString().replace("T", " ").substring(0, 19);
 
-            if (typeof sqlQuery[moduleName] === "undefined") {
-                sqlQuery[moduleName] = [];
-            }
+        for (const moduleName of Object.keys(this.databaseConfig)) {
+            const moduleTables = syncReport.modules[moduleName]?.tables ?? {};
+            const moduleStatements = Object.keys(moduleTables).flatMap((tableName) =>
+                moduleTables[tableName].statements.map((statement) => ({ tableName, ...statement }))
+            );
 
-            const tableName = this.getCaseNormalizedString(entityName);
-            const tableColumns = await this.databaseConnector.queryDB(
-                "SHOW FULL COLUMNS FROM " + tableName,
-                moduleName
+            const insertResult = await this.databaseConnector.queryDB(
+                "INSERT INTO " +
+                    this.getQuotedTableName(SCHEMA_HISTORY_TABLE) +
+                    " (`synced_at`, `checksum`, `library_version`, `statements`, `outcome`, `error`) " +
+                    "VALUES (?, ?, ?, ?, ?, ?);",
+                moduleName,
+                [
+                    syncedAt,
+                    syncReport.checksum,
+                    packageVersion,
+                    JSON.stringify(moduleStatements),
+                    syncReport.success ? "success" : "failed",
+                    syncReport.error,
+                ]
             );
 
-            let tableColumnsNormalized = {};
+            if (insertResult === null) {
+                this.populateWarning(
+                    "Could not record the sync in the " + SCHEMA_HISTORY_TABLE + " table for '" + moduleName + "'"
+                );
+            }
+        }
+    }
 
-            const entityAttributes = this.dataModel[entityName]["attributes"];
-            const expectedColumns = this.getEntityExpectedColumns(entityName);
+    //#endregion
 
-            let attributesProcessed = [];
-            let relationshipsProcessed = [];
+    //#region Data model introspection
+    /**
+     * Reverse-engineers a data model from the tables that currently exist in the database of the given module. Names
+     * are converted to camelCase using getCaseDenormalizedString(). Anything that cannot be represented in a data
+     * model, e.g composite primary keys or foreign keys that do not reference the primary key column, is reported as a
+     * warning rather than included in the data model
+     * @param {string} moduleName The module for which to introspect the database
+     * @return {Promise<{dataModel: {}, warnings: string[]}|null>} The data model along with any warnings, or null if
+     * the database could not be introspected. Reasons are available via getLastError()
+     */
+    async introspectDataModel(moduleName) {
+        if (typeof this.databaseConfig[moduleName] === "undefined") {
+            this.populateError("Module '" + moduleName + "' is not defined in the database configuration");
+            return null;
+        }
 
-            for (const tableColumn of tableColumns) {
-                const columnName = tableColumn["Field"];
-                const columnAttributeName = this.getCaseDenormalizedString(columnName);
-                attributesProcessed.push(columnAttributeName);
+        this.isOutputSuppressed = true;
+        this.warningInfo = [];
 
-                if (columnAttributeName === this.getPrimaryKeyColumn()) {
-                    continue;
-                }
+        // Output is always restored, so that an exception cannot silence later syncs
+        let dataModel = null;
+        try {
+            dataModel = await this.getIntrospectedDataModel(moduleName);
+        } finally {
+            this.isOutputSuppressed = false;
+        }
 
-                // Let's check for columns to drop
-                if (!expectedColumns.includes(columnName)) {
-                    sqlQuery[moduleName].push(
-                        "ALTER TABLE `" + tableName + "` DROP COLUMN " + tableColumn["Field"] + ";"
-                    );
-                    if (!updatedTables.includes(entityName)) {
-                        updatedTables.push(entityName);
-                    }
-                    continue;
-                }
+        if (dataModel === null) {
+            return null;
+        }
 
-                // Now, let's check if the existing columns' configurations align with our data model
-                const allowNull = tableColumn["Null"] !== "NO";
-                const typeParts = tableColumn["Type"].split("(");
-                const baseType = typeParts[0];
-                const typeLength = typeParts.length > 1 ? typeParts[1].replace(")", "") : null;
-
-                tableColumnsNormalized[tableColumn["Field"]] = {
-                    type: baseType,
-                    lengthOrValues: typeLength,
-                    default: tableColumn["Default"],
-                    allowNull: allowNull,
-                };
+        return { dataModel, warnings: this.warningInfo };
+    }
 
-                for (const columnOption of Object.keys(tableColumnsNormalized[tableColumn["Field"]])) {
-                    if (typeof entityAttributes[columnAttributeName] === "undefined") {
-                        if (columnName !== this.getLockingConstraintColumn()) {
-                            // This must mean that the column is a foreign key column
-                            if (tableColumnsNormalized[tableColumn["Field"]]["type"].toLowerCase() !== "bigint") {
-                                // This column needs to be fixed. Somehow its type got changed
-                                sqlQuery[moduleName].push(
-                                    "ALTER TABLE `" + tableName + "` MODIFY COLUMN `" + columnName + "` BIGINT(20);"
-                                );
-
-                                if (!updatedTables.includes(entityName)) {
-                                    updatedTables.push(entityName);
-                                }
-                            }
-                            relationshipsProcessed.push(columnName);
-                        } else {
-                            // This is the locking constraint column
-                            if (tableColumnsNormalized[tableColumn["Field"]]["type"].toLowerCase() !== "datetime") {
-                                // This column needs to be fixed. Somehow its type got changed
-                                sqlQuery[moduleName].push(
-                                    "ALTER TABLE `" +
-                                    tableName +
-                                    "` MODIFY COLUMN `" +
-                                    columnName +
-                                    "` datetime DEFAULT CURRENT_TIMESTAMP;"
-                                );
-
-                                if (!updatedTables.includes(entityName)) {
-                                    updatedTables.push(entityName);
-                                }
-                            }
-                            attributesProcessed.push(columnName);
-                        }
-                        break;
-                    }
+    /**
+     * Does the work for introspectDataModel()
+     * @param {string} moduleName The module for which to introspect the database
+     * @return {Promise<{}|null>} The data model, or null if the database could not be introspected
+     */
+    async getIntrospectedDataModel(moduleName) {
+        this.schemaSnapshots = {};
+        const moduleTables = await this.getModuleDatabaseTables(moduleName);
+        if (moduleTables === null) {
+            return null;
+        }
 
-                    const dataModelOption =
-                        columnOption === "lengthOrValues" &&
-                        entityAttributes[columnAttributeName][columnOption] !== null
-                            ? entityAttributes[columnAttributeName][columnOption].toString()
-                            : entityAttributes[columnAttributeName][columnOption];
+        let dataModel = {};
+        for (const tableName of Object.keys(moduleTables)) {
+            if (moduleTables[tableName] !== "BASE TABLE") {
+                this.populateWarning("'" + tableName + "' is a " + moduleTables[tableName] + " and was skipped");
+                continue;
+            }
 
-                    if (dataModelOption !== tableColumnsNormalized[tableColumn["Field"]][columnOption]) {
-                        sqlQuery[moduleName].push(
-                            "ALTER TABLE `" +
-                            tableName +
-                            "` " +
-                            this.getAlterColumnSql(columnName, entityAttributes[columnAttributeName], "MODIFY")
-                        );
+            this.checkIntrospectedName(tableName, "Table '" + tableName + "'");
 
-                        if (!updatedTables.includes(entityName)) {
-                            updatedTables.push(entityName);
-                        }
-                        break;
-                    }
-                }
+            const entityObj = await this.getIntrospectedEntity(moduleName, tableName);
+            if (entityObj === null) {
+                return null;
             }
 
-            // Now, let's create any remaining new columns
-            let entityAttributesArray = Object.keys(entityAttributes);
-            entityAttributesArray.push(this.getCaseDenormalizedString(this.getPrimaryKeyColumn()));
+            dataModel[this.getCaseDenormalizedString(tableName)] = entityObj;
+        }
 
-            if (
-                typeof this.dataModel[entityName]["options"] !== "undefined" &&
-                typeof this.dataModel[entityName]["options"]["enforceLockingConstraints"] !== "undefined"
-            ) {
-                if (this.dataModel[entityName]["options"]["enforceLockingConstraints"] !== false) {
-                    entityAttributesArray.push(this.getCaseDenormalizedString(this.getLockingConstraintColumn()));
-                }
-            }
-            const columnsToCreate = entityAttributesArray.filter((x) => !attributesProcessed.includes(x));
+        return dataModel;
+    }
+
+    /**
+     * Reverse-engineers the data model definition of a single entity from its table
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table
+     * @return {Promise<{}|null>} The entity definition, or null if the table could not be introspected
+     */
+    async getIntrospectedEntity(moduleName, tableName) {
+        const tableColumns = await this.getTableColumns(moduleName, tableName);
+        const indexRows = await this.getTableIndexes(moduleName, tableName);
+        const foreignKeyRows = await this.getTableForeignKeys(moduleName, tableName);
+        if (tableColumns === null || indexRows === null || foreignKeyRows === null) {
+            this.populateError("Could not inspect table '" + tableName + "'", this.databaseConnector.getLastError());
+            return null;
+        }
 
-            for (const columnToCreate of columnsToCreate) {
-                const columnName = this.getCaseNormalizedString(columnToCreate);
+        let entityObj = {
+            module: moduleName,
+            attributes: {},
+            indexes: [],
+            relationships: {},
+            options: { enforceLockingConstraints: false },
+        };
 
-                const columnDataModelObject =
-                    columnToCreate === this.getCaseDenormalizedString(this.getLockingConstraintColumn())
-                        ? {
-                            type: "datetime",
-                            lengthOrValues: null,
-                            default: "CURRENT_TIMESTAMP",
-                            allowNull: false,
-                        }
-                        : entityAttributes[columnToCreate];
+        const primaryKeyColumns = indexRows
+            .filter((indexRow) => indexRow["Key_name"] === "PRIMARY")
+            .map((indexRow) => indexRow["Column_name"]);
 
-                sqlQuery[moduleName].push(
-                    "ALTER TABLE `" +
+        if (primaryKeyColumns.length === 0) {
+            this.populateWarning(
+                "Table '" +
                     tableName +
-                    "` " +
-                    this.getAlterColumnSql(columnName, columnDataModelObject, "ADD")
-                );
+                    "' has no primary key. A sync will add a '" +
+                    this.getPrimaryKeyColumn() +
+                    "' primary key column"
+            );
+        } else if (primaryKeyColumns.length > 1) {
+            this.populateWarning(
+                "Table '" +
+                    tableName +
+                    "' has a composite primary key (" +
+                    primaryKeyColumns.join(",") +
+                    "), which cannot be represented. Its columns are introspected as attributes"
+            );
+        } else if (primaryKeyColumns[0] !== this.getPrimaryKeyColumn()) {
+            this.populateWarning(
+                "The primary key of table '" +
+                    tableName +
+                    "' is '" +
+                    primaryKeyColumns[0] +
+                    "' instead of '" +
+                    this.getPrimaryKeyColumn() +
+                    "'. It is introspected as an attribute"
+            );
+        }
 
-                if (!updatedTables.includes(entityName)) {
-                    updatedTables.push(entityName);
-                }
+        let relationshipColumns = [];
+        for (const foreignKeyRow of foreignKeyRows) {
+            const relationship = this.getIntrospectedRelationship(moduleName, tableName, foreignKeyRow, foreignKeyRows);
+            if (relationship === null) {
+                continue;
             }
 
-            const entityRelationshipColumns = this.getEntityRelationshipColumns(entityName);
-            const relationshipColumnsToCreate = entityRelationshipColumns.filter(
-                (x) => !relationshipsProcessed.includes(x)
+            const isRequired = tableColumns.some(
+                (tableColumn) => tableColumn["Field"] === foreignKeyRow.COLUMN_NAME && tableColumn["Null"] === "NO"
             );
 
-            for (const relationshipColumnToCreate of relationshipColumnsToCreate) {
-                sqlQuery[moduleName].push(
-                    "ALTER TABLE `" + tableName + "` ADD COLUMN `" + relationshipColumnToCreate + "` BIGINT(20);"
-                );
+            let relationshipDefinition = relationship.relationshipName;
+            if (foreignKeyRow.DELETE_RULE !== "SET NULL" || foreignKeyRow.UPDATE_RULE !== "CASCADE" || isRequired) {
+                relationshipDefinition = { name: relationship.relationshipName };
+                if (foreignKeyRow.DELETE_RULE !== "SET NULL") {
+                    relationshipDefinition.onDelete = foreignKeyRow.DELETE_RULE;
+                }
+
+                if (foreignKeyRow.UPDATE_RULE !== "CASCADE") {
+                    relationshipDefinition.onUpdate = foreignKeyRow.UPDATE_RULE;
+                }
 
-                if (!updatedTables.includes(entityName)) {
-                    updatedTables.push(entityName);
+                if (isRequired) {
+                    relationshipDefinition.required = true;
                 }
             }
+
+            if (typeof entityObj.relationships[relationship.relationshipEntity] === "undefined") {
+                entityObj.relationships[relationship.relationshipEntity] = [];
+            }
+
+            entityObj.relationships[relationship.relationshipEntity].push(relationshipDefinition);
+            relationshipColumns.push(foreignKeyRow.COLUMN_NAME);
         }
 
-        for (const moduleName of Object.keys(sqlQuery)) {
-            if (sqlQuery[moduleName].length === 0) {
+        for (const tableColumn of tableColumns) {
+            const columnName = tableColumn["Field"];
+            if (relationshipColumns.includes(columnName)) {
                 continue;
             }
 
-            for (const query of sqlQuery[moduleName]) {
-                const queryResult = await this.databaseConnector.queryDB(query, moduleName);
-                if (queryResult === null) {
-                    this.populateError("Could not execute query", this.databaseConnector.getLastError());
-                    return false;
-                }
+            if (primaryKeyColumns.length === 1 && columnName === this.getPrimaryKeyColumn()) {
+                continue;
+            }
+
+            if (columnName === this.getLockingConstraintColumn()) {
+                entityObj.options.enforceLockingConstraints = true;
+                continue;
             }
+
+            this.checkIntrospectedName(columnName, "Column '" + tableName + "." + columnName + "'");
+            entityObj.attributes[this.getCaseDenormalizedString(columnName)] = this.getIntrospectedAttribute(
+                tableName,
+                tableColumn
+            );
         }
 
-        console.log(updatedTables.length + " tables were updated");
+        const existingIndexDefinitions = this.getExistingIndexDefinitions(indexRows);
+        for (const indexName of Object.keys(existingIndexDefinitions)) {
+            const indexDefinition = existingIndexDefinitions[indexName];
 
-        if (this.foreignKeyChecksDisabled) {
-            await this.restoreForeignKeyChecks();
+            // Foreign key constraints create an index on their column, which the sync creates again by itself
+            const isRelationshipIndex =
+                indexDefinition.columns.length === 1 &&
+                !indexDefinition.isUnique &&
+                relationshipColumns.includes(indexDefinition.columns[0].columnName);
+
+            if (indexName === "PRIMARY" || isRelationshipIndex) {
+                continue;
+            }
+
+            this.checkIntrospectedName(indexName, "Index '" + tableName + "." + indexName + "'");
+            entityObj.indexes.push(this.getIntrospectedIndex(indexName, indexDefinition));
         }
 
-        return true;
+        return entityObj;
     }
 
     /**
-     * Cycles through all the indexes for each table to ensure they align with their data model definition
-     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
-     * with a relevant reason
+     * Determines which relationship is represented by the given foreign key constraint
+     * @param {string} moduleName The module in which the table resides
+     * @param {string} tableName The name of the table that owns the constraint
+     * @param {{}} foreignKeyRow The constraint, as returned by getTableForeignKeys()
+     * @param {[]} foreignKeyRows All of the table's constraints, as returned by getTableForeignKeys()
+     * @return {{relationshipEntity: string, relationshipName: string}|null} The relationship, or null if the
+     * constraint cannot be represented as a relationship. A warning is populated in that case
      */
-    async updateIndexes() {
-        this.startNewCommandLineSection("Update indexes");
+    getIntrospectedRelationship(moduleName, tableName, foreignKeyRow, foreignKeyRows) {
+        const constraintDescription =
+            "Foreign key '" +
+            foreignKeyRow.CONSTRAINT_NAME +
+            "' on '" +
+            tableName +
+            "." +
+            foreignKeyRow.COLUMN_NAME +
+            "'";
+
+        const constraintColumnCount = foreignKeyRows.filter(
+            (obj) => obj.CONSTRAINT_NAME === foreignKeyRow.CONSTRAINT_NAME
+        ).length;
+        if (constraintColumnCount > 1) {
+            this.populateWarning(
+                constraintDescription + " spans multiple columns, which cannot be represented. Its columns are " +
+                    "introspected as attributes"
+            );
+            return null;
+        }
 
-        if (!this.foreignKeyChecksDisabled) {
-            await this.disableForeignKeyChecks();
+        if (foreignKeyRow.REFERENCED_COLUMN_NAME !== this.getPrimaryKeyColumn()) {
+            this.populateWarning(
+                constraintDescription +
+                    " references '" +
+                    foreignKeyRow.REFERENCED_TABLE_NAME +
+                    "." +
+                    foreignKeyRow.REFERENCED_COLUMN_NAME +
+                    "' instead of a primary key column, which cannot be represented. The column is introspected as " +
+                    "an attribute"
+            );
+            return null;
         }
 
-        let updatedIndexes = { added: 0, removed: 0 };
+        const relationshipEntity = this.getCaseDenormalizedString(foreignKeyRow.REFERENCED_TABLE_NAME);
+        const relationshipColumnPrefix = this.getRelationshipColumnName(relationshipEntity, "");
+        const relationshipName = this.getCaseDenormalizedString(
+            foreignKeyRow.COLUMN_NAME.substring(relationshipColumnPrefix.length)
+        );
 
-        for (const entityName of Object.keys(this.dataModel)) {
-            const moduleName = this.dataModel[entityName]["module"];
-            const tableName = this.getCaseNormalizedString(entityName);
+        if (
+            !foreignKeyRow.COLUMN_NAME.startsWith(relationshipColumnPrefix) ||
+            relationshipName.length === 0 ||
+            this.getRelationshipColumnName(relationshipEntity, relationshipName) !== foreignKeyRow.COLUMN_NAME
+        ) {
+            this.populateWarning(
+                constraintDescription +
+                    " does not follow the naming convention for relationship columns ('" +
+                    relationshipColumnPrefix +
+                    "[relationshipName]'). The column is introspected as an attribute"
+            );
+            return null;
+        }
 
-            const indexCheckResult = await this.databaseConnector.queryDB("SHOW INDEX FROM " + tableName, moduleName);
-            let existingIndexes = [];
+        const referencedSchema = foreignKeyRow.UNIQUE_CONSTRAINT_SCHEMA;
+        if (referencedSchema !== this.databaseConfig[moduleName]["database"]) {
+            const referencedModuleName = Object.keys(this.databaseConfig).find(
+                (x) => this.databaseConfig[x]["database"] === referencedSchema
+            );
 
-            for (const index of indexCheckResult) {
-                existingIndexes.push(index["Key_name"]);
+            if (typeof referencedModuleName === "undefined") {
+                this.populateWarning(
+                    constraintDescription +
+                        " references schema '" +
+                        referencedSchema +
+                        "', which is not configured as a module. The column is introspected as an attribute"
+                );
+                return null;
             }
 
-            const entityRelationshipConstraints = this.getEntityRelationshipConstraint(entityName);
-            const expectedIndexes = entityRelationshipConstraints.map((obj) => obj.constraintName);
-
-            for (const indexObj of this.dataModel[entityName]["indexes"]) {
-                const indexName = this.getCaseNormalizedString(indexObj["indexName"]);
-                expectedIndexes.push(indexName);
-
-                if (!existingIndexes.includes(indexName)) {
-                    // Let's add this index
-                    const keyColumn = this.getCaseNormalizedString(indexObj["attribute"]);
-
-                    switch (indexObj["indexChoice"].toLowerCase()) {
-                        case "index":
-                            const indexAddResult = await this.databaseConnector.queryDB(
-                                "ALTER TABLE `" +
-                                tableName +
-                                "` ADD INDEX `" +
-                                indexName +
-                                "` (`" +
-                                keyColumn +
-                                "`) USING " +
-                                indexObj["type"] +
-                                ";",
-                                moduleName
-                            );
-
-                            if (indexAddResult === null) {
-                                this.populateError(
-                                    "Could not add INDEX '" + indexName + "' to table '" + tableName + "'",
-                                    this.databaseConnector.getLastError()
-                                );
-
-                                return false;
-                            }
-                            break;
-                        case "unique":
-                            const uniqueAddResult = await this.databaseConnector.queryDB(
-                                "ALTER TABLE `" +
-                                tableName +
-                                "` ADD UNIQUE `" +
-                                indexName +
-                                "` (`" +
-                                keyColumn +
-                                "`) USING " +
-                                indexObj["type"] +
-                                ";",
-                                moduleName
-                            );
-
-                            if (uniqueAddResult === null) {
-                                this.populateError(
-                                    "Could not add UNIQUE '" + indexName + "' to table '" + tableName + "'",
-                                    this.databaseConnector.getLastError()
-                                );
-
-                                return false;
-                            }
-                            break;
-                        case "spatial":
-                            const spatialAddResult = await this.databaseConnector.queryDB(
-                                "ALTER TABLE `" + tableName + "` ADD SPATIAL `" + indexName + "` (`" + keyColumn + "`)",
-                                moduleName
-                            );
-
-                            if (spatialAddResult === null) {
-                                this.populateError(
-                                    "Could not add SPATIAL '" + indexName + "' to table '" + tableName + "'",
-                                    this.databaseConnector.getLastError()
-                                );
-
-                                return false;
-                            }
-                            break;
-                        case "fulltext":
-                            const fulltextAddResult = await this.databaseConnector.queryDB(
-                                "ALTER TABLE `" +
-                                tableName +
-                                "` ADD FULLTEXT `" +
-                                indexName +
-                                "` (`" +
-                                keyColumn +
-                                "`)",
-                                moduleName
-                            );
-
-                            if (fulltextAddResult === null) {
-                                this.populateError(
-                                    "Could not add FULLTEXT '" + indexName + "' to table '" + tableName + "'",
-                                    this.databaseConnector.getLastError()
-                                );
-
-                                return false;
-                            }
-                            break;
-                        default:
-                            this.populateError(
-                                "Invalid index choice specified for " +
-                                "'" +
-                                indexObj["indexName"] +
-                                "' on '" +
-                                entityName +
-                                "'. " +
-                                "Provided: " +
-                                indexObj["indexChoice"] +
-                                "; " +
-                                "Valid options: index|unique|fulltext|spatial"
-                            );
-
-                            return false;
-                    }
+            this.populateWarning(
+                constraintDescription +
+                    " references '" +
+                    relationshipEntity +
+                    "' in module '" +
+                    referencedModuleName +
+                    "'. Combine this data model with the data model of that module"
+            );
+        }
 
-                    updatedIndexes.added++;
-                }
-            }
+        return { relationshipEntity, relationshipName };
+    }
 
-            for (const existingIndex of existingIndexes) {
-                if (existingIndex.toLowerCase() === "primary") {
-                    continue;
-                }
+    /**
+     * Reverse-engineers the data model definition of an attribute from its column
+     * @param {string} tableName The name of the table to which the column belongs
+     * @param {{}} tableColumn The row returned by "SHOW FULL COLUMNS"
+     * @return {{type: string, lengthOrValues: null|number|string, default: null|string, allowNull: boolean}} The
+     * attribute definition
+     */
+    getIntrospectedAttribute(tableName, tableColumn) {
+        const columnDescription = "Column '" + tableName + "." + tableColumn["Field"] + "'";
+        const typeMatch = tableColumn["Type"].match(/^(\w+)(?:\((.*)\))?(.*)$/);
+
+        const lengthOrValues = typeof typeMatch[2] !== "undefined" ? typeMatch[2] : null;
+        const isNumericLength = lengthOrValues !== null && /^\d+$/.test(lengthOrValues);
+        const columnModifiers = this.getColumnModifiers(typeMatch[3], tableColumn["Extra"] ?? "");
+
+        const typeModifiers = typeMatch[3].replace(/\b(unsigned|zerofill)\b/gi, "").trim();
+        if (typeModifiers.length > 0) {
+            this.populateWarning(
+                columnDescription + " is defined as '" + typeModifiers + "', which cannot be represented"
+            );
+        }
 
-                if (!expectedIndexes.includes(existingIndex)) {
-                    const dropQuery = "ALTER TABLE `" + tableName + "` DROP INDEX `" + existingIndex + "`";
-                    const dropResult = await this.databaseConnector.queryDB(dropQuery, moduleName);
-                    if (dropResult === null) {
-                        this.populateError(
-                            "Could not drop INDEX '" + existingIndex + "' to table '" + tableName + "'",
-                            this.databaseConnector.getLastError()
-                        );
+        // Generated columns are not represented, since "SHOW FULL COLUMNS" does not report their expression
+        const extra = (tableColumn["Extra"] ?? "")
+            .replace(/\bon update current_timestamp(\(\d*\))?/i, "")
+            .replace(/\bdefault_generated\b/i, "")
+            .replace(/\bauto_increment\b/i, "")
+            .trim();
+        if (extra.length > 0) {
+            this.populateWarning(columnDescription + " is defined with '" + extra + "', which cannot be represented");
+        }
 
-                        return false;
-                    }
+        let columnDefault = this.getExistingColumnDefinition(tableColumn).default;
+        if (columnDefault !== null && /^current_timestamp(\(\))?$/i.test(columnDefault)) {
+            columnDefault = "CURRENT_TIMESTAMP";
+        }
 
-                    updatedIndexes.removed++;
-                }
+        let attribute = {
+            type: typeMatch[1].toLowerCase(),
+            lengthOrValues: isNumericLength ? Number(lengthOrValues) : lengthOrValues,
+            default: columnDefault,
+            allowNull: tableColumn["Null"] !== "NO",
+        };
+
+        for (const modifier of ["unsigned", "zerofill", "autoIncrement"]) {
+            if (columnModifiers[modifier]) {
+                attribute[modifier] = true;
             }
         }
 
-        console.log(updatedIndexes.added + " Indexes added. " + updatedIndexes.removed + " Indexes removed.");
-
-        if (this.foreignKeyChecksDisabled) {
-            await this.restoreForeignKeyChecks();
+        if (columnModifiers.onUpdate !== null) {
+            attribute.onUpdate = columnModifiers.onUpdate;
         }
 
-        return true;
+        return attribute;
     }
 
     /**
-     * Cycles through all the relationships for each table to ensure they align with their data model definition
-     * @return {Promise<boolean>} True if all good, false otherwise. If false, the errorInfo array will be populated
-     * with a relevant reason
+     * Reverse-engineers the data model definition of an index
+     * @param {string} indexName The name of the index
+     * @param {{}} indexDefinition The definition, as returned by getExistingIndexDefinitions()
+     * @return {{}} The index definition. Indexes on a single column without a prefix length or descending order are
+     * defined on an "attribute". Otherwise, they are defined on "attributes"
      */
-    async updateRelationships(dropOnly = false) {
-        if (dropOnly) {
-            this.startNewCommandLineSection("Removing redundant relationships");
-        } else {
-            this.startNewCommandLineSection("Update relationships");
+    getIntrospectedIndex(indexName, indexDefinition) {
+        let indexChoice = indexDefinition.isUnique ? "unique" : "index";
+        if (["SPATIAL", "FULLTEXT"].includes(indexDefinition.indexType)) {
+            indexChoice = indexDefinition.indexType.toLowerCase();
         }
 
-        if (!this.foreignKeyChecksDisabled) {
-            await this.disableForeignKeyChecks();
-        }
+        const indexAttributes = indexDefinition.columns.map((indexColumn) => {
+            const attributeName = this.getCaseDenormalizedString(indexColumn.columnName);
+            if (indexColumn.length === null && indexColumn.order !== "DESC") {
+                return attributeName;
+            }
 
-        let updatedRelationships = { added: 0, removed: 0 };
+            let indexAttribute = { attribute: attributeName };
+            if (indexColumn.length !== null) {
+                indexAttribute.length = indexColumn.length;
+            }
 
-        for (const entityName of Object.keys(this.dataModel)) {
-            const moduleName = this.dataModel[entityName]["module"];
-            const tableName = this.getCaseNormalizedString(entityName);
-            const schemaName = this.databaseConfig[moduleName]["database"];
+            if (indexColumn.order === "DESC") {
+                indexAttribute.order = "DESC";
+            }
 
-            const listForeignKeysQuery = `SELECT * FROM information_schema.REFERENTIAL_CONSTRAINTS 
-            WHERE TABLE_NAME = '${tableName}' AND CONSTRAINT_SCHEMA = '${schemaName}';`;
+            return indexAttribute;
+        });
 
-            const listForeignKeysResult = await this.databaseConnector.queryDB(listForeignKeysQuery, moduleName);
-            let existingForeignKeys = [];
-            const entityRelationshipConstraints = this.getEntityRelationshipConstraint(entityName);
+        let indexObj = {};
+        if (indexAttributes.length === 1 && typeof indexAttributes[0] === "string") {
+            indexObj.attribute = indexAttributes[0];
+        } else {
+            indexObj.attributes = indexAttributes;
+        }
 
-            for (const foreignKeyResult of listForeignKeysResult) {
-                let foundConstraint = null;
-                if (entityRelationshipConstraints.length) {
-                    foundConstraint = entityRelationshipConstraints.find(
-                        (obj) => obj.constraintName === foreignKeyResult.CONSTRAINT_NAME
-                    );
-                }
+        indexObj.indexName = this.getCaseDenormalizedString(indexName);
+        indexObj.indexChoice = indexChoice;
+        indexObj.type = indexDefinition.indexType === "HASH" ? "HASH" : "BTREE";
 
-                if (!foundConstraint) {
-                    const dropQuery =
-                        "ALTER TABLE `" +
-                        schemaName +
-                        "`.`" +
-                        tableName +
-                        "` DROP FOREIGN KEY `" +
-                        foreignKeyResult.CONSTRAINT_NAME +
-                        "`;";
-                    const foreignKeyDeleteResult = await this.databaseConnector.queryDB(dropQuery, moduleName);
-                    if (foreignKeyDeleteResult === null) {
-                        this.populateError(
-                            "Could not drop FK '" + foreignKeyResult.CONSTRAINT_NAME + "'",
-                            this.databaseConnector.getLastError()
-                        );
+        return indexObj;
+    }
 
-                        return false;
-                    }
+    /**
+     * Populates a warning if the given database name does not survive the conversion to a data model name and back,
+     * which means that a sync would rename it
+     * @param {string} name The table, column or index name, as it exists in the database
+     * @param {string} description A description of the object, to use in the warning
+     */
+    checkIntrospectedName(name, description) {
+        const normalizedName = this.getCaseNormalizedString(this.getCaseDenormalizedString(name));
+        if (normalizedName === name) {
+            return;
+        }
 
-                    updatedRelationships.removed++;
-                } else {
-                    existingForeignKeys.push(foreignKeyResult.CONSTRAINT_NAME);
-                }
-            }
+        this.populateWarning(
+            description +
+                " does not match the '" +
+                this.databaseCaseImplementation +
+                "' case implementation. A sync would expect it to be named '" +
+                normalizedName +
+                "'"
+        );
+    }
+    //#endregion
 
-            if (dropOnly) {
-                continue;
-            }
+    //#region Output
 
-            const foreignKeysToCreate = entityRelationshipConstraints.filter(
-                (x) => !existingForeignKeys.includes(x.constraintName)
-            );
-            for (const foreignKeyToCreate of foreignKeysToCreate) {
-                const entityRelationship = this.getEntityRelationshipFromRelationshipColumn(
-                    entityName,
-                    foreignKeyToCreate.columnName
-                );
+    /**
+     * Emits one of the SYNC_EVENTS to the listeners of this instance. Nothing is emitted while output is suppressed
+     * @param {string} eventName The name of the event
+     * @param {{}} eventData The data that describes the event
+     */
+    emitSyncEvent(eventName, eventData = {}) {
+        if (this.isOutputSuppressed) {
+            return;
+        }
 
-                const createQuery =
-                    "ALTER TABLE `" +
-                    tableName +
-                    "` ADD CONSTRAINT `" +
-                    foreignKeyToCreate.constraintName +
-                    "` FOREIGN KEY (`" +
-                    foreignKeyToCreate.columnName +
-                    "`) REFERENCES `" +
-                    this.getCaseNormalizedString(entityRelationship) +
-                    "`(`" +
-                    this.getPrimaryKeyColumn() +
-                    "`) ON DELETE SET NULL ON UPDATE CASCADE;";
-                const createResult = await this.databaseConnector.queryDB(createQuery, moduleName);
-                if (createResult === null) {
-                    this.populateError(
-                        "Could not add FK '" + foreignKeyToCreate + "'",
-                        this.databaseConnector.getLastError()
-                    );
+        // EventEmitter throws when an "error" event has no listeners, which is expected in silent mode
+        if (eventName === SYNC_EVENTS.error && this.listenerCount(eventName) === 0) {
+            return;
+        }
 
-                    return false;
-                }
+        this.emit(eventName, eventData);
+    }
 
-                updatedRelationships.added++;
-            }
-        }
+    /**
+     * Outputs a piece of text that describes the progress of the sync
+     * @param {string} message The text to display
+     */
+    printProgress(message = "") {
+        this.emitSyncEvent(SYNC_EVENTS.progress, { message });
+    }
 
-        console.log(
-            updatedRelationships.added +
-            " Relationships added. " +
-            updatedRelationships.removed +
-            " Relationships removed."
+    /**
+     * Outputs a piece of informational text
+     * @param {string} message The text to display
+     */
+    printInfo(message = "") {
+        this.emitSyncEvent(SYNC_EVENTS.info, { message });
+    }
+
+    /**
+     * Adds the default listeners, which print the progress of the sync to the command line in colour. Changes are not
+     * printed individually, since each phase reports a summary of its changes
+     */
+    addCommandLineListeners() {
+        this.on(SYNC_EVENTS.phaseStarted, ({ message }) => {
+            const lineText = "-".repeat(process.stdout.columns ?? 0);
+
+            dxUtils.outputFormattedLog(lineText, dxUtils.commandLineColors.foregroundCyan);
+            dxUtils.outputFormattedLog(message, this.commandLineHeadingFormatting);
+            dxUtils.outputFormattedLog(lineText, dxUtils.commandLineColors.foregroundCyan);
+        });
+        this.on(SYNC_EVENTS.progress, ({ message }) =>
+            dxUtils.outputFormattedLog(message, this.commandLineSubHeadingFormatting)
         );
+        this.on(SYNC_EVENTS.info, ({ message }) => console.log(message));
+        this.on(SYNC_EVENTS.warning, ({ message }) =>
+            dxUtils.outputFormattedLog(message, this.commandLineWarningFormatting)
+        );
+        this.on(SYNC_EVENTS.error, ({ message, error }) => {
+            if (error !== null) {
+                console.dir(error, { depth: null });
+            } else {
+                dxUtils.outputFormattedLog(message, dxUtils.commandLineColors.foregroundRed);
+            }
+        });
+    }
 
-        if (this.foreignKeyChecksDisabled) {
-            await this.restoreForeignKeyChecks();
+    /**
+     * Adds listeners that send the progress of the sync to the given logger. Changes to the database are logged at
+     * debug level, if the logger supports it
+     * @param {{info: function, warn?: function, error?: function, debug?: function}} logger The logger, e.g console
+     */
+    addLoggerListeners(logger) {
+        const logInfo = (message) => logger.info(message);
+        const logWarning = (message) => (logger.warn ?? logger.info).call(logger, message);
+        const logError = (message, error) =>
+            error !== null
+                ? (logger.error ?? logger.info).call(logger, message, error)
+                : (logger.error ?? logger.info).call(logger, message);
+        const logChange = (message) => (logger.debug ?? logger.info).call(logger, message);
+
+        this.on(SYNC_EVENTS.phaseStarted, ({ message }) => logInfo(message));
+        this.on(SYNC_EVENTS.progress, ({ message }) => logInfo(message));
+        this.on(SYNC_EVENTS.info, ({ message }) => logInfo(message));
+        this.on(SYNC_EVENTS.warning, ({ message }) => logWarning(message));
+        this.on(SYNC_EVENTS.error, ({ message, error }) => logError(message, error));
+
+        for (const eventName of Object.values(SYNC_STEP_EVENTS)) {
+            this.on(eventName, ({ moduleName, tableName, objectName }) =>
+                logChange(
+                    eventName +
+                        ": " +
+                        tableName +
+                        (objectName !== tableName ? "." + objectName : "") +
+                        " (" +
+                        moduleName +
+                        ")"
+                )
+            );
         }
-
-        return true;
     }
 
+    //#endregion
+
     //#region Error handling
 
     /**
@@ -1421,7 +6736,16 @@ class DivbloxDatabaseSync {
      * @param message The error text to display
      */
     printCustomErrorMessage(message = "") {
-        dxUtils.outputFormattedLog(message, dxUtils.commandLineColors.foregroundRed);
+        this.emitSyncEvent(SYNC_EVENTS.error, { message, error: null });
+    }
+
+    /**
+     * Keeps track of a warning and outputs it, unless output is suppressed
+     * @param {string} message The warning text
+     */
+    populateWarning(message = "") {
+        this.warningInfo.push(message);
+        this.emitSyncEvent(SYNC_EVENTS.warning, { message });
     }
 
     /**
@@ -1447,11 +6771,34 @@ class DivbloxDatabaseSync {
         return lastError;
     }
 
+    /**
+     * Returns the code of the database error that caused the given error, e.g "ER_DUP_KEYNAME". The database error is
+     * nested in the errorStack of the errors recorded by the database connector
+     * @param {DxBaseError|Error|null} error The error, as returned by getLastError() of the database connector
+     * @return {string|null} The error code, or null if the error was not caused by the database
+     */
+    getDatabaseErrorCode(error) {
+        let currentError = error;
+        while (currentError !== null && typeof currentError === "object") {
+            if (typeof currentError.code === "string") {
+                return currentError.code;
+            }
+
+            currentError = currentError.errorStack ?? null;
+        }
+
+        return null;
+    }
+
     /**
      * Prints to console the latest error message
      */
     printLastError() {
-        console.dir(this.getLastError(), { depth: null });
+        const lastError = this.getLastError();
+        this.emitSyncEvent(SYNC_EVENTS.error, {
+            message: lastError !== null ? lastError.message : "No error recorded",
+            error: lastError,
+        });
     }
 
     /**
@@ -1540,4 +6887,7 @@ class DxBaseError extends Error {
     }
 }
 
+DivbloxDatabaseSync.syncStepTypes = SYNC_STEP_TYPES;
+DivbloxDatabaseSync.syncEvents = SYNC_EVENTS;
+
 module.exports = DivbloxDatabaseSync;
@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns the type errors of an attribute that is defined with the given options
+ * @param {{}} attributeOptions The options that replace those of a nullable int attribute without a default
+ * @return {{option: string, message: string}[]}
+ */
+function getTypeErrors(attributeOptions) {
+    const { databaseSync } = createDatabaseSync();
+    return databaseSync.getAttributeTypeErrors({
+        type: "int",
+        lengthOrValues: null,
+        default: null,
+        allowNull: true,
+        ...attributeOptions,
+    });
+}
+
+test("getAttributeTypeErrors accepts valid column definitions", () => {
+    const validDefinitions = [
+        { type: "INT", lengthOrValues: 11, default: "-5" },
+        { type: "decimal", lengthOrValues: "10, 2", default: 1.5 },
+        { type: "varchar", lengthOrValues: 5, default: "abcde" },
+        { type: "enum", lengthOrValues: "'small','it''s large'", default: "it's large" },
+        { type: "set", lengthOrValues: "'a','b','c'", default: "a,c" },
+        { type: "datetime", lengthOrValues: 3, default: "current_timestamp(3)", onUpdate: "CURRENT_TIMESTAMP(3)" },
+        { type: "timestamp", default: "CURRENT_TIMESTAMP", onUpdate: "CURRENT_TIMESTAMP()" },
+        { type: "date", default: "2024-02-29" },
+        { type: "bit", lengthOrValues: 8, default: "b'1010'" },
+        { type: "json", default: "(JSON_ARRAY())" },
+        { type: "int", unsigned: true, zerofill: true },
+    ];
+
+    for (const attributeOptions of validDefinitions) {
+        assert.deepStrictEqual(getTypeErrors(attributeOptions), [], JSON.stringify(attributeOptions));
+    }
+});
+
+test("getAttributeTypeErrors rejects unknown types", () => {
+    assert.deepStrictEqual(getTypeErrors({ type: "string" }), [
+        { option: "type", message: "'string' is not a supported MySQL column type" },
+    ]);
+});
+
+test("getAttributeTypeErrors rejects lengths that the column type does not accept", () => {
+    assert.deepStrictEqual(getTypeErrors({ type: "varchar" }), [
+        { option: "lengthOrValues", message: "A length is required for varchar columns" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "int", lengthOrValues: 300 }), [
+        { option: "lengthOrValues", message: "Expected null or a length from 1 to 255 for int columns" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "decimal", lengthOrValues: "10,12" }), [
+        {
+            option: "lengthOrValues",
+            message:
+                "Invalid precision and scale '10,12'. The precision must be from 1 to 65 and the scale from 0 to 30, " +
+                "but not more than the precision",
+        },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "enum", lengthOrValues: "a,b" }), [
+        {
+            option: "lengthOrValues",
+            message: "Expected a comma separated list of quoted values for enum columns, e.g 'a','b'",
+        },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "date", lengthOrValues: 10 }), [
+        { option: "lengthOrValues", message: "Expected null for date columns" },
+    ]);
+});
+
+test("getAttributeTypeErrors rejects defaults that the column type does not accept", () => {
+    assert.deepStrictEqual(getTypeErrors({ default: "abc" }), [
+        { option: "default", message: "'abc' is not a valid default for int columns" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ default: true }), [
+        { option: "default", message: "Boolean defaults are not supported. Use 1 or 0 instead" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ default: "CURRENT_TIMESTAMP" }), [
+        { option: "default", message: "CURRENT_TIMESTAMP can only be the default of datetime and timestamp columns" },
+    ]);
+    assert.deepStrictEqual(
+        getTypeErrors({
+            type: "datetime",
+            lengthOrValues: 3,
+            default: "CURRENT_TIMESTAMP",
+            onUpdate: "CURRENT_TIMESTAMP(3)",
+        }),
+        [
+            {
+                option: "default",
+                message: "Expected 'CURRENT_TIMESTAMP(3)', since the column has a fractional seconds precision of 3",
+            },
+        ]
+    );
+    assert.deepStrictEqual(
+        getTypeErrors({ type: "timestamp", default: "CURRENT_TIMESTAMP(3)", onUpdate: "CURRENT_TIMESTAMP(6)" }),
+        [
+            {
+                option: "onUpdate",
+                message: "Expected 'CURRENT_TIMESTAMP', since the column has no fractional seconds precision",
+            },
+            {
+                option: "default",
+                message: "Expected 'CURRENT_TIMESTAMP', since the column has no fractional seconds precision",
+            },
+        ]
+    );
+    assert.deepStrictEqual(getTypeErrors({ default: "NULL", allowNull: false }), [
+        {
+            option: "default",
+            message: "A column that does not allow null cannot default to NULL. Provide null for no default instead",
+        },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "varchar", lengthOrValues: 3, default: "abcd" }), [
+        { option: "default", message: "The default 'abcd' is longer than the column length of 3" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "set", lengthOrValues: "'a','b'", default: "a,c" }), [
+        { option: "default", message: "The default 'a,c' is not one of the values 'a','b'" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ type: "text", default: "abc" }), [
+        { option: "default", message: "text columns cannot have a default value" },
+    ]);
+});
+
+test("getListValues unquotes the values of enum and set columns", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.deepStrictEqual(databaseSync.getListValues("'a', 'b,c' ,'it''s'"), ["a", "b,c", "it's"]);
+    assert.deepStrictEqual(databaseSync.getListValues("''"), [""]);
+    assert.strictEqual(databaseSync.getListValues("a,b"), null);
+    assert.strictEqual(databaseSync.getListValues("'a','b"), null);
+    assert.strictEqual(databaseSync.getListValues(""), null);
+});
+
+test("validateDataModel reports type errors at the attribute option that causes them", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.name.lengthOrValues = null;
+    dataModel.invoice.attributes.total.default = "free";
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    assert.deepStrictEqual(databaseSync.validateDataModel().errors, [
+        { path: "customer.attributes.name.lengthOrValues", message: "A length is required for varchar columns" },
+        { path: "invoice.attributes.total.default", message: "'free' is not a valid default for decimal columns" },
+    ]);
+});
+
+test("getAttributeTypeErrors rejects modifiers that the column type does not accept", () => {
+    assert.deepStrictEqual(getTypeErrors({ type: "varchar", lengthOrValues: 10, unsigned: true, onUpdate: "NOW()" }), [
+        { option: "unsigned", message: "unsigned can only be set for numeric columns" },
+        { option: "onUpdate", message: "onUpdate can only be set for datetime and timestamp columns" },
+    ]);
+    assert.deepStrictEqual(getTypeErrors({ charset: "utf8mb4" }), [
+        { option: "charset", message: "A charset can only be set for character string, text, enum and set columns" },
+    ]);
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const alterCustomerSql =
+    "ALTER TABLE `customer` MODIFY COLUMN `name` varchar(100) NOT NULL, ADD COLUMN `email` varchar(100) DEFAULT NULL, " +
+    "ADD UNIQUE `customer_email` (`email`) USING BTREE";
+
+/**
+ * Returns a data model in which a column of the customer entity is modified, and a column and index are added to it
+ * @return {{}}
+ */
+function getDataModelWithCustomerChanges() {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.name.lengthOrValues = 100;
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    dataModel.customer.indexes = [
+        { attribute: "email", indexName: "customer_email", indexChoice: "unique", type: "BTREE" },
+    ];
+    return dataModel;
+}
+
+/**
+ * Returns an error in the form that dx-db-connector records it, with the given database error code
+ * @param {string} code The database error code, e.g "ER_DUP_KEYNAME"
+ * @return {{message: string, errorStack: {code: string}}}
+ */
+function getDatabaseError(code) {
+    return { message: "The database refused the statement", errorStack: { message: code, code } };
+}
+
+test("planSync combines the column and index changes of each table into one ALTER TABLE statement", async () => {
+    const dataModel = getDataModelWithCustomerChanges();
+    dataModel.invoice.attributes.total.lengthOrValues = "12,2";
+    dataModel.invoice.attributes.notes = { type: "text", lengthOrValues: null, default: null, allowNull: true };
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map(({ type, tableName, sql, changes }) => ({ type, tableName, sql, changes })),
+        [
+            {
+                type: "alter table",
+                tableName: "customer",
+                sql: alterCustomerSql + ";",
+                changes: [
+                    { type: "modify column", objectName: "name" },
+                    { type: "add column", objectName: "email" },
+                    { type: "add index", objectName: "customer_email" },
+                ],
+            },
+            {
+                type: "alter table",
+                tableName: "invoice",
+                sql:
+                    "ALTER TABLE `invoice` MODIFY COLUMN `total` decimal(12,2) DEFAULT NULL, " +
+                    "ADD COLUMN `notes` text DEFAULT NULL;",
+                changes: [
+                    { type: "modify column", objectName: "total" },
+                    { type: "add column", objectName: "notes" },
+                ],
+            },
+        ]
+    );
+});
+
+test("syncDatabase alters a table with ALGORITHM=INSTANT, and emits an event for each change", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithCustomerChanges(),
+        getSyncedTables()
+    );
+    const events = [];
+    for (const eventName of ["columnModified", "columnAdded", "indexAdded"]) {
+        databaseSync.on(eventName, ({ objectName, sql }) => events.push({ eventName, objectName, sql }));
+    }
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    const executedSql = alterCustomerSql + ", ALGORITHM=INSTANT;";
+    assert.strictEqual(syncReport.success, true);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^ALTER TABLE/), [executedSql]);
+    assert.deepStrictEqual(events, [
+        { eventName: "columnModified", objectName: "name", sql: executedSql },
+        { eventName: "columnAdded", objectName: "email", sql: executedSql },
+        { eventName: "indexAdded", objectName: "customer_email", sql: executedSql },
+    ]);
+});
+
+test("syncDatabase falls back to a less restrictive algorithm when MySQL refuses one", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithCustomerChanges(),
+        getSyncedTables()
+    );
+    databaseConnector.respondTo(/ALGORITHM=INSTANT;$/, null, getDatabaseError("ER_ALTER_OPERATION_NOT_SUPPORTED"));
+    databaseConnector.respondTo(/LOCK=NONE;$/, null, getDatabaseError("ER_ALTER_OPERATION_NOT_SUPPORTED_REASON"));
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^ALTER TABLE/), [
+        alterCustomerSql + ", ALGORITHM=INSTANT;",
+        alterCustomerSql + ", ALGORITHM=INPLACE, LOCK=NONE;",
+        alterCustomerSql + ";",
+    ]);
+    assert.deepStrictEqual(
+        syncReport.modules.main.tables.customer.statements.map(({ sql, outcome }) => ({ sql, outcome })),
+        [{ sql: alterCustomerSql + ";", outcome: "success" }]
+    );
+});
+
+test("syncDatabase does not retry an ALTER TABLE statement that fails for another reason", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithCustomerChanges(),
+        getSyncedTables()
+    );
+    databaseConnector.respondTo(/^ALTER TABLE `customer`/, null, getDatabaseError("ER_DUP_ENTRY"));
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.strictEqual(syncReport.error, "Could not alter table 'customer'");
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^ALTER TABLE/), [
+        alterCustomerSql + ", ALGORITHM=INSTANT;",
+    ]);
+});
+
+test("getDatabaseErrorCode finds the code of the database error in the error stack", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(databaseSync.getDatabaseErrorCode(getDatabaseError("ER_DUP_KEYNAME")), "ER_DUP_KEYNAME");
+    assert.strictEqual(databaseSync.getDatabaseErrorCode({ code: "ER_NO_SUCH_TABLE" }), "ER_NO_SUCH_TABLE");
+    assert.strictEqual(databaseSync.getDatabaseErrorCode({ message: "No code" }), null);
+    assert.strictEqual(databaseSync.getDatabaseErrorCode(null), null);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { getDataModel } = require("./fixtures");
+
+const cliPath = path.join(__dirname, "..", "..", "bin", "dx-db-sync.js");
+
+/**
+ * Runs the command-line tool in an empty directory, so that no dxconfig.json is picked up
+ * @param {string[]} args The arguments to pass
+ * @param {{}} files Files to create in the directory before running the tool, with their contents
+ * @return {{exitCode: number, stdout: string, stderr: string}}
+ */
+function runCli(args = [], files = {}) {
+    const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "dx-db-sync-cli-"));
+
+    try {
+        for (const [fileName, contents] of Object.entries(files)) {
+            fs.writeFileSync(path.join(workingDirectory, fileName), JSON.stringify(contents));
+        }
+
+        const cliProcess = spawnSync(process.execPath, [cliPath, ...args], {
+            cwd: workingDirectory,
+            encoding: "utf-8",
+            timeout: 30000,
+        });
+
+        return { exitCode: cliProcess.status, stdout: cliProcess.stdout, stderr: cliProcess.stderr };
+    } finally {
+        fs.rmSync(workingDirectory, { recursive: true, force: true });
+    }
+}
+
+test("validate checks a data model without a database configuration", () => {
+    const { exitCode, stdout } = runCli(["validate", "--data-model", "data-model.json"], {
+        "data-model.json": getDataModel(),
+    });
+
+    assert.strictEqual(exitCode, 0);
+    assert.match(stdout, /The data model is valid\./);
+});
+
+test("validate checks module names against a database configuration that is provided", () => {
+    const { exitCode, stdout } = runCli(
+        ["validate", "--data-model", "data-model.json", "--db-config", "database-config.json", "--json"],
+        { "data-model.json": getDataModel(), "database-config.json": { billing: { database: "billing_test" } } }
+    );
+
+    assert.strictEqual(exitCode, 1);
+    assert.deepStrictEqual(JSON.parse(stdout).errors, [
+        {
+            path: "customer.module",
+            message: "Invalid module name. 'main' is not defined in the database configuration",
+        },
+        {
+            path: "invoice.module",
+            message: "Invalid module name. 'main' is not defined in the database configuration",
+        },
+    ]);
+});
+
+test("--json writes only the json result to stdout", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.supplier = ["supplier"];
+
+    const { exitCode, stdout } = runCli(["validate", "--data-model", "data-model.json", "--json"], {
+        "data-model.json": dataModel,
+    });
+
+    assert.strictEqual(exitCode, 1);
+    assert.deepStrictEqual(JSON.parse(stdout), {
+        success: false,
+        isValid: false,
+        errors: [
+            {
+                path: "invoice.relationships.supplier",
+                message:
+                    "Entity 'invoice' has a relationship with entity 'supplier', which is not defined in the data " +
+                    "model",
+            },
+        ],
+        warnings: [],
+    });
+});
+
+test("--json keeps the output of the database connector off stdout", () => {
+    const { exitCode, stdout, stderr } = runCli(
+        ["plan", "--data-model", "data-model.json", "--db-config", "database-config.json", "--json"],
+        {
+            "data-model.json": getDataModel(),
+            "database-config.json": { main: { host: "127.0.0.1", port: 1, database: "dx_db_sync_test" } },
+        }
+    );
+
+    assert.strictEqual(exitCode, 1);
+    assert.deepStrictEqual(JSON.parse(stdout), { success: false, error: "Database init failed" });
+    assert.match(stderr, /ECONNREFUSED/);
+});
+
+test("commands that connect to the database require a database configuration", () => {
+    const { exitCode, stdout, stderr } = runCli(["plan", "--data-model", "data-model.json"], {
+        "data-model.json": getDataModel(),
+    });
+
+    assert.strictEqual(exitCode, 1);
+    assert.strictEqual(stdout, "");
+    assert.match(stderr, /No database configuration provided\. Use --db-config or --dxconfig/);
+});
+
+test("unknown commands and arguments print the usage and fail", () => {
+    for (const args of [["migrate"], ["plan", "extra"], ["plan", "--unknown"]]) {
+        const { exitCode, stderr } = runCli(args);
+
+        assert.strictEqual(exitCode, 1, args.join(" "));
+        assert.match(stderr, /Usage: dx-db-sync <command> \[options\]/);
+    }
+
+    const { exitCode, stdout } = runCli(["--help"]);
+    assert.strictEqual(exitCode, 0);
+    assert.match(stdout, /Usage: dx-db-sync <command> \[options\]/);
+});
@@ -0,0 +1,292 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns a data model in which the invoice entity has an unsigned zero-filled, an auto-updated and a generated
+ * attribute
+ * @return {{}}
+ */
+function getDataModelWithColumnAttributes() {
+    const dataModel = getDataModel();
+    Object.assign(dataModel.invoice.attributes, {
+        quantity: { type: "int", lengthOrValues: 5, default: 0, allowNull: false, unsigned: true, zerofill: true },
+        paidAt: {
+            type: "datetime",
+            lengthOrValues: null,
+            default: "CURRENT_TIMESTAMP",
+            allowNull: false,
+            onUpdate: "current_timestamp",
+        },
+        totalWithTax: {
+            type: "decimal",
+            lengthOrValues: "10,2",
+            default: null,
+            allowNull: true,
+            generated: { expression: "`total` * 1.15", storage: "STORED" },
+        },
+    });
+    return dataModel;
+}
+
+/**
+ * Returns the synced tables, with the given columns added to the invoice table
+ * @param {{}[]} invoiceColumns The columns to add
+ * @return {{}}
+ */
+function getSyncedTablesWithInvoiceColumns(invoiceColumns) {
+    const syncedTables = getSyncedTables();
+    syncedTables.main.invoice.columns.push(...invoiceColumns);
+    return syncedTables;
+}
+
+test("getAlterColumnSql emits the unsigned, zerofill, onUpdate, autoIncrement and generated options", () => {
+    const { databaseSync } = createDatabaseSync();
+    const attributes = getDataModelWithColumnAttributes().invoice.attributes;
+
+    assert.strictEqual(
+        databaseSync.getAlterColumnSql("quantity", attributes.quantity, "ADD"),
+        "ADD COLUMN `quantity` int(5) UNSIGNED ZEROFILL NOT NULL DEFAULT 0"
+    );
+    assert.strictEqual(
+        databaseSync.getAlterColumnSql("paid_at", attributes.paidAt),
+        "MODIFY COLUMN `paid_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP"
+    );
+    assert.strictEqual(
+        databaseSync.getAlterColumnSql("total_with_tax", attributes.totalWithTax),
+        "MODIFY COLUMN `total_with_tax` decimal(10,2) GENERATED ALWAYS AS (`total` * 1.15) STORED"
+    );
+    assert.strictEqual(
+        databaseSync.getAlterColumnSql("sequence", {
+            type: "bigint",
+            lengthOrValues: null,
+            default: 1,
+            allowNull: false,
+            autoIncrement: true,
+        }),
+        "MODIFY COLUMN `sequence` bigint NOT NULL AUTO_INCREMENT"
+    );
+});
+
+test("planSync creates the locking constraint column so that it updates automatically", async () => {
+    const { databaseSync } = createDatabaseSync();
+
+    const syncPlan = await databaseSync.planSync();
+
+    const invoiceColumnsStep = syncPlan.main.find(
+        (syncStep) => syncStep.tableName === "invoice" && syncStep.type === "alter table"
+    );
+    assert.match(
+        invoiceColumnsStep.sql,
+        /ADD COLUMN `last_updated` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;$/
+    );
+});
+
+test("planSync leaves columns alone when their options match the database", async () => {
+    const { databaseSync } = createDatabaseSync(
+        getDataModelWithColumnAttributes(),
+        getSyncedTablesWithInvoiceColumns([
+            column("quantity", "int(5) unsigned zerofill", { Null: "NO", Default: "00000" }),
+            column("paid_at", "datetime", {
+                Null: "NO",
+                Default: "CURRENT_TIMESTAMP",
+                Extra: "DEFAULT_GENERATED on update CURRENT_TIMESTAMP",
+            }),
+            column("total_with_tax", "decimal(10,2)", { Extra: "STORED GENERATED" }),
+        ])
+    );
+
+    assert.deepStrictEqual(await databaseSync.planSync(), {});
+});
+
+test("getSchemaDiff compares the column options against the Extra column of the database", async () => {
+    const syncedTables = getSyncedTablesWithInvoiceColumns([
+        column("quantity", "int(5)", { Null: "NO", Default: "0" }),
+        column("paid_at", "datetime", { Null: "NO", Default: "CURRENT_TIMESTAMP", Extra: "DEFAULT_GENERATED" }),
+        column("total_with_tax", "decimal(10,2)", { Extra: "VIRTUAL GENERATED" }),
+    ]);
+    syncedTables.main.invoice.columns[3] = column("last_updated", "datetime", {
+        Null: "NO",
+        Default: "CURRENT_TIMESTAMP",
+        Extra: "DEFAULT_GENERATED",
+    });
+    const { databaseSync } = createDatabaseSync(getDataModelWithColumnAttributes(), syncedTables);
+
+    const schemaDiff = await databaseSync.getSchemaDiff();
+
+    assert.deepStrictEqual(
+        schemaDiff.modules.main.tables.invoice.columnsToModify.map(({ columnName, differences }) => ({
+            columnName,
+            differences,
+        })),
+        [
+            { columnName: "last_updated", differences: ["onUpdate"] },
+            { columnName: "quantity", differences: ["unsigned", "zerofill"] },
+            { columnName: "paid_at", differences: ["onUpdate"] },
+            { columnName: "total_with_tax", differences: ["generated"] },
+        ]
+    );
+});
+
+test("planSync modifies a column that is no longer generated", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.attributes.totalWithTax = {
+        type: "decimal",
+        lengthOrValues: "10,2",
+        default: null,
+        allowNull: true,
+    };
+    const { databaseSync } = createDatabaseSync(
+        dataModel,
+        getSyncedTablesWithInvoiceColumns([column("total_with_tax", "decimal(10,2)", { Extra: "VIRTUAL GENERATED" })])
+    );
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => syncStep.sql),
+        ["ALTER TABLE `invoice` MODIFY COLUMN `total_with_tax` decimal(10,2) DEFAULT NULL;"]
+    );
+});
+
+/**
+ * Returns a data model in which the invoice entity has an auto-incremented sequence attribute with a unique index
+ * @return {{}}
+ */
+function getDataModelWithAutoIncrementAttribute() {
+    const dataModel = getDataModel();
+    dataModel.invoice.attributes.sequence = {
+        type: "int",
+        lengthOrValues: null,
+        default: null,
+        allowNull: false,
+        autoIncrement: true,
+    };
+    dataModel.invoice.indexes.push({
+        attribute: "sequence",
+        indexName: "invoiceSequence",
+        indexChoice: "unique",
+        type: "BTREE",
+    });
+    return dataModel;
+}
+
+test("planSync moves auto-increment from the primary key column to an attribute", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithAutoIncrementAttribute(), getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.sql, syncStep.downSql]),
+        [
+            [
+                "ALTER TABLE `invoice` MODIFY COLUMN `id` BIGINT NOT NULL, " +
+                    "ADD COLUMN `sequence` int NOT NULL AUTO_INCREMENT, " +
+                    "ADD UNIQUE `invoice_sequence` (`sequence`) USING BTREE;",
+                "ALTER TABLE `invoice` DROP INDEX `invoice_sequence`, DROP COLUMN `sequence`, " +
+                    "MODIFY COLUMN `id` BIGINT NOT NULL AUTO_INCREMENT;",
+            ],
+        ]
+    );
+});
+
+test("planSync creates tables without auto-incrementing the primary key when an attribute is", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithAutoIncrementAttribute(), { main: {} });
+
+    const syncPlan = await databaseSync.planSync();
+
+    const createTableSql = syncPlan.main
+        .filter((syncStep) => syncStep.type === "create table")
+        .map((syncStep) => syncStep.sql);
+    assert.deepStrictEqual(createTableSql, [
+        "CREATE TABLE `customer` ( `id` BIGINT NOT NULL AUTO_INCREMENT , PRIMARY KEY (`id`));",
+        "CREATE TABLE `invoice` ( `id` BIGINT NOT NULL , PRIMARY KEY (`id`));",
+    ]);
+    assert.ok(syncPlan.main.every((syncStep) => !syncStep.sql.includes("MODIFY COLUMN `id`")));
+});
+
+test("validateDataModel allows one auto-incremented integer attribute per entity, at the start of an index", () => {
+    const dataModel = getDataModelWithAutoIncrementAttribute();
+    dataModel.invoice.attributes.code = {
+        type: "varchar",
+        lengthOrValues: 10,
+        default: "a",
+        allowNull: true,
+        autoIncrement: true,
+    };
+    dataModel.customer.attributes.sequence = { ...dataModel.invoice.attributes.sequence };
+
+    const validationResult = createDatabaseSync(dataModel).databaseSync.validateDataModel();
+
+    assert.deepStrictEqual(validationResult.errors, [
+        { path: "invoice.attributes.code.autoIncrement", message: "autoIncrement can only be set for integer columns" },
+        { path: "invoice.attributes.code.default", message: "Auto-incremented columns cannot have a default" },
+        {
+            path: "customer.attributes.sequence.autoIncrement",
+            message:
+                "Auto-incremented attribute 'sequence' of entity 'customer' must be the first attribute of an index " +
+                "or unique index",
+        },
+        {
+            path: "invoice.attributes.code.autoIncrement",
+            message:
+                "Entity 'invoice' can only have one auto-incremented attribute, and attribute 'sequence' already is",
+        },
+    ]);
+    assert.deepStrictEqual(
+        createDatabaseSync(getDataModelWithAutoIncrementAttribute()).databaseSync.validateDataModel().errors,
+        []
+    );
+});
+
+test("validateDataModel checks the column options", () => {
+    const dataModel = getDataModel();
+    Object.assign(dataModel.invoice.attributes, {
+        quantity: { type: "int", lengthOrValues: null, default: null, allowNull: true, unsigned: "yes" },
+        paidAt: { type: "datetime", lengthOrValues: null, default: null, allowNull: true, onUpdate: "NOW()" },
+        totalWithTax: {
+            type: "decimal",
+            lengthOrValues: "10,2",
+            default: null,
+            allowNull: true,
+            generated: { expression: "`total` * 1.15", storage: "PERSISTED" },
+        },
+        totalWithDiscount: {
+            type: "decimal",
+            lengthOrValues: "10,2",
+            default: 0,
+            allowNull: true,
+            generated: { expression: "`total` * 0.9" },
+        },
+        reference: {
+            type: "varchar",
+            lengthOrValues: 50,
+            default: null,
+            allowNull: true,
+            generated: { expression: "CONCAT('INV', `id`)); DROP TABLE `invoice`; --" },
+        },
+    });
+
+    const validationResult = createDatabaseSync(dataModel).databaseSync.validateDataModel();
+
+    assert.deepStrictEqual(validationResult.errors, [
+        { path: "invoice.attributes.quantity.unsigned", message: "Expected true or false" },
+        {
+            path: "invoice.attributes.paidAt.onUpdate",
+            message: "Expected null or CURRENT_TIMESTAMP, optionally with a precision such as CURRENT_TIMESTAMP(3)",
+        },
+        {
+            path: "invoice.attributes.totalWithTax.generated",
+            message:
+                'Invalid generated column definition. Expected: {"expression": "[sql expression]", ' +
+                '"storage": "[VIRTUAL|STORED]"}',
+        },
+        { path: "invoice.attributes.totalWithDiscount.default", message: "Generated columns cannot have a default" },
+        {
+            path: "invoice.attributes.reference.generated.expression",
+            message:
+                "Invalid expression. Its parentheses must balance, and it may not contain ';', comments or backslashes",
+        },
+    ]);
+});
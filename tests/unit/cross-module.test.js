@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const DivbloxDatabaseSync = require("../../index");
+const { FakeDatabaseConnector } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables } = require("./fixtures");
+
+/**
+ * Returns a silent DivbloxDatabaseSync instance for a data model in which the customer entity lives in a "billing"
+ * module, and the invoice entity, which refers to it, in the "main" module
+ * @param {{}} billingConfig The database config of the billing module
+ * @return {DivbloxDatabaseSync}
+ */
+function createCrossModuleDatabaseSync(billingConfig) {
+    const dataModel = getDataModel();
+    dataModel.customer.module = "billing";
+
+    const syncedTables = getSyncedTables();
+    const invoiceTable = { ...syncedTables.main.invoice, indexes: syncedTables.main.invoice.indexes.slice(0, 1) };
+    invoiceTable.foreignKeys = [];
+
+    const databaseConfig = {
+        main: { host: "localhost", port: 3306, database: "dx_db_sync_test" },
+        billing: { database: "billing_test", ...billingConfig },
+    };
+    const databaseConnector = new FakeDatabaseConnector(databaseConfig, {
+        main: { invoice: invoiceTable },
+        billing: { customer: syncedTables.main.customer },
+    });
+
+    return new DivbloxDatabaseSync(dataModel, {}, databaseConnector, "lowercase", { silent: true });
+}
+
+test("getRelationshipScope compares the servers of the modules", () => {
+    const sameServerScopes = [{ host: "localhost", port: "3306" }, {}].map((billingConfig) =>
+        createCrossModuleDatabaseSync(billingConfig).getRelationshipScope("invoice", "customer")
+    );
+    const otherServerScopes = [{ host: "billing.example.com" }, { port: 3307 }, { socketPath: "/tmp/mysql.sock" }].map(
+        (billingConfig) => createCrossModuleDatabaseSync(billingConfig).getRelationshipScope("invoice", "customer")
+    );
+
+    assert.deepStrictEqual(sameServerScopes, ["cross schema", "cross schema"]);
+    assert.deepStrictEqual(otherServerScopes, ["cross server", "cross server", "cross server"]);
+    assert.strictEqual(createCrossModuleDatabaseSync({}).getRelationshipScope("customer", "customer"), "local");
+});
+
+test("planSync refers to a module on the same server with a schema-qualified foreign key", async () => {
+    const databaseSync = createCrossModuleDatabaseSync({ host: "localhost", port: 3306 });
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => syncStep.sql),
+        [
+            "ALTER TABLE `invoice` ADD CONSTRAINT `fk_invoice_customer_billed_customer` FOREIGN KEY " +
+                "(`customer_billed_customer`) REFERENCES `billing_test`.`customer`(`id`) ON DELETE SET NULL " +
+                "ON UPDATE CASCADE;",
+        ]
+    );
+    assert.deepStrictEqual(databaseSync.reportCrossModuleRelationships(), [
+        {
+            entityName: "invoice",
+            relationshipEntity: "customer",
+            relationshipName: "billedCustomer",
+            relationshipScope: "cross schema",
+        },
+    ]);
+});
+
+test("planSync indexes the column of a relationship with a module on another server instead of constraining it", async () => {
+    const databaseSync = createCrossModuleDatabaseSync({ host: "billing.example.com" });
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => syncStep.sql),
+        [
+            "ALTER TABLE `invoice` ADD INDEX `fk_invoice_customer_billed_customer` (`customer_billed_customer`) " +
+                "USING BTREE;",
+        ]
+    );
+    assert.match(databaseSync.warningInfo[0], /No foreign key constraint will be created/);
+});
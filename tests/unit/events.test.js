@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const DivbloxDatabaseSync = require("../../index");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns a data model with an email attribute that the synced tables do not have yet
+ * @return {{}}
+ */
+function getDataModelWithEmail() {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    return dataModel;
+}
+
+/**
+ * Returns a logger that records each message along with the level at which it was logged
+ * @return {{messages: string[][], info: function, warn: function, error: function, debug: function}}
+ */
+function getRecordingLogger() {
+    const messages = [];
+    const logger = { messages };
+    for (const level of ["info", "warn", "error", "debug"]) {
+        logger[level] = (message) => messages.push([level, message]);
+    }
+
+    return logger;
+}
+
+test("syncDatabase emits an event for each change, carrying the statement that made it", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+    const columnAddedEvents = [];
+    databaseSync.on(DivbloxDatabaseSync.syncEvents.columnAdded, (eventData) => columnAddedEvents.push(eventData));
+
+    await databaseSync.syncDatabase(true);
+
+    assert.deepStrictEqual(columnAddedEvents, [
+        {
+            moduleName: "main",
+            tableName: "customer",
+            objectName: "email",
+            sql: "ALTER TABLE `customer` ADD COLUMN `email` varchar(100) DEFAULT NULL, ALGORITHM=INSTANT;",
+        },
+    ]);
+});
+
+test("planSync does not emit change events", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+    const columnAddedEvents = [];
+    databaseSync.on(DivbloxDatabaseSync.syncEvents.columnAdded, (eventData) => columnAddedEvents.push(eventData));
+
+    await databaseSync.planSync();
+
+    assert.deepStrictEqual(columnAddedEvents, []);
+});
+
+test("a logger receives the progress at info level, warnings at warn level and changes at debug level", async () => {
+    const logger = getRecordingLogger();
+    const { databaseSync } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), { silent: false, logger });
+
+    await databaseSync.syncDatabase(true);
+
+    assert.deepStrictEqual(logger.messages[0], ["info", "Starting database sync..."]);
+    assert.match(logger.messages[1][1], /^This operation will modify the existing database/);
+    assert.strictEqual(logger.messages[1][0], "warn");
+    assert.deepStrictEqual(
+        logger.messages.filter(([level]) => level === "debug"),
+        [["debug", "columnAdded: customer.email (main)"]]
+    );
+    assert.deepStrictEqual(logger.messages[logger.messages.length - 1], [
+        "info",
+        "Database sync completed successfully!",
+    ]);
+});
+
+test("a logger without warn, error and debug receives everything at info level", async () => {
+    const messages = [];
+    const logger = { info: (message) => messages.push(message) };
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.supplier = ["supplier"];
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables(), { silent: false, logger });
+
+    assert.strictEqual(await databaseSync.planSync(), null);
+    assert.ok(
+        messages.includes(
+            "invoice.relationships.supplier: Entity 'invoice' has a relationship with entity 'supplier', which is " +
+                "not defined in the data model"
+        )
+    );
+});
+
+test("the silent option emits events without printing them, and tolerates errors without listeners", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.supplier = ["supplier"];
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+    const phases = [];
+    databaseSync.on(DivbloxDatabaseSync.syncEvents.phaseStarted, ({ message }) => phases.push(message));
+
+    assert.strictEqual(await databaseSync.planSync(), null);
+    assert.deepStrictEqual(phases, ["Planning database sync...", "Data model integrity check."]);
+    assert.deepStrictEqual(databaseSync.eventNames(), [DivbloxDatabaseSync.syncEvents.phaseStarted]);
+});
@@ -0,0 +1,242 @@
+/**
+ * A stand-in for dx-db-connector, so that dx-db-sync can be tested without a database server. The queries with which
+ * dx-db-sync inspects a database are answered from tables that are defined in memory. Every other statement is
+ * recorded in executedStatements, rather than executed, and does not change the tables
+ */
+class FakeDatabaseConnector {
+    /**
+     * @param {{}} databaseConfig The database config, in the form accepted by dx-db-connector
+     * @param {{}} moduleTables An object with a key for each module, of which the value has a key for each table in the
+     * form {columns: [], indexes: [], foreignKeys: [], status: {}}. See column(), index() and foreignKey(). "status"
+     * overrides the table's row in information_schema.TABLES, e.g {TABLE_ROWS: 1000}
+     * @param {{serverVersion: string, locks: {}}} options serverVersion is returned by VERSION() and defaults to
+     * "8.0.34". "locks" holds the advisory locks, and can be shared between connectors to test concurrent syncs
+     */
+    constructor(databaseConfig = {}, moduleTables = {}, options = {}) {
+        this.databaseConfig = databaseConfig;
+        this.moduleTables = moduleTables;
+        this.serverVersion = options["serverVersion"] ?? "8.0.34";
+        this.locks = options["locks"] ?? {};
+        this.executedStatements = [];
+        this.responses = [];
+        this.errorInfo = [];
+        this.closedConnectionCount = 0;
+    }
+
+    /**
+     * Makes the queries that match the given pattern return the given result, instead of the default one
+     * @param {RegExp} sqlPattern The pattern to match against the sql of each query
+     * @param {*} result The result to return. A function is called with the sql and values of the query, and returns
+     * the result. A result of null makes the query fail
+     * @param {{}|null} error The error to record when the query fails, in the form recorded by dx-db-connector, e.g
+     * {message: "...", errorStack: {code: "ER_DUP_KEYNAME"}}. Defaults to an error without a code
+     */
+    respondTo(sqlPattern, result, error = null) {
+        this.responses.unshift({ sqlPattern, result, error });
+    }
+
+    /**
+     * Returns the statements that were recorded instead of executed
+     * @param {RegExp} sqlPattern If provided, only the statements that match it are returned
+     * @return {string[]} The sql of each statement, in the order that it was received
+     */
+    getExecutedSql(sqlPattern = /./) {
+        return this.executedStatements.map((statement) => statement.sql).filter((sql) => sqlPattern.test(sql));
+    }
+
+    async init() {
+        return true;
+    }
+
+    async connectDB(moduleName) {
+        const locks = this.locks;
+        const connector = this;
+        const lockKey = (lockName) => {
+            const moduleConfig = connector.databaseConfig[moduleName] ?? {};
+            return (moduleConfig["host"] ?? "localhost") + "/" + lockName;
+        };
+
+        return {
+            async query(sql, values = []) {
+                if (/GET_LOCK/.test(sql)) {
+                    const [lockName, timeout] = values;
+                    const startedAt = Date.now();
+                    while (typeof locks[lockKey(lockName)] !== "undefined" && locks[lockKey(lockName)] !== this) {
+                        if (Date.now() - startedAt >= timeout * 1000) {
+                            return [{ lockResult: 0 }];
+                        }
+
+                        await new Promise((resolve) => setTimeout(resolve, 10));
+                    }
+
+                    locks[lockKey(lockName)] = this;
+                    return [{ lockResult: 1 }];
+                }
+
+                if (/RELEASE_LOCK/.test(sql)) {
+                    const isHeld = locks[lockKey(values[0])] === this;
+                    if (isHeld) {
+                        delete locks[lockKey(values[0])];
+                    }
+
+                    return [{ releaseResult: isHeld ? 1 : 0 }];
+                }
+
+                return [];
+            },
+            close() {
+                connector.closedConnectionCount++;
+            },
+        };
+    }
+
+    async queryDB(sql, moduleName, values = []) {
+        const response = this.responses.find((response) => response.sqlPattern.test(sql));
+        if (typeof response !== "undefined") {
+            this.executedStatements.push({ moduleName, sql, values });
+            const result = typeof response.result === "function" ? response.result(sql, values) : response.result;
+            if (result === null) {
+                this.errorInfo.push(response.error ?? { message: "Query failed: " + sql });
+            }
+
+            return result;
+        }
+
+        const tables = this.moduleTables[moduleName] ?? {};
+        if (/^SHOW ENGINES/.test(sql)) {
+            return [{ Engine: "InnoDB", Support: "DEFAULT" }];
+        }
+
+        if (/^SELECT VERSION\(\)/.test(sql)) {
+            return [{ version: this.serverVersion }];
+        }
+
+        if (/FROM information_schema\.(TABLES|COLUMNS|STATISTICS|REFERENTIAL_CONSTRAINTS|KEY_COLUMN_USAGE)/.test(sql)) {
+            return this.getInformationSchemaRows(sql, tables, values);
+        }
+
+        const showColumnsMatch = sql.match(/^SHOW FULL COLUMNS FROM `(\w+)`/);
+        if (showColumnsMatch !== null) {
+            return (tables[showColumnsMatch[1]] ?? { columns: [] }).columns;
+        }
+
+        this.executedStatements.push({ moduleName, sql, values });
+        return { affectedRows: 0 };
+    }
+
+    /**
+     * Answers the information_schema queries with which dx-db-sync loads its schema snapshot, along with the queries
+     * for the row count of a table and the tables that refer to a table
+     * @param {string} sql The query
+     * @param {{}} tables The tables of the module that is queried
+     * @param {[]} values The values of the query. The first is the schema name, and the second, if present, the name
+     * or names of the tables to return
+     * @return {[]} The rows
+     */
+    getInformationSchemaRows(sql, tables, values = []) {
+        if (/KEY_COLUMN_USAGE WHERE REFERENCED_TABLE_SCHEMA/.test(sql)) {
+            return [];
+        }
+
+        const tableNames = values.length > 1 ? [].concat(values[1]) : Object.keys(tables);
+        let rows = [];
+        for (const tableName of tableNames.filter((tableName) => typeof tables[tableName] !== "undefined")) {
+            const table = tables[tableName];
+            if (/^SELECT TABLE_NAME, TABLE_TYPE/.test(sql) || /^SELECT TABLE_ROWS/.test(sql)) {
+                rows.push({
+                    TABLE_NAME: tableName,
+                    TABLE_TYPE: "BASE TABLE",
+                    ENGINE: "InnoDB",
+                    TABLE_COLLATION: "utf8mb4_0900_ai_ci",
+                    ROW_FORMAT: "Dynamic",
+                    TABLE_COMMENT: "",
+                    TABLE_ROWS: 0,
+                    ...(table.status ?? {}),
+                });
+            } else if (/information_schema\.COLUMNS/.test(sql)) {
+                rows.push(
+                    ...(table.columns ?? []).map(({ Privileges, ...column }) => ({ TABLE_NAME: tableName, ...column }))
+                );
+            } else if (/information_schema\.STATISTICS/.test(sql)) {
+                rows.push(...(table.indexes ?? []).map((index) => ({ TABLE_NAME: tableName, ...index })));
+            } else {
+                rows.push(...(table.foreignKeys ?? []).map((foreignKey) => ({ TABLE_NAME: tableName, ...foreignKey })));
+            }
+        }
+
+        return rows;
+    }
+
+    getLastError() {
+        return this.errorInfo.length > 0 ? this.errorInfo[this.errorInfo.length - 1] : null;
+    }
+
+    printLastError() {}
+}
+
+/**
+ * Returns a column, in the form reported by "SHOW FULL COLUMNS"
+ * @param {string} name The name of the column
+ * @param {string} type The type of the column, e.g "varchar(50)"
+ * @param {{}} overrides Values that replace the defaults, e.g {Null: "NO"}
+ * @return {{}} The column row
+ */
+function column(name, type, overrides = {}) {
+    return {
+        Field: name,
+        Type: type,
+        Collation: /char|text|enum|set/.test(type) ? "utf8mb4_0900_ai_ci" : null,
+        Null: "YES",
+        Key: "",
+        Default: null,
+        Extra: "",
+        Privileges: "select,insert,update,references",
+        Comment: "",
+        ...overrides,
+    };
+}
+
+/**
+ * Returns the rows of an index, in the form reported by "SHOW INDEX"
+ * @param {string} name The name of the index
+ * @param {string|string[]} columnNames The column or columns of the index
+ * @param {{}} overrides Values that replace the defaults of each row, e.g {Non_unique: 0}
+ * @return {{}[]} A row for each column of the index
+ */
+function index(name, columnNames, overrides = {}) {
+    return [].concat(columnNames).map((columnName, columnIndex) => ({
+        Non_unique: name === "PRIMARY" ? 0 : 1,
+        Key_name: name,
+        Seq_in_index: columnIndex + 1,
+        Column_name: columnName,
+        Collation: "A",
+        Sub_part: null,
+        Index_type: "BTREE",
+        ...overrides,
+    }));
+}
+
+/**
+ * Returns the rows of a foreign key constraint, in the form in which dx-db-sync loads them from information_schema
+ * @param {string} name The name of the constraint
+ * @param {string|string[]} columnNames The column or columns of the constraint
+ * @param {string} referencedTableName The table to which the constraint refers
+ * @param {{}} overrides Values that replace the defaults of each row, e.g {DELETE_RULE: "CASCADE"}
+ * @return {{}[]} A row for each column of the constraint
+ */
+function foreignKey(name, columnNames, referencedTableName, overrides = {}) {
+    return [].concat(columnNames).map((columnName, columnIndex) => ({
+        CONSTRAINT_SCHEMA: "dx_db_sync_test",
+        CONSTRAINT_NAME: name,
+        UNIQUE_CONSTRAINT_SCHEMA: "dx_db_sync_test",
+        UPDATE_RULE: "CASCADE",
+        DELETE_RULE: "SET NULL",
+        REFERENCED_TABLE_NAME: referencedTableName,
+        COLUMN_NAME: columnName,
+        REFERENCED_COLUMN_NAME: "id",
+        ORDINAL_POSITION: columnIndex + 1,
+        ...overrides,
+    }));
+}
+
+module.exports = { FakeDatabaseConnector, column, index, foreignKey };
@@ -0,0 +1,90 @@
+const DivbloxDatabaseSync = require("../../index");
+const { FakeDatabaseConnector, column, index, foreignKey } = require("./fake-database-connector");
+
+const databaseConfig = { main: { host: "localhost", port: 3306, database: "dx_db_sync_test" } };
+
+/**
+ * Returns a small data model, in which an invoice refers to the customer that it is billed to
+ * @return {{}} A new copy of the data model, which the caller may change
+ */
+function getDataModel() {
+    return {
+        customer: {
+            module: "main",
+            attributes: {
+                name: { type: "varchar", lengthOrValues: 50, default: null, allowNull: false },
+            },
+            indexes: [],
+            relationships: {},
+            options: { enforceLockingConstraints: false },
+        },
+        invoice: {
+            module: "main",
+            attributes: {
+                total: { type: "decimal", lengthOrValues: "10,2", default: null, allowNull: true },
+            },
+            indexes: [],
+            relationships: { customer: ["billedCustomer"] },
+            options: { enforceLockingConstraints: true },
+        },
+    };
+}
+
+/**
+ * Returns the tables of a database that is in sync with getDataModel()
+ * @return {{}} A new copy of the tables, in the form accepted by FakeDatabaseConnector
+ */
+function getSyncedTables() {
+    const primaryKeyColumn = column("id", "bigint", { Null: "NO", Key: "PRI", Extra: "auto_increment" });
+    return {
+        main: {
+            customer: {
+                columns: [{ ...primaryKeyColumn }, column("name", "varchar(50)", { Null: "NO" })],
+                indexes: index("PRIMARY", "id"),
+            },
+            invoice: {
+                columns: [
+                    { ...primaryKeyColumn },
+                    column("total", "decimal(10,2)"),
+                    column("customer_billed_customer", "bigint", { Key: "MUL" }),
+                    column("last_updated", "datetime", {
+                        Null: "NO",
+                        Default: "CURRENT_TIMESTAMP",
+                        Extra: "DEFAULT_GENERATED on update CURRENT_TIMESTAMP",
+                    }),
+                ],
+                indexes: [
+                    ...index("PRIMARY", "id"),
+                    ...index("fk_invoice_customer_billed_customer", "customer_billed_customer"),
+                ],
+                foreignKeys: foreignKey("fk_invoice_customer_billed_customer", "customer_billed_customer", "customer"),
+            },
+        },
+    };
+}
+
+/**
+ * Returns a silent DivbloxDatabaseSync instance that works on a FakeDatabaseConnector
+ * @param {{}} dataModel The data model to sync
+ * @param {{}} moduleTables The tables that exist in the database. See FakeDatabaseConnector
+ * @param {{}} options The options to pass to DivbloxDatabaseSync, in addition to {silent: true}
+ * @param {{}} connectorOptions The options to pass to FakeDatabaseConnector
+ * @return {{databaseSync: DivbloxDatabaseSync, databaseConnector: FakeDatabaseConnector}}
+ */
+function createDatabaseSync(
+    dataModel = getDataModel(),
+    moduleTables = { main: {} },
+    options = {},
+    connectorOptions = {}
+) {
+    const moduleDatabaseConfig = JSON.parse(JSON.stringify(databaseConfig));
+    const databaseConnector = new FakeDatabaseConnector(moduleDatabaseConfig, moduleTables, connectorOptions);
+    const databaseSync = new DivbloxDatabaseSync(dataModel, {}, databaseConnector, "lowercase", {
+        silent: true,
+        ...options,
+    });
+
+    return { databaseSync, databaseConnector };
+}
+
+module.exports = { databaseConfig, getDataModel, getSyncedTables, createDatabaseSync };
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { foreignKey } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+test("getForeignKeyConstraintName derives the name from the entities and the relationship", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(
+        databaseSync.getForeignKeyConstraintName("invoice", "customer", "billedCustomer"),
+        "fk_invoice_customer_billed_customer"
+    );
+});
+
+test("getForeignKeyConstraintName shortens long names to 64 characters and keeps them unique", () => {
+    const { databaseSync } = createDatabaseSync();
+    const entityName = "customerInvoiceLineItemAdjustment";
+    const relationshipEntity = "customerAccountBillingAddress";
+
+    const firstName = databaseSync.getForeignKeyConstraintName(entityName, relationshipEntity, "primaryAddress");
+    const secondName = databaseSync.getForeignKeyConstraintName(entityName, relationshipEntity, "secondaryAddress");
+
+    assert.strictEqual(firstName.length, 64);
+    assert.match(firstName, /^fk_customer_invoice_line_item_adjustment_customer_accou_[0-9a-f]{8}$/);
+    assert.notStrictEqual(firstName, secondName);
+    assert.strictEqual(
+        databaseSync.getForeignKeyConstraintName(entityName, relationshipEntity, "primaryAddress"),
+        firstName
+    );
+});
+
+test("getExistingForeignKeyDefinitions returns one definition for each constraint, with its columns in order", () => {
+    const { databaseSync } = createDatabaseSync();
+    const [firstColumnRow, secondColumnRow] = foreignKey("fk_composite", ["region_id", "customer_id"], "customer", {
+        DELETE_RULE: "CASCADE",
+    });
+
+    assert.deepStrictEqual(databaseSync.getExistingForeignKeyDefinitions([secondColumnRow, firstColumnRow]), {
+        fk_composite: {
+            columnNames: ["region_id", "customer_id"],
+            referencedSchema: "dx_db_sync_test",
+            referencedTable: "customer",
+            referencedColumnNames: ["id", "id"],
+            onDelete: "CASCADE",
+            onUpdate: "CASCADE",
+        },
+    });
+});
+
+test("getEntityForeignKeyDiff reports no differences for a constraint that matches the data model", () => {
+    const { databaseSync } = createDatabaseSync();
+    const foreignKeyRows = getSyncedTables().main.invoice.foreignKeys;
+
+    assert.deepStrictEqual(databaseSync.getEntityForeignKeyDiff("invoice", foreignKeyRows), {
+        foreignKeysToAdd: [],
+        foreignKeysToDrop: [],
+        foreignKeysToModify: [],
+    });
+});
+
+test("getEntityForeignKeyDiff replaces a constraint that has a name which is not derived from the data model", () => {
+    const { databaseSync } = createDatabaseSync();
+    const foreignKeyRows = foreignKey("invoice_ibfk_1", "customer_billed_customer", "customer");
+
+    const foreignKeyDiff = databaseSync.getEntityForeignKeyDiff("invoice", foreignKeyRows);
+
+    assert.deepStrictEqual(
+        foreignKeyDiff.foreignKeysToDrop.map((foreignKeyToDrop) => [
+            foreignKeyToDrop.constraintName,
+            foreignKeyToDrop.renamedTo,
+        ]),
+        [["invoice_ibfk_1", "fk_invoice_customer_billed_customer"]]
+    );
+    assert.deepStrictEqual(
+        foreignKeyDiff.foreignKeysToAdd.map((foreignKeyToAdd) => foreignKeyToAdd.constraintName),
+        ["fk_invoice_customer_billed_customer"]
+    );
+});
+
+test("planSync replaces a constraint that has a name which is not derived from the data model", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.invoice.foreignKeys = foreignKey("invoice_ibfk_1", "customer_billed_customer", "customer");
+    const { databaseSync } = createDatabaseSync(getDataModel(), moduleTables);
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.objectName]),
+        [
+            ["drop foreign key", "invoice_ibfk_1"],
+            ["add foreign key", "fk_invoice_customer_billed_customer"],
+        ]
+    );
+});
+
+test("planSync drops a constraint that spans multiple columns once", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.invoice.foreignKeys.push(
+        ...foreignKey("fk_invoice_legacy", ["customer_billed_customer", "total"], "customer")
+    );
+    const { databaseSync } = createDatabaseSync(getDataModel(), moduleTables);
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql]),
+        [["drop foreign key", "ALTER TABLE `dx_db_sync_test`.`invoice` DROP FOREIGN KEY `fk_invoice_legacy`;"]]
+    );
+    assert.match(syncPlan.main[0].downSql, /FOREIGN KEY \(`customer_billed_customer`, `total`\) REFERENCES/);
+});
@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const compositeIndex = {
+    attributes: ["total", { attribute: "createdAt", order: "desc" }, { attribute: "reference", length: 10 }],
+    indexName: "invoiceTotalCreated",
+    indexChoice: "index",
+    type: "BTREE",
+};
+
+test("getIndexColumns returns the columns of single and composite indexes", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.deepStrictEqual(databaseSync.getIndexColumns({ attribute: "billedAt" }), [
+        { columnName: "billed_at", length: null, order: null },
+    ]);
+    assert.deepStrictEqual(databaseSync.getIndexColumns(compositeIndex), [
+        { columnName: "total", length: null, order: null },
+        { columnName: "created_at", length: null, order: "DESC" },
+        { columnName: "reference", length: 10, order: null },
+    ]);
+});
+
+test("getAddIndexSql lists the columns with their prefix lengths and order", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(
+        databaseSync.getAddIndexSql(compositeIndex),
+        "ADD INDEX `invoice_total_created` (`total`, `created_at` DESC, `reference`(10)) USING BTREE"
+    );
+    assert.strictEqual(
+        databaseSync.getAddIndexSql({ attribute: "notes", indexName: "notesText", indexChoice: "fulltext" }),
+        "ADD FULLTEXT `notes_text` (`notes`)"
+    );
+    assert.strictEqual(databaseSync.getAddIndexSql({ ...compositeIndex, indexChoice: "primary" }), null);
+});
+
+test("planSync adds a composite index", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    dataModel.customer.indexes.push({
+        attributes: ["name", { attribute: "email", length: 5 }],
+        indexName: "customerName",
+        indexChoice: "unique",
+        type: "BTREE",
+    });
+    const moduleTables = getSyncedTables();
+    moduleTables.main.customer.columns.push(column("email", "varchar(100)"));
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables);
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql, syncStep.downSql]),
+        [
+            [
+                "add index",
+                "ALTER TABLE `customer` ADD UNIQUE `customer_name` (`name`, `email`(5)) USING BTREE;",
+                "ALTER TABLE `customer` DROP INDEX `customer_name`;",
+            ],
+        ]
+    );
+});
+
+test("getExistingIndexDefinitions groups the rows of each index in column order", () => {
+    const { databaseSync } = createDatabaseSync();
+    const indexRows = [
+        ...index("invoice_total_created", ["total", "created_at", "reference"]),
+        ...index("PRIMARY", "id"),
+    ];
+    indexRows[1].Collation = "D";
+    indexRows[2].Sub_part = "10";
+
+    assert.deepStrictEqual(databaseSync.getExistingIndexDefinitions([...indexRows].reverse()), {
+        invoice_total_created: {
+            columns: [
+                { columnName: "total", length: null, order: "ASC" },
+                { columnName: "created_at", length: null, order: "DESC" },
+                { columnName: "reference", length: 10, order: "ASC" },
+            ],
+            isUnique: false,
+            indexType: "BTREE",
+        },
+        PRIMARY: { columns: [{ columnName: "id", length: null, order: "ASC" }], isUnique: true, indexType: "BTREE" },
+    });
+});
+
+test("planSync recreates an index whose definition differs from the data model", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.indexes.push({
+        attribute: "total",
+        indexName: "invoiceTotal",
+        indexChoice: "unique",
+        type: "BTREE",
+    });
+    const moduleTables = getSyncedTables();
+    moduleTables.main.invoice.indexes.push(...index("invoice_total", "total"));
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables);
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql]),
+        [
+            [
+                "alter table",
+                "ALTER TABLE `invoice` DROP INDEX `invoice_total`, ADD UNIQUE `invoice_total` (`total`) USING BTREE;",
+            ],
+        ]
+    );
+});
+
+test("getEntityIndexDiff reports indexes whose definition differs from the data model", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.indexes.push({
+        attribute: "total",
+        indexName: "invoiceTotal",
+        indexChoice: "unique",
+        type: "HASH",
+    });
+    const { databaseSync } = createDatabaseSync(dataModel);
+    const indexRows = [
+        ...getSyncedTables().main.invoice.indexes,
+        ...index("invoice_total", "total"),
+        ...index("invoice_stray", "total"),
+    ];
+
+    const indexDiff = databaseSync.getEntityIndexDiff("invoice", indexRows);
+
+    assert.deepStrictEqual(indexDiff.indexesToAdd, []);
+    assert.deepStrictEqual(
+        indexDiff.indexesToModify.map((indexToModify) => [indexToModify.indexName, indexToModify.differences]),
+        [["invoice_total", ["uniqueness: expected unique, found non-unique"]]]
+    );
+    assert.deepStrictEqual(
+        indexDiff.indexesToDrop.map((indexToDrop) => indexToDrop.indexName),
+        ["invoice_stray"]
+    );
+});
+
+test("getEntityIndexDiff expects descending indexes to be ascending on servers that do not support them", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.indexes.push({
+        attributes: [{ attribute: "name", order: "DESC" }],
+        indexName: "customerName",
+        indexChoice: "index",
+        type: "BTREE",
+    });
+    const { databaseSync } = createDatabaseSync(dataModel);
+    const indexRows = [...index("PRIMARY", "id"), ...index("customer_name", "name")];
+
+    assert.deepStrictEqual(databaseSync.getEntityIndexDiff("customer", indexRows, false).indexesToModify, []);
+    assert.deepStrictEqual(
+        databaseSync.getEntityIndexDiff("customer", indexRows, true).indexesToModify[0].differences,
+        ["order of 'name': expected DESC, found ASC"]
+    );
+});
+
+for (const [serverVersion, isRecreated] of [
+    ["8.0.34", true],
+    ["5.7.44-log", false],
+    ["10.6.12-MariaDB", false],
+    ["10.11.2-MariaDB", true],
+]) {
+    test(
+        "planSync only recreates an ascending index as descending where " + serverVersion + " supports it",
+        async () => {
+            const dataModel = getDataModel();
+            dataModel.customer.indexes.push({
+                attributes: [{ attribute: "name", order: "DESC" }],
+                indexName: "customerName",
+                indexChoice: "index",
+                type: "BTREE",
+            });
+            const moduleTables = getSyncedTables();
+            moduleTables.main.customer.indexes.push(...index("customer_name", "name"));
+            const { databaseSync } = createDatabaseSync(dataModel, moduleTables, {}, { serverVersion });
+
+            const syncPlan = await databaseSync.planSync();
+
+            assert.deepStrictEqual(
+                (syncPlan.main ?? []).map((syncStep) => syncStep.sql),
+                isRecreated
+                    ? [
+                          "ALTER TABLE `customer` DROP INDEX `customer_name`, " +
+                              "ADD INDEX `customer_name` (`name` DESC) USING BTREE;",
+                      ]
+                    : []
+            );
+        }
+    );
+}
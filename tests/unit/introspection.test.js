@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+test("introspectDataModel returns the data model that the database was synced with", async () => {
+    const { databaseSync } = createDatabaseSync({}, getSyncedTables());
+
+    assert.deepStrictEqual(await databaseSync.introspectDataModel("main"), {
+        dataModel: getDataModel(),
+        warnings: [],
+    });
+});
+
+test("introspectDataModel returns a data model that a sync leaves unchanged", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.customer.indexes.push(...index("customer_name", "name", { Non_unique: 0 }));
+    moduleTables.main.customer.columns.push(column("status", "enum('active','closed')", { Default: "active" }));
+    const { databaseSync } = createDatabaseSync({}, moduleTables);
+
+    const { dataModel } = await databaseSync.introspectDataModel("main");
+
+    assert.deepStrictEqual(dataModel.customer.indexes, [
+        { attribute: "name", indexName: "customerName", indexChoice: "unique", type: "BTREE" },
+    ]);
+    assert.deepStrictEqual(dataModel.customer.attributes.status, {
+        type: "enum",
+        lengthOrValues: "'active','closed'",
+        default: "active",
+        allowNull: true,
+    });
+
+    const { databaseSync: introspectedDatabaseSync } = createDatabaseSync(dataModel, moduleTables);
+    assert.deepStrictEqual(await introspectedDatabaseSync.planSync(), {});
+});
+
+test("introspectDataModel represents an auto-incremented attribute", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.customer.columns[0].Extra = "";
+    moduleTables.main.customer.columns.push(column("sequence", "int", { Null: "NO", Extra: "auto_increment" }));
+    moduleTables.main.customer.indexes.push(...index("customer_sequence", "sequence", { Non_unique: 0 }));
+    const { databaseSync } = createDatabaseSync({}, moduleTables);
+
+    const { dataModel, warnings } = await databaseSync.introspectDataModel("main");
+
+    assert.deepStrictEqual(dataModel.customer.attributes.sequence, {
+        type: "int",
+        lengthOrValues: null,
+        default: null,
+        allowNull: false,
+        autoIncrement: true,
+    });
+    assert.deepStrictEqual(warnings, []);
+
+    const { databaseSync: introspectedDatabaseSync } = createDatabaseSync(dataModel, moduleTables);
+    assert.deepStrictEqual(await introspectedDatabaseSync.planSync(), {});
+});
+
+test("introspectDataModel warns about what a data model cannot represent", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.audit = {
+        columns: [
+            column("entry_id", "int", { Null: "NO", Key: "PRI" }),
+            column("line", "int", { Null: "NO", Key: "PRI" }),
+        ],
+        indexes: index("PRIMARY", ["entry_id", "line"]),
+    };
+    const { databaseSync } = createDatabaseSync({}, moduleTables);
+
+    const { dataModel, warnings } = await databaseSync.introspectDataModel("main");
+
+    assert.deepStrictEqual(Object.keys(dataModel.audit.attributes), ["entryId", "line"]);
+    assert.deepStrictEqual(warnings, [
+        "Table 'audit' has a composite primary key (entry_id,line), which cannot be represented. Its columns are " +
+            "introspected as attributes",
+    ]);
+});
+
+test("introspectDataModel returns null for a module that is not configured", async () => {
+    const { databaseSync } = createDatabaseSync({}, getSyncedTables());
+
+    assert.strictEqual(await databaseSync.introspectDataModel("billing"), null);
+    assert.strictEqual(
+        databaseSync.getLastError().message,
+        "Module 'billing' is not defined in the database configuration"
+    );
+});
+
+test("introspectDataModel restores output when it throws", async () => {
+    const { databaseSync } = createDatabaseSync({}, getSyncedTables());
+    databaseSync.getIntrospectedEntity = async () => {
+        throw new Error("Unexpected failure");
+    };
+
+    await assert.rejects(databaseSync.introspectDataModel("main"), /Unexpected failure/);
+    assert.strictEqual(databaseSync.isOutputSuppressed, false);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const syncSteps = [
+    {
+        type: "add column",
+        tableName: "customer",
+        objectName: "email",
+        sql: "ALTER TABLE `customer` ADD COLUMN `email` varchar(100) DEFAULT NULL",
+        downSql: "ALTER TABLE `customer` DROP COLUMN `email`;",
+    },
+    {
+        type: "drop column",
+        tableName: "customer",
+        objectName: "legacy",
+        sql: "ALTER TABLE `customer` DROP COLUMN `legacy`;",
+        downSql: null,
+    },
+];
+
+/**
+ * Runs the given function while new Date() returns the given time, so that the name of the migration folder is known
+ * @param {string} isoTime The time to return, e.g "2024-01-01T12:00:00.123Z"
+ * @param {function} callback The function to run
+ * @return {Promise<*>} The result of the function
+ */
+async function atTime(isoTime, callback) {
+    const RealDate = global.Date;
+    global.Date = class extends RealDate {
+        constructor(...dateArguments) {
+            super(...(dateArguments.length > 0 ? dateArguments : [isoTime]));
+        }
+    };
+
+    try {
+        return await callback();
+    } finally {
+        global.Date = RealDate;
+    }
+}
+
+test("getMigrationSql describes each step and terminates its statement", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(
+        databaseSync.getMigrationSql(syncSteps),
+        "SET FOREIGN_KEY_CHECKS = 0;\n\n" +
+            "-- add column: email (customer)\n" +
+            "ALTER TABLE `customer` ADD COLUMN `email` varchar(100) DEFAULT NULL;\n\n" +
+            "-- drop column: legacy (customer)\n" +
+            "ALTER TABLE `customer` DROP COLUMN `legacy`;\n\n" +
+            "SET FOREIGN_KEY_CHECKS = 1;\n"
+    );
+});
+
+test("getMigrationSql marks steps that cannot be reversed", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(
+        databaseSync.getMigrationSql([...syncSteps].reverse(), true),
+        "SET FOREIGN_KEY_CHECKS = 0;\n\n" +
+            "-- IRREVERSIBLE: drop column (legacy on customer) cannot be reversed. Its data has to be restored from a " +
+            "backup\n\n" +
+            "-- Reverse add column: email (customer)\n" +
+            "ALTER TABLE `customer` DROP COLUMN `email`;\n\n" +
+            "SET FOREIGN_KEY_CHECKS = 1;\n"
+    );
+});
+
+test("generateMigrationFiles writes up and down files to a folder named after the time", async () => {
+    const migrationsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "dx-db-sync-"));
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    try {
+        const migration = await atTime("2024-01-01T12:00:00.123Z", () =>
+            databaseSync.generateMigrationFiles(migrationsDirectory)
+        );
+
+        assert.deepStrictEqual(migration, {
+            migrationPath: path.join(migrationsDirectory, "20240101120000123"),
+            modules: ["main"],
+        });
+
+        const upSql = fs.readFileSync(path.join(migration.migrationPath, "main", "up.sql"), "utf-8");
+        const downSql = fs.readFileSync(path.join(migration.migrationPath, "main", "down.sql"), "utf-8");
+        assert.match(upSql, /^-- Generated by dx-db-sync on 2024-01-01T12:00:00\.123Z\n-- Module: main \(database: /);
+        assert.match(upSql, /\nALTER TABLE `customer` ADD COLUMN `email` varchar\(100\) DEFAULT NULL;\n/);
+        assert.match(downSql, /\nALTER TABLE `customer` DROP COLUMN `email`;\n/);
+    } finally {
+        fs.rmSync(migrationsDirectory, { recursive: true, force: true });
+    }
+});
+
+test("generateMigrationFiles never overwrites an existing migration folder", async () => {
+    const migrationsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "dx-db-sync-"));
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    try {
+        fs.mkdirSync(path.join(migrationsDirectory, "20240101120000123"));
+
+        const migration = await atTime("2024-01-01T12:00:00.123Z", () =>
+            databaseSync.generateMigrationFiles(migrationsDirectory)
+        );
+
+        assert.strictEqual(migration, null);
+        assert.deepStrictEqual(fs.readdirSync(path.join(migrationsDirectory, "20240101120000123")), []);
+    } finally {
+        fs.rmSync(migrationsDirectory, { recursive: true, force: true });
+    }
+});
+
+test("generateMigrationFiles writes nothing for a database that is up to date", async () => {
+    const migrationsDirectory = path.join(os.tmpdir(), "dx-db-sync-up-to-date");
+    const { databaseSync } = createDatabaseSync(getDataModel(), getSyncedTables());
+
+    assert.deepStrictEqual(await databaseSync.generateMigrationFiles(migrationsDirectory), {
+        migrationPath: null,
+        modules: [],
+    });
+    assert.strictEqual(fs.existsSync(migrationsDirectory), false);
+});
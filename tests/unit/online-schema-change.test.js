@@ -0,0 +1,247 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const copySql =
+    "INSERT IGNORE INTO `_invoice_new` (`id`, `total`, `customer_billed_customer`, `last_updated`) SELECT `id`, " +
+    "`total`, `customer_billed_customer`, `last_updated` FROM `invoice` WHERE `id` BETWEEN CAST(? AS SIGNED) AND " +
+    "CAST(? AS SIGNED) LOCK IN SHARE MODE;";
+const addForeignKeySql =
+    "ADD CONSTRAINT `fk_invoice_customer_billed_customer` FOREIGN KEY (`customer_billed_customer`) REFERENCES " +
+    "`dx_db_sync_test`.`customer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE, ALGORITHM=INSTANT;";
+const cleanUpSql = [
+    "DROP TRIGGER IF EXISTS `_invoice_ins`;",
+    "DROP TRIGGER IF EXISTS `_invoice_upd`;",
+    "DROP TRIGGER IF EXISTS `_invoice_del`;",
+    "DROP TABLE IF EXISTS `_invoice_new`;",
+];
+
+/**
+ * Returns a silent DivbloxDatabaseSync instance that alters the total column of an invoice table with 2500 rows. The
+ * shadow table reports the same columns as the invoice table, and each chunk copies the rows in its id range
+ * @param {{}} options The options to pass to DivbloxDatabaseSync
+ * @param {{}} connectorOptions The options to pass to FakeDatabaseConnector
+ * @return {{databaseSync: DivbloxDatabaseSync, databaseConnector: FakeDatabaseConnector}}
+ */
+function createLargeTableSync(options = { onlineSchemaChange: { minimumRowCount: 2000 } }, connectorOptions = {}) {
+    const dataModel = getDataModel();
+    dataModel.invoice.attributes.total.lengthOrValues = "12,2";
+    const syncedTables = getSyncedTables();
+    syncedTables.main.invoice.status = { TABLE_ROWS: 2500 };
+
+    const { databaseSync, databaseConnector } = createDatabaseSync(dataModel, syncedTables, options, connectorOptions);
+    databaseConnector.respondTo(/^SHOW FULL COLUMNS FROM `_invoice_new`/, syncedTables.main.invoice.columns);
+    databaseConnector.respondTo(/^SELECT CAST\(MIN\(`id`\)/, [{ minimumId: "1", maximumId: "2500" }]);
+    databaseConnector.respondTo(/^INSERT IGNORE INTO `_invoice_new` .* SELECT/, (sql, [fromId, toId]) => ({
+        affectedRows: Number(toId) - Number(fromId) + 1,
+    }));
+
+    return { databaseSync, databaseConnector };
+}
+
+/**
+ * Returns the statements that the sync executed, other than those that toggle foreign key checks
+ * @param {FakeDatabaseConnector} databaseConnector The connector on which the sync ran
+ * @return {string[]}
+ */
+function getOnlineSchemaChangeSql(databaseConnector) {
+    return databaseConnector.getExecutedSql(/^(?!SET FOREIGN_KEY_CHECKS)/);
+}
+
+test("getOnlineSchemaChangeNames keeps the names of shadow tables and triggers within 64 characters", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.deepStrictEqual(databaseSync.getOnlineSchemaChangeNames("invoice"), {
+        shadowTable: "_invoice_new",
+        oldTable: "_invoice_old",
+        insertTrigger: "_invoice_ins",
+        updateTrigger: "_invoice_upd",
+        deleteTrigger: "_invoice_del",
+    });
+
+    const longNames = databaseSync.getOnlineSchemaChangeNames("t".repeat(64));
+    assert.deepStrictEqual(
+        Object.values(longNames).map((name) => name.length),
+        [64, 64, 64, 64, 64]
+    );
+    assert.strictEqual(new Set(Object.values(longNames)).size, 5);
+});
+
+test("isOnlineSchemaChangeRequired only applies to large tables, when the option is enabled", async () => {
+    assert.strictEqual(
+        await createLargeTableSync({}).databaseSync.isOnlineSchemaChangeRequired("main", "invoice"),
+        false
+    );
+    assert.strictEqual(
+        await createLargeTableSync({ onlineSchemaChange: true }).databaseSync.isOnlineSchemaChangeRequired(
+            "main",
+            "invoice"
+        ),
+        false
+    );
+    assert.strictEqual(await createLargeTableSync().databaseSync.isOnlineSchemaChangeRequired("main", "invoice"), true);
+});
+
+test("isOnlineSchemaChangeRequired refreshes a cached row count with ANALYZE TABLE, on MySQL 8 only", async () => {
+    for (const serverVersion of ["8.0.34", "5.7.44"]) {
+        const { databaseSync, databaseConnector } = createLargeTableSync(
+            { onlineSchemaChange: { minimumRowCount: 1000000 } },
+            { serverVersion }
+        );
+        databaseConnector.respondTo(/^SELECT TABLE_ROWS FROM information_schema\.TABLES/, [{ TABLE_ROWS: 2000000 }]);
+
+        const isRequired = await databaseSync.isOnlineSchemaChangeRequired("main", "invoice");
+
+        const isMySql8 = serverVersion === "8.0.34";
+        assert.strictEqual(isRequired, isMySql8, serverVersion);
+        assert.deepStrictEqual(
+            databaseConnector.getExecutedSql(/^ANALYZE TABLE/),
+            isMySql8 ? ["ANALYZE TABLE `invoice`;"] : [],
+            serverVersion
+        );
+    }
+});
+
+test("isOnlineSchemaChangeRequired does not apply to tables that other tables refer to", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync();
+    databaseConnector.respondTo(/KEY_COLUMN_USAGE WHERE REFERENCED_TABLE_SCHEMA/, [
+        { TABLE_SCHEMA: "dx_db_sync_test", TABLE_NAME: "payment" },
+    ]);
+
+    assert.strictEqual(await databaseSync.isOnlineSchemaChangeRequired("main", "invoice"), false);
+    assert.deepStrictEqual(databaseSync.warningInfo, [
+        "'invoice' cannot be altered via a shadow table, since it is referenced by the foreign keys of other " +
+            "tables. It will be altered with ALTER TABLE",
+    ]);
+});
+
+test("syncDatabase alters a large table via a shadow table, and swaps the tables", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync({
+        onlineSchemaChange: { minimumRowCount: 2000, chunkSize: 1000 },
+    });
+    const rowsCopiedEvents = [];
+    databaseSync.on("rowsCopied", ({ copiedRowCount, estimatedRowCount }) =>
+        rowsCopiedEvents.push({ copiedRowCount, estimatedRowCount })
+    );
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    const columnListSql = "(`id`, `total`, `customer_billed_customer`, `last_updated`)";
+    const newValuesSql = "(NEW.`id`, NEW.`total`, NEW.`customer_billed_customer`, NEW.`last_updated`)";
+    assert.strictEqual(syncReport.success, true);
+    assert.deepStrictEqual(getOnlineSchemaChangeSql(databaseConnector), [
+        "CREATE TABLE `_invoice_new` LIKE `invoice`;",
+        "ALTER TABLE `_invoice_new` MODIFY COLUMN `total` decimal(12,2) DEFAULT NULL;",
+        "SHOW FULL COLUMNS FROM `_invoice_new`",
+        "CREATE TRIGGER `_invoice_ins` AFTER INSERT ON `invoice` FOR EACH ROW INSERT IGNORE INTO `_invoice_new` " +
+            columnListSql +
+            " VALUES " +
+            newValuesSql +
+            ";",
+        "CREATE TRIGGER `_invoice_upd` AFTER UPDATE ON `invoice` FOR EACH ROW BEGIN DELETE FROM `_invoice_new` " +
+            "WHERE `id` = OLD.`id`; INSERT IGNORE INTO `_invoice_new` " +
+            columnListSql +
+            " VALUES " +
+            newValuesSql +
+            "; END;",
+        "CREATE TRIGGER `_invoice_del` AFTER DELETE ON `invoice` FOR EACH ROW DELETE FROM `_invoice_new` " +
+            "WHERE `id` = OLD.`id`;",
+        "SELECT CAST(MIN(`id`) AS CHAR) AS minimumId, CAST(MAX(`id`) AS CHAR) AS maximumId FROM `invoice`;",
+        copySql,
+        copySql,
+        copySql,
+        "ALTER TABLE `invoice` DROP FOREIGN KEY `fk_invoice_customer_billed_customer`;",
+        "ALTER TABLE `_invoice_new` " + addForeignKeySql,
+        "RENAME TABLE `invoice` TO `_invoice_old`, `_invoice_new` TO `invoice`;",
+        "DROP TABLE `_invoice_old`;",
+    ]);
+    assert.deepStrictEqual(
+        databaseConnector.executedStatements.filter(({ sql }) => sql === copySql).map(({ values }) => values),
+        [
+            ["1", "1000"],
+            ["1001", "2000"],
+            ["2001", "2500"],
+        ]
+    );
+    assert.deepStrictEqual(rowsCopiedEvents, [
+        { copiedRowCount: 1000, estimatedRowCount: 2500 },
+        { copiedRowCount: 2000, estimatedRowCount: 2500 },
+        { copiedRowCount: 2500, estimatedRowCount: 2500 },
+    ]);
+});
+
+test("syncDatabase copies the rows of ids above 2^53 in exact chunks", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync({
+        onlineSchemaChange: { minimumRowCount: 2000, chunkSize: 2 },
+    });
+    databaseConnector.respondTo(/^SELECT CAST\(MIN\(`id`\)/, [
+        { minimumId: "9007199254740993", maximumId: "9007199254740997" },
+    ]);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+
+    assert.deepStrictEqual(
+        databaseConnector.executedStatements.filter(({ sql }) => sql === copySql).map(({ values }) => values),
+        [
+            ["9007199254740993", "9007199254740994"],
+            ["9007199254740995", "9007199254740996"],
+            ["9007199254740997", "9007199254740997"],
+        ]
+    );
+});
+
+test("syncDatabase reports a warning, rather than a failure, when the original table cannot be dropped", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync();
+    databaseConnector.respondTo(/^DROP TABLE `_invoice_old`/, null);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+
+    assert.deepStrictEqual(databaseSync.errorInfo, []);
+    assert.deepStrictEqual(databaseSync.getLastSyncReport().warnings, [
+        "'invoice' was altered, but the original table could not be dropped. Drop '_invoice_old' by hand",
+    ]);
+    assert.strictEqual(databaseConnector.getExecutedSql(/^RENAME TABLE/).length, 1);
+});
+
+test("syncDatabase removes the shadow table and triggers when copying the rows fails", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync();
+    databaseConnector.respondTo(/^INSERT IGNORE INTO `_invoice_new` .* SELECT/, null);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.deepStrictEqual(
+        databaseSync.errorInfo.map((error) => error.message),
+        ["Could not alter 'invoice' via a shadow table", "Could not alter table 'invoice'"]
+    );
+
+    const executedSql = getOnlineSchemaChangeSql(databaseConnector);
+    assert.deepStrictEqual(executedSql.slice(-5), [copySql, ...cleanUpSql]);
+    assert.deepStrictEqual(
+        executedSql.filter((sql) => /FOREIGN KEY|^RENAME/.test(sql)),
+        []
+    );
+});
+
+test("syncDatabase restores the foreign keys of the table when they cannot be moved to the shadow table", async () => {
+    const { databaseSync, databaseConnector } = createLargeTableSync();
+    databaseConnector.respondTo(/^ALTER TABLE `_invoice_new` ADD CONSTRAINT/, null);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.deepStrictEqual(
+        databaseSync.errorInfo.map((error) => error.message),
+        ["Could not add the foreign keys of 'invoice' to '_invoice_new'", "Could not alter table 'invoice'"]
+    );
+    assert.deepStrictEqual(getOnlineSchemaChangeSql(databaseConnector).slice(-7), [
+        "ALTER TABLE `invoice` DROP FOREIGN KEY `fk_invoice_customer_billed_customer`;",
+        "ALTER TABLE `_invoice_new` " + addForeignKeySql,
+        ...cleanUpSql,
+        "ALTER TABLE `invoice` " + addForeignKeySql,
+    ]);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^RENAME/), []);
+});
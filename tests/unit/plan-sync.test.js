@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+test("planSync returns the statements for an empty database without executing them", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync();
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.objectName]),
+        [
+            ["create table", "customer"],
+            ["create table", "invoice"],
+            ["add column", "name"],
+            ["alter table", "invoice"],
+            ["add foreign key", "fk_invoice_customer_billed_customer"],
+        ]
+    );
+    assert.strictEqual(
+        syncPlan.main[0].sql,
+        "CREATE TABLE `customer` ( `id` BIGINT NOT NULL AUTO_INCREMENT , PRIMARY KEY (`id`));"
+    );
+    assert.strictEqual(syncPlan.main[0].downSql, "DROP TABLE `customer`;");
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+    assert.strictEqual(databaseSync.isPlanMode, false);
+});
+
+test("planSync returns an empty plan for a database that matches the data model", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModel(), getSyncedTables());
+
+    assert.deepStrictEqual(await databaseSync.planSync(), {});
+});
+
+test("planSync only plans to drop tables that are not in the data model when asked to", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.orphan = { columns: [column("id", "bigint", { Null: "NO" })], indexes: index("PRIMARY", "id") };
+    const { databaseSync } = createDatabaseSync(getDataModel(), moduleTables);
+
+    assert.deepStrictEqual(await databaseSync.planSync(), {});
+
+    const syncPlan = await databaseSync.planSync(true);
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql, syncStep.downSql]),
+        [["drop table", "DROP TABLE IF EXISTS `orphan`;", null]]
+    );
+});
+
+test("planSync returns null for an invalid data model", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships = { supplier: ["supplier"] };
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    assert.strictEqual(await databaseSync.planSync(), null);
+    assert.notStrictEqual(databaseSync.getLastError(), null);
+});
+
+test("planSync leaves plan mode when a step throws", async () => {
+    const { databaseSync } = createDatabaseSync();
+    databaseSync.updateTables = async () => {
+        throw new Error("Unexpected failure");
+    };
+
+    await assert.rejects(databaseSync.planSync(), /Unexpected failure/);
+    assert.strictEqual(databaseSync.isPlanMode, false);
+});
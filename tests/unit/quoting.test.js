@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const { databaseSync } = createDatabaseSync();
+
+test("getQuotedIdentifier and getQuotedTableName quote names, doubling any backticks", () => {
+    assert.strictEqual(databaseSync.getQuotedIdentifier("order"), "`order`");
+    assert.strictEqual(databaseSync.getQuotedIdentifier("a`b"), "`a``b`");
+    assert.strictEqual(databaseSync.getQuotedTableName("key"), "`key`");
+    assert.strictEqual(databaseSync.getQuotedTableName("key", "my`schema"), "`my``schema`.`key`");
+    assert.strictEqual(databaseSync.getAlterTableSql("key", "DROP INDEX `a`"), "ALTER TABLE `key` DROP INDEX `a`;");
+});
+
+test("getQuotedString escapes quotes and backslashes", () => {
+    assert.strictEqual(databaseSync.getQuotedString("O'Brien"), "'O''Brien'");
+    assert.strictEqual(databaseSync.getQuotedString("C:\\temp"), "'C:\\\\temp'");
+    assert.strictEqual(
+        databaseSync.getQuotedString("'); DROP TABLE `customer`; --"),
+        "'''); DROP TABLE `customer`; --'"
+    );
+});
+
+test("getDefaultValueSql writes literals as escaped strings, and numbers and expressions as is", () => {
+    assert.strictEqual(databaseSync.getDefaultValueSql("O'Brien"), "'O''Brien'");
+    assert.strictEqual(databaseSync.getDefaultValueSql("12"), "'12'");
+    assert.strictEqual(databaseSync.getDefaultValueSql(12.5), "12.5");
+    assert.strictEqual(databaseSync.getDefaultValueSql(false), "0");
+    assert.strictEqual(databaseSync.getDefaultValueSql("null"), "NULL");
+    assert.strictEqual(databaseSync.getDefaultValueSql("current_timestamp(3)"), "current_timestamp(3)");
+    assert.strictEqual(databaseSync.getDefaultValueSql("b'101'"), "b'101'");
+    assert.strictEqual(databaseSync.getDefaultValueSql("(UUID())"), "(UUID())");
+    assert.strictEqual(
+        databaseSync.getDefaultValueSql("(1); DROP TABLE `customer`; (1)"),
+        "'(1); DROP TABLE `customer`; (1)'"
+    );
+    assert.strictEqual(databaseSync.getDefaultValueSql("(a) (b)"), "'(a) (b)'");
+});
+
+test("isDefaultValueExpression only accepts a single self-contained expression in parentheses", () => {
+    assert.strictEqual(databaseSync.isDefaultValueExpression("(UUID())"), true);
+    assert.strictEqual(databaseSync.isDefaultValueExpression(" (CONCAT('(', `id`)) "), true);
+    assert.strictEqual(databaseSync.isDefaultValueExpression("UUID()"), false);
+    assert.strictEqual(databaseSync.isDefaultValueExpression("(a) + (b)"), false);
+    assert.strictEqual(databaseSync.isDefaultValueExpression("()"), false);
+    assert.strictEqual(databaseSync.isDefaultValueExpression(5), false);
+});
+
+test("isSelfContainedSqlExpression rejects anything that could end the clause that it is part of", () => {
+    for (const expression of ["`total` * 1.15", "CONCAT(`first_name`, ' ', `last_name`)", "'a;b' + \"(\"", "'It''s'"]) {
+        assert.strictEqual(databaseSync.isSelfContainedSqlExpression(expression), true, expression);
+    }
+
+    for (const expression of [
+        "1; DROP TABLE `customer`",
+        "1 # comment",
+        "1 -- comment",
+        "1 /* comment */",
+        "'a\\' + 1",
+        "(1",
+        "1)",
+        "1) + (1",
+        "'open",
+        "`open",
+    ]) {
+        assert.strictEqual(databaseSync.isSelfContainedSqlExpression(expression), false, expression);
+    }
+});
+
+test("isSameDefaultValue compares defaults the way that the database reports them", () => {
+    assert.strictEqual(databaseSync.isSameDefaultValue(null, null), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue(null, "NULL"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue(1.5, "1.50", "decimal"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue("1.5", "1.50", "varchar"), false);
+    assert.strictEqual(databaseSync.isSameDefaultValue(true, "1", "tinyint"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue("CURRENT_TIMESTAMP", "current_timestamp()", "datetime"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue("(uuid())", "(UUID( ))"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue("O'Brien", "O'Brien", "varchar"), true);
+    assert.strictEqual(databaseSync.isSameDefaultValue("O'Brien", "OBrien", "varchar"), false);
+    assert.strictEqual(databaseSync.isSameDefaultValue(0, null, "int"), false);
+});
+
+test("planSync quotes reserved words and escapes defaults in every statement", async () => {
+    const dataModel = getDataModel();
+    Object.assign(dataModel.customer.attributes, {
+        order: { type: "varchar", lengthOrValues: 50, default: "O'Brien\\", allowNull: true },
+        key: { type: "int", lengthOrValues: null, default: 5, allowNull: false },
+        reference: { type: "varchar", lengthOrValues: 36, default: "(UUID())", allowNull: true },
+    });
+    dataModel.customer.indexes = [{ attribute: "order", indexName: "order", indexChoice: "index", type: "BTREE" }];
+    const syncedTables = getSyncedTables();
+    syncedTables.main.customer.columns.push(column("group", "int"));
+    syncedTables.main.select = {
+        columns: [column("id", "bigint", { Null: "NO", Key: "PRI", Extra: "auto_increment" })],
+        indexes: index("PRIMARY", "id"),
+    };
+    const { databaseSync: reservedWordSync } = createDatabaseSync(dataModel, syncedTables);
+
+    const syncPlan = await reservedWordSync.planSync(true);
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => syncStep.sql),
+        [
+            "DROP TABLE IF EXISTS `select`;",
+            "ALTER TABLE `customer` DROP COLUMN `group`, ADD COLUMN `order` varchar(50) DEFAULT 'O''Brien\\\\', " +
+                "ADD COLUMN `key` int NOT NULL DEFAULT 5, ADD COLUMN `reference` varchar(36) DEFAULT (UUID()), " +
+                "ADD INDEX `order` (`order`) USING BTREE;",
+        ]
+    );
+});
+
+test("validateDataModel rejects default expressions that are not self-contained", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.reference = {
+        type: "varchar",
+        lengthOrValues: 36,
+        default: "(UUID()); DROP TABLE `customer`; SELECT (1)",
+        allowNull: true,
+    };
+
+    const { databaseSync: injectingSync } = createDatabaseSync(dataModel);
+
+    assert.deepStrictEqual(injectingSync.validateDataModel().errors, [
+        {
+            path: "customer.attributes.reference.default",
+            message:
+                "Invalid default expression. The opening parenthesis must close at the end, and it may not contain " +
+                "';', comments or backslashes",
+        },
+    ]);
+
+    // Even without validation, the default is not an expression, so it is written as a string literal
+    assert.strictEqual(
+        injectingSync.getDefaultValueSql(dataModel.customer.attributes.reference.default),
+        "'(UUID()); DROP TABLE `customer`; SELECT (1)'"
+    );
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns the validation errors of the given data model
+ * @param {{}} dataModel The data model to validate
+ * @return {{path: string, message: string}[]}
+ */
+function getValidationErrors(dataModel) {
+    return createDatabaseSync(dataModel).databaseSync.validateDataModel().errors;
+}
+
+test("validateDataModel rejects relationships with entities that are not in the data model", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.supplier = ["supplier"];
+
+    assert.deepStrictEqual(getValidationErrors(dataModel), [
+        {
+            path: "invoice.relationships.supplier",
+            message:
+                "Entity 'invoice' has a relationship with entity 'supplier', which is not defined in the data model",
+        },
+    ]);
+});
+
+test("validateDataModel rejects attributes and relationships that map to a column that is already used", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.attributes.lastUpdated = {
+        type: "datetime",
+        lengthOrValues: null,
+        default: null,
+        allowNull: true,
+    };
+    dataModel.invoice.attributes.customerBilledCustomer = {
+        type: "int",
+        lengthOrValues: null,
+        default: null,
+        allowNull: true,
+    };
+
+    assert.deepStrictEqual(getValidationErrors(dataModel), [
+        {
+            path: "invoice.attributes.lastUpdated",
+            message:
+                "Attribute 'lastUpdated' of entity 'invoice' maps to column 'last_updated', which is already used by " +
+                "the locking constraint column",
+        },
+        {
+            path: "invoice.relationships.customer[0]",
+            message:
+                "Relationship 'billedCustomer' of entity 'invoice' with entity 'customer' generates column " +
+                "'customer_billed_customer', which is already used by attribute 'customerBilledCustomer'",
+        },
+    ]);
+});
+
+test("validateDataModel rejects indexes on columns that the entity does not have", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.indexes.push(
+        { attribute: "customerBilledCustomer", indexName: "invoiceCustomer", indexChoice: "index", type: "BTREE" },
+        { attributes: ["total", "dueDate"], indexName: "invoiceDue", indexChoice: "index", type: "BTREE" }
+    );
+
+    assert.deepStrictEqual(getValidationErrors(dataModel), [
+        {
+            path: "invoice.indexes[1].attributes",
+            message:
+                "Index 'invoiceDue' of entity 'invoice' is defined on column 'due_date', which is not an attribute or " +
+                "relationship column of the entity",
+        },
+    ]);
+});
+
+test("validateDataModel compares index names as they are created in the database", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.indexes.push(
+        { attribute: "total", indexName: "invoiceTotal", indexChoice: "index", type: "BTREE" },
+        { attribute: "total", indexName: "invoice_total", indexChoice: "unique", type: "BTREE" },
+        { attribute: "total", indexName: "INVOICE_TOTAL", indexChoice: "unique", type: "BTREE" }
+    );
+
+    assert.deepStrictEqual(getValidationErrors(dataModel), [
+        {
+            path: "invoice.indexes[1].indexName",
+            message:
+                "Entity 'invoice' already has an index named 'invoice_total' in the database at invoice.indexes[0]",
+        },
+        {
+            path: "invoice.indexes[2].indexName",
+            message:
+                "Entity 'invoice' already has an index named 'invoice_total' in the database at invoice.indexes[0]",
+        },
+    ]);
+});
+
+test("validateDataModel rejects indexes that are named after a foreign key constraint", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.indexes.push({
+        attribute: "total",
+        indexName: "fkInvoiceCustomerBilledCustomer",
+        indexChoice: "index",
+        type: "BTREE",
+    });
+
+    assert.deepStrictEqual(getValidationErrors(dataModel), [
+        {
+            path: "invoice.indexes[0].indexName",
+            message:
+                "Index 'fkInvoiceCustomerBilledCustomer' of entity 'invoice' is named " +
+                "'fk_invoice_customer_billed_customer' in the database, which is the name of the foreign key " +
+                "constraint of relationship 'billedCustomer' with entity 'customer'",
+        },
+    ]);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+test("getEntityRelationshipDefinitions applies the default actions to relationships that are defined by name", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.customer.push({ name: "shippedCustomer", onDelete: "cascade", required: true });
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    assert.deepStrictEqual(databaseSync.getEntityRelationshipDefinitions("invoice"), [
+        {
+            relationshipEntity: "customer",
+            relationshipName: "billedCustomer",
+            onDelete: "SET NULL",
+            onUpdate: "CASCADE",
+            required: false,
+        },
+        {
+            relationshipEntity: "customer",
+            relationshipName: "shippedCustomer",
+            onDelete: "CASCADE",
+            onUpdate: "CASCADE",
+            required: true,
+        },
+    ]);
+});
+
+test("getRelationshipDefinitionError rejects unknown actions and required relationships that SET NULL", () => {
+    const { databaseSync } = createDatabaseSync();
+
+    assert.strictEqual(databaseSync.getRelationshipDefinitionError("billedCustomer"), null);
+    assert.strictEqual(
+        databaseSync.getRelationshipDefinitionError({ name: "billedCustomer", onDelete: "restrict", required: true }),
+        null
+    );
+    assert.strictEqual(
+        databaseSync.getRelationshipDefinitionError({ name: "billedCustomer", onDelete: "delete" }),
+        "Invalid onDelete action for 'billedCustomer'. Valid options: CASCADE|SET NULL|RESTRICT|NO ACTION"
+    );
+    assert.match(
+        databaseSync.getRelationshipDefinitionError({ name: "billedCustomer", required: true }),
+        /is required and can therefore not use SET NULL/
+    );
+    assert.match(databaseSync.getRelationshipDefinitionError({ onDelete: "CASCADE" }), /must be a relationship name/);
+});
+
+test("getEntityForeignKeyDiff reports constraints of which the actions changed", () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.customer = [{ name: "billedCustomer", onDelete: "RESTRICT" }];
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    const foreignKeyDiff = databaseSync.getEntityForeignKeyDiff("invoice", getSyncedTables().main.invoice.foreignKeys);
+
+    assert.deepStrictEqual(
+        foreignKeyDiff.foreignKeysToModify.map((foreignKeyToModify) => [
+            foreignKeyToModify.constraintName,
+            foreignKeyToModify.differences,
+        ]),
+        [["fk_invoice_customer_billed_customer", ["onDelete"]]]
+    );
+});
+
+test("planSync recreates a constraint of which the actions changed", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.customer = [{ name: "billedCustomer", onDelete: "RESTRICT" }];
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.objectName]),
+        [
+            ["drop foreign key", "fk_invoice_customer_billed_customer"],
+            ["add foreign key", "fk_invoice_customer_billed_customer"],
+        ]
+    );
+    assert.match(syncPlan.main[1].sql, /ON DELETE RESTRICT ON UPDATE CASCADE;$/);
+});
+
+test("planSync makes the column of a required relationship NOT NULL and recreates its constraint", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.customer = [{ name: "billedCustomer", onDelete: "cascade", required: true }];
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql]),
+        [
+            [
+                "drop foreign key",
+                "ALTER TABLE `dx_db_sync_test`.`invoice` DROP FOREIGN KEY `fk_invoice_customer_billed_customer`;",
+            ],
+            ["modify column", "ALTER TABLE `invoice` MODIFY COLUMN `customer_billed_customer` BIGINT(20) NOT NULL;"],
+            [
+                "add foreign key",
+                "ALTER TABLE `invoice` ADD CONSTRAINT `fk_invoice_customer_billed_customer` FOREIGN KEY " +
+                    "(`customer_billed_customer`) REFERENCES `customer`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;",
+            ],
+        ]
+    );
+});
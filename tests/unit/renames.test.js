@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns a data model in which the customer entity and its name attribute were renamed, along with the tables of a
+ * database that still uses the previous names
+ * @return {{dataModel: {}, moduleTables: {}}}
+ */
+function getRenamedCustomer() {
+    const dataModel = getDataModel();
+    dataModel.customer.previousNames = ["client"];
+    dataModel.customer.attributes.name.previousNames = ["fullName"];
+
+    const moduleTables = getSyncedTables();
+    moduleTables.main.client = moduleTables.main.customer;
+    delete moduleTables.main.customer;
+    moduleTables.main.client.columns[1].Field = "full_name";
+    moduleTables.main.invoice.columns[2].Field = "client_billed_customer";
+
+    return { dataModel, moduleTables };
+}
+
+test("getColumnsToRename renames attributes and the columns of relationships with renamed entities", () => {
+    const { dataModel, moduleTables } = getRenamedCustomer();
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    assert.deepStrictEqual(databaseSync.getColumnsToRename("customer", moduleTables.main.client.columns), [
+        { fromColumnName: "full_name", toColumnName: "name" },
+    ]);
+    assert.deepStrictEqual(databaseSync.getColumnsToRename("invoice", moduleTables.main.invoice.columns), [
+        { fromColumnName: "client_billed_customer", toColumnName: "customer_billed_customer" },
+    ]);
+});
+
+test("getColumnsToRename leaves a previous column alone if the new column already exists", () => {
+    const { dataModel } = getRenamedCustomer();
+    const { databaseSync } = createDatabaseSync(dataModel);
+    const tableColumns = [column("id", "bigint"), column("full_name", "varchar(50)"), column("name", "varchar(50)")];
+
+    assert.deepStrictEqual(databaseSync.getColumnsToRename("customer", tableColumns), []);
+    assert.match(databaseSync.warningInfo[0], /Column 'name' already exists on 'customer'/);
+});
+
+test("getRenameColumnSql uses CHANGE COLUMN with the existing definition on servers without RENAME COLUMN", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.nameLength = {
+        type: "int",
+        lengthOrValues: null,
+        default: null,
+        allowNull: true,
+        generated: { expression: "CHAR_LENGTH(`name`)", storage: "STORED" },
+    };
+    const { databaseSync } = createDatabaseSync(dataModel);
+    const nameColumn = column("full_name", "varchar(50)", { Null: "NO", Collation: null });
+    const generatedColumn = column("name_size", "int", { Extra: "STORED GENERATED" });
+
+    assert.strictEqual(
+        databaseSync.getRenameColumnSql("customer", "full_name", "name", nameColumn, true),
+        "RENAME COLUMN `full_name` TO `name`"
+    );
+    assert.strictEqual(
+        databaseSync.getRenameColumnSql("customer", "full_name", "name", nameColumn, false),
+        "CHANGE COLUMN `full_name` `name` varchar(50) NOT NULL"
+    );
+    assert.strictEqual(
+        databaseSync.getRenameColumnSql("customer", "name_size", "name_length", generatedColumn, false),
+        "CHANGE COLUMN `name_size` `name_length` int GENERATED ALWAYS AS (CHAR_LENGTH(`name`)) STORED"
+    );
+});
+
+test("planSync renames tables and columns instead of recreating them", async () => {
+    const { dataModel, moduleTables } = getRenamedCustomer();
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables);
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map((syncStep) => [syncStep.type, syncStep.sql, syncStep.downSql]),
+        [
+            ["rename table", "RENAME TABLE `client` TO `customer`;", "RENAME TABLE `customer` TO `client`;"],
+            [
+                "rename column",
+                "ALTER TABLE `customer` RENAME COLUMN `full_name` TO `name`;",
+                "ALTER TABLE `customer` RENAME COLUMN `name` TO `full_name`;",
+            ],
+            [
+                "rename column",
+                "ALTER TABLE `invoice` RENAME COLUMN `client_billed_customer` TO `customer_billed_customer`;",
+                "ALTER TABLE `invoice` RENAME COLUMN `customer_billed_customer` TO `client_billed_customer`;",
+            ],
+        ]
+    );
+});
+
+test("planSync renames columns with CHANGE COLUMN on MySQL 5.7", async () => {
+    const { dataModel, moduleTables } = getRenamedCustomer();
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables, {}, { serverVersion: "5.7.44-log" });
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.slice(1).map((syncStep) => [syncStep.sql, syncStep.downSql]),
+        [
+            [
+                "ALTER TABLE `customer` CHANGE COLUMN `full_name` `name` varchar(50) CHARACTER SET utf8mb4 " +
+                    "COLLATE utf8mb4_0900_ai_ci NOT NULL;",
+                "ALTER TABLE `customer` CHANGE COLUMN `name` `full_name` varchar(50) CHARACTER SET utf8mb4 " +
+                    "COLLATE utf8mb4_0900_ai_ci NOT NULL;",
+            ],
+            [
+                "ALTER TABLE `invoice` CHANGE COLUMN `client_billed_customer` `customer_billed_customer` bigint " +
+                    "DEFAULT NULL;",
+                "ALTER TABLE `invoice` CHANGE COLUMN `customer_billed_customer` `client_billed_customer` bigint " +
+                    "DEFAULT NULL;",
+            ],
+        ]
+    );
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+test("getSchemaDiff reports no differences for a database that matches the data model", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModel(), getSyncedTables());
+
+    assert.deepStrictEqual(await databaseSync.getSchemaDiff(), {
+        hasDifferences: false,
+        warnings: [],
+        modules: { main: { missingTables: [], extraTables: [], renamedTables: [], tables: {} } },
+    });
+});
+
+test("getSchemaDiff reports missing, extra and differing tables without changing the database", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.name.lengthOrValues = 80;
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    dataModel.payment = {
+        module: "main",
+        attributes: { amount: { type: "int", lengthOrValues: null, default: null, allowNull: true } },
+        indexes: [],
+        relationships: {},
+        options: {},
+    };
+    const moduleTables = getSyncedTables();
+    moduleTables.main.orphan = { columns: [column("id", "bigint", { Null: "NO" })], indexes: [] };
+    moduleTables.main.invoice.columns.push(column("legacy_total", "int"));
+    const { databaseSync, databaseConnector } = createDatabaseSync(dataModel, moduleTables);
+
+    const schemaDiff = await databaseSync.getSchemaDiff();
+
+    assert.strictEqual(schemaDiff.hasDifferences, true);
+    assert.deepStrictEqual(schemaDiff.modules.main.missingTables, ["payment"]);
+    assert.deepStrictEqual(schemaDiff.modules.main.extraTables, ["orphan"]);
+    assert.deepStrictEqual(Object.keys(schemaDiff.modules.main.tables), ["customer", "invoice"]);
+
+    const customerDiff = schemaDiff.modules.main.tables.customer;
+    assert.deepStrictEqual(
+        customerDiff.columnsToAdd.map((columnToAdd) => columnToAdd.columnName),
+        ["email"]
+    );
+    assert.deepStrictEqual(
+        customerDiff.columnsToModify.map((columnToModify) => [columnToModify.columnName, columnToModify.differences]),
+        [["name", ["lengthOrValues"]]]
+    );
+    assert.deepStrictEqual(
+        schemaDiff.modules.main.tables.invoice.columnsToDrop.map((columnToDrop) => columnToDrop.columnName),
+        ["legacy_total"]
+    );
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+    assert.strictEqual(databaseSync.isPlanMode, false);
+});
+
+test("getSchemaDiff reports renamed tables instead of a missing and an extra table", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.previousNames = ["client"];
+    const moduleTables = getSyncedTables();
+    moduleTables.main.client = moduleTables.main.customer;
+    delete moduleTables.main.customer;
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables);
+
+    const schemaDiff = await databaseSync.getSchemaDiff();
+
+    assert.deepStrictEqual(schemaDiff.modules.main, {
+        missingTables: [],
+        extraTables: [],
+        renamedTables: [{ fromTableName: "client", toTableName: "customer" }],
+        tables: {},
+    });
+});
+
+test("getSchemaDiff restores output and leaves plan mode when it throws", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModel(), getSyncedTables());
+    databaseSync.getEntityColumnDiff = () => {
+        throw new Error("Unexpected failure");
+    };
+
+    await assert.rejects(databaseSync.getSchemaDiff(), /Unexpected failure/);
+    assert.strictEqual(databaseSync.isPlanMode, false);
+    assert.strictEqual(databaseSync.isOutputSuppressed, false);
+});
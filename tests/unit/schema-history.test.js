@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+const packageVersion = require("../../package.json").version;
+
+/**
+ * Returns a data model with an email attribute that the synced tables do not have yet
+ * @return {{}}
+ */
+function getDataModelWithEmail() {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    return dataModel;
+}
+
+test("getDataModelChecksum ignores the order of keys, but not the data model or case implementation", () => {
+    const dataModel = getDataModel();
+    const reorderedDataModel = { invoice: dataModel.invoice, customer: {} };
+    for (const key of Object.keys(dataModel.customer).reverse()) {
+        reorderedDataModel.customer[key] = dataModel.customer[key];
+    }
+
+    const checksum = createDatabaseSync(dataModel).databaseSync.getDataModelChecksum();
+
+    assert.match(checksum, /^[0-9a-f]{64}$/);
+    assert.strictEqual(createDatabaseSync(reorderedDataModel).databaseSync.getDataModelChecksum(), checksum);
+    assert.notStrictEqual(createDatabaseSync(getDataModelWithEmail()).databaseSync.getDataModelChecksum(), checksum);
+
+    const { databaseSync } = createDatabaseSync(getDataModel());
+    databaseSync.databaseCaseImplementation = "snakecase";
+    assert.notStrictEqual(databaseSync.getDataModelChecksum(), checksum);
+});
+
+test("syncDatabase records each sync in the schema history, when enabled", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), {
+        schemaHistory: true,
+    });
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(databaseConnector.getExecutedSql(/^CREATE TABLE IF NOT EXISTS `dx_schema_history`/).length, 1);
+
+    const insertStatements = databaseConnector.executedStatements.filter(({ sql }) =>
+        /^INSERT INTO `dx_schema_history`/.test(sql)
+    );
+    assert.strictEqual(insertStatements.length, 1);
+
+    const [syncedAt, checksum, libraryVersion, statements, outcome, error] = insertStatements[0].values;
+    assert.match(syncedAt, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    assert.strictEqual(checksum, syncReport.checksum);
+    assert.strictEqual(libraryVersion, packageVersion);
+    assert.deepStrictEqual(
+        JSON.parse(statements).map(({ tableName, type, objectName }) => ({ tableName, type, objectName })),
+        [{ tableName: "customer", type: "add column", objectName: "email" }]
+    );
+    assert.strictEqual(outcome, "success");
+    assert.strictEqual(error, null);
+});
+
+test("syncDatabase records a failed sync in the schema history, along with the reason", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), {
+        schemaHistory: true,
+    });
+    databaseConnector.respondTo(/^ALTER TABLE `customer` ADD COLUMN/, null);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    const [insertStatement] = databaseConnector.executedStatements.filter(({ sql }) =>
+        /^INSERT INTO `dx_schema_history`/.test(sql)
+    );
+    assert.strictEqual(insertStatement.values[4], "failed");
+    assert.strictEqual(insertStatement.values[5], syncReport.error);
+});
+
+test("syncDatabase does not touch the schema history, unless it is enabled", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/dx_schema_history/), []);
+});
+
+test("syncDatabase skips an unchanged data model, when skipUnchangedDataModel is enabled", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), {
+        schemaHistory: true,
+        skipUnchangedDataModel: true,
+    });
+    databaseConnector.respondTo(/^SELECT `checksum`, `library_version` FROM `dx_schema_history`/, () => [
+        { checksum: databaseSync.getDataModelChecksum(), library_version: packageVersion },
+    ]);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(syncReport.isDataModelUnchanged, true);
+    assert.deepStrictEqual(syncReport.modules, {});
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^(ALTER|INSERT)/), []);
+});
+
+test("syncDatabase syncs again when the last sync applied another checksum or library version", async () => {
+    for (const lastSync of [
+        { checksum: "0".repeat(64), library_version: packageVersion },
+        { checksum: null, library_version: "0.0.0" },
+        null,
+    ]) {
+        const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), {
+            schemaHistory: true,
+            skipUnchangedDataModel: true,
+        });
+        databaseConnector.respondTo(/^SELECT `checksum`, `library_version` FROM `dx_schema_history`/, () => {
+            if (lastSync === null) {
+                return [];
+            }
+
+            return [
+                {
+                    checksum: lastSync.checksum ?? databaseSync.getDataModelChecksum(),
+                    library_version: lastSync.library_version,
+                },
+            ];
+        });
+
+        await databaseSync.syncDatabase(true);
+        const syncReport = databaseSync.getLastSyncReport();
+
+        assert.strictEqual(syncReport.success, true);
+        assert.strictEqual(syncReport.isDataModelUnchanged, false);
+        assert.strictEqual(databaseConnector.getExecutedSql(/^ALTER TABLE `customer` ADD COLUMN `email`/).length, 1);
+        assert.strictEqual(databaseConnector.getExecutedSql(/^INSERT INTO `dx_schema_history`/).length, 1);
+    }
+});
+
+test("syncDatabase fails when the schema history cannot be created or read", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), {
+        schemaHistory: true,
+        skipUnchangedDataModel: true,
+    });
+    databaseConnector.respondTo(/^SELECT `checksum`, `library_version` FROM `dx_schema_history`/, null);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.strictEqual(syncReport.error, "Could not read the dx_schema_history table for 'main'");
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^ALTER/), []);
+
+    const failingSync = createDatabaseSync(getDataModelWithEmail(), getSyncedTables(), { schemaHistory: true });
+    failingSync.databaseConnector.respondTo(/^CREATE TABLE IF NOT EXISTS `dx_schema_history`/, null);
+
+    await failingSync.databaseSync.syncDatabase(true);
+    const failedSyncReport = failingSync.databaseSync.getLastSyncReport();
+
+    assert.strictEqual(failedSyncReport.success, false);
+    assert.strictEqual(failedSyncReport.error, "Could not create the dx_schema_history table for 'main'");
+    assert.deepStrictEqual(failingSync.databaseConnector.getExecutedSql(/^(ALTER|INSERT)/), []);
+});
+
+test("syncDatabase does not treat the schema history table as a table to remove", async () => {
+    const moduleTables = getSyncedTables();
+    moduleTables.main.dx_schema_history = {
+        columns: [column("id", "bigint", { Null: "NO", Key: "PRI", Extra: "auto_increment" })],
+        indexes: index("PRIMARY", "id"),
+    };
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), moduleTables, {
+        schemaHistory: true,
+    });
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.deepStrictEqual(syncReport.skippedTables, []);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^DROP TABLE/), []);
+});
+
+test("validateDataModel reserves the name of the schema history table", () => {
+    const dataModel = getDataModel();
+    dataModel.dxSchemaHistory = { ...dataModel.customer, attributes: {} };
+
+    const validationResult = createDatabaseSync(dataModel).databaseSync.validateDataModel();
+
+    assert.strictEqual(validationResult.isValid, false);
+    assert.deepStrictEqual(validationResult.errors, [
+        { path: "dxSchemaHistory", message: "The table name 'dx_schema_history' is reserved for the schema history" },
+    ]);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Records the information_schema queries that are sent to the given connector
+ * @param {FakeDatabaseConnector} databaseConnector The connector to observe
+ * @return {{sql: string, values: []}[]} The queries, which grows as queries are sent
+ */
+function recordInformationSchemaQueries(databaseConnector) {
+    const informationSchemaQueries = [];
+    const queryDB = databaseConnector.queryDB.bind(databaseConnector);
+    databaseConnector.queryDB = async (sql, moduleName, values = []) => {
+        if (/information_schema/.test(sql)) {
+            informationSchemaQueries.push({ sql, values });
+        }
+
+        return queryDB(sql, moduleName, values);
+    };
+
+    return informationSchemaQueries;
+}
+
+test("loadSchemaSnapshot loads the tables, columns, indexes and foreign keys of a module", async () => {
+    const syncedTables = getSyncedTables();
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), syncedTables);
+    const informationSchemaQueries = recordInformationSchemaQueries(databaseConnector);
+
+    const tableSnapshots = await databaseSync.loadSchemaSnapshot("main");
+
+    assert.deepStrictEqual(Object.keys(tableSnapshots), ["customer", "invoice"]);
+    assert.deepStrictEqual(
+        tableSnapshots.invoice.columns.map((tableColumn) => tableColumn.Field),
+        ["id", "total", "customer_billed_customer", "last_updated"]
+    );
+    assert.strictEqual(tableSnapshots.invoice.columns[1].Privileges, undefined);
+    assert.deepStrictEqual(tableSnapshots.invoice.indexes, syncedTables.main.invoice.indexes);
+    assert.deepStrictEqual(
+        tableSnapshots.invoice.foreignKeys.map((foreignKey) => foreignKey.CONSTRAINT_NAME),
+        ["fk_invoice_customer_billed_customer"]
+    );
+    assert.strictEqual(tableSnapshots.invoice.status.TABLE_ROWS, 0);
+    assert.deepStrictEqual(
+        informationSchemaQueries.map(({ values }) => values),
+        [["dx_db_sync_test"], ["dx_db_sync_test"], ["dx_db_sync_test"], ["dx_db_sync_test"]]
+    );
+});
+
+test("loadSchemaSnapshot loads only the given tables", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), getSyncedTables());
+    const informationSchemaQueries = recordInformationSchemaQueries(databaseConnector);
+
+    const tableSnapshots = await databaseSync.loadSchemaSnapshot("main", ["customer"]);
+
+    assert.deepStrictEqual(Object.keys(tableSnapshots), ["customer"]);
+    for (const { sql, values } of informationSchemaQueries) {
+        assert.match(sql, /TABLE_NAME IN \(\?\)/);
+        assert.deepStrictEqual(values, ["dx_db_sync_test", ["customer"]]);
+    }
+});
+
+test("loadSchemaSnapshot returns null when the schema cannot be loaded", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), getSyncedTables());
+    databaseConnector.respondTo(/FROM information_schema\.STATISTICS/, null);
+
+    assert.strictEqual(await databaseSync.loadSchemaSnapshot("main"), null);
+    assert.strictEqual(databaseSync.getLastError().message, "Could not load the schema of 'main'");
+    assert.strictEqual(await databaseSync.getSchemaSnapshot("main"), null);
+});
+
+test("planSync inspects a module with a few queries, regardless of the number of tables", async () => {
+    const dataModel = {};
+    const syncedTables = { main: {} };
+    for (let tableNumber = 1; tableNumber <= 30; tableNumber++) {
+        dataModel["item" + tableNumber] = {
+            module: "main",
+            attributes: { label: { type: "varchar", lengthOrValues: 20, default: null, allowNull: true } },
+            indexes: [],
+            relationships: {},
+            options: { enforceLockingConstraints: false },
+        };
+        syncedTables.main["item_" + tableNumber] = {
+            columns: [
+                column("id", "bigint", { Null: "NO", Key: "PRI", Extra: "auto_increment" }),
+                column("label", "varchar(20)"),
+            ],
+            indexes: index("PRIMARY", "id"),
+        };
+    }
+    const { databaseSync, databaseConnector } = createDatabaseSync(dataModel, syncedTables);
+    const informationSchemaQueries = recordInformationSchemaQueries(databaseConnector);
+
+    assert.deepStrictEqual(await databaseSync.planSync(), {});
+    assert.strictEqual(informationSchemaQueries.length, 4);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(/^SHOW/), []);
+});
+
+test("syncDatabase reloads only the tables that it changed", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    const { databaseSync, databaseConnector } = createDatabaseSync(dataModel, getSyncedTables());
+    const informationSchemaQueries = recordInformationSchemaQueries(databaseConnector);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+
+    assert.deepStrictEqual(
+        informationSchemaQueries.map(({ values }) => values),
+        [
+            ["dx_db_sync_test"],
+            ["dx_db_sync_test"],
+            ["dx_db_sync_test"],
+            ["dx_db_sync_test"],
+            ["dx_db_sync_test", ["customer"]],
+            ["dx_db_sync_test", ["customer"]],
+            ["dx_db_sync_test", ["customer"]],
+            ["dx_db_sync_test", ["customer"]],
+        ]
+    );
+});
+
+test("invalidateSchemaSnapshots marks a table as stale, or discards the snapshots of a module", async () => {
+    const moduleTables = getSyncedTables();
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), moduleTables);
+    await databaseSync.getSchemaSnapshot("main");
+    const informationSchemaQueries = recordInformationSchemaQueries(databaseConnector);
+
+    // A stale table that no longer exists is removed from the snapshot
+    delete moduleTables.main.customer;
+    databaseSync.invalidateSchemaSnapshots("main", "customer");
+    databaseSync.invalidateSchemaSnapshots("main", "customer");
+    const schemaSnapshot = await databaseSync.getSchemaSnapshot("main");
+
+    assert.deepStrictEqual(Object.keys(schemaSnapshot.tables), ["invoice"]);
+    assert.deepStrictEqual(schemaSnapshot.staleTableNames, []);
+    assert.strictEqual(informationSchemaQueries.length, 4);
+    assert.deepStrictEqual(informationSchemaQueries[0].values, ["dx_db_sync_test", ["customer"]]);
+
+    await databaseSync.getSchemaSnapshot("main");
+    assert.strictEqual(informationSchemaQueries.length, 4);
+
+    for (const moduleName of ["main", null]) {
+        databaseSync.invalidateSchemaSnapshots(moduleName);
+        assert.deepStrictEqual(databaseSync.schemaSnapshots, {});
+        await databaseSync.getSchemaSnapshot("main");
+    }
+
+    assert.deepStrictEqual(
+        informationSchemaQueries.slice(4).map(({ values }) => values),
+        Array(8).fill(["dx_db_sync_test"])
+    );
+});
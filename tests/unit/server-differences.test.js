@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const { databaseSync } = createDatabaseSync();
+
+/**
+ * Returns a data model in which the customer entity has attributes that each server reports in its own way
+ * @return {{}}
+ */
+function getDataModelWithServerSpecificColumns() {
+    const dataModel = getDataModel();
+    Object.assign(dataModel.customer.attributes, {
+        status: { type: "ENUM", lengthOrValues: "'new', 'active'", default: "new", allowNull: false },
+        visits: { type: "integer", lengthOrValues: 11, default: 0, allowNull: false },
+        balance: { type: "numeric", lengthOrValues: "10,2", default: 1.5, allowNull: true },
+        nickname: { type: "varchar", lengthOrValues: 20, default: "O'Brien", allowNull: true, charset: "utf8" },
+        joinedAt: { type: "datetime", lengthOrValues: null, default: "CURRENT_TIMESTAMP", allowNull: true },
+    });
+    return dataModel;
+}
+
+/**
+ * Returns the synced tables, in the way that each server reports them after a sync of
+ * getDataModelWithServerSpecificColumns()
+ * @return {{}} An object with a key for each server version, of which the value is the tables
+ */
+function getSyncedTablesPerServer() {
+    const syncedTablesPerServer = {
+        "5.7.44-log": [
+            column("status", "enum('new','active')", { Null: "NO", Default: "new" }),
+            column("visits", "int(11)", { Null: "NO", Default: "0" }),
+            column("balance", "decimal(10,2)", { Default: "1.50" }),
+            column("nickname", "varchar(20)", { Default: "O'Brien", Collation: "utf8_general_ci" }),
+            column("joined_at", "datetime", { Default: "CURRENT_TIMESTAMP" }),
+        ],
+        "8.0.34": [
+            column("status", "enum('new','active')", { Null: "NO", Default: "new" }),
+            column("visits", "int", { Null: "NO", Default: "0" }),
+            column("balance", "decimal(10,2)", { Default: "1.50" }),
+            column("nickname", "varchar(20)", { Default: "O'Brien", Collation: "utf8mb3_general_ci" }),
+            column("joined_at", "datetime", { Default: "CURRENT_TIMESTAMP", Extra: "DEFAULT_GENERATED" }),
+        ],
+        "10.6.12-MariaDB": [
+            column("status", "enum('new','active')", { Null: "NO", Default: "'new'" }),
+            column("visits", "int(11)", { Null: "NO", Default: "0" }),
+            column("balance", "decimal(10,2)", { Default: "1.50" }),
+            column("nickname", "varchar(20)", { Default: "'O''Brien'", Collation: "utf8mb3_general_ci" }),
+            column("joined_at", "datetime", { Default: "current_timestamp()" }),
+        ],
+    };
+
+    for (const serverVersion of Object.keys(syncedTablesPerServer)) {
+        const syncedTables = getSyncedTables();
+        syncedTables.main.customer.columns.push(...syncedTablesPerServer[serverVersion]);
+        if (serverVersion === "5.7.44-log") {
+            syncedTables.main.invoice.columns[3].Extra = "on update CURRENT_TIMESTAMP";
+        }
+
+        if (serverVersion === "10.6.12-MariaDB") {
+            Object.assign(syncedTables.main.invoice.columns[3], {
+                Default: "current_timestamp()",
+                Extra: "on update current_timestamp()",
+            });
+        }
+
+        syncedTablesPerServer[serverVersion] = syncedTables;
+    }
+
+    return syncedTablesPerServer;
+}
+
+test("getServerVersionNumber and getServerInfo recognize MySQL and MariaDB versions", async () => {
+    assert.strictEqual(databaseSync.getServerVersionNumber("8.0.34-log"), 80034);
+    assert.strictEqual(databaseSync.getServerVersionNumber("10.6.12-MariaDB"), 100612);
+    assert.strictEqual(databaseSync.getServerVersionNumber("unknown"), 0);
+
+    const getServerInfo = (serverVersion) =>
+        createDatabaseSync(getDataModel(), { main: {} }, {}, { serverVersion }).databaseSync.getServerInfo("main");
+
+    assert.deepStrictEqual(await getServerInfo("5.7.44-log"), {
+        version: "5.7.44-log",
+        isMariaDb: false,
+        hasCachedTableStatistics: false,
+        supportsDescendingIndexes: false,
+        supportsRenameColumn: false,
+    });
+    assert.deepStrictEqual(await getServerInfo("8.0.34"), {
+        version: "8.0.34",
+        isMariaDb: false,
+        hasCachedTableStatistics: true,
+        supportsDescendingIndexes: true,
+        supportsRenameColumn: true,
+    });
+    assert.deepStrictEqual(await getServerInfo("10.6.12-MariaDB"), {
+        version: "10.6.12-MariaDB",
+        isMariaDb: true,
+        hasCachedTableStatistics: false,
+        supportsDescendingIndexes: false,
+        supportsRenameColumn: true,
+    });
+});
+
+test("getMySqlStyleColumnRow converts the defaults that MariaDB reports to the way MySQL reports them", () => {
+    const getDefault = (columnDefault) => databaseSync.getMySqlStyleColumnRow({ Default: columnDefault }).Default;
+
+    assert.strictEqual(getDefault(null), null);
+    assert.strictEqual(getDefault("NULL"), null);
+    assert.strictEqual(getDefault("'NULL'"), "NULL");
+    assert.strictEqual(getDefault("'O''Brien'"), "O'Brien");
+    assert.strictEqual(getDefault("'C:\\\\temp'"), "C:\\temp");
+    assert.strictEqual(getDefault("current_timestamp()"), "CURRENT_TIMESTAMP");
+    assert.strictEqual(getDefault("current_timestamp(3)"), "CURRENT_TIMESTAMP(3)");
+    assert.strictEqual(getDefault("-1.5e3"), "-1.5e3");
+    assert.strictEqual(getDefault("b'101'"), "b'101'");
+    assert.deepStrictEqual(databaseSync.getMySqlStyleColumnRow({ Default: "uuid()", Extra: "" }), {
+        Default: "uuid()",
+        Extra: "DEFAULT_GENERATED",
+    });
+});
+
+test("getNormalizedColumnType and getNormalizedCharsetName return the names that the database reports", () => {
+    assert.strictEqual(databaseSync.getNormalizedColumnType("INTEGER"), "int");
+    assert.strictEqual(databaseSync.getNormalizedColumnType("Numeric"), "decimal");
+    assert.strictEqual(databaseSync.getNormalizedColumnType("VARCHAR"), "varchar");
+    assert.strictEqual(databaseSync.getNormalizedCharsetName("UTF8"), "utf8mb3");
+    assert.strictEqual(databaseSync.getNormalizedCharsetName("utf8_general_ci"), "utf8mb3_general_ci");
+    assert.strictEqual(databaseSync.getNormalizedCharsetName("utf8mb4_bin"), "utf8mb4_bin");
+});
+
+test("getComparableLengthOrValues ignores the way in which each server reports lengths and values", () => {
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("bigint", "20"), null);
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("int", 5, true), "5");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("year", "4"), null);
+    assert.strictEqual(
+        databaseSync.getComparableLengthOrValues("enum", "'new', 'active'"),
+        databaseSync.getComparableLengthOrValues("enum", "'new','active'")
+    );
+    assert.notStrictEqual(
+        databaseSync.getComparableLengthOrValues("enum", "'new','active'"),
+        databaseSync.getComparableLengthOrValues("enum", "'active','new'")
+    );
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("decimal", null), "10,0");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("decimal", 8), "8,0");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("decimal", "10, 2"), "10,2");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("bit", null), "1");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("char", null), "1");
+    assert.strictEqual(databaseSync.getComparableLengthOrValues("varchar", 50), "50");
+});
+
+test("planSync changes nothing when the data model is unchanged, on MySQL 5.7, MySQL 8 and MariaDB", async () => {
+    const syncedTablesPerServer = getSyncedTablesPerServer();
+    for (const serverVersion of Object.keys(syncedTablesPerServer)) {
+        const { databaseSync: serverSync } = createDatabaseSync(
+            getDataModelWithServerSpecificColumns(),
+            syncedTablesPerServer[serverVersion],
+            {},
+            { serverVersion }
+        );
+
+        assert.deepStrictEqual(await serverSync.planSync(), {}, serverVersion);
+    }
+});
+
+test("planSync still modifies columns that differ, on MySQL 5.7, MySQL 8 and MariaDB", async () => {
+    const dataModel = getDataModelWithServerSpecificColumns();
+    dataModel.customer.attributes.status.lengthOrValues = "'new', 'active', 'closed'";
+    dataModel.customer.attributes.nickname.default = "O'Neill";
+
+    const syncedTablesPerServer = getSyncedTablesPerServer();
+    for (const serverVersion of Object.keys(syncedTablesPerServer)) {
+        const { databaseSync: serverSync } = createDatabaseSync(
+            dataModel,
+            syncedTablesPerServer[serverVersion],
+            {},
+            { serverVersion }
+        );
+
+        const schemaDiff = await serverSync.getSchemaDiff();
+
+        assert.deepStrictEqual(
+            schemaDiff.modules.main.tables.customer.columnsToModify.map(({ columnName, differences }) => ({
+                columnName,
+                differences,
+            })),
+            [
+                { columnName: "status", differences: ["lengthOrValues"] },
+                { columnName: "nickname", differences: ["default"] },
+            ],
+            serverVersion
+        );
+    }
+});
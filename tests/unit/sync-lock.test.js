@@ -0,0 +1,205 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const DivbloxDatabaseSync = require("../../index");
+const { FakeDatabaseConnector, column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+const lockKey = "localhost/dx_db_sync.dx_db_sync_test";
+
+/**
+ * Returns a data model with an email attribute that the synced tables do not have yet
+ * @return {{}}
+ */
+function getDataModelWithEmail() {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    return dataModel;
+}
+
+/**
+ * Returns a silent DivbloxDatabaseSync instance for the given database config, in which every module is in sync
+ * @param {{}} databaseConfig The database config, with a key for each module
+ * @return {{databaseSync: DivbloxDatabaseSync, databaseConnector: FakeDatabaseConnector}}
+ */
+function createMultiModuleDatabaseSync(databaseConfig) {
+    const databaseConnector = new FakeDatabaseConnector(databaseConfig, {
+        ...getSyncedTables(),
+        reporting: {},
+    });
+    const databaseSync = new DivbloxDatabaseSync(getDataModel(), {}, databaseConnector, "lowercase", {
+        silent: true,
+    });
+
+    return { databaseSync, databaseConnector };
+}
+
+/**
+ * Holds the sync lock on behalf of another instance, until the returned function is called
+ * @param {{}} locks The locks of the fake database server
+ * @return {function} Releases the lock
+ */
+function holdSyncLock(locks) {
+    const otherInstance = {};
+    locks[lockKey] = otherInstance;
+    return () => delete locks[lockKey];
+}
+
+test("getSyncLockName and getSyncLockDatabaseKey identify the database of a module", () => {
+    const { databaseSync } = createMultiModuleDatabaseSync({
+        main: { host: "localhost", port: "3306", database: "dx_db_sync_test" },
+        reporting: { socketPath: "/tmp/mysql.sock", database: "reporting_" + "x".repeat(60) },
+        archive: { database: "archive" },
+    });
+
+    assert.strictEqual(databaseSync.getSyncLockName("main"), "dx_db_sync.dx_db_sync_test");
+    assert.strictEqual(databaseSync.getSyncLockName("reporting").length, 64);
+    assert.strictEqual(databaseSync.getSyncLockDatabaseKey("main"), "localhost:3306/dx_db_sync_test");
+    assert.strictEqual(databaseSync.getSyncLockDatabaseKey("archive"), "localhost:3306/archive");
+    assert.strictEqual(databaseSync.getSyncLockDatabaseKey("reporting"), "/tmp/mysql.sock/reporting_" + "x".repeat(60));
+});
+
+test("syncDatabase holds the sync lock while it syncs, and releases it afterwards", async () => {
+    const locks = {};
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithEmail(),
+        getSyncedTables(),
+        {},
+        { locks }
+    );
+    let isLockedWhileAltering = false;
+    databaseConnector.respondTo(/^ALTER TABLE/, () => {
+        isLockedWhileAltering = typeof locks[lockKey] !== "undefined";
+        return { affectedRows: 0 };
+    });
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(syncReport.hasWaitedForLock, false);
+    assert.strictEqual(isLockedWhileAltering, true);
+    assert.deepStrictEqual(locks, {});
+    assert.strictEqual(databaseConnector.closedConnectionCount, 1);
+});
+
+test("syncDatabase takes one lock for modules that share a database", async () => {
+    const sharedDatabase = createMultiModuleDatabaseSync({
+        main: { host: "localhost", port: 3306, database: "dx_db_sync_test" },
+        reporting: { host: "localhost", port: "3306", database: "dx_db_sync_test" },
+    });
+    const separateDatabases = createMultiModuleDatabaseSync({
+        main: { host: "localhost", port: 3306, database: "dx_db_sync_test" },
+        reporting: { host: "localhost", port: 3306, database: "reporting_test" },
+    });
+
+    assert.strictEqual(await sharedDatabase.databaseSync.syncDatabase(true), true);
+    assert.strictEqual(await separateDatabases.databaseSync.syncDatabase(true), true);
+
+    assert.strictEqual(sharedDatabase.databaseConnector.closedConnectionCount, 1);
+    assert.strictEqual(separateDatabases.databaseConnector.closedConnectionCount, 2);
+    assert.deepStrictEqual(sharedDatabase.databaseConnector.locks, {});
+    assert.deepStrictEqual(separateDatabases.databaseConnector.locks, {});
+});
+
+test("syncDatabase releases the sync lock when the sync throws", async () => {
+    const locks = {};
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithEmail(),
+        getSyncedTables(),
+        {},
+        { locks }
+    );
+    databaseConnector.respondTo(/^ALTER TABLE/, () => {
+        throw new Error("Connection lost");
+    });
+
+    await assert.rejects(databaseSync.syncDatabase(true), /Connection lost/);
+
+    assert.deepStrictEqual(locks, {});
+    assert.strictEqual(databaseConnector.closedConnectionCount, 1);
+});
+
+test("syncDatabase waits for another instance, then skips the sync if that instance already applied the model", async () => {
+    const locks = {};
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), getSyncedTables(), {}, { locks });
+    const releaseSyncLock = holdSyncLock(locks);
+    setTimeout(releaseSyncLock, 50);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(syncReport.hasWaitedForLock, true);
+    assert.strictEqual(syncReport.isDataModelUnchanged, true);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+    assert.deepStrictEqual(locks, {});
+});
+
+test("syncDatabase waits for another instance, then skips the sync despite tables that are not in the model", async () => {
+    const locks = {};
+    const moduleTables = getSyncedTables();
+    moduleTables.main.orphan = { columns: [column("id", "bigint", { Null: "NO" })], indexes: index("PRIMARY", "id") };
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModel(), moduleTables, {}, { locks });
+    const releaseSyncLock = holdSyncLock(locks);
+    setTimeout(releaseSyncLock, 50);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+
+    assert.strictEqual(databaseSync.getLastSyncReport().isDataModelUnchanged, true);
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+});
+
+test("syncDatabase waits for another instance, then syncs whatever is still different", async () => {
+    const locks = {};
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithEmail(),
+        getSyncedTables(),
+        {},
+        { locks }
+    );
+    const releaseSyncLock = holdSyncLock(locks);
+    setTimeout(releaseSyncLock, 50);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(syncReport.hasWaitedForLock, true);
+    assert.strictEqual(syncReport.isDataModelUnchanged, false);
+    assert.strictEqual(databaseConnector.getExecutedSql(/^ALTER TABLE `customer` ADD COLUMN `email`/).length, 1);
+});
+
+test("syncDatabase gives up when another instance holds the sync lock for longer than lockWaitTimeout", async () => {
+    const locks = {};
+    const { databaseSync, databaseConnector } = createDatabaseSync(
+        getDataModelWithEmail(),
+        getSyncedTables(),
+        { lockWaitTimeout: 0.05 },
+        { locks }
+    );
+    const releaseSyncLock = holdSyncLock(locks);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+    releaseSyncLock();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.strictEqual(
+        syncReport.error,
+        "Timed out after 0.05 second(s) while waiting for another instance to finish syncing 'main'"
+    );
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+    assert.strictEqual(databaseConnector.closedConnectionCount, 1);
+});
+
+test("syncDatabase fails when it cannot connect to take the sync lock", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+    databaseConnector.connectDB = async () => null;
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.strictEqual(syncReport.error, "Could not connect to 'main' to take the sync lock");
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { column, index } = require("./fake-database-connector");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns a data model with an email attribute that the synced tables do not have yet
+ * @return {{}}
+ */
+function getDataModelWithEmail() {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.email = { type: "varchar", lengthOrValues: 100, default: null, allowNull: true };
+    return dataModel;
+}
+
+test("getLastSyncReport reports each statement that the last sync executed, grouped by module and table", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+    assert.strictEqual(databaseSync.getLastSyncReport(), null);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.strictEqual(syncReport.error, null);
+    assert.strictEqual(syncReport.isDataModelUnchanged, false);
+    assert.strictEqual(syncReport.hasWaitedForLock, false);
+    assert.match(syncReport.checksum, /^[0-9a-f]{64}$/);
+    assert.ok(new Date(syncReport.finishedAt) >= new Date(syncReport.startedAt));
+    assert.strictEqual(
+        syncReport.durationMs,
+        new Date(syncReport.finishedAt).getTime() - new Date(syncReport.startedAt).getTime()
+    );
+
+    const { durationMs, ...statement } = syncReport.modules.main.tables.customer.statements[0];
+    assert.strictEqual(typeof durationMs, "number");
+    assert.deepStrictEqual(statement, {
+        type: "add column",
+        objectName: "email",
+        sql: "ALTER TABLE `customer` ADD COLUMN `email` varchar(100) DEFAULT NULL, ALGORITHM=INSTANT;",
+        outcome: "success",
+        error: null,
+    });
+    assert.deepStrictEqual(Object.keys(syncReport.modules.main.tables), ["customer"]);
+});
+
+test("syncDatabase reports the statement that failed, along with the reason", async () => {
+    const { databaseSync, databaseConnector } = createDatabaseSync(getDataModelWithEmail(), getSyncedTables());
+    databaseConnector.respondTo(/^ALTER TABLE `customer` ADD COLUMN/, null);
+
+    assert.strictEqual(await databaseSync.syncDatabase(true), false);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.match(syncReport.error, /customer/);
+    const [failedStatement, ...otherStatements] = syncReport.modules.main.tables.customer.statements;
+    assert.strictEqual(otherStatements.length, 0);
+    assert.strictEqual(failedStatement.type, "add column");
+    assert.strictEqual(failedStatement.objectName, "email");
+    assert.strictEqual(failedStatement.outcome, "failed");
+    assert.match(failedStatement.error, /^Query failed: ALTER TABLE `customer` ADD COLUMN `email`/);
+});
+
+test("syncDatabase reports the tables that it did not remove, and the warnings", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.nickname = {
+        type: "varchar",
+        lengthOrValues: 20,
+        default: null,
+        allowNull: true,
+        colour: "red",
+    };
+    const moduleTables = getSyncedTables();
+    moduleTables.main.customer.columns.push(column("nickname", "varchar(20)"));
+    moduleTables.main.orphan = { columns: [column("id", "bigint", { Null: "NO" })], indexes: index("PRIMARY", "id") };
+    const { databaseSync } = createDatabaseSync(dataModel, moduleTables);
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, true);
+    assert.deepStrictEqual(syncReport.modules, {});
+    assert.deepStrictEqual(syncReport.skippedTables, [
+        { tableName: "orphan", reason: "Not defined in the data model, but removal was skipped" },
+    ]);
+    assert.match(syncReport.warnings[0], /^customer\.attributes\.nickname\.colour: Unknown key 'colour'/);
+});
+
+test("syncDatabase reports why it did not start", async () => {
+    const dataModel = getDataModel();
+    dataModel.invoice.relationships.supplier = ["supplier"];
+    const { databaseSync, databaseConnector } = createDatabaseSync(dataModel, getSyncedTables());
+
+    await databaseSync.syncDatabase(true);
+    const syncReport = databaseSync.getLastSyncReport();
+
+    assert.strictEqual(syncReport.success, false);
+    assert.strictEqual(syncReport.error, "Data model validation failed with 1 error(s)");
+    assert.deepStrictEqual(databaseConnector.getExecutedSql(), []);
+});
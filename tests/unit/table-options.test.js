@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getDataModel, getSyncedTables, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Returns a data model in which the customer entity defines table options, along with a collation and comment for its
+ * name attribute
+ * @return {{}}
+ */
+function getDataModelWithTableOptions() {
+    const dataModel = getDataModel();
+    dataModel.customer.tableOptions = {
+        engine: "InnoDB",
+        charset: "utf8mb4",
+        collation: "utf8mb4_bin",
+        rowFormat: "compressed",
+        comment: "People we bill",
+        autoIncrementStart: 1000,
+    };
+    dataModel.customer.attributes.name.collation = "utf8mb4_bin";
+    dataModel.customer.attributes.name.comment = "Full name";
+    return dataModel;
+}
+
+test("getTableOptionsSql returns the options that are set, in a fixed order", () => {
+    const { databaseSync } = createDatabaseSync();
+    const tableOptions = getDataModelWithTableOptions().customer.tableOptions;
+
+    assert.strictEqual(databaseSync.getTableOptionsSql(), "");
+    assert.strictEqual(
+        databaseSync.getTableOptionsSql(tableOptions),
+        " ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin ROW_FORMAT=COMPRESSED COMMENT='People we bill'"
+    );
+    assert.match(databaseSync.getTableOptionsSql(tableOptions, true), / AUTO_INCREMENT=1000$/);
+    assert.strictEqual(databaseSync.getTableOptionsSql({ comment: "It's ours" }), " COMMENT='It''s ours'");
+});
+
+test("planSync creates a table with its table options, and its columns with their charset options", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithTableOptions());
+
+    const syncPlan = await databaseSync.planSync();
+
+    const stepSql = (objectName) => syncPlan.main.find((syncStep) => syncStep.objectName === objectName).sql;
+    assert.strictEqual(
+        stepSql("customer"),
+        "CREATE TABLE `customer` ( `id` BIGINT NOT NULL AUTO_INCREMENT , PRIMARY KEY (`id`)) ENGINE=InnoDB " +
+            "DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin ROW_FORMAT=COMPRESSED COMMENT='People we bill' " +
+            "AUTO_INCREMENT=1000;"
+    );
+    assert.strictEqual(
+        stepSql("invoice"),
+        "CREATE TABLE `invoice` ( `id` BIGINT NOT NULL AUTO_INCREMENT , PRIMARY KEY (`id`));"
+    );
+    assert.strictEqual(
+        stepSql("name"),
+        "ALTER TABLE `customer` ADD COLUMN `name` varchar(50) COLLATE utf8mb4_bin NOT NULL COMMENT 'Full name';"
+    );
+});
+
+test("getSchemaDiff reports the table options and column options that drifted", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithTableOptions(), getSyncedTables());
+
+    const schemaDiff = await databaseSync.getSchemaDiff();
+
+    const customerDiff = schemaDiff.modules.main.tables.customer;
+    assert.deepStrictEqual(customerDiff.tableOptionsToModify, [
+        { option: "collation", expected: "utf8mb4_bin", actual: "utf8mb4_0900_ai_ci" },
+        { option: "rowFormat", expected: "compressed", actual: "Dynamic" },
+        { option: "comment", expected: "People we bill", actual: "" },
+    ]);
+    assert.deepStrictEqual(
+        customerDiff.columnsToModify.map(({ columnName, differences }) => ({ columnName, differences })),
+        [{ columnName: "name", differences: ["collation", "comment"] }]
+    );
+});
+
+test("planSync fixes drifted table options, and can revert them", async () => {
+    const { databaseSync } = createDatabaseSync(getDataModelWithTableOptions(), getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(
+        syncPlan.main.map(({ type, sql, downSql }) => ({ type, sql, downSql })),
+        [
+            {
+                type: "modify table",
+                sql: "ALTER TABLE `customer` COLLATE=utf8mb4_bin ROW_FORMAT=COMPRESSED COMMENT='People we bill';",
+                downSql: "ALTER TABLE `customer` COLLATE=utf8mb4_0900_ai_ci ROW_FORMAT=DYNAMIC COMMENT='';",
+            },
+            {
+                type: "modify column",
+                sql:
+                    "ALTER TABLE `customer` MODIFY COLUMN `name` varchar(50) COLLATE utf8mb4_bin NOT NULL " +
+                    "COMMENT 'Full name';",
+                downSql:
+                    "ALTER TABLE `customer` MODIFY COLUMN `name` varchar(50) CHARACTER SET utf8mb4 " +
+                    "COLLATE utf8mb4_0900_ai_ci NOT NULL;",
+            },
+        ]
+    );
+});
+
+test("planSync leaves table options alone when they match, or are not defined", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.tableOptions = {
+        engine: "innodb",
+        charset: "utf8mb4",
+        collation: "utf8mb4_0900_ai_ci",
+        rowFormat: "default",
+        comment: "",
+        autoIncrementStart: 1000,
+    };
+    const { databaseSync } = createDatabaseSync(dataModel, getSyncedTables());
+
+    const syncPlan = await databaseSync.planSync();
+
+    assert.deepStrictEqual(syncPlan, {});
+});
+
+test("validateDataModel checks each table option", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.tableOptions = {
+        engine: "Inno DB",
+        charset: "utf8mb4",
+        collation: "latin1_swedish_ci",
+        comment: 1,
+        rowFormat: "tiny",
+        autoIncrementStart: 0,
+        partitions: 4,
+    };
+    dataModel.invoice.tableOptions = "InnoDB";
+
+    const validationResult = createDatabaseSync(dataModel).databaseSync.validateDataModel();
+
+    assert.deepStrictEqual(validationResult.errors, [
+        { path: "customer.tableOptions.engine", message: "Expected a MySQL storage engine" },
+        {
+            path: "customer.tableOptions.collation",
+            message: "Collation 'latin1_swedish_ci' does not belong to charset 'utf8mb4'",
+        },
+        { path: "customer.tableOptions.comment", message: "Expected a comment string" },
+        {
+            path: "customer.tableOptions.rowFormat",
+            message: "Expected one of: DEFAULT, DYNAMIC, FIXED, COMPRESSED, REDUNDANT, COMPACT",
+        },
+        { path: "customer.tableOptions.autoIncrementStart", message: "Expected a positive integer" },
+        {
+            path: "invoice.tableOptions",
+            message:
+                "Invalid table options definition. Expected: " +
+                JSON.stringify({
+                    engine: "[MySQL storage engine, e.g InnoDB]",
+                    charset: "[MySQL character set, e.g utf8mb4]",
+                    collation: "[MySQL collation, e.g utf8mb4_unicode_ci]",
+                    comment: "[Table comment]",
+                    rowFormat: "[DEFAULT|DYNAMIC|FIXED|COMPRESSED|REDUNDANT|COMPACT]",
+                    autoIncrementStart: "[Positive integer]",
+                }),
+        },
+    ]);
+    assert.deepStrictEqual(
+        validationResult.warnings.map((warning) => warning.path),
+        ["customer.tableOptions.partitions"]
+    );
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const DivbloxDatabaseSync = require("../../index");
+const { getDataModel, createDatabaseSync } = require("./fixtures");
+
+/**
+ * Validates the given data model with a database configuration that only defines the "main" module
+ * @param {{}} dataModel The data model to validate
+ * @return {{isValid: boolean, errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}}
+ */
+function validate(dataModel) {
+    return createDatabaseSync(dataModel).databaseSync.validateDataModel();
+}
+
+test("validateDataModel accepts the example data model", () => {
+    const dataModel = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "example-data-model.json"), "utf-8"));
+
+    assert.deepStrictEqual(validate(dataModel), { isValid: true, errors: [], warnings: [] });
+});
+
+test("validateDataModel reports every problem with its location", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.module = "billing";
+    dataModel.customer.attributes.name.allowNull = "no";
+    delete dataModel.customer.attributes.name.default;
+    delete dataModel.invoice.indexes;
+    dataModel.invoice.colour = "red";
+
+    assert.deepStrictEqual(validate(dataModel), {
+        isValid: false,
+        errors: [
+            {
+                path: "customer.module",
+                message: "Invalid module name. 'billing' is not defined in the database configuration",
+            },
+            {
+                path: "customer.attributes.name.default",
+                message: "Missing attribute option. Expected: [value|null|CURRENT_TIMESTAMP]",
+            },
+            { path: "customer.attributes.name.allowNull", message: "Expected true or false" },
+            { path: "invoice.indexes", message: "Entity invoice has no indexes definition" },
+        ],
+        warnings: [
+            {
+                path: "invoice.colour",
+                message:
+                    "Unknown key 'colour' will be ignored. Expected one of: module, attributes, indexes, " +
+                    "relationships, options, previousNames, tableOptions",
+            },
+        ],
+    });
+});
+
+test("validateDataModel only checks module names against a database configuration that was provided", () => {
+    const dataModel = getDataModel();
+    dataModel.customer.module = "billing";
+    const databaseSync = new DivbloxDatabaseSync(dataModel, {}, null, "lowercase", { silent: true });
+
+    assert.strictEqual(databaseSync.validateDataModel().isValid, true);
+});
+
+test("validateDataModel rejects a data model without entities", () => {
+    for (const dataModel of [{}, [], null]) {
+        assert.deepStrictEqual(validate(dataModel).errors, [
+            { path: "", message: "Data model has no entities defined" },
+        ]);
+    }
+});
+
+test("checkDataModelIntegrity reports each validation error before failing", async () => {
+    const dataModel = getDataModel();
+    dataModel.customer.attributes.name.allowNull = "no";
+    dataModel.invoice.options = "none";
+    const { databaseSync } = createDatabaseSync(dataModel);
+
+    assert.strictEqual(await databaseSync.checkDataModelIntegrity(), false);
+    assert.deepStrictEqual(
+        databaseSync.errorInfo.map((error) => error.message),
+        [
+            "customer.attributes.name.allowNull: Expected true or false",
+            "invoice.options: Expected an object",
+            "Data model validation failed with 2 error(s)",
+        ]
+    );
+});